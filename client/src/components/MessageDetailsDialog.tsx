@@ -12,6 +12,7 @@ import { Loader2, Clock, User, Mail, MessageSquare, Users } from "lucide-react";
 import { Message } from "@/services/types";
 import { messagesApi } from "@/services/api";
 import { useToast } from "@/hooks/use-toast";
+import { RelatedMessages } from "@/components/shared/RelatedMessages";
 
 interface MessageDetailsDialogProps {
   messageId: string | null;
@@ -189,9 +190,21 @@ export function MessageDetailsDialog({ messageId, isOpen, onClose }: MessageDeta
                   <h4 className="font-medium">Attachments</h4>
                   <div className="space-y-2">
                     {message.attachments.map((attachment, index) => (
-                      <div key={index} className="flex items-center gap-2 text-sm p-2 bg-muted/20 rounded">
-                        <span className="font-medium">{attachment.name}</span>
-                        <span className="text-muted-foreground">({attachment.type}, {(attachment.size / 1024).toFixed(1)}KB)</span>
+                      <div key={index} className="text-sm p-2 bg-muted/20 rounded space-y-1">
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium">{attachment.filename}</span>
+                          <span className="text-muted-foreground">({attachment.mimeType}, {(attachment.size / 1024).toFixed(1)}KB)</span>
+                        </div>
+                        {attachment.extractedText && (
+                          <details>
+                            <summary className="cursor-pointer text-muted-foreground">
+                              Extracted text{attachment.textTruncated ? " (truncated)" : ""}
+                            </summary>
+                            <div className="mt-1 max-h-48 overflow-y-auto whitespace-pre-wrap text-xs">
+                              {attachment.extractedText}
+                            </div>
+                          </details>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -239,6 +252,14 @@ export function MessageDetailsDialog({ messageId, isOpen, onClose }: MessageDeta
               </>
             )}
 
+            {/* Similar messages from other conversations; opening one shows it here */}
+            {message.related && message.related.length > 0 && (
+              <>
+                <Separator />
+                <RelatedMessages items={message.related} onSelect={fetchMessageDetails} />
+              </>
+            )}
+
             {/* Reactions for Slack */}
             {message.type === "slack" && message.reactions && message.reactions.length > 0 && (
               <div className="space-y-2">
@@ -2,12 +2,18 @@ import { useState, useEffect } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { cn } from "@/lib/utils";
 import { servicesApi } from "@/services/api";
-import { ServiceConnection } from "@/services/types";
+import { ServiceConnection, SyncJob } from "@/services/types";
 import { Loader2, RefreshCw } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { useAuth } from "@/hooks/use-auth";
 import { useToast } from "@/hooks/use-toast";
 
+// How often and how long to poll a running sync job
+const SYNC_POLL_INTERVAL_MS = 2000;
+const SYNC_POLL_MAX_ATTEMPTS = 180;
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Helper function to format the last synced time
 const formatLastSynced = (dateString?: string): string => {
   if (!dateString) return "Never";
@@ -33,6 +39,7 @@ export function ServiceStatus() {
   const [services, setServices] = useState<ServiceConnection[]>([]);
   const [loading, setLoading] = useState(false);
   const [syncingId, setSyncingId] = useState<string | null>(null);
+  const [syncStatus, setSyncStatus] = useState<SyncJob["status"] | null>(null);
   const [error, setError] = useState<string | null>(null);
 
   // Load services from API
@@ -57,23 +64,49 @@ export function ServiceStatus() {
     fetchServices();
   }, [currentUser]);
 
+  // Poll a sync job until it completes or fails
+  const waitForSyncJob = async (id: string, jobId: string): Promise<SyncJob> => {
+    for (let attempt = 0; attempt < SYNC_POLL_MAX_ATTEMPTS; attempt++) {
+      const { job } = await servicesApi.getSyncJob(id, jobId);
+      setSyncStatus(job.status);
+      
+      if (job.status === "completed" || job.status === "failed") {
+        return job;
+      }
+      
+      await wait(SYNC_POLL_INTERVAL_MS);
+    }
+    
+    throw new Error("Sync is taking longer than expected");
+  };
+
   // Handle syncing a service
   const handleSyncService = async (id: string) => {
     if (syncingId) return; // Prevent multiple syncs at once
     
     setSyncingId(id);
+    setSyncStatus("queued");
     
     try {
-      await servicesApi.syncService(id);
+      const { jobId } = await servicesApi.syncService(id);
+      const job = await waitForSyncJob(id, jobId);
       
       // Refresh the services list
       const response = await servicesApi.getServices();
       setServices(response.services || []);
       
-      toast({
-        title: "Success",
-        description: "Service synchronized successfully",
-      });
+      if (job.status === "completed") {
+        toast({
+          title: "Success",
+          description: `Fetched ${job.fetchedCount}, classified ${job.classifiedCount} and created ${job.taskedCount} tasks`,
+        });
+      } else {
+        toast({
+          title: "Sync failed",
+          description: job.errors[0] || "Failed to synchronize service",
+          variant: "destructive"
+        });
+      }
     } catch (err) {
       console.error("Error syncing service:", err);
       toast({
@@ -83,6 +116,7 @@ export function ServiceStatus() {
       });
     } finally {
       setSyncingId(null);
+      setSyncStatus(null);
     }
   };
 
@@ -119,20 +153,31 @@ export function ServiceStatus() {
             key={service.id}
             className="flex items-center justify-between rounded-lg border p-3"
           >
-            <div className="flex items-center gap-3">
+            <div className="flex items-center gap-3 min-w-0">
               <div
                 className={cn(
-                  "h-2 w-2 rounded-full",
-                  service.isConnected ? "bg-green-500" : "bg-gray-300 dark:bg-gray-600"
+                  "h-2 w-2 shrink-0 rounded-full",
+                  !service.isConnected
+                    ? "bg-gray-300 dark:bg-gray-600"
+                    : service.errorMessage ? "bg-red-500" : "bg-green-500"
                 )}
               />
-              <span className="font-medium">{service.name}</span>
+              <div className="min-w-0">
+                <span className="font-medium">{service.name}</span>
+                {service.isConnected && service.errorMessage && (
+                  <p className="truncate text-xs text-red-600" title={service.errorMessage}>
+                    {service.errorMessage}
+                  </p>
+                )}
+              </div>
             </div>
             <div className="flex items-center gap-2">
               {service.isConnected ? (
                 <>
                   <span className="text-xs text-muted-foreground mr-1">
-                    Synced: {formatLastSynced(service.lastSynced)}
+                    {syncingId === service.id
+                      ? (syncStatus === "running" ? "Syncing..." : "Queued...")
+                      : `Synced: ${formatLastSynced(service.lastSynced)}`}
                   </span>
                   <Button 
                     variant="ghost" 
@@ -1,4 +1,5 @@
-import { useState } from "react";
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import { Bell, Menu, Search, LogOut, User, Settings } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { 
@@ -14,6 +15,12 @@ import { Avatar, AvatarFallback } from "@/components/ui/avatar";
 import { useIsMobile } from "@/hooks/use-mobile";
 import { useAuth } from "@/hooks/use-auth";
 import { auth } from "@/lib/firebase";
+import { formatTimeAgo } from "@/lib/utils";
+import { notificationsApi } from "@/services/api";
+import { AppNotification } from "@/services/types";
+
+// How often the bell checks for new notifications
+const NOTIFICATIONS_POLL_MS = 60000;
 
 interface HeaderProps {
   toggleSidebar: () => void;
@@ -22,11 +29,27 @@ interface HeaderProps {
 export function Header({ toggleSidebar }: HeaderProps) {
   const { currentUser } = useAuth();
   const isMobile = useIsMobile();
-  const [notifications, setNotifications] = useState([
-    { id: 1, text: "New critical email from boss", time: "5m ago", read: false },
-    { id: 2, text: "Task deadline approaching", time: "1h ago", read: false },
-    { id: 3, text: "Team meeting in 30 minutes", time: "25m ago", read: true },
-  ]);
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const fetchNotifications = useCallback(async () => {
+    if (!currentUser) return;
+
+    try {
+      const response = await notificationsApi.getNotifications();
+      setNotifications(response.notifications || []);
+      setUnreadCount(response.unreadCount || 0);
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, NOTIFICATIONS_POLL_MS);
+    return () => clearInterval(interval);
+  }, [fetchNotifications]);
 
   // Generate user initials from display name or email
   const getUserInitials = () => {
@@ -62,12 +85,31 @@ export function Header({ toggleSidebar }: HeaderProps) {
     }
   };
 
-  const unreadCount = notifications.filter(n => !n.read).length;
-  
-  const markAsRead = (id: number) => {
-    setNotifications(notifications.map(n => 
-      n.id === id ? { ...n, read: true } : n
-    ));
+  // Mark a notification as read and open the message it is about
+  const handleOpenNotification = async (notification: AppNotification) => {
+    if (!notification.read) {
+      setNotifications(prev => prev.map(n =>
+        n.id === notification.id ? { ...n, read: true } : n
+      ));
+      setUnreadCount(prev => Math.max(prev - 1, 0));
+      notificationsApi.markAsRead(notification.id).catch(error => {
+        console.error("Error marking notification as read:", error);
+      });
+    }
+
+    if (notification.sourceType === "message" && notification.sourceId) {
+      navigate(`/inbox?message=${encodeURIComponent(notification.sourceId)}`);
+    }
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await notificationsApi.markAllAsRead();
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error("Error marking notifications as read:", error);
+    }
   };
 
   return (
@@ -107,19 +149,31 @@ export function Header({ toggleSidebar }: HeaderProps) {
           <DropdownMenuContent align="end" className="w-80">
             <div className="flex items-center justify-between p-4">
               <h3 className="font-medium">Notifications</h3>
-              <Button variant="ghost" size="sm" className="text-xs">
+              <Button
+                variant="ghost"
+                size="sm"
+                className="text-xs"
+                onClick={handleMarkAllAsRead}
+                disabled={unreadCount === 0}
+              >
                 Mark all as read
               </Button>
             </div>
             <div className="max-h-80 overflow-auto">
+              {notifications.length === 0 && (
+                <p className="border-t border-border p-4 text-sm text-muted-foreground">No notifications yet</p>
+              )}
               {notifications.map((notification) => (
                 <DropdownMenuItem key={notification.id} className="p-0">
                   <button 
                     className={`w-full p-4 text-left flex flex-col gap-1 border-t border-border ${notification.read ? '' : 'bg-muted/50'}`} 
-                    onClick={() => markAsRead(notification.id)}
+                    onClick={() => handleOpenNotification(notification)}
                   >
-                    <div className="font-medium">{notification.text}</div>
-                    <div className="text-xs text-muted-foreground">{notification.time}</div>
+                    <div className="font-medium">{notification.title}</div>
+                    <div className="text-sm text-muted-foreground line-clamp-2">{notification.content}</div>
+                    {notification.timestamp && (
+                      <div className="text-xs text-muted-foreground">{formatTimeAgo(notification.timestamp)}</div>
+                    )}
                   </button>
                 </DropdownMenuItem>
               ))}
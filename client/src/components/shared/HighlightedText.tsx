@@ -0,0 +1,36 @@
+import { Fragment } from "react";
+
+interface HighlightedTextProps {
+  text: string;
+  // [start, end) ranges from GET /search, in order
+  highlights: [number, number][];
+  className?: string;
+}
+
+// Render search matches as <mark>; the text itself is never parsed as markup
+export function HighlightedText({ text, highlights, className }: HighlightedTextProps) {
+  const parts: { text: string; match: boolean }[] = [];
+  let position = 0;
+
+  highlights.forEach(([start, end]) => {
+    if (start < position || end > text.length) return;
+    if (start > position) parts.push({ text: text.slice(position, start), match: false });
+    parts.push({ text: text.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < text.length) parts.push({ text: text.slice(position), match: false });
+
+  return (
+    <span className={className}>
+      {parts.map((part, index) => (
+        <Fragment key={index}>
+          {part.match ? (
+            <mark className="bg-flowsync-purple/20 text-inherit rounded-sm">{part.text}</mark>
+          ) : (
+            part.text
+          )}
+        </Fragment>
+      ))}
+    </span>
+  );
+}
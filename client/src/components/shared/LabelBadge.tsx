@@ -0,0 +1,23 @@
+import { cn } from "@/lib/utils";
+import { LABEL_COLOR_CLASSES } from "@/lib/labels";
+import { MessageLabel } from "@/services/types";
+
+interface LabelBadgeProps {
+  label: Pick<MessageLabel, "name" | "color">;
+  className?: string;
+}
+
+// A user label shown on a message
+export function LabelBadge({ label, className }: LabelBadgeProps) {
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center rounded px-1.5 py-0.5 text-xs font-medium",
+        LABEL_COLOR_CLASSES[label.color] || LABEL_COLOR_CLASSES.gray,
+        className
+      )}
+    >
+      {label.name}
+    </span>
+  );
+}
@@ -0,0 +1,47 @@
+import { Mail, MessageSquare, Users } from "lucide-react";
+import { SemanticSearchResult } from "@/services/types";
+
+interface RelatedMessagesProps {
+  items: SemanticSearchResult[];
+  onSelect: (messageId: string) => void;
+}
+
+const typeIcons = {
+  email: Mail,
+  slack: MessageSquare,
+  teams: Users,
+};
+
+// Messages similar in meaning to a message or task (the `related` list of GET /messages/:id and /tasks/:id)
+export function RelatedMessages({ items, onSelect }: RelatedMessagesProps) {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-medium text-muted-foreground">Related messages</h4>
+      <div className="divide-y rounded-md border">
+        {items.map((item) => {
+          const Icon = (item.type && typeIcons[item.type]) || Mail;
+          return (
+            <button
+              key={item.id}
+              className="w-full p-2 text-left flex items-center gap-2 hover:bg-muted/50 transition-colors"
+              onClick={() => onSelect(item.id)}
+            >
+              <Icon className="h-4 w-4 shrink-0 text-muted-foreground" />
+              <div className="min-w-0 flex-1">
+                <div className="text-sm truncate">{item.title || "(no subject)"}</div>
+                {item.from && <div className="text-xs text-muted-foreground truncate">{item.from}</div>}
+              </div>
+              {item.timestamp && (
+                <span className="text-xs text-muted-foreground shrink-0">
+                  {new Date(item.timestamp).toLocaleDateString()}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { useState } from "react";
+import { Loader2, Send, Sparkles } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { EmailMessage, ReplyDraft, ReplyResult, ReplyTone } from "@/services/types";
+import { messagesApi } from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+
+interface ReplyComposerProps {
+  message: EmailMessage;
+  onSent: (result: ReplyResult) => void;
+  onCancel: () => void;
+}
+
+const TONE_LABELS: Record<ReplyTone, string> = {
+  professional: "Professional",
+  friendly: "Friendly",
+  formal: "Formal",
+  concise: "Concise"
+};
+
+// Subject of a reply, as the server builds it for drafts
+const getReplySubject = (subject: string) => /^\s*re(\[\d+\])?\s*:/i.test(subject) ? subject : `Re: ${subject}`;
+
+// Reply form of an email: the AI drafts the text in a tone, the user edits and sends it
+export function ReplyComposer({ message, onSent, onCancel }: ReplyComposerProps) {
+  const { toast } = useToast();
+  const [tone, setTone] = useState<ReplyTone>("professional");
+  const [instructions, setInstructions] = useState("");
+  const [draft, setDraft] = useState<ReplyDraft | null>(null);
+  const [subject, setSubject] = useState(getReplySubject(message.subject || ""));
+  const [body, setBody] = useState("");
+  const [isDrafting, setIsDrafting] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  const recipient = message.replyTo && message.replyTo.length > 0 ? message.replyTo.join(", ") : message.from.email;
+
+  const handleDraft = async () => {
+    setIsDrafting(true);
+    try {
+      const { draft: newDraft } = await messagesApi.draftReply(message.id, { tone, instructions });
+      setDraft(newDraft);
+      setSubject(newDraft.subject);
+      setBody(newDraft.body);
+    } catch (err) {
+      console.error("Error drafting reply:", err);
+      toast({
+        title: "Error",
+        description: err.message || "Failed to draft a reply",
+        variant: "destructive"
+      });
+    } finally {
+      setIsDrafting(false);
+    }
+  };
+
+  const handleSend = async () => {
+    setIsSending(true);
+    try {
+      const { result } = await messagesApi.sendReply(message.id, {
+        body,
+        subject: subject.trim() || undefined,
+        draftId: draft?.id
+      });
+      toast({
+        title: "Reply sent",
+        description: `Sent to ${result.to}`
+      });
+      onSent(result);
+    } catch (err) {
+      console.error("Error sending reply:", err);
+      toast({
+        title: "Error",
+        description: err.message || "Failed to send the reply",
+        variant: "destructive"
+      });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 space-y-3 rounded-md border p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Select value={tone} onValueChange={(value) => setTone(value as ReplyTone)}>
+          <SelectTrigger className="w-[150px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {(Object.keys(TONE_LABELS) as ReplyTone[]).map((value) => (
+              <SelectItem key={value} value={value}>{TONE_LABELS[value]}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Input
+          className="min-w-[200px] flex-1"
+          placeholder="What should the reply say? (optional)"
+          maxLength={500}
+          value={instructions}
+          onChange={(e) => setInstructions(e.target.value)}
+        />
+        <Button variant="outline" onClick={handleDraft} disabled={isDrafting || isSending}>
+          {isDrafting ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Sparkles className="h-4 w-4 mr-1" />}
+          {draft ? "Redraft" : "Draft with AI"}
+        </Button>
+      </div>
+      <p className="text-xs text-muted-foreground">To: {recipient}</p>
+      <Input value={subject} onChange={(e) => setSubject(e.target.value)} placeholder="Subject" />
+      <Textarea
+        rows={10}
+        placeholder="Write your reply, or let the AI draft it"
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+      />
+      <div className="flex gap-2">
+        <Button onClick={handleSend} disabled={!body.trim() || isSending || isDrafting}>
+          {isSending ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Send className="h-4 w-4 mr-1" />}
+          Send
+        </Button>
+        <Button variant="ghost" onClick={onCancel} disabled={isSending}>
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+}
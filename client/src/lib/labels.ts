@@ -0,0 +1,17 @@
+import { LabelColor } from "@/services/types";
+
+// Colors offered for labels (the server accepts the same names)
+export const LABEL_COLORS: LabelColor[] = ["gray", "red", "orange", "yellow", "green", "teal", "blue", "purple", "pink"];
+
+// Full class names so Tailwind keeps them
+export const LABEL_COLOR_CLASSES: Record<LabelColor, string> = {
+  gray: "bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200",
+  red: "bg-red-100 text-red-800 dark:bg-red-950 dark:text-red-200",
+  orange: "bg-orange-100 text-orange-800 dark:bg-orange-950 dark:text-orange-200",
+  yellow: "bg-yellow-100 text-yellow-800 dark:bg-yellow-950 dark:text-yellow-200",
+  green: "bg-green-100 text-green-800 dark:bg-green-950 dark:text-green-200",
+  teal: "bg-teal-100 text-teal-800 dark:bg-teal-950 dark:text-teal-200",
+  blue: "bg-blue-100 text-blue-800 dark:bg-blue-950 dark:text-blue-200",
+  purple: "bg-purple-100 text-purple-800 dark:bg-purple-950 dark:text-purple-200",
+  pink: "bg-pink-100 text-pink-800 dark:bg-pink-950 dark:text-pink-200",
+};
@@ -1,14 +1,221 @@
+import { useState, useEffect, useCallback } from "react";
+import { Layout } from "@/components/layout/Layout";
+import { eventsApi } from "@/services/api";
+import { CalendarEvent, RsvpStatus } from "@/services/types";
+import { useToast } from "@/hooks/use-toast";
+import { Calendar as CalendarIcon, Clock, Loader2, MapPin, RefreshCw, User } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { cn } from "@/lib/utils";
 
-import { Calendar as CalendarIcon } from "lucide-react";
-import { ComingSoonPage } from "@/components/shared/ComingSoonPage";
+type RsvpAnswer = Exclude<RsvpStatus, "needs-action" | "delegated">;
+
+const RSVP_LABELS: Record<RsvpStatus, string> = {
+  "needs-action": "Awaiting your reply",
+  accepted: "Accepted",
+  declined: "Declined",
+  tentative: "Maybe",
+  delegated: "Delegated",
+};
+
+const RSVP_ANSWERS: { value: RsvpAnswer; label: string }[] = [
+  { value: "accepted", label: "Accept" },
+  { value: "tentative", label: "Maybe" },
+  { value: "declined", label: "Decline" },
+];
+
+// Events start at midnight UTC when they last all day
+const formatEventTime = (event: CalendarEvent) => {
+  if (event.allDay) return "All day";
+
+  const options: Intl.DateTimeFormatOptions = { hour: "2-digit", minute: "2-digit" };
+  const start = new Date(event.start).toLocaleTimeString([], options);
+  return event.end ? `${start} – ${new Date(event.end).toLocaleTimeString([], options)}` : start;
+};
+
+// Day heading of an event, in the user's timezone (all-day events keep their calendar date)
+const getDayKey = (event: CalendarEvent) => {
+  const date = new Date(event.start);
+  return event.allDay
+    ? new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()).toDateString()
+    : date.toDateString();
+};
 
 const Calendar = () => {
+  const [events, setEvents] = useState<CalendarEvent[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [updatingId, setUpdatingId] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  const fetchEvents = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      // Upcoming events, including the rest of today
+      const startOfToday = new Date();
+      startOfToday.setHours(0, 0, 0, 0);
+
+      const response = await eventsApi.getEvents({ from: startOfToday.toISOString() });
+      setEvents(response.events);
+    } catch (err) {
+      console.error("Error fetching events:", err);
+      setError("Failed to load events. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleRsvp = async (event: CalendarEvent, rsvpStatus: RsvpAnswer) => {
+    setUpdatingId(event.id);
+
+    try {
+      const response = await eventsApi.updateRsvp(event.id, rsvpStatus);
+      setEvents(prevEvents => prevEvents.map(item => (item.id === event.id ? response.event : item)));
+
+      toast({
+        title: "Reply recorded",
+        description: `Marked "${event.title}" as ${RSVP_LABELS[rsvpStatus].toLowerCase()}. Send your reply from your calendar.`,
+      });
+    } catch (err) {
+      console.error("Error updating RSVP:", err);
+      toast({
+        title: "Error",
+        description: "Failed to record your reply",
+        variant: "destructive",
+      });
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Group events by day, keeping the server's start-time order
+  const eventsByDay = events.reduce<{ day: string; events: CalendarEvent[] }[]>((groups, event) => {
+    const day = getDayKey(event);
+    const group = groups.find(item => item.day === day);
+    if (group) {
+      group.events.push(event);
+    } else {
+      groups.push({ day, events: [event] });
+    }
+    return groups;
+  }, []);
+
+  if (isLoading && events.length === 0) {
+    return (
+      <Layout>
+        <div className="flex flex-col items-center justify-center h-[calc(100vh-200px)]">
+          <Loader2 className="h-10 w-10 animate-spin text-muted-foreground mb-4" />
+          <p className="text-muted-foreground">Loading events...</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (error && events.length === 0) {
+    return (
+      <Layout>
+        <div className="flex flex-col items-center justify-center h-[calc(100vh-200px)]">
+          <div className="text-red-500 mb-4">⚠️</div>
+          <h2 className="text-xl font-semibold mb-2">Failed to load events</h2>
+          <p className="text-muted-foreground mb-4">{error}</p>
+          <Button onClick={fetchEvents}>Try Again</Button>
+        </div>
+      </Layout>
+    );
+  }
+
   return (
-    <ComingSoonPage
-      title="Calendar Coming Soon"
-      description="The time-balanced scheduling calendar is under development. Soon you'll be able to intelligently manage your time with our smart scheduling algorithms."
-      icon={<CalendarIcon className="w-8 h-8 text-muted-foreground" />}
-    />
+    <Layout>
+      <div className="space-y-4">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold">Calendar</h1>
+            <p className="text-sm text-muted-foreground">Upcoming meetings from the invites in your inbox</p>
+          </div>
+          <Button variant="outline" size="sm" onClick={fetchEvents} disabled={isLoading}>
+            <RefreshCw className={cn("h-4 w-4 mr-1", isLoading && "animate-spin")} />
+            Refresh
+          </Button>
+        </div>
+
+        {eventsByDay.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-16 text-center">
+            <div className="w-16 h-16 rounded-full bg-muted flex items-center justify-center mb-4">
+              <CalendarIcon className="w-8 h-8 text-muted-foreground" />
+            </div>
+            <h2 className="text-xl font-semibold mb-2">No upcoming events</h2>
+            <p className="text-muted-foreground max-w-md">
+              Meeting invites that arrive in your connected mailboxes show up here.
+            </p>
+          </div>
+        ) : (
+          eventsByDay.map(({ day, events: dayEvents }) => (
+            <Card key={day}>
+              <CardHeader className="pb-2">
+                <CardTitle className="text-base">{day}</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {dayEvents.map(event => (
+                  <div key={event.id} className="border rounded-md p-3 space-y-2">
+                    <div className="flex items-start justify-between gap-2">
+                      <div>
+                        <p className="font-medium">{event.title}</p>
+                        <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-muted-foreground mt-1">
+                          <span className="flex items-center gap-1">
+                            <Clock className="h-3.5 w-3.5" />
+                            {formatEventTime(event)}
+                          </span>
+                          {event.location && (
+                            <span className="flex items-center gap-1">
+                              <MapPin className="h-3.5 w-3.5" />
+                              {event.location}
+                            </span>
+                          )}
+                          {event.organizer && (
+                            <span className="flex items-center gap-1">
+                              <User className="h-3.5 w-3.5" />
+                              {event.organizer.name || event.organizer.email}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      {event.rsvpStatus && (
+                        <Badge variant={event.rsvpStatus === "needs-action" ? "default" : "secondary"}>
+                          {RSVP_LABELS[event.rsvpStatus]}
+                        </Badge>
+                      )}
+                    </div>
+
+                    {event.rsvpStatus === "needs-action" && (
+                      <div className="flex gap-2">
+                        {RSVP_ANSWERS.map(answer => (
+                          <Button
+                            key={answer.value}
+                            variant="outline"
+                            size="sm"
+                            disabled={updatingId === event.id}
+                            onClick={() => handleRsvp(event, answer.value)}
+                          >
+                            {answer.label}
+                          </Button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          ))
+        )}
+      </div>
+    </Layout>
   );
 };
 
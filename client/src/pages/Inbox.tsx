@@ -3,17 +3,36 @@ import { Layout } from "@/components/layout/Layout";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { Message } from "@/services/types";
-import { Check, Clock, InboxIcon, RefreshCw, Settings, Star, Loader2 } from "lucide-react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Checkbox } from "@/components/ui/checkbox";
+import { LabelBadge } from "@/components/shared/LabelBadge";
+import { ReplyComposer } from "@/components/shared/ReplyComposer";
+import { BulkActionResult, BulkMessageAction, GmailSyncResult, Message, MessageFacets, MessageLabel, MessageThread, MessageView, ReplyResult } from "@/services/types";
+import { Archive, ArchiveRestore, Check, Clock, InboxIcon, ListTodo, Mail, MessagesSquare, RefreshCw, Settings, Star, Loader2, MailX, Tag, X } from "lucide-react";
 import { cn } from "@/lib/utils";
-import { messagesApi } from "@/services/api";
+import { labelsApi, messagesApi } from "@/services/api";
 import { useAuth } from "@/hooks/use-auth";
 import { useToast } from "@/hooks/use-toast";
 import { useSearchParams } from 'react-router-dom';
 import { formatTimeAgo } from "@/lib/utils";
 
 // Helper function to get source icon
-const getSourceIcon = (message: Message) => {
+const getSourceIcon = (message: Pick<Message, "type">) => {
   switch (message.type) {
     case "email":
       return "✉️";
@@ -40,6 +59,83 @@ const getPriorityInfo = (priority: string | undefined) => {
   }
 };
 
+// Labels of the classifier categories shown as inbox facets
+const CATEGORY_LABELS: Record<string, string> = {
+  meeting_request: "Meetings",
+  invoice_billing: "Billing",
+  code_review: "Code review",
+  customer_support: "Support",
+  newsletter: "Newsletters",
+  security_alert: "Security",
+  personal: "Personal",
+  other: "Other",
+  uncategorized: "Uncategorized"
+};
+
+const VIEW_LABELS: Record<MessageView, string> = {
+  inbox: "Inbox",
+  snoozed: "Snoozed",
+  archived: "Archived",
+  all: "All mail"
+};
+
+// Filters of the message list (threads only follow the source tabs)
+interface InboxFilters {
+  view: MessageView;
+  label: string;
+  category: string;
+  deadlineOnly: boolean;
+}
+
+// Snooze choices offered for a message, computed when the menu opens
+const getSnoozeOptions = (now: Date) => {
+  const laterToday = new Date(now.getTime() + 3 * 60 * 60 * 1000);
+  const tomorrow = new Date(now);
+  tomorrow.setDate(now.getDate() + 1);
+  tomorrow.setHours(9, 0, 0, 0);
+  const nextWeek = new Date(now);
+  nextWeek.setDate(now.getDate() + ((8 - now.getDay()) % 7 || 7));
+  nextWeek.setHours(9, 0, 0, 0);
+
+  return [
+    { label: "Later today", until: laterToday },
+    { label: "Tomorrow", until: tomorrow },
+    { label: "Next week", until: nextWeek }
+  ];
+};
+
+// Helper function to format a Firestore timestamp as a short date and time
+// Filters of the listed messages for POST /messages/bulk, as GET /messages takes them
+const getBulkFilter = (type: string, filters: InboxFilters) => {
+  const filter: Record<string, string | boolean> = { view: filters.view };
+  if (type !== "all") filter.type = type;
+  if (filters.label !== "all") filter.label = filters.label;
+  if (filters.category !== "all") filter.category = filters.category;
+  if (filters.deadlineOnly) filter.hasDeadline = true;
+  return filter;
+};
+
+// Summary of a bulk action for a toast
+const describeBulkResult = (result: BulkActionResult) => {
+  const parts = [`${result.updatedCount} updated`];
+  if (result.tasks.length > 0) parts.push(`${result.tasks.length} tasks created`);
+  if (result.unchanged.length > 0) parts.push(`${result.unchanged.length} already done`);
+  if (result.failed.length > 0) parts.push(`${result.failed.length} failed (${result.failed[0].error})`);
+  if (result.hasMore) parts.push("more messages match, run it again to continue");
+  return parts.join(", ");
+};
+
+const formatDateTime = (timestamp: { _seconds: number }) => {
+  return new Date(timestamp._seconds * 1000).toLocaleString(undefined, {
+    weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit"
+  });
+};
+
+// Helper function to format a message deadline (Firestore timestamp) as a short date
+const formatDeadline = (deadline: { _seconds: number }) => {
+  return new Date(deadline._seconds * 1000).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+};
+
 // Helper function to check if content is HTML
 const isHtmlContent = (content: string): boolean => {
   return /<[a-z][\s\S]*>/i.test(content);
@@ -255,33 +351,87 @@ const Inbox = () => {
   const [selectedMessage, setSelectedMessage] = useState<Message | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const [totalMessages, setTotalMessages] = useState(0);
+  const [totalMessages, setTotalMessages] = useState<number | null>(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [facets, setFacets] = useState<MessageFacets | null>(null);
+  const [categoryFilter, setCategoryFilter] = useState("all");
+  const [deadlineOnly, setDeadlineOnly] = useState(false);
+  const [showQuoted, setShowQuoted] = useState(false);
+  const [replyOpen, setReplyOpen] = useState(false);
+  const [threadView, setThreadView] = useState(false);
+  const [threads, setThreads] = useState<MessageThread[]>([]);
+  const [selectedThread, setSelectedThread] = useState<MessageThread | null>(null);
+  const [view, setView] = useState<MessageView>("inbox");
+  const [labelFilter, setLabelFilter] = useState("all");
+  const [labels, setLabels] = useState<MessageLabel[]>([]);
+  const [checkedIds, setCheckedIds] = useState<string[]>([]);
+  const [allMatchingChecked, setAllMatchingChecked] = useState(false);
+  const [isBulkRunning, setIsBulkRunning] = useState(false);
 
-  // Load messages from API
-  const fetchMessages = useCallback(async (type: "email" | "slack" | "teams" | "all" = 'all') => {
+  const currentFilters: InboxFilters = { view, label: labelFilter, category: categoryFilter, deadlineOnly };
+  const labelsById = new Map(labels.map(label => [label.id, label]));
+
+  // Load messages from API; with a cursor the next page is appended to the list
+  const fetchMessages = useCallback(async (
+    type: "email" | "slack" | "teams" | "all" = 'all',
+    filters: InboxFilters = { view: "inbox", label: "all", category: "all", deadlineOnly: false },
+    cursor?: string
+  ) => {
     if (!currentUser) return;
     
-    setIsLoading(true);
-    setError(null);
+    if (cursor) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+      setError(null);
+    }
     
     try {
       const params: {
+        view: MessageView;
+        label?: string;
         type?: "email" | "slack" | "teams" | "all";
+        category?: string;
+        hasDeadline?: boolean;
+        facets?: boolean;
         limit?: number;
-        offset?: number;
+        cursor?: string;
       } = {
-        limit: 50  // Fetch more messages initially
+        view: filters.view,
+        facets: !cursor,
+        limit: 50,  // Fetch more messages initially
+        cursor
       };
       
       // If not fetching all messages, add type filter
       if (type !== 'all') {
         params.type = type;
       }
+
+      if (filters.label !== 'all') {
+        params.label = filters.label;
+      }
+      if (filters.category !== 'all') {
+        params.category = filters.category;
+      }
+      if (filters.deadlineOnly) {
+        params.hasDeadline = true;
+      }
       
       const response = await messagesApi.getMessages(params);
+      setNextCursor(response.nextCursor);
+
+      if (cursor) {
+        setMessages(prev => [...prev, ...(response.messages || [])]);
+        return;
+      }
       
       setMessages(response.messages || []);
-      setTotalMessages(response.total || 0);
+      setCheckedIds([]);
+      setAllMatchingChecked(false);
+      setTotalMessages(response.total);
+      setFacets(response.facets || null);
       
       // Check for message ID in URL search params and select that message if present
       const messageId = searchParams.get('message');
@@ -299,7 +449,7 @@ const Inbox = () => {
       
     } catch (err) {
       console.error("Error fetching messages:", err);
-      setError("Failed to load messages");
+      if (!cursor) setError("Failed to load messages");
       toast({
         title: "Error",
         description: "Failed to load messages. Please try again later.",
@@ -307,17 +457,73 @@ const Inbox = () => {
       });
     } finally {
       setIsLoading(false);
+      setIsLoadingMore(false);
     }
   }, [currentUser, searchParams, toast]);
 
+  // Load conversations from API
+  const fetchThreads = useCallback(async (type: "email" | "slack" | "teams" | "all" = 'all') => {
+    if (!currentUser) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await messagesApi.getThreads({
+        type: type !== 'all' ? type : undefined,
+        limit: 50
+      });
+
+      setThreads(response.threads || []);
+      setTotalMessages(response.total || 0);
+    } catch (err) {
+      console.error("Error fetching threads:", err);
+      setError("Failed to load conversations");
+      toast({
+        title: "Error",
+        description: "Failed to load conversations. Please try again later.",
+        variant: "destructive"
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentUser, toast]);
+
   // Initial load
   useEffect(() => {
     fetchMessages();
   }, []);
 
+  useEffect(() => {
+    if (!currentUser) return;
+    labelsApi.getLabels()
+      .then(response => setLabels(response.labels || []))
+      .catch(err => console.error("Error fetching labels:", err));
+  }, [currentUser]);
+
+  const loadList = (
+    type: "email" | "slack" | "teams" | "all",
+    filters: InboxFilters,
+    asThreads = threadView
+  ) => {
+    if (asThreads) {
+      fetchThreads(type);
+    } else {
+      fetchMessages(type, filters);
+    }
+  };
+
+  const handleToggleThreadView = () => {
+    setThreadView(!threadView);
+    setSelectedMessage(null);
+    setSelectedThread(null);
+    loadList(activeTab as "email" | "slack" | "teams" | "all", currentFilters, !threadView);
+  };
+
   const handleTabChange = (value: "email" | "slack" | "teams" | "all") => {
     setActiveTab(value);
     setSelectedMessage(null);
+    setSelectedThread(null);
     
     // Update search params to remove message ID when switching tabs
     if (searchParams.has('message')) {
@@ -326,15 +532,41 @@ const Inbox = () => {
     }
     
     // Fetch messages for the selected tab
-    fetchMessages(value);
+    loadList(value, currentFilters);
   };
 
   const handleRefresh = () => {
-    fetchMessages(activeTab as "email" | "slack" | "teams" | "all");
+    loadList(activeTab as "email" | "slack" | "teams" | "all", currentFilters);
+  };
+
+  const handleLoadMore = () => {
+    if (!nextCursor) return;
+    fetchMessages(activeTab as "email" | "slack" | "teams" | "all", currentFilters, nextCursor);
+  };
+
+  const handleFilterChange = (filters: InboxFilters) => {
+    setView(filters.view);
+    setLabelFilter(filters.label);
+    setCategoryFilter(filters.category);
+    setDeadlineOnly(filters.deadlineOnly);
+    setSelectedMessage(null);
+    fetchMessages(activeTab as "email" | "slack" | "teams" | "all", filters);
+  };
+
+  const handleToggleChecked = (messageId: string) => {
+    setAllMatchingChecked(false);
+    setCheckedIds(prev => prev.includes(messageId) ? prev.filter(id => id !== messageId) : [...prev, messageId]);
+  };
+
+  const handleToggleAllChecked = () => {
+    setAllMatchingChecked(false);
+    setCheckedIds(checkedIds.length === messages.length ? [] : messages.map(msg => msg.id));
   };
 
   const handleSelectMessage = async (message: Message) => {
     setSelectedMessage(message);
+    setShowQuoted(false);
+    setReplyOpen(false);
     
     // Update URL to include selected message ID
     searchParams.set('message', message.id);
@@ -355,6 +587,32 @@ const Inbox = () => {
     }
   };
 
+  const handleSelectThread = async (thread: MessageThread) => {
+    try {
+      const fullThread = await messagesApi.getThread(thread.id);
+      const threadMessages = fullThread.messages || [];
+      setSelectedThread(fullThread);
+
+      // The latest message is the one the detail actions apply to
+      const latest = threadMessages[threadMessages.length - 1];
+      if (latest) {
+        await handleSelectMessage(latest);
+      }
+      if (latest && !latest.read) {
+        setThreads(prev => prev.map(item =>
+          item.id === thread.id ? { ...item, unreadCount: Math.max(item.unreadCount - 1, 0) } : item
+        ));
+      }
+    } catch (err) {
+      console.error("Error loading thread:", err);
+      toast({
+        title: "Error",
+        description: "Failed to load the conversation",
+        variant: "destructive"
+      });
+    }
+  };
+
   const handleMarkAsRead = async () => {
     if (!selectedMessage) return;
     
@@ -381,6 +639,36 @@ const Inbox = () => {
     }
   };
 
+  const handleChangePriority = async (priority: "critical" | "action" | "info") => {
+    if (!selectedMessage || priority === selectedMessage.priority) return;
+
+    try {
+      const result = await messagesApi.updatePriority(selectedMessage.id, priority);
+
+      if (!result.success) {
+        throw new Error(result.error || "Failed to update priority");
+      }
+
+      // Update local state
+      setSelectedMessage(prev => prev ? { ...prev, priority, userCorrected: !result.agreed } : null);
+      setMessages(prev => prev.map(msg =>
+        msg.id === selectedMessage.id ? { ...msg, priority, userCorrected: !result.agreed } : msg
+      ));
+
+      toast({
+        title: "Priority updated",
+        description: "Thanks! Future messages like this one will be classified accordingly."
+      });
+    } catch (err) {
+      console.error("Error updating message priority:", err);
+      toast({
+        title: "Error",
+        description: "Failed to update message priority",
+        variant: "destructive"
+      });
+    }
+  };
+
   const handleConvertToTask = async () => {
     if (!selectedMessage) return;
     
@@ -413,6 +701,208 @@ const Inbox = () => {
     }
   };
 
+  const handleUnsubscribe = async () => {
+    if (!selectedMessage || selectedMessage.type !== "email") return;
+
+    try {
+      const { result } = await messagesApi.unsubscribe(selectedMessage.id);
+
+      setSelectedMessage(prev => prev && prev.type === "email" ? { ...prev, unsubscribeResult: result } : prev);
+      setMessages(prev => prev.map(msg =>
+        msg.id === selectedMessage.id && msg.type === "email" ? { ...msg, unsubscribeResult: result } : msg
+      ));
+
+      // The list only offers a web page or a mail address the user has to use themselves
+      if (result.status === "manual" && result.link) {
+        window.open(result.link, "_blank", "noopener,noreferrer");
+      }
+
+      toast({
+        title: result.status === "manual" ? "Finish unsubscribing" : "Unsubscribed",
+        description: result.status === "manual"
+          ? "Complete the unsubscribe in the page or mail that was opened"
+          : "You will no longer receive this mailing list"
+      });
+    } catch (err) {
+      console.error("Error unsubscribing:", err);
+      toast({
+        title: "Error",
+        description: err.message || "Failed to unsubscribe",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleReplySent = (result: ReplyResult) => {
+    if (!selectedMessage) return;
+
+    setSelectedMessage(prev => prev && prev.type === "email" ? { ...prev, replyResult: result } : prev);
+    setMessages(prev => prev.map(msg =>
+      msg.id === selectedMessage.id && msg.type === "email" ? { ...msg, replyResult: result } : msg
+    ));
+    setReplyOpen(false);
+  };
+
+  // Open a message linked from elsewhere (e.g. a notification) that the list didn't include
+  const linkedMessageId = searchParams.get('message');
+  useEffect(() => {
+    if (!linkedMessageId || isLoading || selectedMessage?.id === linkedMessageId) return;
+
+    messagesApi.getMessage(linkedMessageId)
+      .then(message => handleSelectMessage(message))
+      .catch(err => console.error("Error loading linked message:", err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [linkedMessageId, isLoading]);
+
+  // Keep a changed message in the list only while it still matches the view and label filter
+  const applyMessageChange = (updated: Message) => {
+    const inView = view === "all" ||
+      (view === "inbox" && !updated.archived && !updated.snoozed) ||
+      (view === "archived" && Boolean(updated.archived)) ||
+      (view === "snoozed" && Boolean(updated.snoozed));
+    const hasLabel = labelFilter === "all" || (updated.labels || []).includes(labelFilter);
+
+    if (inView && hasLabel) {
+      setSelectedMessage(prev => prev && prev.id === updated.id ? { ...prev, ...updated } : prev);
+      setMessages(prev => prev.map(msg => msg.id === updated.id ? { ...msg, ...updated } : msg));
+      return;
+    }
+
+    setSelectedMessage(prev => prev && prev.id === updated.id ? null : prev);
+    setMessages(prev => prev.filter(msg => msg.id !== updated.id));
+    setTotalMessages(prev => prev !== null ? Math.max(prev - 1, 0) : prev);
+    if (searchParams.get('message') === updated.id) {
+      searchParams.delete('message');
+      setSearchParams(searchParams);
+    }
+  };
+
+  // The change is saved either way; tell the user when Gmail could not follow
+  const reportGmailSync = (gmailSync: GmailSyncResult) => {
+    if (gmailSync.status !== "failed") return;
+    toast({
+      title: "Not changed in Gmail",
+      description: gmailSync.error || "Gmail could not be updated",
+      variant: "destructive"
+    });
+  };
+
+  const handleArchive = async (archived: boolean) => {
+    if (!selectedMessage) return;
+
+    try {
+      const result = await messagesApi.archive(selectedMessage.id, archived);
+      applyMessageChange(result.message);
+      reportGmailSync(result.gmailSync);
+
+      toast({
+        title: archived ? "Archived" : "Moved to inbox",
+        description: archived ? "The message left your inbox" : "The message is back in your inbox"
+      });
+    } catch (err) {
+      console.error("Error archiving message:", err);
+      toast({
+        title: "Error",
+        description: err.message || "Failed to archive the message",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleSnooze = async (until: Date | null) => {
+    if (!selectedMessage) return;
+
+    try {
+      const result = await messagesApi.snooze(selectedMessage.id, until ? until.toISOString() : null);
+      applyMessageChange(result.message);
+      reportGmailSync(result.gmailSync);
+
+      toast({
+        title: until ? "Snoozed" : "Snooze ended",
+        description: until
+          ? `The message comes back ${until.toLocaleString(undefined, { weekday: "short", hour: "numeric", minute: "2-digit" })}`
+          : "The message is back in your inbox"
+      });
+    } catch (err) {
+      console.error("Error snoozing message:", err);
+      toast({
+        title: "Error",
+        description: err.message || "Failed to snooze the message",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleToggleLabel = async (labelId: string) => {
+    if (!selectedMessage) return;
+
+    const current = selectedMessage.labels || [];
+    const next = current.includes(labelId) ? current.filter(id => id !== labelId) : [...current, labelId];
+
+    try {
+      const result = await messagesApi.setLabels(selectedMessage.id, next);
+      applyMessageChange(result.message);
+      reportGmailSync(result.gmailSync);
+    } catch (err) {
+      console.error("Error updating message labels:", err);
+      toast({
+        title: "Error",
+        description: err.message || "Failed to update labels",
+        variant: "destructive"
+      });
+    }
+  };
+
+  // Run an action on the checked messages, or on every message matching the filters
+  const handleBulkAction = async (
+    action: BulkMessageAction,
+    options: { addLabels?: string[], removeLabels?: string[], priority?: "critical" | "action" | "info" } = {}
+  ) => {
+    if (checkedIds.length === 0) return;
+
+    setIsBulkRunning(true);
+    try {
+      const result = await messagesApi.bulk({
+        action,
+        ...(allMatchingChecked
+          ? { filter: getBulkFilter(activeTab, currentFilters) }
+          : { messageIds: checkedIds }),
+        ...options
+      });
+
+      if (allMatchingChecked) {
+        fetchMessages(activeTab as "email" | "slack" | "teams" | "all", currentFilters);
+      } else {
+        result.changes.forEach(change => {
+          const current = messages.find(msg => msg.id === change.id);
+          if (current) applyMessageChange({ ...current, ...change } as Message);
+        });
+        setCheckedIds([]);
+      }
+
+      toast({
+        title: result.failed.length > 0 ? "Some messages were not changed" : "Done",
+        description: describeBulkResult(result),
+        variant: result.failed.length > 0 ? "destructive" : "default"
+      });
+      if (result.gmailSync.failed.length > 0) {
+        reportGmailSync({
+          status: "failed",
+          error: `${result.gmailSync.failed.length} messages could not be updated in Gmail`
+        });
+      }
+    } catch (err) {
+      console.error("Error running bulk action:", err);
+      toast({
+        title: "Error",
+        description: err.message || "Failed to update the messages",
+        variant: "destructive"
+      });
+    } finally {
+      setIsBulkRunning(false);
+    }
+  };
+
   const getMessageSender = (message: Message) => {
     switch (message.type) {
       case "email":
@@ -471,6 +961,15 @@ const Inbox = () => {
         <div className="flex items-center justify-between">
           <h1 className="text-2xl font-bold">Unified Inbox</h1>
           <div className="flex items-center gap-2">
+            <Button
+              variant={threadView ? "secondary" : "outline"}
+              size="sm"
+              onClick={handleToggleThreadView}
+              disabled={isLoading}
+            >
+              <MessagesSquare className="h-4 w-4 mr-1" />
+              Threads
+            </Button>
             <Button 
               variant="outline" 
               size="sm" 
@@ -500,6 +999,39 @@ const Inbox = () => {
               <TabsTrigger value="slack">Slack</TabsTrigger>
               <TabsTrigger value="teams">Teams</TabsTrigger>
             </TabsList>
+            {!threadView && (
+              <div className="flex items-center gap-2">
+                <Select
+                  value={view}
+                  onValueChange={(value) => handleFilterChange({ ...currentFilters, view: value as MessageView })}
+                >
+                  <SelectTrigger className="h-9 w-[130px]" aria-label="View">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(Object.keys(VIEW_LABELS) as MessageView[]).map(value => (
+                      <SelectItem key={value} value={value}>{VIEW_LABELS[value]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {labels.length > 0 && (
+                  <Select
+                    value={labelFilter}
+                    onValueChange={(value) => handleFilterChange({ ...currentFilters, label: value })}
+                  >
+                    <SelectTrigger className="h-9 w-[150px]" aria-label="Label">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All labels</SelectItem>
+                      {labels.map(label => (
+                        <SelectItem key={label.id} value={label.id}>{label.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              </div>
+            )}
             <div className="flex items-center gap-3 text-sm text-muted-foreground">
               <span className="flex items-center gap-1">
                 <span className="h-2 w-2 rounded-full bg-red-500"></span>
@@ -515,20 +1047,189 @@ const Inbox = () => {
               </span>
             </div>
           </div>
+
+          {facets && !threadView && (
+            <div className="flex flex-wrap items-center gap-2">
+              <Button
+                variant={categoryFilter === "all" ? "secondary" : "ghost"}
+                size="sm"
+                className="h-7"
+                onClick={() => handleFilterChange({ ...currentFilters, category: "all" })}
+              >
+                All categories
+              </Button>
+              {Object.entries(facets.category)
+                .sort(([, a], [, b]) => (b || 0) - (a || 0))
+                .map(([category, count]) => (
+                  <Button
+                    key={category}
+                    variant={categoryFilter === category ? "secondary" : "ghost"}
+                    size="sm"
+                    className="h-7"
+                    onClick={() => handleFilterChange({ ...currentFilters, category: categoryFilter === category ? "all" : category })}
+                  >
+                    {CATEGORY_LABELS[category] || category}
+                    <span className="ml-1 text-xs text-muted-foreground">{count}</span>
+                  </Button>
+                ))}
+              <Button
+                variant={deadlineOnly ? "secondary" : "ghost"}
+                size="sm"
+                className="h-7 ml-auto"
+                onClick={() => handleFilterChange({ ...currentFilters, deadlineOnly: !deadlineOnly })}
+              >
+                <Clock className="h-3 w-3 mr-1" />
+                Has deadline
+                <span className="ml-1 text-xs text-muted-foreground">
+                  {facets.deadline.withDeadline}
+                  {facets.deadline.overdue > 0 && ` (${facets.deadline.overdue} overdue)`}
+                </span>
+              </Button>
+            </div>
+          )}
           
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <Card className="col-span-1 md:h-[calc(100vh-180px)] overflow-hidden">
               <CardHeader className="py-3">
                 <CardTitle className="text-sm font-medium flex justify-between items-center">
-                  Messages
-                  <span className="text-xs bg-muted px-2 py-1 rounded-md">{totalMessages} total</span>
+                  <span className="flex items-center gap-2">
+                    {!threadView && messages.length > 0 && (
+                      <Checkbox
+                        checked={checkedIds.length > 0 && checkedIds.length === messages.length}
+                        onCheckedChange={handleToggleAllChecked}
+                        aria-label="Select all messages"
+                      />
+                    )}
+                    {threadView ? "Conversations" : "Messages"}
+                  </span>
+                  {totalMessages !== null && (
+                    <span className="text-xs bg-muted px-2 py-1 rounded-md">{totalMessages} total</span>
+                  )}
                 </CardTitle>
+                {!threadView && checkedIds.length > 0 && (
+                  <div className="space-y-1 pt-2">
+                    <div className="flex flex-wrap items-center gap-1">
+                      <span className="text-xs text-muted-foreground mr-1">
+                        {allMatchingChecked ? `All ${totalMessages ?? ""} matching` : `${checkedIds.length} selected`}
+                      </span>
+                      <Button variant="ghost" size="icon" className="h-7 w-7" title="Mark read"
+                        disabled={isBulkRunning} onClick={() => handleBulkAction("markRead")}>
+                        <Check className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="icon" className="h-7 w-7" title="Mark unread"
+                        disabled={isBulkRunning} onClick={() => handleBulkAction("markUnread")}>
+                        <Mail className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="icon" className="h-7 w-7"
+                        title={view === "archived" ? "Unarchive" : "Archive"}
+                        disabled={isBulkRunning}
+                        onClick={() => handleBulkAction(view === "archived" ? "unarchive" : "archive")}>
+                        {view === "archived" ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+                      </Button>
+                      {labels.length > 0 && (
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button variant="ghost" size="icon" className="h-7 w-7" title="Labels" disabled={isBulkRunning}>
+                              <Tag className="h-4 w-4" />
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="start">
+                            <DropdownMenuLabel>Add label</DropdownMenuLabel>
+                            {labels.map(label => (
+                              <DropdownMenuItem key={label.id} onClick={() => handleBulkAction("label", { addLabels: [label.id] })}>
+                                <LabelBadge label={label} />
+                              </DropdownMenuItem>
+                            ))}
+                            <DropdownMenuSeparator />
+                            <DropdownMenuLabel>Remove label</DropdownMenuLabel>
+                            {labels.map(label => (
+                              <DropdownMenuItem key={label.id} onClick={() => handleBulkAction("label", { removeLabels: [label.id] })}>
+                                <LabelBadge label={label} />
+                              </DropdownMenuItem>
+                            ))}
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      )}
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <Button variant="ghost" size="icon" className="h-7 w-7" title="Priority" disabled={isBulkRunning}>
+                            <Star className="h-4 w-4" />
+                          </Button>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent align="start">
+                          <DropdownMenuLabel>Set priority</DropdownMenuLabel>
+                          <DropdownMenuItem onClick={() => handleBulkAction("priority", { priority: "critical" })}>🔴 Critical</DropdownMenuItem>
+                          <DropdownMenuItem onClick={() => handleBulkAction("priority", { priority: "action" })}>🟠 Action</DropdownMenuItem>
+                          <DropdownMenuItem onClick={() => handleBulkAction("priority", { priority: "info" })}>🟢 Info</DropdownMenuItem>
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                      <Button variant="ghost" size="icon" className="h-7 w-7" title="Convert to tasks"
+                        disabled={isBulkRunning} onClick={() => handleBulkAction("convertToTask")}>
+                        <ListTodo className="h-4 w-4" />
+                      </Button>
+                      {isBulkRunning && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+                      <Button variant="ghost" size="icon" className="h-7 w-7 ml-auto" title="Clear selection"
+                        onClick={() => { setCheckedIds([]); setAllMatchingChecked(false); }}>
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    {!allMatchingChecked && checkedIds.length === messages.length && totalMessages !== null && totalMessages > messages.length && (
+                      <Button variant="link" size="sm" className="h-auto p-0 text-xs" onClick={() => setAllMatchingChecked(true)}>
+                        Select all {totalMessages} matching messages
+                      </Button>
+                    )}
+                  </div>
+                )}
               </CardHeader>
               <CardContent className="p-0 overflow-auto max-h-[calc(100vh-240px)]">
                 {isLoading && messages.length > 0 ? (
                   <div className="flex justify-center items-center py-8">
                     <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
                   </div>
+                ) : threadView ? (
+                  threads.length > 0 ? (
+                    <div className="divide-y">
+                      {threads.map((thread) => {
+                        const priorityInfo = getPriorityInfo(thread.priority);
+
+                        return (
+                          <div
+                            key={thread.id}
+                            className={cn(
+                              "p-3 cursor-pointer hover:bg-muted/50 transition-colors",
+                              selectedThread?.id === thread.id && "bg-muted",
+                              thread.unreadCount > 0 && "border-l-2 border-l-flowsync-purple"
+                            )}
+                            onClick={() => handleSelectThread(thread)}
+                          >
+                            <div className="flex items-center gap-2">
+                              <div className="flex items-center gap-1">
+                                <span>{priorityInfo.icon}</span>
+                                <span>{getSourceIcon(thread)}</span>
+                              </div>
+                              <span className={cn("font-medium truncate", priorityInfo.className)}>
+                                {thread.participants.join(", ")}
+                              </span>
+                              {thread.messageCount > 1 && (
+                                <span className="text-xs text-muted-foreground">{thread.messageCount}</span>
+                              )}
+                              <span className="ml-auto text-xs text-muted-foreground whitespace-nowrap">
+                                {formatTimeAgo(thread.latestTimestamp)}
+                              </span>
+                            </div>
+                            <div className="font-medium text-sm mt-1">{thread.subject}</div>
+                            <div className="text-xs text-muted-foreground line-clamp-1 mt-1">
+                              {thread.snippet}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  ) : (
+                    <div className="text-center py-8 text-muted-foreground">
+                      No conversations found
+                    </div>
+                  )
                 ) : messages.length > 0 ? (
                   <div className="divide-y">
                     {messages.map((message) => {
@@ -548,6 +1249,12 @@ const Inbox = () => {
                           onClick={() => handleSelectMessage(message)}
                         >
                           <div className="flex items-center gap-2">
+                            <Checkbox
+                              checked={checkedIds.includes(message.id)}
+                              onCheckedChange={() => handleToggleChecked(message.id)}
+                              onClick={(e) => e.stopPropagation()}
+                              aria-label="Select message"
+                            />
                             <div className="flex items-center gap-1">
                               <span>{priorityInfo.icon}</span>
                               <span>{sourceIcon}</span>
@@ -560,12 +1267,54 @@ const Inbox = () => {
                             </span>
                           </div>
                           <div className="font-medium text-sm mt-1">{subject}</div>
+                          {((message.labels && message.labels.length > 0) || message.snoozed || message.resurfacedAt) && (
+                            <div className="flex flex-wrap items-center gap-1 mt-1 text-xs text-muted-foreground">
+                              {(message.labels || []).map(labelId => {
+                                const label = labelsById.get(labelId);
+                                return label ? <LabelBadge key={labelId} label={label} /> : null;
+                              })}
+                              {message.snoozed && message.snoozedUntil ? (
+                                <span className="flex items-center gap-1">
+                                  <Clock className="h-3 w-3" />
+                                  Until {formatDateTime(message.snoozedUntil)}
+                                </span>
+                              ) : message.resurfacedAt && view === "inbox" && (
+                                <span className="flex items-center gap-1">
+                                  <Clock className="h-3 w-3" />
+                                  Back from snooze
+                                </span>
+                              )}
+                            </div>
+                          )}
+                          {(message.category || message.deadline) && (
+                            <div className="flex items-center gap-2 mt-1 text-xs text-muted-foreground">
+                              {message.category && (
+                                <span className="bg-muted px-1.5 py-0.5 rounded">
+                                  {CATEGORY_LABELS[message.category] || message.category}
+                                </span>
+                              )}
+                              {message.deadline && (
+                                <span className="flex items-center gap-1">
+                                  <Clock className="h-3 w-3" />
+                                  Due {formatDeadline(message.deadline)}
+                                </span>
+                              )}
+                            </div>
+                          )}
                           {/* <div className="text-xs text-muted-foreground line-clamp-1 mt-1">
                             {message.content}
                           </div> */}
                         </div>
                       );
                     })}
+                    {nextCursor && (
+                      <div className="p-3 flex justify-center">
+                        <Button variant="ghost" size="sm" onClick={handleLoadMore} disabled={isLoadingMore}>
+                          {isLoadingMore && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                          Load more
+                        </Button>
+                      </div>
+                    )}
                   </div>
                 ) : (
                   <div className="text-center py-8 text-muted-foreground">
@@ -587,8 +1336,46 @@ const Inbox = () => {
                         <p className="text-sm text-muted-foreground mt-1">
                           From: {getMessageSender(selectedMessage)} • {formatTimeAgo(selectedMessage.timestamp)}
                         </p>
+                        {selectedMessage.category && (
+                          <p className="text-xs text-muted-foreground mt-1">
+                            {CATEGORY_LABELS[selectedMessage.category] || selectedMessage.category}
+                            {typeof selectedMessage.confidence === "number" && ` • ${Math.round(selectedMessage.confidence * 100)}% confident`}
+                            {selectedMessage.deadline && ` • Due ${formatDeadline(selectedMessage.deadline)}`}
+                          </p>
+                        )}
+                        {selectedMessage.labels && selectedMessage.labels.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {selectedMessage.labels.map(labelId => {
+                              const label = labelsById.get(labelId);
+                              return label ? <LabelBadge key={labelId} label={label} /> : null;
+                            })}
+                          </div>
+                        )}
+                        {selectedMessage.snoozed && selectedMessage.snoozedUntil && (
+                          <p className="text-xs text-muted-foreground mt-1">
+                            Snoozed until {formatDateTime(selectedMessage.snoozedUntil)}
+                          </p>
+                        )}
+                        {selectedMessage.type === "email" && selectedMessage.bulkReason && (
+                          <p className="text-xs text-muted-foreground mt-1">
+                            {selectedMessage.isBulk ? "Bulk mail" : "Automated mail"} ({selectedMessage.bulkReason})
+                          </p>
+                        )}
                       </div>
                       <div className="flex gap-2">
+                        <Select
+                          value={selectedMessage.priority || "info"}
+                          onValueChange={(value) => handleChangePriority(value as "critical" | "action" | "info")}
+                        >
+                          <SelectTrigger className="h-9 w-[130px]" aria-label="Priority">
+                            <SelectValue placeholder="Priority" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="critical">🔴 Critical</SelectItem>
+                            <SelectItem value="action">🟠 Action</SelectItem>
+                            <SelectItem value="info">🟢 Info</SelectItem>
+                          </SelectContent>
+                        </Select>
                         <Button 
                           variant="outline" 
                           size="sm"
@@ -602,16 +1389,110 @@ const Inbox = () => {
                           <Star className="h-4 w-4 mr-1" />
                           Star
                         </Button>
-                        <Button variant="outline" size="sm">
-                          <Clock className="h-4 w-4 mr-1" />
-                          Snooze
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button variant="outline" size="sm">
+                              <Clock className="h-4 w-4 mr-1" />
+                              Snooze
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="end">
+                            <DropdownMenuLabel>Snooze until</DropdownMenuLabel>
+                            {getSnoozeOptions(new Date()).map(option => (
+                              <DropdownMenuItem key={option.label} onClick={() => handleSnooze(option.until)}>
+                                {option.label}
+                                <span className="ml-auto pl-4 text-xs text-muted-foreground">
+                                  {option.until.toLocaleString(undefined, { weekday: "short", hour: "numeric", minute: "2-digit" })}
+                                </span>
+                              </DropdownMenuItem>
+                            ))}
+                            {selectedMessage.snoozed && (
+                              <>
+                                <DropdownMenuSeparator />
+                                <DropdownMenuItem onClick={() => handleSnooze(null)}>End snooze</DropdownMenuItem>
+                              </>
+                            )}
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button variant="outline" size="sm">
+                              <Tag className="h-4 w-4 mr-1" />
+                              Label
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="end">
+                            {labels.length === 0 ? (
+                              <DropdownMenuItem asChild>
+                                <a href="/settings">Create labels in Settings</a>
+                              </DropdownMenuItem>
+                            ) : labels.map(label => (
+                              <DropdownMenuCheckboxItem
+                                key={label.id}
+                                checked={(selectedMessage.labels || []).includes(label.id)}
+                                onCheckedChange={() => handleToggleLabel(label.id)}
+                              >
+                                <LabelBadge label={label} />
+                              </DropdownMenuCheckboxItem>
+                            ))}
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                        <Button variant="outline" size="sm" onClick={() => handleArchive(!selectedMessage.archived)}>
+                          {selectedMessage.archived ? (
+                            <ArchiveRestore className="h-4 w-4 mr-1" />
+                          ) : (
+                            <Archive className="h-4 w-4 mr-1" />
+                          )}
+                          {selectedMessage.archived ? "Unarchive" : "Archive"}
                         </Button>
                       </div>
                     </div>
                   </CardHeader>
                   <CardContent className="p-4 overflow-auto max-h-[calc(100vh-330px)]">
+                    {selectedThread?.messages && selectedThread.messages.length > 1 && (
+                      <div className="mb-4 border rounded-md divide-y">
+                        <p className="px-3 py-2 text-xs font-medium text-muted-foreground">
+                          Conversation • {selectedThread.messages.length} messages
+                        </p>
+                        {selectedThread.messages.map((message) => (
+                          <div
+                            key={message.id}
+                            className={cn(
+                              "px-3 py-2 text-sm cursor-pointer hover:bg-muted/50",
+                              selectedMessage.id === message.id && "bg-muted"
+                            )}
+                            onClick={() => handleSelectMessage(message)}
+                          >
+                            <div className="flex items-center gap-2">
+                              <span>{getPriorityInfo(message.priority).icon}</span>
+                              <span className="font-medium">{getMessageSender(message)}</span>
+                              <span className="ml-auto text-xs text-muted-foreground">
+                                {formatTimeAgo(message.timestamp)}
+                              </span>
+                            </div>
+                            <div className="text-xs text-muted-foreground line-clamp-1 mt-1">
+                              {(message.type === "email" && message.newContent) || message.content}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                     <div className="prose prose-sm dark:prose-invert max-w-none">
-                      {renderMessageContent(selectedMessage.content)}
+                      {selectedMessage.type === "email" && selectedMessage.newContent && selectedMessage.newContent !== selectedMessage.content ? (
+                        <>
+                          {renderMessageContent(showQuoted ? selectedMessage.content : selectedMessage.newContent)}
+                          <Button
+                            variant="link"
+                            size="sm"
+                            className="px-0 mt-2 text-muted-foreground"
+                            onClick={() => setShowQuoted(!showQuoted)}
+                          >
+                            {showQuoted ? "Hide quoted text" : "Show quoted text"}
+                          </Button>
+                        </>
+                      ) : (
+                        renderMessageContent(selectedMessage.content)
+                      )}
                       
                       {selectedMessage.type === "email" && selectedMessage.attachments && (
                         <div className="mt-6 border-t pt-4">
@@ -624,9 +1505,10 @@ const Inbox = () => {
                               >
                                 <span className="text-muted-foreground">📎</span>
                                 <div>
-                                  <p className="text-sm font-medium">{attachment.name}</p>
+                                  <p className="text-sm font-medium">{attachment.filename}</p>
                                   <p className="text-xs text-muted-foreground">
                                     {(attachment.size / 1000000).toFixed(1)} MB
+                                    {attachment.extractedText ? " · text extracted" : ""}
                                   </p>
                                 </div>
                               </div>
@@ -648,7 +1530,12 @@ const Inbox = () => {
                     </div>
                     
                     <div className="mt-8">
-                      <Button>Reply</Button>
+                      <Button
+                        disabled={selectedMessage.type !== "email" || replyOpen}
+                        onClick={() => setReplyOpen(true)}
+                      >
+                        {selectedMessage.type === "email" && selectedMessage.replyResult?.status === "sent" ? "Reply again" : "Reply"}
+                      </Button>
                       <Button 
                         variant="outline" 
                         className="ml-2"
@@ -656,7 +1543,27 @@ const Inbox = () => {
                       >
                         Convert to Task
                       </Button>
+                      {selectedMessage.type === "email" && selectedMessage.unsubscribe && (
+                        <Button
+                          variant="outline"
+                          className="ml-2"
+                          disabled={selectedMessage.unsubscribeResult?.status === "unsubscribed"}
+                          onClick={handleUnsubscribe}
+                        >
+                          <MailX className="h-4 w-4 mr-1" />
+                          {selectedMessage.unsubscribeResult?.status === "unsubscribed" ? "Unsubscribed" : "Unsubscribe"}
+                        </Button>
+                      )}
                     </div>
+
+                    {selectedMessage.type === "email" && replyOpen && (
+                      <ReplyComposer
+                        key={selectedMessage.id}
+                        message={selectedMessage}
+                        onSent={handleReplySent}
+                        onCancel={() => setReplyOpen(false)}
+                      />
+                    )}
                   </CardContent>
                 </>
               ) : (
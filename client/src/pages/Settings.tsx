@@ -5,14 +5,18 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
 import { Switch } from '@/components/ui/switch';
-import { Settings as SettingsIcon, BellRing, Clock, User, MessageSquare, Bot } from "lucide-react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Settings as SettingsIcon, BellRing, Clock, User, MessageSquare, Bot, Shield, Tag, Trash2 } from "lucide-react";
 import { useAuth } from '@/hooks/use-auth';
-import { userApi, telegramApi } from '@/services/api';
+import { userApi, telegramApi, servicesApi, labelsApi } from '@/services/api';
 import { useToast } from '@/hooks/use-toast';
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
-import { UserPreferences } from '@/services/types';
+import { LabelColor, MessageLabel, RedactionAudit, UserPreferences } from '@/services/types';
+import { LabelBadge } from '@/components/shared/LabelBadge';
+import { LABEL_COLORS } from '@/lib/labels';
 
 const Settings = () => {
   const { userProfile } = useAuth();
@@ -26,6 +30,11 @@ const Settings = () => {
   }>({
     isLinked: false
   });
+  const [microsoftConnected, setMicrosoftConnected] = useState(false);
+  const [redactionAudit, setRedactionAudit] = useState<RedactionAudit | null>(null);
+  const [labels, setLabels] = useState<MessageLabel[]>([]);
+  const [newLabelName, setNewLabelName] = useState('');
+  const [newLabelColor, setNewLabelColor] = useState<LabelColor>('gray');
 
   useEffect(() => {
     const fetchPreferences = async () => {
@@ -53,10 +62,54 @@ const Settings = () => {
       }
     };
 
+    const fetchMicrosoftStatus = async () => {
+      try {
+        const { services } = await servicesApi.getServices();
+        setMicrosoftConnected((services || []).some(service => service.id === 'teams-microsoft' && service.isConnected));
+      } catch (error) {
+        console.error('Error fetching Microsoft 365 status:', error);
+      }
+    };
+
+    const fetchRedactionAudit = async () => {
+      try {
+        setRedactionAudit(await userApi.getRedactionAudit(30));
+      } catch (error) {
+        console.error('Error fetching redaction audit:', error);
+      }
+    };
+
+    const fetchLabels = async () => {
+      try {
+        const { labels } = await labelsApi.getLabels();
+        setLabels(labels || []);
+      } catch (error) {
+        console.error('Error fetching labels:', error);
+      }
+    };
+
     fetchPreferences();
     fetchTelegramStatus();
+    fetchLabels();
+    fetchMicrosoftStatus();
+    fetchRedactionAudit();
   }, [toast]);
 
+  const connectMicrosoft = async () => {
+    try {
+      setLoading(true);
+      const { authUrl } = await servicesApi.getMicrosoftAuthUrl();
+      window.location.href = authUrl;
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: "Failed to start Microsoft 365 sign-in",
+      });
+      setLoading(false);
+    }
+  };
+
   const handleNotificationChange = async (type: keyof UserPreferences['notificationPreferences'], checked: boolean) => {
     if (!preferences) return;
     
@@ -92,6 +145,131 @@ const Settings = () => {
     }
   };
 
+  const handleRedactPiiChange = async (checked: boolean) => {
+    if (!preferences) return;
+
+    try {
+      setLoading(true);
+      await userApi.updateUserPreferences({ redactPii: checked });
+      setPreferences({ ...preferences, redactPii: checked });
+
+      toast({
+        title: "Privacy settings updated",
+        description: checked
+          ? "Personal data will be masked before messages are sent to the AI."
+          : "Messages will be sent to the AI without masking personal data."
+      });
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: "Failed to update privacy settings",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSyncToGmailChange = async (checked: boolean) => {
+    if (!preferences) return;
+
+    try {
+      setLoading(true);
+      await userApi.updateUserPreferences({ syncToGmail: checked });
+      setPreferences({ ...preferences, syncToGmail: checked });
+
+      toast({
+        title: "Gmail sync updated",
+        description: checked
+          ? "Archiving and labelling Gmail messages will also change them in Gmail."
+          : "Archive and labels will only change in FlowSync."
+      });
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: "Failed to update Gmail sync",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReplySignatureChange = async (replySignature: string) => {
+    if (!preferences || replySignature === (preferences.replySignature || '')) return;
+
+    try {
+      setLoading(true);
+      await userApi.updateUserPreferences({ replySignature });
+      setPreferences({ ...preferences, replySignature });
+
+      toast({
+        title: "Signature updated",
+        description: "Drafted replies will end with this signature."
+      });
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: error.message || "Failed to update the signature",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateLabel = async () => {
+    if (!newLabelName.trim()) return;
+
+    try {
+      setLoading(true);
+      const label = await labelsApi.createLabel({ name: newLabelName, color: newLabelColor });
+      setLabels(prev => [...prev, label].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewLabelName('');
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: error.message || "Failed to create the label",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpdateLabel = async (label: MessageLabel, data: { name?: string, color?: LabelColor }) => {
+    if (data.name !== undefined && (!data.name.trim() || data.name.trim() === label.name)) return;
+
+    try {
+      const updated = await labelsApi.updateLabel(label.id, data);
+      setLabels(prev => prev.map(item => item.id === label.id ? { ...item, ...updated } : item));
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: error.message || "Failed to update the label",
+      });
+    }
+  };
+
+  const handleDeleteLabel = async (label: MessageLabel) => {
+    try {
+      const { updatedCount } = await labelsApi.deleteLabel(label.id);
+      setLabels(prev => prev.filter(item => item.id !== label.id));
+
+      toast({
+        title: "Label deleted",
+        description: `"${label.name}" was taken off ${updatedCount} message${updatedCount === 1 ? '' : 's'}.`
+      });
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: error.message || "Failed to delete the label",
+      });
+    }
+  };
+
   const generateVerificationCode = async () => {
     try {
       setLoading(true);
@@ -177,10 +355,18 @@ const Settings = () => {
               <Bot className="h-4 w-4 mr-2" />
               Integrations
             </TabsTrigger>
+            <TabsTrigger value="labels">
+              <Tag className="h-4 w-4 mr-2" />
+              Labels
+            </TabsTrigger>
             <TabsTrigger value="work-life">
               <Clock className="h-4 w-4 mr-2" />
               Work-Life Balance
             </TabsTrigger>
+            <TabsTrigger value="privacy">
+              <Shield className="h-4 w-4 mr-2" />
+              Privacy
+            </TabsTrigger>
           </TabsList>
 
           <TabsContent value="account">
@@ -210,6 +396,27 @@ const Settings = () => {
                 </div>
               </CardContent>
             </Card>
+
+            <Card className="mt-4">
+              <CardHeader>
+                <CardTitle>Replies</CardTitle>
+                <CardDescription>
+                  Replies drafted by the AI end with this signature. Without one, your name is used.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <Textarea
+                  key={preferences ? 'loaded' : 'loading'}
+                  aria-label="Reply signature"
+                  rows={4}
+                  maxLength={500}
+                  placeholder={userProfile?.displayName || "Your signature"}
+                  defaultValue={preferences?.replySignature || ""}
+                  onBlur={(e) => handleReplySignatureChange(e.target.value)}
+                  disabled={loading || !preferences}
+                />
+              </CardContent>
+            </Card>
           </TabsContent>
 
           <TabsContent value="notifications">
@@ -362,6 +569,122 @@ const Settings = () => {
                 )}
               </CardContent>
             </Card>
+
+            <Card className="mt-4">
+              <CardHeader>
+                <CardTitle>Microsoft 365</CardTitle>
+                <CardDescription>
+                  Connect your Microsoft account to bring in Outlook mail and Microsoft Teams messages.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {microsoftConnected && (
+                  <div className="bg-green-50 dark:bg-green-950 border border-green-200 dark:border-green-900 p-4 rounded-md">
+                    <div className="flex items-center">
+                      <MessageSquare className="h-5 w-5 text-green-600 dark:text-green-400 mr-2" />
+                      <p className="text-green-800 dark:text-green-200 font-medium">
+                        Outlook and Teams are connected
+                      </p>
+                    </div>
+                  </div>
+                )}
+                <Button onClick={connectMicrosoft} disabled={loading} variant={microsoftConnected ? "outline" : "default"}>
+                  {microsoftConnected ? "Reconnect Microsoft 365" : "Connect Microsoft 365"}
+                </Button>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="labels">
+            <Card>
+              <CardHeader>
+                <CardTitle>Message Labels</CardTitle>
+                <CardDescription>
+                  Create labels to file messages by; filter the inbox by them.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <div className="flex items-end gap-2">
+                  <div className="flex-1 space-y-1">
+                    <Label htmlFor="new-label">New label</Label>
+                    <Input
+                      id="new-label"
+                      value={newLabelName}
+                      maxLength={50}
+                      placeholder="e.g. Clients"
+                      onChange={(e) => setNewLabelName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleCreateLabel()}
+                    />
+                  </div>
+                  <Select value={newLabelColor} onValueChange={(value) => setNewLabelColor(value as LabelColor)}>
+                    <SelectTrigger className="w-[120px]" aria-label="Color">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {LABEL_COLORS.map(color => (
+                        <SelectItem key={color} value={color}>
+                          <LabelBadge label={{ name: color, color }} />
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button onClick={handleCreateLabel} disabled={loading || !newLabelName.trim()}>
+                    Add
+                  </Button>
+                </div>
+
+                {labels.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No labels yet.</p>
+                ) : (
+                  <div className="divide-y rounded-md border">
+                    {labels.map(label => (
+                      <div key={label.id} className="flex items-center gap-2 p-2">
+                        <Input
+                          defaultValue={label.name}
+                          maxLength={50}
+                          className="h-8 flex-1"
+                          aria-label="Label name"
+                          onBlur={(e) => handleUpdateLabel(label, { name: e.target.value })}
+                        />
+                        <Select
+                          value={label.color}
+                          onValueChange={(value) => handleUpdateLabel(label, { color: value as LabelColor })}
+                        >
+                          <SelectTrigger className="h-8 w-[120px]" aria-label="Color">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {LABEL_COLORS.map(color => (
+                              <SelectItem key={color} value={color}>
+                                <LabelBadge label={{ name: color, color }} />
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <Button variant="ghost" size="icon" aria-label="Delete label" onClick={() => handleDeleteLabel(label)}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div className="flex items-center justify-between space-x-2">
+                  <Label htmlFor="sync-to-gmail" className="flex flex-col space-y-1">
+                    <span>Sync with Gmail</span>
+                    <span className="font-normal text-xs text-muted-foreground">
+                      Archive Gmail messages and add these labels in Gmail too. Needs Gmail reconnected if it was connected before this option existed
+                    </span>
+                  </Label>
+                  <Switch
+                    id="sync-to-gmail"
+                    checked={preferences?.syncToGmail === true}
+                    onCheckedChange={handleSyncToGmailChange}
+                    disabled={loading || !preferences}
+                  />
+                </div>
+              </CardContent>
+            </Card>
           </TabsContent>
 
           <TabsContent value="work-life">
@@ -377,6 +700,47 @@ const Settings = () => {
               </CardContent>
             </Card>
           </TabsContent>
+
+          <TabsContent value="privacy">
+            <Card>
+              <CardHeader>
+                <CardTitle>AI Privacy</CardTitle>
+                <CardDescription>
+                  Control what leaves FlowSync when messages are classified, turned into tasks or summarized.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <div className="flex items-center justify-between space-x-2">
+                  <Label htmlFor="redact-pii" className="flex flex-col space-y-1">
+                    <span>Mask personal data</span>
+                    <span className="font-normal text-xs text-muted-foreground">
+                      Replace email addresses, phone numbers, bank and card numbers, addresses and API keys with placeholders before sending message content to the AI
+                    </span>
+                  </Label>
+                  <Switch
+                    id="redact-pii"
+                    checked={preferences?.redactPii !== false}
+                    onCheckedChange={handleRedactPiiChange}
+                    disabled={loading || !preferences}
+                  />
+                </div>
+
+                {redactionAudit && (
+                  <div className="space-y-2">
+                    <p className="text-sm font-medium">Masked in the last {redactionAudit.days} days</p>
+                    <div className="grid grid-cols-3 gap-2 text-sm">
+                      {Object.entries(redactionAudit.totals).map(([type, count]) => (
+                        <div key={type} className="flex justify-between rounded-md border p-2">
+                          <span className="capitalize text-muted-foreground">{type}</span>
+                          <span>{count}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
         </Tabs>
       </div>
     </Layout>
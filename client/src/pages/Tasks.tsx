@@ -1,7 +1,7 @@
 import { useState, useEffect, useCallback } from "react";
 import { Layout } from "@/components/layout/Layout";
-import { tasksApi } from "@/services/api";
-import { Task } from "@/services/types";
+import { tasksApi, searchApi } from "@/services/api";
+import { Task, SearchResult, SemanticSearchResult } from "@/services/types";
 import { useAuth } from "@/hooks/use-auth";
 import { useToast } from "@/hooks/use-toast";
 import { useSearchParams } from "react-router-dom";
@@ -22,6 +22,9 @@ import {
   Trash2,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { HighlightedText } from "@/components/shared/HighlightedText";
+import { RelatedMessages } from "@/components/shared/RelatedMessages";
+import { MessageDetailsDialog } from "@/components/MessageDetailsDialog";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { cn } from "@/lib/utils";
 import {
@@ -99,6 +102,9 @@ const formatDate = (dateString: string | null) => {
   }
 };
 
+// Wait for typing to pause before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
 // Initial task form state
 const initialTaskForm = {
   title: "",
@@ -118,8 +124,18 @@ const Tasks = () => {
   const [selectedTask, setSelectedTask] = useState<Task | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const [totalTasks, setTotalTasks] = useState(0);
+  const [totalTasks, setTotalTasks] = useState<number | null>(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
+  // Ranked matches of the search box; null when not searching
+  const [searchResults, setSearchResults] = useState<SearchResult[] | null>(null);
+  // Matching tasks that are not on the loaded pages
+  const [searchedTasks, setSearchedTasks] = useState<Task[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
+  // Messages similar to the selected task, and the one opened from that list
+  const [relatedMessages, setRelatedMessages] = useState<SemanticSearchResult[]>([]);
+  const [openMessageId, setOpenMessageId] = useState<string | null>(null);
   const [activeTab, setActiveTab] = useState("all");
   const [priorityFilter, setPriorityFilter] = useState<string>("all");
   const [dueDateFilter, setDueDateFilter] = useState<string>("all");
@@ -129,12 +145,16 @@ const Tasks = () => {
   const [taskForm, setTaskForm] = useState(initialTaskForm);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  // Load tasks from API
-  const fetchTasks = useCallback(async () => {
+  // Load tasks from API; with a cursor the next page is appended to the list
+  const fetchTasks = useCallback(async (cursor?: string) => {
     if (!currentUser) return;
     
-    setIsLoading(true);
-    setError(null);
+    if (cursor) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+      setError(null);
+    }
     
     try {
       const params: {
@@ -142,9 +162,10 @@ const Tasks = () => {
         priority?: string;
         dueDate?: string;
         limit?: number;
-        offset?: number;
+        cursor?: string;
       } = {
-        limit: 100  // Fetch a large number of tasks initially
+        limit: 100,  // Fetch a large number of tasks initially
+        cursor
       };
       
       // Apply filters from activeTab
@@ -164,9 +185,15 @@ const Tasks = () => {
       }
       
       const response = await tasksApi.getTasks(params);
+      setNextCursor(response.nextCursor);
+
+      if (cursor) {
+        setTasks(prevTasks => [...prevTasks, ...(response.tasks || [])]);
+        return;
+      }
       
       setTasks(response.tasks || []);
-      setTotalTasks(response.total || 0);
+      setTotalTasks(response.total);
       
       // Check for task ID in URL search params and select that task
       const taskId = searchParams.get('taskId');
@@ -179,7 +206,7 @@ const Tasks = () => {
       
     } catch (err) {
       console.error("Error fetching tasks:", err);
-      setError("Failed to load tasks");
+      if (!cursor) setError("Failed to load tasks");
       toast({
         title: "Error",
         description: "Failed to load tasks. Please try again later.",
@@ -187,6 +214,7 @@ const Tasks = () => {
       });
     } finally {
       setIsLoading(false);
+      setIsLoadingMore(false);
     }
   }, [currentUser, activeTab, priorityFilter, dueDateFilter, searchParams, toast]);
 
@@ -195,21 +223,91 @@ const Tasks = () => {
     fetchTasks();
   }, [fetchTasks]);
 
-  // Filter tasks based on search term
+  // Search all tasks on the server once typing pauses
+  useEffect(() => {
+    const query = searchTerm.trim();
+    if (!query || !currentUser) {
+      setSearchResults(null);
+      setSearchedTasks([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await searchApi.search(query, { kind: 'task', limit: 50 });
+        if (cancelled) return;
+
+        // Matches beyond the loaded pages are fetched one by one
+        const loadedIds = new Set(tasks.map(task => task.id));
+        const missing = await Promise.all(
+          response.results
+            .filter(result => !loadedIds.has(result.id))
+            .map(result => tasksApi.getTask(result.id).catch(() => null))
+        );
+        if (cancelled) return;
+
+        setSearchedTasks(missing.filter((task): task is Task => task !== null));
+        setSearchResults(response.results);
+      } catch (err) {
+        console.error("Error searching tasks:", err);
+        if (!cancelled) {
+          toast({
+            title: "Error",
+            description: "Search failed. Please try again.",
+            variant: "destructive"
+          });
+        }
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+    // The loaded tasks are only read to skip fetching them; a new page is no new search
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchTerm, currentUser, toast]);
+
+  // Show the search matches in ranked order, or the loaded tasks when not searching
   useEffect(() => {
-    if (searchTerm.trim() === "") {
+    if (searchResults === null) {
       setFilteredTasks(tasks);
-    } else {
-      const term = searchTerm.toLowerCase();
-      const filtered = tasks.filter(
-        task =>
-          task.title.toLowerCase().includes(term) ||
-          (task.description && task.description.toLowerCase().includes(term)) ||
-          (task.tags && task.tags.some(tag => tag.toLowerCase().includes(term)))
-      );
-      setFilteredTasks(filtered);
+      return;
     }
-  }, [tasks, searchTerm]);
+
+    const byId = new Map([...searchedTasks, ...tasks].map(task => [task.id, task]));
+    const matches = searchResults
+      .map(result => byId.get(result.id))
+      .filter((task): task is Task => task !== undefined)
+      // Search covers every task, so the tab and priority filters are applied here
+      .filter(task => activeTab === "all" || task.completed === (activeTab === "completed"))
+      .filter(task => priorityFilter === "all" || task.priority === priorityFilter);
+    setFilteredTasks(matches);
+  }, [tasks, searchedTasks, searchResults, activeTab, priorityFilter]);
+
+  // The task list has no related messages; they come with the single task
+  const selectedTaskId = selectedTask?.id;
+  useEffect(() => {
+    setRelatedMessages([]);
+    if (!selectedTaskId) return;
+
+    let cancelled = false;
+    tasksApi.getTask(selectedTaskId)
+      .then(task => {
+        if (!cancelled) setRelatedMessages(task.related || []);
+      })
+      .catch(err => console.error("Error fetching related messages:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTaskId]);
+
+  const searchResultsById = new Map((searchResults || []).map(result => [result.id, result]));
 
   const handleTabChange = (value: string) => {
     setActiveTab(value);
@@ -240,6 +338,11 @@ const Tasks = () => {
           t.id === task.id ? { ...t, completed: !task.completed } : t
         )
       );
+      setSearchedTasks(prevTasks =>
+        prevTasks.map(t =>
+          t.id === task.id ? { ...t, completed: !task.completed } : t
+        )
+      );
       
       // Also update selectedTask if this is the selected task
       if (selectedTask && selectedTask.id === task.id) {
@@ -268,6 +371,7 @@ const Tasks = () => {
       
       // Update local state
       setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
+      setSearchedTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
       
       // Clear selected task if it was deleted
       if (selectedTask && selectedTask.id === taskId) {
@@ -297,6 +401,10 @@ const Tasks = () => {
   const handleRefresh = () => {
     fetchTasks();
   };
+
+  const handleLoadMore = () => {
+    if (nextCursor) fetchTasks(nextCursor);
+  };
   
   const handleCreateTask = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -382,10 +490,14 @@ const Tasks = () => {
           
           <div className="flex flex-col sm:flex-row gap-2 sm:items-center">
             <div className="relative">
-              <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-muted-foreground" />
+              {isSearching ? (
+                <Loader2 className="absolute left-2.5 top-2.5 h-4 w-4 animate-spin text-muted-foreground" />
+              ) : (
+                <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-muted-foreground" />
+              )}
               <Input 
                 type="search" 
-                placeholder="Search tasks..." 
+                placeholder='Search tasks... (e.g. tag:finance "quarterly report")' 
                 className="pl-8 w-full sm:w-[200px] lg:w-[300px]"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
@@ -631,8 +743,22 @@ const Tasks = () => {
                             "font-medium truncate",
                             task.completed && "line-through"
                           )}>
-                            {task.title}
+                            {searchResultsById.has(task.id) ? (
+                              <HighlightedText
+                                text={searchResultsById.get(task.id)!.title}
+                                highlights={searchResultsById.get(task.id)!.titleHighlights}
+                              />
+                            ) : (
+                              task.title
+                            )}
                           </div>
+                          {searchResultsById.get(task.id)?.snippet.highlights.length ? (
+                            <HighlightedText
+                              className="block text-xs text-muted-foreground mt-1 line-clamp-2"
+                              text={searchResultsById.get(task.id)!.snippet.text}
+                              highlights={searchResultsById.get(task.id)!.snippet.highlights}
+                            />
+                          ) : null}
                           <div className="flex items-center gap-2 text-xs text-muted-foreground mt-1">
                             <Clock className="h-3 w-3" />
                             <span>{formatDate(task.dueDate)}</span>
@@ -641,6 +767,14 @@ const Tasks = () => {
                       </div>
                     </div>
                   ))}
+                  {nextCursor && searchResults === null && (
+                    <div className="p-3 flex justify-center">
+                      <Button variant="ghost" size="sm" onClick={handleLoadMore} disabled={isLoadingMore}>
+                        {isLoadingMore && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                        Load more
+                      </Button>
+                    </div>
+                  )}
                 </div>
               ) : (
                 <div className="text-center py-8 text-muted-foreground">
@@ -752,6 +886,8 @@ const Tasks = () => {
                         )}
                       </div>
                     </div>
+
+                    <RelatedMessages items={relatedMessages} onSelect={setOpenMessageId} />
                   </div>
                 </CardContent>
               </>
@@ -771,6 +907,12 @@ const Tasks = () => {
           </Card>
         </div>
       </div>
+
+      <MessageDetailsDialog
+        messageId={openMessageId}
+        isOpen={openMessageId !== null}
+        onClose={() => setOpenMessageId(null)}
+      />
     </Layout>
   );
 };
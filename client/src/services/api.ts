@@ -1,6 +1,6 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
 import { auth } from '../lib/firebase';
-import { Message, Task, ServiceConnection, UserPreferences } from './types';
+import { Message, MessageFacets, MessageThread, Task, ServiceConnection, SyncJob, UserPreferences, RedactionAudit, CalendarEvent, RsvpStatus, UnsubscribeResult, SearchResult, SemanticSearchResult, MessageView, MessageLabel, LabelColor, GmailSyncResult, AppNotification, BulkMessageAction, BulkActionResult, ReplyDraft, ReplyResult, ReplyTone } from './types';
 import { SUBSCRIPTION_TIERS, SUBSCRIPTION_STATUS, BILLING_PERIODS, PAYMENT_METHODS } from './subscriptionConstants';
 
 // User profile type
@@ -12,18 +12,49 @@ export interface UserProfile {
   preferences?: UserPreferences;
 }
 
-// Message response type from API
+// Message response type from API; total and facets (when asked for) come with the first page only
 interface MessagesResponse {
   messages: Message[];
+  total: number | null;
+  hasMore: boolean;
+  nextCursor: string | null;
+  facets?: MessageFacets | null;
+}
+
+// Thread list response type from API
+interface ThreadsResponse {
+  threads: MessageThread[];
   total: number;
   hasMore: boolean;
 }
 
-// Task response type from API
+// Task response type from API; total comes with the first page only
 interface TasksResponse {
   tasks: Task[];
-  total: number;
+  total: number | null;
   hasMore: boolean;
+  nextCursor: string | null;
+}
+
+// Search response type from API; truncated when only the newest candidates were checked
+interface SearchResponse {
+  results: SearchResult[];
+  total: number;
+  truncated: boolean;
+}
+
+// Semantic search response type from API
+interface SemanticSearchResponse {
+  results: SemanticSearchResult[];
+  truncated: boolean;
+}
+
+// Response of the archive, snooze and labels endpoints
+interface MessageStateResponse {
+  success: boolean;
+  message: Message;
+  gmailSync: GmailSyncResult;
+  error: string | null;
 }
 
 // Subscription related interfaces
@@ -120,16 +151,25 @@ export const userApi = {
     method: 'PUT',
     body: JSON.stringify(data)
   }) as Promise<{success: boolean, error: string | null}>,
+
+  getRedactionAudit: (days = 30) => apiRequest(`/user/redaction-audit?days=${days}`) as Promise<RedactionAudit>,
 };
 
 export const messagesApi = {
   // Get messages with optional filtering
   getMessages: (params?: {
+    view?: MessageView, // "inbox" (default) hides archived and snoozed messages
+    label?: string, // label ID
     type?: 'email' | 'slack' | 'teams' | 'all',
     read?: boolean | 'all',
     priority?: 'critical' | 'action' | 'info' | 'all',
+    category?: string, // comma-separated categories, "uncategorized" for messages without one
+    minConfidence?: number,
+    hasDeadline?: boolean,
+    deadlineBefore?: string,
+    facets?: boolean, // count the category and deadline facets of the first page
     limit?: number,
-    offset?: number
+    cursor?: string // nextCursor of the previous page
   }) => {
     const queryParams = new URLSearchParams();
     if (params) {
@@ -150,12 +190,87 @@ export const messagesApi = {
   },
   
   getMessage: (id: string) => apiRequest(`/messages/${id}`) as Promise<Message>,
+
+  // Get conversations with optional filtering
+  getThreads: (params?: {
+    type?: 'email' | 'slack' | 'teams' | 'all',
+    read?: boolean | 'all',
+    priority?: string, // comma-separated thread priorities
+    limit?: number,
+    offset?: number
+  }) => {
+    const queryParams = new URLSearchParams();
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined) queryParams.append(key, String(value));
+      });
+    }
+
+    const queryString = queryParams.toString();
+    const endpoint = queryString ? `/messages/threads?${queryString}` : '/messages/threads';
+
+    return apiRequest(endpoint) as Promise<ThreadsResponse>;
+  },
+
+  getThread: (id: string) => apiRequest(`/messages/threads/${encodeURIComponent(id)}`) as Promise<MessageThread>,
   
   markAsRead: (id: string, read: boolean) => apiRequest(`/messages/${id}/read`, {
     method: 'PUT',
     body: JSON.stringify({ read })
   }) as Promise<{success: boolean, error: string | null}>,
+
+  // Correct the AI priority of a message (recorded as classifier feedback)
+  updatePriority: (id: string, priority: 'critical' | 'action' | 'info') => apiRequest(`/messages/${id}/priority`, {
+    method: 'PUT',
+    body: JSON.stringify({ priority })
+  }) as Promise<{success: boolean, originalPriority: string, priority: string, agreed: boolean, error: string | null}>,
   
+  archive: (id: string, archived: boolean) => apiRequest(`/messages/${id}/archive`, {
+    method: 'PUT',
+    body: JSON.stringify({ archived })
+  }) as Promise<MessageStateResponse>,
+
+  // Hide a message until a date (ISO string); null ends the snooze
+  snooze: (id: string, until: string | null) => apiRequest(`/messages/${id}/snooze`, {
+    method: 'PUT',
+    body: JSON.stringify({ until })
+  }) as Promise<MessageStateResponse>,
+
+  setLabels: (id: string, labels: string[]) => apiRequest(`/messages/${id}/labels`, {
+    method: 'PUT',
+    body: JSON.stringify({ labels })
+  }) as Promise<MessageStateResponse>,
+
+  // Run one action on the given messages, or on those matching a GET /messages filter
+  bulk: (data: {
+    action: BulkMessageAction,
+    messageIds?: string[],
+    filter?: Record<string, string | boolean | number>,
+    addLabels?: string[],
+    removeLabels?: string[],
+    priority?: 'critical' | 'action' | 'info'
+  }) => apiRequest('/messages/bulk', {
+    method: 'POST',
+    body: JSON.stringify(data)
+  }) as Promise<BulkActionResult>,
+
+  // Leave the mailing list a message came from (RFC 8058 one-click or mailto)
+  unsubscribe: (id: string) => apiRequest(`/messages/${id}/unsubscribe`, {
+    method: 'POST'
+  }) as Promise<{success: boolean, result: UnsubscribeResult, error: string | null}>,
+
+  // Draft a reply from the message's thread in a tone, with optional instructions
+  draftReply: (id: string, data: { tone?: ReplyTone, instructions?: string } = {}) => apiRequest(`/messages/${id}/draft-reply`, {
+    method: 'POST',
+    body: JSON.stringify(data)
+  }) as Promise<{success: boolean, draft: ReplyDraft, error: string | null}>,
+
+  // Send a reply through Gmail or the SMTP server of the message's mail account
+  sendReply: (id: string, data: { body: string, subject?: string, draftId?: string }) => apiRequest(`/messages/${id}/send-reply`, {
+    method: 'POST',
+    body: JSON.stringify(data)
+  }) as Promise<{success: boolean, result: ReplyResult, error: string | null}>,
+
   convertToTask: (id: string, data: {
     title?: string,
     dueDate?: string,
@@ -167,6 +282,37 @@ export const messagesApi = {
   }) as Promise<{task: Task, error: string | null}>,
 };
 
+export const labelsApi = {
+  getLabels: () => apiRequest('/labels') as Promise<{labels: MessageLabel[]}>,
+
+  createLabel: (data: { name: string, color?: LabelColor }) => apiRequest('/labels', {
+    method: 'POST',
+    body: JSON.stringify(data)
+  }) as Promise<MessageLabel>,
+
+  updateLabel: (id: string, data: { name?: string, color?: LabelColor }) => apiRequest(`/labels/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(data)
+  }) as Promise<MessageLabel>,
+
+  // Also takes the label off every message
+  deleteLabel: (id: string) => apiRequest(`/labels/${id}`, {
+    method: 'DELETE'
+  }) as Promise<{success: boolean, updatedCount: number, error: string | null}>,
+};
+
+export const notificationsApi = {
+  getNotifications: (limit = 20) => apiRequest(`/notifications?limit=${limit}`) as Promise<{notifications: AppNotification[], unreadCount: number}>,
+
+  markAsRead: (id: string) => apiRequest(`/notifications/${id}/read`, {
+    method: 'PUT'
+  }) as Promise<{success: boolean, error: string | null}>,
+
+  markAllAsRead: () => apiRequest('/notifications/read-all', {
+    method: 'PUT'
+  }) as Promise<{success: boolean, updatedCount: number, error: string | null}>,
+};
+
 export const tasksApi = {
   // Get tasks with optional filtering
   getTasks: (params?: {
@@ -174,7 +320,7 @@ export const tasksApi = {
     priority?: 'high' | 'medium' | 'low' | 'all',
     dueDate?: 'today' | 'tomorrow' | 'week' | 'all',
     limit?: number,
-    offset?: number
+    cursor?: string // nextCursor of the previous page
   }) => {
     const queryParams = new URLSearchParams();
     if (params) {
@@ -216,6 +362,66 @@ export const tasksApi = {
   }) as Promise<{success: boolean, error: string | null}>,
 };
 
+export const searchApi = {
+  // Full-text search: words, "phrases" and from:, tag:, priority: qualifiers
+  search: (q: string, params?: {
+    kind?: 'message' | 'task',
+    limit?: number
+  }) => {
+    const queryParams = new URLSearchParams({ q });
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined) queryParams.append(key, String(value));
+      });
+    }
+
+    return apiRequest(`/search?${queryParams.toString()}`) as Promise<SearchResponse>;
+  },
+
+  // Search by meaning, e.g. "anything about the Q3 vendor contract?"
+  semantic: (q: string, params?: {
+    kind?: 'message' | 'task',
+    limit?: number
+  }) => {
+    const queryParams = new URLSearchParams({ q });
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined) queryParams.append(key, String(value));
+      });
+    }
+
+    return apiRequest(`/search/semantic?${queryParams.toString()}`) as Promise<SemanticSearchResponse>;
+  },
+};
+
+export const eventsApi = {
+  // Get events from meeting invites, optionally within a date range
+  getEvents: (params?: {
+    from?: string,
+    to?: string,
+    includeCancelled?: boolean
+  }) => {
+    const queryParams = new URLSearchParams();
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined) queryParams.append(key, String(value));
+      });
+    }
+
+    const queryString = queryParams.toString();
+    const endpoint = queryString ? `/events?${queryString}` : '/events';
+
+    return apiRequest(endpoint) as Promise<{events: CalendarEvent[]}>;
+  },
+
+  getEvent: (id: string) => apiRequest(`/events/${id}`) as Promise<CalendarEvent>,
+
+  updateRsvp: (id: string, rsvpStatus: Exclude<RsvpStatus, 'needs-action' | 'delegated'>) => apiRequest(`/events/${id}/rsvp`, {
+    method: 'PUT',
+    body: JSON.stringify({ rsvpStatus })
+  }) as Promise<{success: boolean, event: CalendarEvent, error: string | null}>,
+};
+
 export const servicesApi = {
   getServices: () => apiRequest('/services') as Promise<{services: ServiceConnection[]}>,
   
@@ -231,7 +437,13 @@ export const servicesApi = {
   
   syncService: (id: string) => apiRequest(`/services/${id}/sync`, {
     method: 'POST'
-  }) as Promise<{success: boolean, lastSynced: string, error: string | null}>,
+  }) as Promise<{success: boolean, jobId: string, status: SyncJob['status'], alreadyQueued: boolean, error: string | null}>,
+
+  getSyncJob: (id: string, jobId: string) => 
+    apiRequest(`/services/${id}/sync/${jobId}`) as Promise<{success: boolean, job: SyncJob, error: string | null}>,
+
+  // Microsoft 365 is connected through OAuth: redirect the user to this URL
+  getMicrosoftAuthUrl: () => apiRequest('/auth/microsoft-auth-url') as Promise<{authUrl: string}>,
 };
 
 // Registration data type
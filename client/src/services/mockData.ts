@@ -14,7 +14,7 @@ export const mockEmails: EmailMessage[] = [
     priority: "critical",
     read: false,
     attachments: [
-      { name: "Q3_Financial_Review.pdf", type: "pdf", size: 2500000 }
+      { filename: "Q3_Financial_Review.pdf", mimeType: "application/pdf", size: 2500000 }
     ]
   },
   {
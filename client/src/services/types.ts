@@ -1,6 +1,16 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
 
 // General message types
+export type MessageCategory =
+  | "meeting_request"
+  | "invoice_billing"
+  | "code_review"
+  | "customer_support"
+  | "newsletter"
+  | "security_alert"
+  | "personal"
+  | "other";
+
 export interface BaseMessage {
   id: string;
   content: string;
@@ -8,6 +18,88 @@ export interface BaseMessage {
   priority?: "critical" | "action" | "info";
   read?: boolean;
   reasoning?: string;
+  originalPriority?: "critical" | "action" | "info";
+  userCorrected?: boolean;
+  // Set by the classifier; null when a message rule decided the priority
+  category?: MessageCategory | null;
+  confidence?: number | null;
+  deadline?: any;
+  // Conversation the message belongs to; null when it starts none
+  threadId?: string | null;
+  // Most similar messages of other conversations (GET /messages/:id only)
+  related?: SemanticSearchResult[];
+  // Archived and snoozed messages are hidden from the inbox view
+  archived?: boolean;
+  snoozed?: boolean;
+  snoozedUntil?: any;
+  // When the last snooze ended
+  resurfacedAt?: any;
+  // IDs of the user's labels
+  labels?: string[];
+}
+
+export type MessageView = "inbox" | "snoozed" | "archived" | "all";
+
+export type LabelColor = "gray" | "red" | "orange" | "yellow" | "green" | "teal" | "blue" | "purple" | "pink";
+
+// User-defined message label; gmailLabelId is set once the label was synced to Gmail
+export interface MessageLabel {
+  id: string;
+  name: string;
+  color: LabelColor;
+  gmailLabelId: string | null;
+  createdAt: any;
+  updatedAt: any;
+}
+
+// Whether an archive or label change was also made in Gmail
+export interface GmailSyncResult {
+  status: "synced" | "skipped" | "failed";
+  reason?: string;
+  error?: string;
+}
+
+export type BulkMessageAction = "markRead" | "markUnread" | "archive" | "unarchive" | "label" | "priority" | "convertToTask";
+
+// Result of POST /messages/bulk; changes hold the fields written to each updated message
+export interface BulkActionResult {
+  success: boolean;
+  action: BulkMessageAction;
+  updatedCount: number;
+  updated: string[];
+  unchanged: string[];
+  failed: { id: string; error: string }[];
+  changes: ({ id: string } & Partial<Message>)[];
+  tasks: Task[];
+  gmailSync: {
+    synced: number;
+    skipped: number;
+    failed: { id: string; error: string }[];
+    reason?: string;
+  };
+  hasMore: boolean;
+  error: string | null;
+}
+
+// In-app notification (e.g. a snoozed message that is back)
+export interface AppNotification {
+  id: string;
+  type: "message" | "task" | "system";
+  title: string;
+  content: string;
+  read: boolean;
+  timestamp: any;
+  sourceId: string;
+  sourceType: "message" | "task" | "system";
+}
+
+// Counts returned with GET /messages for the inbox filters
+export interface MessageFacets {
+  category: Partial<Record<MessageCategory | "uncategorized", number>>;
+  deadline: {
+    withDeadline: number;
+    overdue: number;
+  };
 }
 
 export interface EmailMessage extends BaseMessage {
@@ -17,12 +109,90 @@ export interface EmailMessage extends BaseMessage {
     email: string;
   };
   to: string[];
+  // Reply-To addresses; replies go here instead of to the sender
+  replyTo?: string[];
   subject: string;
-  attachments?: {
-    name: string;
-    type: string;
-    size: number;
-  }[];
+  // Content without quoted replies, signature and disclaimer
+  newContent?: string;
+  attachments?: EmailAttachment[];
+  // Newsletters and list mail (isBulk), machine-generated mail (isAutomated)
+  isBulk?: boolean;
+  isAutomated?: boolean;
+  bulkReason?: string | null;
+  unsubscribe?: { url: string | null; mailto: string | null; oneClick: boolean } | null;
+  unsubscribeResult?: UnsubscribeResult | null;
+  // Outcome of the last reply sent from FlowSync
+  replyResult?: ReplyResult | null;
+  // Meeting invites in the mail (stored in full in the events collection)
+  events?: (Omit<CalendarEvent, "id" | "sourceMessageId" | "threadId"> & { method: string })[];
+}
+
+// Only the text of PDF, DOCX, CSV and plain text attachments is stored, not the file
+export interface EmailAttachment {
+  filename: string;
+  mimeType: string;
+  size: number;
+  extractedText?: string;
+  textTruncated?: boolean;
+  extractionError?: string;
+}
+
+// Outcome of POST /messages/:id/unsubscribe; "manual" means the user has to open `link`
+export interface UnsubscribeResult {
+  status: "unsubscribed" | "manual" | "failed";
+  method: "one-click" | "mailto" | "link";
+  httpStatus?: number;
+  link?: string;
+  error?: string;
+  at: any;
+}
+
+export type ReplyTone = "professional" | "friendly" | "formal" | "concise";
+
+// Draft of POST /messages/:id/draft-reply, with the user's signature under the body
+export interface ReplyDraft {
+  id: string;
+  messageId: string;
+  to: string;
+  subject: string;
+  body: string;
+  tone: ReplyTone;
+  instructions: string;
+  status: "draft" | "sent";
+  createdAt: any;
+}
+
+// Outcome of POST /messages/:id/send-reply
+export interface ReplyResult {
+  status: "sent" | "failed";
+  via: "gmail" | "smtp";
+  to: string;
+  messageId?: string | null;
+  error?: string;
+  at: any;
+}
+
+export type RsvpStatus = "needs-action" | "accepted" | "declined" | "tentative" | "delegated";
+
+// Meeting invite read from a text/calendar part or .ics attachment
+export interface CalendarEvent {
+  id: string;
+  uid: string;
+  sequence: number;
+  title: string;
+  description: string;
+  location: string;
+  organizer: { name: string; email: string } | null;
+  attendees: { name: string; email: string; status: RsvpStatus; rsvp: boolean }[];
+  start: string;
+  end: string | null;
+  allDay: boolean;
+  status: "confirmed" | "tentative" | "cancelled";
+  recurrence: string;
+  // The user's answer; null when they are not on the attendee list
+  rsvpStatus: RsvpStatus | null;
+  sourceMessageId: string;
+  threadId: string | null;
 }
 
 export interface SlackMessage extends BaseMessage {
@@ -51,6 +221,49 @@ export interface TeamsMessage extends BaseMessage {
 
 export type Message = EmailMessage | SlackMessage | TeamsMessage;
 
+// Conversation returned by GET /messages/threads; priority is the highest of its messages
+export interface MessageThread {
+  id: string;
+  type: Message["type"];
+  subject: string;
+  participants: string[];
+  messageCount: number;
+  unreadCount: number;
+  priority: "critical" | "action" | "info";
+  category: MessageCategory | null;
+  deadline: any;
+  snippet: string;
+  latestMessageId: string;
+  firstTimestamp: any;
+  latestTimestamp: any;
+  // Only returned by GET /messages/threads/:id, oldest first
+  messages?: Message[];
+}
+
+// Text with the [start, end) ranges that matched a search
+export interface SearchSnippet {
+  text: string;
+  highlights: [number, number][];
+}
+
+// Message or task returned by GET /search, best match first
+export interface SearchResult {
+  kind: "message" | "task";
+  id: string;
+  type: Message["type"] | null;
+  score: number;
+  title: string;
+  titleHighlights: [number, number][];
+  snippet: SearchSnippet;
+  from: string | null;
+  priority: "critical" | "action" | "info" | Task["priority"] | null;
+  tags: string[];
+  timestamp: string | null;
+}
+
+// Message or task returned by GET /search/semantic, most similar first (score is the cosine similarity)
+export type SemanticSearchResult = Omit<SearchResult, "titleHighlights" | "snippet">;
+
 // Task types
 export interface Task {
   id: string;
@@ -62,8 +275,14 @@ export interface Task {
   completed: boolean;
   source?: "email" | "slack" | "teams" | "manual";
   sourceMessageId?: string;
+  // Conversation of the source message; a thread gets one open task at a time
+  threadId?: string | null;
+  // Invite the task asks to answer ("RSVP to ...")
+  eventId?: string;
   tags?: string[];
   assignedTo?: string[];
+  // Most similar messages (GET /tasks/:id only)
+  related?: SemanticSearchResult[];
 }
 
 // Service connection types
@@ -76,6 +295,23 @@ export interface ServiceConnection {
   errorMessage?: string;
 }
 
+// Manual sync job started from the dashboard
+export interface SyncJob {
+  id: string;
+  serviceId: string;
+  serviceType: ServiceConnection["type"];
+  connector: string;
+  status: "queued" | "running" | "completed" | "failed";
+  fetchedCount: number;
+  classifiedCount: number;
+  taskedCount: number;
+  savedCount: number;
+  errors: string[];
+  createdAt: string | null;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
 // User preferences
 export interface UserPreferences {
   workHours: {
@@ -91,4 +327,27 @@ export interface UserPreferences {
     telegram: boolean;
   };
   priorityKeywords: string[];
+  // Mask personal data before message content is sent to the LLM (on by default)
+  redactPii?: boolean;
+  // Apply archive and labels of Gmail messages in Gmail too (off by default)
+  syncToGmail?: boolean;
+  // Put under reply drafts; the display name is used when empty
+  replySignature?: string;
+}
+
+export type PiiType = 'secret' | 'email' | 'iban' | 'card' | 'phone' | 'address';
+
+// What was masked before message content was sent to the LLM (counts only)
+export interface RedactionAudit {
+  days: number;
+  totals: Record<PiiType, number>;
+  byStage: Record<string, number>;
+  entries: {
+    id: string;
+    stage: 'classifier' | 'tasks' | 'briefing';
+    messageId: string | null;
+    counts: Partial<Record<PiiType, number>>;
+    total: number;
+    createdAt: string;
+  }[];
 }
@@ -0,0 +1,37 @@
+/**
+ * Microsoft identity platform / Graph configuration
+ *
+ * Shared by the OAuth routes, the token refresh in oauthTokenModel and the Graph connector.
+ */
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// "common" accepts both work/school and personal accounts; set a tenant ID to restrict sign-in
+const MICROSOFT_TENANT_ID = process.env.MICROSOFT_TENANT_ID || 'common';
+const MICROSOFT_AUTHORITY = `https://login.microsoftonline.com/${MICROSOFT_TENANT_ID}/oauth2/v2.0`;
+
+const MICROSOFT_OAUTH_SCOPES = [
+  'offline_access', // For a refresh token
+  'openid',
+  'profile',
+  'email',
+  'User.Read',
+  'Mail.Read', // For reading Outlook mail
+  'Chat.Read', // For reading Teams 1:1 and group chats
+  'Team.ReadBasic.All',
+  'Channel.ReadBasic.All',
+  'ChannelMessage.Read.All' // For reading Teams channel messages (requires admin consent)
+];
+
+module.exports = {
+  MICROSOFT_CLIENT_ID: process.env.MICROSOFT_CLIENT_ID,
+  MICROSOFT_CLIENT_SECRET: process.env.MICROSOFT_CLIENT_SECRET,
+  MICROSOFT_REDIRECT_URI: process.env.MICROSOFT_REDIRECT_URI || 'http://localhost:3000/api/auth/microsoft-callback',
+  MICROSOFT_AUTHORIZE_URL: `${MICROSOFT_AUTHORITY}/authorize`,
+  MICROSOFT_TOKEN_URL: `${MICROSOFT_AUTHORITY}/token`,
+  MICROSOFT_OAUTH_SCOPES,
+  // Can be pointed at a local fake Graph server for testing
+  GRAPH_API_BASE_URL: (process.env.GRAPH_API_BASE_URL || 'https://graph.microsoft.com/v1.0').replace(/\/$/, '')
+};
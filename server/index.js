@@ -5,6 +5,9 @@ const dotenv = require('dotenv');
 const { scheduleEmailCronJob, runEmailCronJob } = require('./scripts/emailCronJob');
 const { scheduleVoiceBriefingJob } = require('./scripts/voiceBriefingCronJob');
 const { startContractCronJob, insertMessages } = require('./scripts/contractCron');
+const { scheduleSlackBackfillJob } = require('./scripts/slackSyncJob');
+const { scheduleTeamsSyncJob } = require('./scripts/teamsSyncJob');
+const { scheduleSnoozeCronJob } = require('./scripts/snoozeCronJob');
 // Load environment variables first
 dotenv.config();
 
@@ -19,7 +22,12 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around for webhook signature checks (Slack)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 
 // Import routes
@@ -27,18 +35,29 @@ const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const taskRoutes = require('./routes/taskRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
 const serviceRoutes = require('./routes/serviceRoutes');
 const telegramRoutes = require('./routes/telegramRoutes');
 const telegramVerificationRoutes = require('./routes/telegramVerificationRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const slackRoutes = require('./routes/slackRoutes');
 const authenticateUser = require('./middlewares/authMiddleware');
 
 // Use routes
 app.use('/api/auth', authRoutes);
+// Slack webhooks are verified by request signature instead of a Firebase token
+app.use('/api/slack', slackRoutes);
 app.use('/api/user', authenticateUser, userRoutes);
 app.use('/api/messages', authenticateUser, messageRoutes);
 app.use('/api/tasks', authenticateUser, taskRoutes);
+app.use('/api/events', authenticateUser, eventRoutes);
+app.use('/api/search', authenticateUser, searchRoutes);
+app.use('/api/labels', authenticateUser, labelRoutes);
+app.use('/api/notifications', authenticateUser, notificationRoutes);
 app.use('/api/services', authenticateUser, serviceRoutes);
 app.use('/api/payments', authenticateUser, paymentRoutes);
 app.use('/api/subscriptions', authenticateUser, subscriptionRoutes);
@@ -86,6 +105,21 @@ app.listen(PORT, () => {
         }
     }
 
+    // Schedule the Slack backfill job (events handle real-time delivery)
+    if (process.env.ENABLE_SLACK_CRON === 'true') {
+        scheduleSlackBackfillJob(process.env.SLACK_CRON_SCHEDULE);
+    }
+
+    // Schedule the Microsoft Teams sync job
+    if (process.env.ENABLE_TEAMS_CRON === 'true') {
+        scheduleTeamsSyncJob(process.env.TEAMS_CRON_SCHEDULE);
+    }
+
+    // Bring snoozed messages back to the inbox when their time comes
+    if (process.env.ENABLE_SNOOZE_CRON !== 'false') {
+        scheduleSnoozeCronJob(process.env.SNOOZE_CRON_SCHEDULE);
+    }
+
     // // Schedule the voice briefing cron job (runs every 12 hours)
     // if (process.env.ENABLE_VOICE_BRIEFING_CRON !== 'false') {
     //   scheduleVoiceBriefingJob();
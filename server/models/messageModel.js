@@ -2,6 +2,18 @@
  * Message model schema definitions for Firebase Firestore collections
  */
 
+// Categories the classifier assigns next to the priority ("other" when none fits)
+const MESSAGE_CATEGORIES = [
+  "meeting_request",
+  "invoice_billing",
+  "code_review",
+  "customer_support",
+  "newsletter",
+  "security_alert",
+  "personal",
+  "other"
+];
+
 // Base message structure
 const baseMessageStructure = {
   type: "", // "email" | "slack" | "teams"
@@ -9,9 +21,19 @@ const baseMessageStructure = {
   timestamp: null, // Will be set to admin.firestore.FieldValue.serverTimestamp()
   priority: "info", // "critical" | "action" | "info"
   reasoning: "", // Reasoning for the message, if applicable
+  category: null, // one of MESSAGE_CATEGORIES, null when a rule set the priority
+  priorityRule: null, // name of the user rule that set the priority instead of the classifier
+  confidence: null, // classifier confidence between 0 and 1
+  deadline: null, // deadline extracted from the message, if any
   read: false,
   sourceId: "",
   messageTimestamp: null, // Timestamp of the original message
+  threadId: null, // conversation the message belongs to, null when it starts none
+  archived: false, // hidden from the inbox view until unarchived
+  snoozed: false, // hidden from the inbox view until snoozedUntil
+  snoozedUntil: null, // when scripts/snoozeCronJob.js brings the message back
+  resurfacedAt: null, // when the last snooze ended
+  labels: [], // IDs of the user's labels (labels/{uid}/userLabels)
 };
 
 // Email specific message fields
@@ -21,8 +43,22 @@ const emailMessageFields = {
     email: ""
   },
   to: [], // array of email addresses
+  replyTo: [], // Reply-To addresses, where replies go instead of the sender
   subject: "",
-  attachments: [] // array of attachment objects
+  newContent: "", // content without quoted replies, signature and disclaimer
+  attachments: [], // { filename, mimeType, size, extractedText?, textTruncated?, extractionError? }
+  listId: "", // List-Id header of mailing list mail
+  isBulk: false, // sent to a list (List-Unsubscribe, List-Id, Precedence: bulk)
+  isAutomated: false, // Auto-Submitted by a machine
+  bulkReason: null, // header that flagged the mail as bulk or automated
+  unsubscribe: null, // { url, mailto, oneClick } from List-Unsubscribe
+  unsubscribeResult: null, // { status, method, httpStatus, error, at } of POST /api/messages/:id/unsubscribe
+  internetMessageId: "", // Message-ID header
+  references: [], // Message-IDs of the References header, oldest first (for reply headers)
+  replyResult: null, // { status, via, to, messageId, error, at } of POST /api/messages/:id/send-reply
+  events: [], // meeting invites in the mail (see utils/icsParser.js), with method and rsvpStatus
+  tags: [], // tags added by the user's message rules
+  skipTask: false // set by a rule that turns off task generation
 };
 
 // Slack specific message fields
@@ -63,6 +99,7 @@ const createDefaultMessage = (type) => {
 };
 
 module.exports = {
+  MESSAGE_CATEGORIES,
   createDefaultMessage,
   baseMessageStructure,
   emailMessageFields,
@@ -1,5 +1,13 @@
 const { db } = require('../config/firebase');
 const { google } = require('googleapis');
+const axios = require('axios');
+const querystring = require('querystring');
+const {
+  MICROSOFT_CLIENT_ID,
+  MICROSOFT_CLIENT_SECRET,
+  MICROSOFT_REDIRECT_URI,
+  MICROSOFT_TOKEN_URL
+} = require('../config/microsoft');
 /**
  * Create or update OAuth token for a user
  * @param {string} userId - Firebase user ID
@@ -182,14 +190,53 @@ const getValidOAuthToken = async (userId, provider) => {
       
       const { credentials } = await oauth2Client.refreshAccessToken();
       
+      // Google answers with an expiry date and usually without a new refresh token
+      const refreshed = {
+        ...credentials,
+        refresh_token: credentials.refresh_token || token.refresh_token,
+        id_token: credentials.id_token || token.id_token || null,
+        expires_in: credentials.expiry_date ? Math.round((credentials.expiry_date - Date.now()) / 1000) : 3600
+      };
+      
       // Save the refreshed token
       await saveOAuthToken(
         userId, 
-        credentials, 
+        refreshed, 
         provider, 
         token.scopes || []
       );
       
+      // Read it back so callers get the stored shape (scopes, expires_at)
+      return getOAuthToken(userId, provider);
+    }
+    
+    // For Microsoft OAuth (Outlook / Teams through Graph)
+    if (provider === 'microsoft' && token.refresh_token) {
+      const response = await axios.post(MICROSOFT_TOKEN_URL, querystring.stringify({
+        client_id: MICROSOFT_CLIENT_ID,
+        client_secret: MICROSOFT_CLIENT_SECRET,
+        redirect_uri: MICROSOFT_REDIRECT_URI,
+        grant_type: 'refresh_token',
+        refresh_token: token.refresh_token,
+        scope: (token.scopes || []).join(' ')
+      }), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      
+      const credentials = {
+        ...response.data,
+        // Microsoft usually rotates the refresh token, keep the old one if it didn't
+        refresh_token: response.data.refresh_token || token.refresh_token
+      };
+      
+      // Save the refreshed token
+      await saveOAuthToken(
+        userId,
+        credentials,
+        provider,
+        token.scopes || []
+      );
+      
       // Return the refreshed token
       return {
         ...credentials,
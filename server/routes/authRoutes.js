@@ -3,7 +3,17 @@ const router = express.Router();
 const { auth, admin, db } = require('../config/firebase');
 const { saveOAuthToken, getOAuthToken } = require('../models/oauthTokenModel');
 const axios = require('axios');
+const crypto = require('crypto');
 const querystring = require('querystring');
+const {
+  MICROSOFT_CLIENT_ID,
+  MICROSOFT_CLIENT_SECRET,
+  MICROSOFT_REDIRECT_URI,
+  MICROSOFT_AUTHORIZE_URL,
+  MICROSOFT_TOKEN_URL,
+  MICROSOFT_OAUTH_SCOPES
+} = require('../config/microsoft');
+const { getMicrosoftProfile } = require('../services/microsoftGraphService');
 
 // Google OAuth configuration
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
@@ -12,9 +22,14 @@ const GOOGLE_REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI || 'http://localhost
 const GOOGLE_OAUTH_SCOPES = [
   'https://www.googleapis.com/auth/userinfo.email', 
   'https://www.googleapis.com/auth/userinfo.profile',
-  'https://www.googleapis.com/auth/gmail.readonly'  // For reading emails
+  'https://www.googleapis.com/auth/gmail.readonly',  // For reading emails
+  'https://www.googleapis.com/auth/gmail.modify',  // For archiving and labelling emails (opt-in syncToGmail preference)
+  'https://www.googleapis.com/auth/gmail.send'  // For sending replies and mailto: unsubscribes
 ];
 
+// How long a Microsoft OAuth state stays valid between the auth URL and the callback
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
 // Authentication middleware for routes that need it
 const authenticateUser = async (req, res, next) => {
   try {
@@ -361,6 +376,136 @@ router.get('/token/google', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/microsoft-auth-url
+ * @desc    Get Microsoft OAuth URL to connect Outlook and Teams to the current user
+ * @access  Private
+ */
+router.get('/microsoft-auth-url', authenticateUser, async (req, res) => {
+  try {
+    const { uid } = req.user;
+    
+    // Unlike Google sign-in, this links an account to an existing user, so the
+    // state is stored to find that user again (and reject forged callbacks)
+    const state = crypto.randomBytes(24).toString('hex');
+    await db.collection('oauth_states').doc(state).set({
+      userId: uid,
+      provider: 'microsoft',
+      expiresAt: Date.now() + OAUTH_STATE_TTL_MS
+    });
+    
+    const authUrl = `${MICROSOFT_AUTHORIZE_URL}?${querystring.stringify({
+      client_id: MICROSOFT_CLIENT_ID,
+      redirect_uri: MICROSOFT_REDIRECT_URI,
+      response_type: 'code',
+      response_mode: 'query',
+      scope: MICROSOFT_OAUTH_SCOPES.join(' '),
+      prompt: 'select_account',
+      state
+    })}`;
+    
+    res.json({ authUrl });
+  } catch (error) {
+    console.error('Error creating Microsoft auth URL:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/auth/microsoft-callback
+ * @desc    Handle Microsoft OAuth callback, store tokens and connect Outlook and Teams
+ * @access  Public
+ */
+router.get('/microsoft-callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  
+  try {
+    const { code, state, error, error_description } = req.query;
+    
+    // The user declined consent or the tenant blocked the app
+    if (error) {
+      return res.redirect(`${frontendUrl}/auth-success?provider=microsoft&error=${encodeURIComponent(error_description || error)}`);
+    }
+    
+    if (!code || !state) {
+      return res.status(400).json({ error: 'Authorization code and state are required' });
+    }
+    
+    // Validate state parameter (prevent CSRF) and find the user who started the flow
+    const stateRef = db.collection('oauth_states').doc(state);
+    const stateDoc = await stateRef.get();
+    if (!stateDoc.exists || stateDoc.data().provider !== 'microsoft') {
+      return res.status(400).json({ error: 'Invalid OAuth state' });
+    }
+    await stateRef.delete();
+    
+    const { userId: uid, expiresAt } = stateDoc.data();
+    if (Date.now() > expiresAt) {
+      return res.redirect(`${frontendUrl}/auth-success?provider=microsoft&error=${encodeURIComponent('Sign-in took too long, please try again')}`);
+    }
+    
+    // Exchange code for tokens
+    const tokenResponse = await axios.post(MICROSOFT_TOKEN_URL, querystring.stringify({
+      client_id: MICROSOFT_CLIENT_ID,
+      client_secret: MICROSOFT_CLIENT_SECRET,
+      redirect_uri: MICROSOFT_REDIRECT_URI,
+      grant_type: 'authorization_code',
+      code,
+      scope: MICROSOFT_OAUTH_SCOPES.join(' ')
+    }), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    const { access_token, refresh_token, id_token, expires_in } = tokenResponse.data;
+    
+    const profile = await getMicrosoftProfile(access_token);
+    
+    // Save the OAuth tokens
+    await saveOAuthToken(uid,
+      {
+        access_token,
+        refresh_token,
+        id_token,
+        expires_in
+      },
+      'microsoft',
+      MICROSOFT_OAUTH_SCOPES
+    );
+    
+    // One Microsoft account feeds two services: Outlook mail and Teams messages.
+    // Fixed IDs so reconnecting updates the existing services instead of adding new ones
+    const authData = {
+      provider: 'microsoft',
+      microsoftUserId: profile.id,
+      email: profile.mail || profile.userPrincipalName || ''
+    };
+    const servicesRef = db.collection('services').doc(uid).collection('userServices');
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    
+    await servicesRef.doc('email-microsoft').set({
+      type: 'email',
+      name: 'Outlook',
+      isConnected: true,
+      lastSynced: now,
+      errorMessage: '',
+      authData
+    });
+    await servicesRef.doc('teams-microsoft').set({
+      type: 'teams',
+      name: 'Microsoft Teams',
+      isConnected: true,
+      lastSynced: now,
+      errorMessage: '',
+      authData
+    });
+    
+    // Redirect to frontend with success
+    res.redirect(`${frontendUrl}/auth-success?provider=microsoft`);
+  } catch (error) {
+    console.error('Error in Microsoft OAuth callback:', error.response ? error.response.data : error);
+    res.redirect(`${frontendUrl}/auth-success?provider=microsoft&error=${encodeURIComponent('Authentication failed')}`);
+  }
+});
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout current user (token invalidation)
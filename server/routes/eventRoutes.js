@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const { listEvents, getEvent, updateRsvpStatus } = require('../services/eventService');
+
+// Answers the user can record for an invite
+const RSVP_ANSWERS = ['accepted', 'declined', 'tentative'];
+
+/**
+ * @route   GET /api/events
+ * @desc    Get calendar events from meeting invites (from, to ISO date filters;
+ *          includeCancelled=true also returns cancelled events)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { from, to, includeCancelled } = req.query;
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const events = await listEvents(uid, {
+      from,
+      to,
+      includeCancelled: includeCancelled === 'true'
+    });
+
+    return res.status(200).json({ events });
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/events/:id
+ * @desc    Get a single calendar event
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await getEvent(req.user.uid, req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    return res.status(200).json(event);
+  } catch (error) {
+    console.error('Error fetching event:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/events/:id/rsvp
+ * @desc    Record the user's answer to an invite; completes its "RSVP to ..." task
+ * @access  Private
+ */
+router.put('/:id/rsvp', async (req, res) => {
+  try {
+    const { rsvpStatus } = req.body;
+
+    if (!RSVP_ANSWERS.includes(rsvpStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: `rsvpStatus must be one of: ${RSVP_ANSWERS.join(', ')}`
+      });
+    }
+
+    const event = await updateRsvpStatus(req.user.uid, req.params.id, rsvpStatus);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      event,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error updating RSVP status:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { db, admin } = require('../config/firebase');
+const { getLabelsRef, getLabels, getGmailSyncClient } = require('../services/messageStateService');
+const { normalizeLabelName, validateLabelInput } = require('../utils/messageState');
+
+// Messages updated per batch when a label is deleted (Firestore allows 500 writes)
+const LABEL_DELETE_BATCH_SIZE = 400;
+
+/**
+ * Find a label of the user with the same name, ignoring case
+ * @param {Array} labels - The user's labels
+ * @param {string} name - Normalized label name
+ * @param {string} exceptId - Label being renamed
+ * @returns {Object|undefined}
+ */
+const findLabelByName = (labels, name, exceptId = null) =>
+  labels.find(label => label.id !== exceptId && label.name.toLowerCase() === name.toLowerCase());
+
+/**
+ * @route   GET /api/labels
+ * @desc    Get the user's message labels, by name
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const labels = await getLabels(req.user.uid);
+
+    return res.status(200).json({ labels });
+  } catch (error) {
+    console.error('Error fetching labels:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/labels
+ * @desc    Create a label (`name`, unique ignoring case; optional `color`)
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { name, color = 'gray' } = req.body;
+
+    const validationError = validateLabelInput({ name, color });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const labelName = normalizeLabelName(name);
+    if (findLabelByName(await getLabels(uid), labelName)) {
+      return res.status(409).json({ error: `A label named "${labelName}" already exists` });
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const label = { name: labelName, color, gmailLabelId: null, createdAt: now, updatedAt: now };
+    const labelRef = await getLabelsRef(uid).add(label);
+
+    return res.status(201).json({ id: labelRef.id, ...label, createdAt: new Date(), updatedAt: new Date() });
+  } catch (error) {
+    console.error('Error creating label:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/labels/:id
+ * @desc    Rename or recolor a label; a renamed label is renamed in Gmail too when it
+ *          was synced there
+ * @access  Private
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { name, color } = req.body;
+
+    if (name === undefined && color === undefined) {
+      return res.status(400).json({ error: 'name or color is required' });
+    }
+
+    const validationError = validateLabelInput({ name, color }, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const labels = await getLabels(uid);
+    const label = labels.find(item => item.id === req.params.id);
+    if (!label) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (color !== undefined) updates.color = color;
+    if (name !== undefined) {
+      updates.name = normalizeLabelName(name);
+      if (findLabelByName(labels, updates.name, label.id)) {
+        return res.status(409).json({ error: `A label named "${updates.name}" already exists` });
+      }
+    }
+
+    await getLabelsRef(uid).doc(label.id).update(updates);
+
+    if (updates.name && updates.name !== label.name && label.gmailLabelId) {
+      try {
+        const { gmail } = await getGmailSyncClient(uid);
+        if (gmail) {
+          await gmail.users.labels.patch({ userId: 'me', id: label.gmailLabelId, requestBody: { name: updates.name } });
+        }
+      } catch (error) {
+        // The FlowSync label is renamed either way
+        console.error(`Error renaming Gmail label ${label.gmailLabelId}:`, error.message);
+      }
+    }
+
+    return res.status(200).json({ ...label, ...updates, updatedAt: new Date() });
+  } catch (error) {
+    console.error('Error updating label:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/labels/:id
+ * @desc    Delete a label and take it off every message (a Gmail label made for it is kept)
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const labelRef = getLabelsRef(uid).doc(req.params.id);
+
+    const labelDoc = await labelRef.get();
+    if (!labelDoc.exists) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    const messagesQuery = db.collection('messages')
+      .doc(uid)
+      .collection('userMessages')
+      .where('labels', 'array-contains', labelDoc.id)
+      .limit(LABEL_DELETE_BATCH_SIZE);
+
+    // Each pass removes the label from the messages it finds, so the query shrinks
+    let updatedCount = 0;
+    for (;;) {
+      const snapshot = await messagesQuery.get();
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.update(doc.ref, {
+        labels: admin.firestore.FieldValue.arrayRemove(labelDoc.id)
+      }));
+      await batch.commit();
+      updatedCount += snapshot.size;
+
+      if (snapshot.size < LABEL_DELETE_BATCH_SIZE) break;
+    }
+
+    await labelRef.delete();
+
+    return res.status(200).json({ success: true, updatedCount, error: null });
+  } catch (error) {
+    console.error('Error deleting label:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
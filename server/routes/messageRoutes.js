@@ -1,111 +1,370 @@
 const express = require('express');
 const router = express.Router();
 const { db, admin } = require('../config/firebase');
-const { createDefaultMessage } = require('../models/messageModel');
+const { MESSAGE_CATEGORIES, createDefaultMessage } = require('../models/messageModel');
 const { generateTaskFromMessage } = require('../scripts/taskGenerator');
+const { PRIORITIES, recordPriorityCorrection, getClassifierMetrics } = require('../services/feedbackService');
+const { getRedactionSettings } = require('../services/redactionService');
+const { listThreads, getThread } = require('../services/threadService');
+const { unsubscribeFromMessage } = require('../services/unsubscribeService');
+const { draftReply, sendReply } = require('../services/replyService');
+const { indexMessages, findRelated } = require('../services/searchService');
+const {
+  archiveMessage, snoozeMessage, setMessageLabels, findUnknownLabels, ensureMessageStateFields
+} = require('../services/messageStateService');
+const { getMessagesById, runBulkAction, saveConvertedTasks } = require('../services/bulkMessageService');
+const { MESSAGE_VIEWS, parseSnoozeUntil } = require('../utils/messageState');
+const { validateBulkRequest } = require('../utils/bulkActions');
+const { validateDraftRequest, validateSendRequest } = require('../utils/replyDraft');
+const { orderForCursor, encodeCursor, startAfterCursor, parsePageSize } = require('../utils/pagination');
+const { parseDeadlineBefore, getStartOfToday, matchesPageFilters } = require('../utils/messageFilters');
+
+// In-memory filters skip messages, so a page may need several batches; the scan stops
+// after MESSAGE_SCAN_MAX_DOCS documents and hands out a cursor to continue from
+const MESSAGE_SCAN_BATCH_SIZE = 100;
+const MESSAGE_SCAN_MAX_DOCS = 1000;
+
+/**
+ * Count the messages matching the filters, with aggregation queries. Count queries have
+ * no order, so the deadline filter can run in Firestore as their one inequality. The
+ * category and deadline facets take a query per category, so they are only counted
+ * when asked for
+ * @param {Object} query - Messages query with the type, read and priority filters
+ * @param {Object} filters - { categories, hasDeadline, deadlineBound }
+ * @param {boolean} withFacets - Count the facets too
+ * @returns {Promise<Object>} - { total, facets: { category: { [category]: count }, deadline: { withDeadline, overdue } } };
+ *                              facets is null unless withFacets is set
+ */
+const countMessages = async (query, { categories, hasDeadline, deadlineBound }, withFacets) => {
+  const count = async (countQuery) => (await countQuery.count().get()).data().count;
+  const deadlineFiltered = Boolean(deadlineBound) || hasDeadline === 'true';
+
+  let filtered = query;
+  if (deadlineBound) {
+    filtered = filtered.where('deadline', '<=', deadlineBound);
+  } else if (hasDeadline === 'true') {
+    filtered = filtered.where('deadline', '!=', null);
+  }
+
+  // Without the facets, one query counts the messages unless "uncategorized" is asked
+  // for, which is only known as the messages without any of the categories
+  if (!withFacets && !(categories && categories.includes('uncategorized'))) {
+    if (!categories) return { total: await count(filtered), facets: null };
+
+    const categoryQuery = categories.length > 1
+      ? filtered.where('category', 'in', categories)
+      : filtered.where('category', '==', categories[0]);
+    return { total: await count(categoryQuery), facets: null };
+  }
+
+  let overdueQuery = query.where('deadline', '<', getStartOfToday());
+  if (deadlineBound) overdueQuery = overdueQuery.where('deadline', '<=', deadlineBound);
+
+  const [all, withDeadline, overdue, ...categoryCounts] = await Promise.all([
+    count(filtered),
+    deadlineFiltered || !withFacets ? null : count(query.where('deadline', '!=', null)),
+    withFacets ? count(overdueQuery) : null,
+    ...MESSAGE_CATEGORIES.map(category => count(filtered.where('category', '==', category)))
+  ]);
+
+  // Facets ignore the category filter so every category stays selectable
+  const facets = {
+    category: {},
+    deadline: { withDeadline: deadlineFiltered ? all : withDeadline, overdue }
+  };
+  MESSAGE_CATEGORIES.forEach((category, index) => {
+    if (categoryCounts[index] > 0) facets.category[category] = categoryCounts[index];
+  });
+  const uncategorized = all - categoryCounts.reduce((sum, value) => sum + value, 0);
+  if (uncategorized > 0) facets.category.uncategorized = uncategorized;
+
+  const total = categories
+    ? categories.reduce((sum, category) => sum + (facets.category[category] || 0), 0)
+    : all;
+
+  return { total, facets: withFacets ? facets : null };
+};
+
+/**
+ * Build the messages query for the filters of GET /api/messages
+ * @param {string} uid - User's Firebase ID
+ * @param {Object} params - { view, label, type, read, priority, category, minConfidence,
+ *                          hasDeadline, deadlineBefore }
+ * @returns {Object} - { view, query, pageQuery, filters, hasPageFilters } or { error }: query has
+ *                     the filters aggregation queries can count, pageQuery adds the
+ *                     category, and filters are the rest for matchesPageFilters
+ */
+const buildMessagesQuery = (uid, params) => {
+  const {
+    view = 'inbox', label, type, read, priority, category, minConfidence, hasDeadline, deadlineBefore
+  } = params;
+
+  if (!MESSAGE_VIEWS.includes(view)) {
+    return { error: `view must be one of: ${MESSAGE_VIEWS.join(', ')}` };
+  }
+
+  let deadlineBound = null;
+  if (deadlineBefore) {
+    const parsed = parseDeadlineBefore(deadlineBefore);
+    if (parsed.error) return parsed;
+    deadlineBound = parsed.deadlineBound;
+  }
+
+  const filters = {
+    categories: category && category !== 'all' ? category.split(',') : null,
+    minConfidence: minConfidence !== undefined && !isNaN(parseFloat(minConfidence)) ? parseFloat(minConfidence) : null,
+    hasDeadline,
+    deadlineBound
+  };
+
+  // Base query for the user's messages with the filters Firestore runs
+  let query = db.collection('messages')
+    .doc(uid)
+    .collection('userMessages');
+
+  // Callers run ensureMessageStateFields first, so messages stored before archive and
+  // snooze existed have the fields
+  if (view === 'inbox') {
+    query = query.where('archived', '==', false).where('snoozed', '==', false);
+  } else if (view === 'archived') {
+    query = query.where('archived', '==', true);
+  } else if (view === 'snoozed') {
+    query = query.where('snoozed', '==', true);
+  }
+
+  if (label) {
+    query = query.where('labels', 'array-contains', label);
+  }
+
+  if (type && type !== 'all') {
+    query = query.where('type', '==', type);
+  }
+
+  if (read && read !== 'all') {
+    query = query.where('read', '==', read === 'true');
+  }
+
+  if (priority && priority !== 'all') {
+    const priorityValues = priority.split(',');
+    query = priorityValues.length > 1
+      ? query.where('priority', 'in', priorityValues)
+      : query.where('priority', '==', priority);
+  }
+
+  // "uncategorized" means the field is null or missing, which only the page filter can check
+  let pageQuery = query;
+  if (filters.categories && !filters.categories.includes('uncategorized')) {
+    pageQuery = filters.categories.length > 1
+      ? pageQuery.where('category', 'in', filters.categories)
+      : pageQuery.where('category', '==', filters.categories[0]);
+  }
+
+  const hasPageFilters = filters.minConfidence !== null || Boolean(hasDeadline) || Boolean(deadlineBound) ||
+    Boolean(filters.categories && filters.categories.includes('uncategorized'));
+
+  return { view, query, pageQuery, filters, hasPageFilters };
+};
+
+/**
+ * Find the messages matching the filters of GET /api/messages, newest first
+ * @param {string} uid - User's Firebase ID
+ * @param {Object} params - Filters (see buildMessagesQuery)
+ * @param {number} max - Most messages to return
+ * @returns {Promise<Object>} - { messages, hasMore } or { error }
+ */
+const findFilteredMessages = async (uid, params, max) => {
+  const built = buildMessagesQuery(uid, params);
+  if (built.error) return built;
+  if (built.view === 'inbox') await ensureMessageStateFields(uid);
+
+  const { pageQuery, filters } = built;
+  const orderedQuery = orderForCursor(pageQuery, 'timestamp', 'desc');
+  const messages = [];
+  let lastDoc = null;
+  let exhausted = false;
+
+  while (messages.length < max && !exhausted) {
+    const snapshot = await (lastDoc ? orderedQuery.startAfter(lastDoc) : orderedQuery)
+      .limit(MESSAGE_SCAN_BATCH_SIZE)
+      .get();
+    exhausted = snapshot.size < MESSAGE_SCAN_BATCH_SIZE;
+
+    for (const doc of snapshot.docs) {
+      if (messages.length === max) {
+        exhausted = false;
+        break;
+      }
+
+      lastDoc = doc;
+      const message = { id: doc.id, ...doc.data() };
+      if (matchesPageFilters(message, filters)) messages.push(message);
+    }
+  }
+
+  return { messages, hasMore: !exhausted };
+};
 
 /**
  * @route   GET /api/messages
- * @desc    Get all messages with filters
+ * @desc    Get messages, newest first, a page at a time (pass the `nextCursor` of a page
+ *          as `cursor` to get the next one). Filters: view (inbox, archived, snoozed or
+ *          all; inbox by default), label, type, read, priority, category, minConfidence,
+ *          hasDeadline, deadlineBefore. The first page also returns the total, and the
+ *          category/deadline facets with facets=true (both null when minConfidence or
+ *          hasDeadline=false is set, which Firestore can't count)
  * @access  Private
  */
 router.get('/', async (req, res) => {
   try {
     const uid = req.user.uid;
-    const { type, read, priority, limit = 10, offset = 0 } = req.query;
+    const {
+      view = 'inbox', label, type, read, priority, category, minConfidence, hasDeadline, deadlineBefore, cursor, limit,
+      facets
+    } = req.query;
+    const pageSize = parsePageSize(limit);
 
     console.log('GET /api/messages - Request parameters:', {
-      uid, type, read, priority, limit, offset
+      uid, view, label, type, read, priority, category, minConfidence, hasDeadline, deadlineBefore, cursor, limit: pageSize
     });
 
-    // Start with base query for user's messages
-    let query = db.collection('messages')
-      .doc(uid)
-      .collection('userMessages')
-      .orderBy('timestamp', 'desc');
+    const built = buildMessagesQuery(uid, req.query);
+    if (built.error) {
+      return res.status(400).json({ error: built.error });
+    }
+    if (built.view === 'inbox') await ensureMessageStateFields(uid);
+
+    const { query, filters, hasPageFilters } = built;
+    let pageQuery = orderForCursor(built.pageQuery, 'timestamp', 'desc');
+    if (cursor) {
+      pageQuery = startAfterCursor(pageQuery, cursor);
+      if (!pageQuery) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
 
-    // console.log(`Querying messages for user: ${uid}`);
+    // One extra document tells whether there is a next page
+    const batchSize = hasPageFilters ? MESSAGE_SCAN_BATCH_SIZE : pageSize + 1;
 
-    // Apply filters if provided
-    if (type && type !== 'all') {
-      query = query.where('type', '==', type);
-      console.log(`Added type filter: ${type}`);
-    }
+    const messages = [];
+    let lastDoc = null;
+    let exhausted = false;
+    let scanned = 0;
 
-    if (read && read !== 'all') {
-      const readBoolean = read === 'true';
-      query = query.where('read', '==', readBoolean);
-      console.log(`Added read filter: ${readBoolean}`);
-    }
+    while (messages.length < pageSize && !exhausted && scanned < MESSAGE_SCAN_MAX_DOCS) {
+      const snapshot = await (lastDoc ? pageQuery.startAfter(lastDoc) : pageQuery).limit(batchSize).get();
+      exhausted = snapshot.size < batchSize;
 
-    // Handle priority filter
-    if (priority && priority !== 'all') {
-      // Check if priority contains comma-separated values
-      if (priority.includes(',')) {
-        console.log(`Multiple priorities detected: ${priority}`);
-        // Cannot use multiple "where" clauses on the same field directly with Firestore
-        // Instead, we'll fetch all messages and filter in memory
-        const priorityValues = priority.split(',');
-        console.log(`Will filter for priorities: ${JSON.stringify(priorityValues)}`);
-
-        // Remove the priority filter from the query, we'll filter after fetching
-        // Continue with other filters
-      } else {
-        // Single priority - can use direct where clause
-        query = query.where('priority', '==', priority);
-        console.log(`Added single priority filter: ${priority}`);
+      for (const doc of snapshot.docs) {
+        if (messages.length === pageSize) {
+          exhausted = false;
+          break;
+        }
+
+        lastDoc = doc;
+        scanned++;
+
+        const message = { id: doc.id, ...doc.data() };
+        if (matchesPageFilters(message, filters)) messages.push(message);
       }
     }
 
-    // Log the final query (this is approximate since we can't log the actual Firestore query object)
-    // console.log('Query constructed with filters applied');
+    // Counts only come with the first page; they cost one read per 1000 messages each
+    const counts = !cursor && filters.minConfidence === null && hasDeadline !== 'false'
+      ? await countMessages(query, filters, facets === 'true')
+      : { total: null, facets: null };
 
-    // Execute query to get all matching documents
-    const messagesSnapshot = await query.get();
-    // console.log(`Total documents fetched: ${messagesSnapshot.size}`);
-
-    // Process results and apply in-memory filtering if needed
-    let messages = [];
-    messagesSnapshot.forEach(doc => {
-      messages.push({
-        id: doc.id,
-        ...doc.data()
-      });
+    return res.status(200).json({
+      messages,
+      total: counts.total,
+      hasMore: !exhausted,
+      nextCursor: !exhausted && lastDoc ? encodeCursor(lastDoc, 'timestamp') : null,
+      facets: counts.facets
     });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    // If we have multiple priority values, filter in memory
-    if (priority && priority !== 'all' && priority.includes(',')) {
-      const priorityValues = priority.split(',');
-      // console.log(`Filtering ${messages.length} messages for priorities: ${priorityValues}`);
+/**
+ * @route   GET /api/messages/classifier-metrics
+ * @desc    Get how often the user kept the AI priority, per day
+ * @access  Private
+ */
+router.get('/classifier-metrics', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
 
-      messages = messages.filter(message =>
-        priorityValues.includes(message.priority)
-      );
+    const metrics = await getClassifierMetrics(uid, days);
 
-      // console.log(`After priority filtering: ${messages.length} messages remain`);
+    return res.status(200).json(metrics);
+  } catch (error) {
+    console.error('Error fetching classifier metrics:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/messages/threads
+ * @desc    Get conversations (type, read, priority filters; priority is the thread's
+ *          highest message priority, read=false keeps threads with unread messages)
+ * @access  Private
+ */
+router.get('/threads', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { type, read, priority, limit = 10, offset = 0 } = req.query;
+
+    let threads = await listThreads(uid, { type });
+
+    if (read === 'true' || read === 'false') {
+      threads = threads.filter(thread => (thread.unreadCount === 0) === (read === 'true'));
     }
 
-    // Calculate total for pagination (after in-memory filtering)
-    const total = messages.length;
+    if (priority && priority !== 'all') {
+      const priorityValues = priority.split(',');
+      threads = threads.filter(thread => priorityValues.includes(thread.priority));
+    }
 
-    // Apply pagination in memory
-    messages = messages.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
-    // console.log(`After pagination: ${messages.length} messages to return`);
+    const total = threads.length;
+    threads = threads.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
 
     return res.status(200).json({
-      messages,
+      threads,
       total,
-      hasMore: total > parseInt(offset) + messages.length
+      hasMore: total > parseInt(offset) + threads.length
     });
   } catch (error) {
-    console.error('Error fetching messages:', error);
+    console.error('Error fetching threads:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/messages/threads/:id
+ * @desc    Get a conversation with its messages, oldest first
+ * @access  Private
+ */
+router.get('/threads/:id', async (req, res) => {
+  try {
+    const thread = await getThread(req.user.uid, req.params.id);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    return res.status(200).json(thread);
+  } catch (error) {
+    console.error('Error fetching thread:', error);
     return res.status(500).json({ error: error.message });
   }
 });
 
 /**
  * @route   GET /api/messages/:id
- * @desc    Get single message by ID
+ * @desc    Get single message by ID, with the messages most similar to it (`related`,
+ *          other conversations only)
  * @access  Private
  */
 router.get('/:id', async (req, res) => {
@@ -126,7 +385,8 @@ router.get('/:id', async (req, res) => {
 
     return res.status(200).json({
       id: messageDoc.id,
-      ...messageDoc.data()
+      ...messageDoc.data(),
+      related: await findRelated(uid, 'message', messageDoc.id)
     });
   } catch (error) {
     console.error('Error fetching message:', error);
@@ -134,6 +394,75 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/messages/bulk
+ * @desc    Run one action on many messages: markRead, markUnread, archive, unarchive,
+ *          label (addLabels/removeLabels), priority or convertToTask. The messages are
+ *          `messageIds`, or `filter` with the filters of GET /api/messages (then
+ *          `hasMore` tells whether matches were left for another request). Messages
+ *          that fail are listed in `failed`; the others are still changed
+ * @access  Private
+ */
+router.post('/bulk', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const request = validateBulkRequest(req.body, PRIORITIES);
+    if (request.error) {
+      return res.status(400).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const { action, options } = request;
+    if (action === 'label') {
+      const unknown = await findUnknownLabels(uid, options.addLabels);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown labels: ${unknown.join(', ')}`
+        });
+      }
+    }
+
+    let messages;
+    let missing = [];
+    let hasMore = false;
+    if (request.messageIds) {
+      ({ messages, missing } = await getMessagesById(uid, request.messageIds));
+    } else {
+      const found = await findFilteredMessages(uid, request.filterParams, request.maxMessages);
+      if (found.error) {
+        return res.status(400).json({
+          success: false,
+          error: found.error
+        });
+      }
+      ({ messages, hasMore } = found);
+    }
+
+    console.log(`Bulk ${action} on ${messages.length} messages for user ${uid}`);
+    const result = await runBulkAction(uid, action, messages, options);
+    const failed = [...missing.map(id => ({ id, error: 'Message not found' })), ...result.failed];
+
+    return res.status(200).json({
+      success: failed.length === 0,
+      action,
+      updatedCount: result.updated.length,
+      ...result,
+      failed,
+      hasMore,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error running bulk message action:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   PUT /api/messages/:id/read
  * @desc    Mark message as read/unread
@@ -200,6 +529,325 @@ router.put('/:id/read', async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/messages/:id/archive
+ * @desc    Archive a message (`archived: true`, which also ends a snooze) or move it back
+ *          to the inbox; Gmail messages are archived in Gmail too when Gmail sync is on
+ * @access  Private
+ */
+router.put('/:id/archive', async (req, res) => {
+  try {
+    const { archived } = req.body;
+
+    if (typeof archived !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'archived must be a boolean'
+      });
+    }
+
+    const result = await archiveMessage(req.user.uid, req.params.id, archived);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      gmailSync: result.gmailSync,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error archiving message:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/messages/:id/snooze
+ * @desc    Snooze a message until a date (`until`, ISO date within a year); the message
+ *          leaves the inbox and comes back with a notification. `until: null` ends the snooze
+ * @access  Private
+ */
+router.put('/:id/snooze', async (req, res) => {
+  try {
+    const { until } = req.body;
+
+    let snoozeUntil = null;
+    if (until !== null) {
+      const parsed = parseSnoozeUntil(until);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+      snoozeUntil = parsed.until;
+    }
+
+    const result = await snoozeMessage(req.user.uid, req.params.id, snoozeUntil);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      gmailSync: result.gmailSync,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error snoozing message:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/messages/:id/labels
+ * @desc    Replace the labels of a message (`labels`: label IDs); Gmail messages get the
+ *          matching Gmail labels when Gmail sync is on
+ * @access  Private
+ */
+router.put('/:id/labels', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { labels } = req.body;
+
+    if (!Array.isArray(labels) || !labels.every(id => typeof id === 'string' && id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'labels must be an array of label IDs'
+      });
+    }
+
+    const unknown = await findUnknownLabels(uid, labels);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown labels: ${unknown.join(', ')}`
+      });
+    }
+
+    const result = await setMessageLabels(uid, req.params.id, labels);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      gmailSync: result.gmailSync,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error updating message labels:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/messages/:id/priority
+ * @desc    Correct the priority of a message; the correction is kept as classifier feedback
+ * @access  Private
+ */
+router.put('/:id/priority', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const messageId = req.params.id;
+    const { priority } = req.body;
+
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        error: `Priority must be one of: ${PRIORITIES.join(', ')}`
+      });
+    }
+
+    const messageRef = db.collection('messages')
+      .doc(uid)
+      .collection('userMessages')
+      .doc(messageId);
+
+    const messageDoc = await messageRef.get();
+    if (!messageDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    const result = await recordPriorityCorrection(uid, messageRef, messageDoc.data(), priority);
+    await indexMessages(uid, [{ id: messageId, ...messageDoc.data(), priority }]);
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error updating message priority:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/messages/:id/unsubscribe
+ * @desc    Unsubscribe from the message's mailing list (RFC 8058 one-click, or mailto);
+ *          status "manual" returns a link for the user to open
+ * @access  Private
+ */
+router.post('/:id/unsubscribe', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const messageId = req.params.id;
+
+    const messageRef = db.collection('messages')
+      .doc(uid)
+      .collection('userMessages')
+      .doc(messageId);
+
+    const messageDoc = await messageRef.get();
+    if (!messageDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    const message = messageDoc.data();
+    if (!message.unsubscribe) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message has no List-Unsubscribe header'
+      });
+    }
+
+    const result = await unsubscribeFromMessage(uid, messageRef, message);
+
+    return res.status(result.status === 'failed' ? 502 : 200).json({
+      success: result.status !== 'failed',
+      result,
+      error: result.error || null
+    });
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/messages/:id/draft-reply
+ * @desc    Draft a reply to an email from its thread, in a `tone` (professional, friendly,
+ *          formal, concise) with optional `instructions`; the user's signature goes under it
+ * @access  Private
+ */
+router.post('/:id/draft-reply', async (req, res) => {
+  try {
+    const request = validateDraftRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const result = await draftReply(req.user.uid, req.params.id, request);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      draft: result.draft,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error drafting reply:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/messages/:id/send-reply
+ * @desc    Send a reply (`body`, optional `subject` and `draftId`) through Gmail or the
+ *          SMTP server of an IMAP account, with In-Reply-To and References headers
+ * @access  Private
+ */
+router.post('/:id/send-reply', async (req, res) => {
+  try {
+    const request = validateSendRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const reply = await sendReply(req.user.uid, req.params.id, request);
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+    if (reply.error) {
+      return res.status(400).json({
+        success: false,
+        error: reply.error
+      });
+    }
+
+    const { result } = reply;
+    return res.status(result.status === 'failed' ? 502 : 200).json({
+      success: result.status !== 'failed',
+      result,
+      error: result.error || null
+    });
+  } catch (error) {
+    console.error('Error sending reply:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/messages/:id/convert-to-task
  * @desc    Convert a message to a task
@@ -233,7 +881,7 @@ router.post('/:id/convert-to-task', async (req, res) => {
     }
 
     const messageData = messageDoc.data();
-    const taskResponse = await generateTaskFromMessage(messageData);
+    const taskResponse = await generateTaskFromMessage(messageData, await getRedactionSettings(uid));
     if (messageData.sourceMessageId) {
       console.log(`Message ${messageId} has sourceMessageId: ${messageData.sourceMessageId}`);
     }
@@ -243,30 +891,9 @@ router.post('/:id/convert-to-task', async (req, res) => {
       return res.status(400).json({ error: 'Message cannot be converted to a task' });
     }
 
-    const taskCollectionRef = db.collection('tasks')
-      .doc(uid)
-      .collection('userTasks');
-
-    let createdTasks = [];
-
-    if (taskResponse.isMultiple) {
-      // Save each task separately
-      const promises = taskResponse.tasks.map(taskData => taskCollectionRef.add(taskData));
-      const taskRefs = await Promise.all(promises);
-      createdTasks = taskRefs.map((ref, i) => ({
-        id: ref.id,
-        ...taskResponse.tasks[i],
-        createdOn: new Date().toISOString()
-      }));
-    } else {
-      // Save a single task
-      const taskRef = await taskCollectionRef.add(taskResponse.tasks);
-      createdTasks.push({
-        id: taskRef.id,
-        ...taskResponse.tasks,
-        createdOn: new Date().toISOString()
-      });
-    }
+    // The tasks and the analytics counters are saved together, as bulk conversions do
+    const savedTasks = await saveConvertedTasks(uid, [].concat(taskResponse.tasks));
+    const createdTasks = savedTasks.map(task => ({ ...task, createdOn: new Date().toISOString() }));
 
     // Return the created task(s)
     return res.status(201).json({
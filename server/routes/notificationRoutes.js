@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../config/firebase');
+const { getNotificationsRef } = require('../services/notificationService');
+const { parsePageSize } = require('../utils/pagination');
+
+// Notifications marked read per batch by PUT /read-all
+const READ_ALL_BATCH_SIZE = 400;
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the user's latest notifications (limit) with the number of unread ones
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const notificationsRef = getNotificationsRef(req.user.uid);
+
+    const [snapshot, unreadSnapshot] = await Promise.all([
+      notificationsRef.orderBy('timestamp', 'desc').limit(parsePageSize(req.query.limit)).get(),
+      notificationsRef.where('read', '==', false).count().get()
+    ]);
+
+    return res.status(200).json({
+      notifications: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      unreadCount: unreadSnapshot.data().count
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.put('/read-all', async (req, res) => {
+  try {
+    const unreadQuery = getNotificationsRef(req.user.uid)
+      .where('read', '==', false)
+      .limit(READ_ALL_BATCH_SIZE);
+
+    let updatedCount = 0;
+    for (;;) {
+      const snapshot = await unreadQuery.get();
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.update(doc.ref, { read: true }));
+      await batch.commit();
+      updatedCount += snapshot.size;
+
+      if (snapshot.size < READ_ALL_BATCH_SIZE) break;
+    }
+
+    return res.status(200).json({ success: true, updatedCount, error: null });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notificationRef = getNotificationsRef(req.user.uid).doc(req.params.id);
+
+    const notificationDoc = await notificationRef.get();
+    if (!notificationDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    await notificationRef.update({ read: true });
+
+    return res.status(200).json({ success: true, error: null });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
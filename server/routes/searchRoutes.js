@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { search, semanticSearch } = require('../services/searchService');
+const { isEmbeddingEnabled } = require('../services/embeddingService');
+
+// Every word costs a count query, so long pasted texts are refused
+const SEARCH_MAX_QUERY_WORDS = 20;
+const SEARCH_KINDS = ['message', 'task'];
+// The whole question is embedded at once; sentence models read a few hundred tokens
+const SEMANTIC_MAX_QUERY_CHARS = 500;
+
+/**
+ * @route   GET /api/search
+ * @desc    Search messages and tasks, best match first. q supports "quoted phrases" and
+ *          from:, tag:, priority: qualifiers; kind=message|task limits the results
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { q, kind } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    if (String(q).trim().split(/\s+/).length > SEARCH_MAX_QUERY_WORDS) {
+      return res.status(400).json({ error: `Search for at most ${SEARCH_MAX_QUERY_WORDS} words` });
+    }
+
+    if (kind && !SEARCH_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${SEARCH_KINDS.join(', ')}` });
+    }
+
+    const result = await search(uid, String(q), { kind, limit });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error searching:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/search/semantic
+ * @desc    Search messages and tasks by meaning ("anything about the Q3 vendor contract?"),
+ *          most similar first; kind=message|task limits the results
+ * @access  Private
+ */
+router.get('/semantic', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { q, kind } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    if (String(q).length > SEMANTIC_MAX_QUERY_CHARS) {
+      return res.status(400).json({ error: `Search for at most ${SEMANTIC_MAX_QUERY_CHARS} characters` });
+    }
+
+    if (kind && !SEARCH_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${SEARCH_KINDS.join(', ')}` });
+    }
+
+    if (!isEmbeddingEnabled()) {
+      return res.status(503).json({ error: 'Semantic search is not enabled' });
+    }
+
+    const result = await semanticSearch(uid, String(q).trim(), { kind, limit });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in semantic search:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
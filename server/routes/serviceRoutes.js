@@ -1,6 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { db, admin } = require('../config/firebase');
+const { testImapConnection } = require('../services/imapService');
+const { testSlackConnection } = require('../services/slackService');
+const { enqueueServiceSync, getSyncJob } = require('../services/syncJobService');
+
+/**
+ * Convert a stored timestamp to an ISO string
+ * @param {*} value - Firestore Timestamp, Date or date string (older services may have none)
+ * @returns {string|null}
+ */
+const toISOString = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
 
 /**
  * @route   GET /api/services
@@ -22,7 +36,8 @@ router.get('/', async (req, res) => {
       
       services.push({
         id: doc.id,
-        ...safeData
+        ...safeData,
+        lastSynced: toISOString(safeData.lastSynced)
       });
     });
     
@@ -53,17 +68,48 @@ router.post('/connect/:type', async (req, res) => {
       });
     }
     
+    // IMAP mail services must have working credentials before we save them
+    if (type === 'email' && serviceData.authData && serviceData.authData.provider === 'imap') {
+      const connectionResult = await testImapConnection(serviceData.authData);
+      if (!connectionResult.success) {
+        return res.status(400).json({
+          success: false,
+          error: `Could not connect to IMAP server: ${connectionResult.error}`
+        });
+      }
+    }
+    
+    let authData = serviceData.authData || {};
+    
+    // Slack tokens are checked against the workspace and tagged with the team/user they belong to
+    if (type === 'slack') {
+      const connectionResult = await testSlackConnection(authData.accessToken);
+      if (!connectionResult.success) {
+        return res.status(400).json({
+          success: false,
+          error: `Could not connect to Slack: ${connectionResult.error}`
+        });
+      }
+      authData = {
+        ...authData,
+        provider: 'slack',
+        teamId: connectionResult.teamId,
+        teamName: connectionResult.teamName,
+        authedUserId: connectionResult.authedUserId
+      };
+    }
+    
     // Generate a service ID
     const serviceId = `${type}-${Date.now()}`;
     
     // Prepare service document
     const newService = {
       type,
-      name: serviceData.name || type,
+      name: serviceData.name || (authData.teamName ? `Slack (${authData.teamName})` : type),
       isConnected: true,
       lastSynced: admin.firestore.FieldValue.serverTimestamp(),
       errorMessage: '',
-      authData: serviceData.authData || {}
+      authData
     };
     
     // Save to Firestore
@@ -73,8 +119,16 @@ router.post('/connect/:type', async (req, res) => {
       .doc(serviceId)
       .set(newService);
     
+    // Pull recent Slack history in a sync job (which holds the service's sync lease),
+    // events take over from here
+    if (type === 'slack') {
+      enqueueServiceSync(uid, serviceId, newService).catch(error => {
+        console.error(`Initial Slack backfill failed for service ${serviceId}:`, error);
+      });
+    }
+    
     // Return success without auth data
-    const { authData, ...safeData } = newService;
+    const { authData: _authData, ...safeData } = newService;
     
     return res.status(201).json({
       success: true,
@@ -136,7 +190,7 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * @route   POST /api/services/:id/sync
- * @desc    Manually sync a service
+ * @desc    Queue a sync of the service's connector
  * @access  Private
  */
 router.post('/:id/sync', async (req, res) => {
@@ -159,23 +213,68 @@ router.post('/:id/sync', async (req, res) => {
     }
     
     const serviceData = serviceDoc.data();
+    if (!serviceData.isConnected) {
+      return res.status(400).json({
+        success: false,
+        error: 'Service is not connected'
+      });
+    }
     
-    // In a real implementation, you would trigger a sync operation with the service API
-    // For this mock implementation, we'll just update the lastSynced timestamp
+    const job = await enqueueServiceSync(uid, serviceId, serviceData);
+    if (job.error) {
+      return res.status(job.conflict ? 409 : 400).json({
+        success: false,
+        error: job.error
+      });
+    }
     
-    const now = admin.firestore.FieldValue.serverTimestamp();
-    await serviceRef.update({
-      lastSynced: now,
-      errorMessage: '' // Clear any previous errors
+    // The sync runs in the background, poll GET /api/services/:id/sync/:jobId for progress
+    return res.status(202).json({
+      success: true,
+      jobId: job.jobId,
+      status: job.status,
+      alreadyQueued: job.alreadyQueued,
+      error: null
     });
+  } catch (error) {
+    console.error('Error syncing service:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/services/:id/sync/:jobId
+ * @desc    Get the status and counts of a sync job
+ * @access  Private
+ */
+router.get('/:id/sync/:jobId', async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { id: serviceId, jobId } = req.params;
+    
+    const job = await getSyncJob(uid, serviceId, jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync job not found'
+      });
+    }
     
     return res.status(200).json({
       success: true,
-      lastSynced: new Date().toISOString(), // For immediate response
+      job: {
+        ...job,
+        createdAt: job.createdAt ? job.createdAt.toDate().toISOString() : null,
+        startedAt: job.startedAt ? job.startedAt.toDate().toISOString() : null,
+        finishedAt: job.finishedAt ? job.finishedAt.toDate().toISOString() : null
+      },
       error: null
     });
   } catch (error) {
-    console.error('Error syncing service:', error);
+    console.error('Error fetching sync job:', error);
     return res.status(500).json({
       success: false,
       error: error.message
@@ -0,0 +1,46 @@
+/**
+ * Routes for the Slack Events API webhook
+ *
+ * These are called by Slack, not by the client, so they are authenticated
+ * with the request signature instead of a Firebase token.
+ */
+const express = require('express');
+const router = express.Router();
+const { verifySlackSignature } = require('../services/slackService');
+const { handleSlackEvent } = require('../scripts/slackSyncJob');
+
+/**
+ * @route   POST /api/slack/events
+ * @desc    Receive Slack Events API callbacks (messages, mentions, reactions)
+ * @access  Public (Slack signature required)
+ */
+router.post('/events', async (req, res) => {
+  try {
+    if (!verifySlackSignature(req)) {
+      return res.status(401).json({ error: 'Invalid Slack signature' });
+    }
+
+    const payload = req.body;
+
+    // Slack sends this once when the request URL is configured
+    if (payload.type === 'url_verification') {
+      return res.status(200).json({ challenge: payload.challenge });
+    }
+
+    // Acknowledge right away, Slack retries anything slower than 3 seconds
+    res.status(200).json({ ok: true });
+
+    if (payload.type === 'event_callback') {
+      handleSlackEvent(payload).catch(error => {
+        console.error('Error handling Slack event:', error);
+      });
+    }
+  } catch (error) {
+    console.error('Error receiving Slack event:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const { db, admin } = require('../config/firebase');
+const { orderForCursor, encodeCursor, startAfterCursor, parsePageSize } = require('../utils/pagination');
+const { indexTasks, removeFromIndex, findRelated } = require('../services/searchService');
 
 /**
  * @route   GET /api/tasks
- * @desc    Get all tasks with filters
+ * @desc    Get tasks by due date, a page at a time (pass the `nextCursor` of a page as
+ *          `cursor` to get the next one), with filters. The first page also returns the total
  * @access  Private
  */
 router.get('/', async (req, res) => {
   try {
     const uid = req.user.uid;
-    const { completed, priority, dueDate, limit = 10, offset = 0 } = req.query;
+    const { completed, priority, dueDate, cursor, limit } = req.query;
+    const pageSize = parsePageSize(limit);
     
     // Start with base query for user's tasks
     let query = db.collection('tasks')
       .doc(uid)
-      .collection('userTasks')
-      .orderBy('dueDate', 'asc');
+      .collection('userTasks');
     
     // Apply filters if provided
     if (completed && completed !== 'all') {
@@ -56,19 +59,32 @@ router.get('/', async (req, res) => {
       }
     }
     
-    // Get total count (for pagination)
-    const countSnapshot = await query.count().get();
-    const total = countSnapshot.data().count;
+    // Ordering leaves out tasks without a dueDate, in the count as well
+    query = orderForCursor(query, 'dueDate', 'asc');
     
-    // Apply pagination
-    query = query.limit(parseInt(limit)).offset(parseInt(offset));
+    // Get total count with the first page
+    let total = null;
+    if (!cursor) {
+      const countSnapshot = await query.count().get();
+      total = countSnapshot.data().count;
+    }
+    
+    // Apply pagination, with one extra task to tell whether there is a next page
+    if (cursor) {
+      query = startAfterCursor(query, cursor);
+      if (!query) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
     
     // Execute query
-    const tasksSnapshot = await query.get();
+    const tasksSnapshot = await query.limit(pageSize + 1).get();
+    const hasMore = tasksSnapshot.size > pageSize;
+    const pageDocs = tasksSnapshot.docs.slice(0, pageSize);
     
     // Process results
     const tasks = [];
-    tasksSnapshot.forEach(doc => {
+    pageDocs.forEach(doc => {
       tasks.push({
         id: doc.id,
         ...doc.data(),
@@ -80,7 +96,8 @@ router.get('/', async (req, res) => {
     return res.status(200).json({
       tasks,
       total,
-      hasMore: total > parseInt(offset) + tasks.length
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(pageDocs[pageDocs.length - 1], 'dueDate') : null
     });
   } catch (error) {
     console.error('Error fetching tasks:', error);
@@ -90,7 +107,7 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/tasks/:id
- * @desc    Get single task by ID
+ * @desc    Get single task by ID, with the messages most similar to it (`related`)
  * @access  Private
  */
 router.get('/:id', async (req, res) => {
@@ -115,7 +132,8 @@ router.get('/:id', async (req, res) => {
       id: taskDoc.id,
       ...taskData,
       dueDate: taskData.dueDate ? taskData.dueDate.toDate().toISOString() : null,
-      createdOn: taskData.createdOn ? taskData.createdOn.toDate().toISOString() : null
+      createdOn: taskData.createdOn ? taskData.createdOn.toDate().toISOString() : null,
+      related: await findRelated(uid, 'task', taskDoc.id)
     });
   } catch (error) {
     console.error('Error fetching task:', error);
@@ -157,6 +175,8 @@ router.post('/', async (req, res) => {
       .collection('userTasks')
       .add(taskData);
     
+    await indexTasks(uid, [{ id: taskRef.id, ...taskData }]);
+    
     // Update analytics
     const analyticsRef = db.collection('analytics').doc(uid);
     const analyticsDoc = await analyticsRef.get();
@@ -232,6 +252,8 @@ router.put('/:id', async (req, res) => {
     const updatedTaskDoc = await taskRef.get();
     const updatedTaskData = updatedTaskDoc.data();
     
+    await indexTasks(uid, [{ id: taskId, ...updatedTaskData }]);
+    
     return res.status(200).json({
       id: taskId,
       ...updatedTaskData,
@@ -337,6 +359,7 @@ router.delete('/:id', async (req, res) => {
     
     // Delete the task
     await taskRef.delete();
+    await removeFromIndex(uid, 'task', [taskId]);
     
     // Update analytics if the task was completed
     if (taskData.completed) {
@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { db, admin } = require('../config/firebase');
+const { getRulesRef, validateRule } = require('../services/rulesService');
+const { getRedactionAudit } = require('../services/redactionService');
+const { REPLY_SIGNATURE_MAX_LENGTH } = require('../utils/replyDraft');
+
+// Preference fields the client may update
+const PREFERENCE_FIELDS = ['workHours', 'workDays', 'timeZone', 'notificationPreferences', 'priorityKeywords', 'redactPii', 'syncToGmail', 'replySignature'];
 
 /**
  * @route   GET /api/user/profile
@@ -185,7 +191,10 @@ router.get('/preferences', async (req, res) => {
           mobile: false,
           telegram: false
         },
-        priorityKeywords: []
+        priorityKeywords: [],
+        redactPii: true,
+        syncToGmail: false,
+        replySignature: ''
       };
 
       const basicProfile = {
@@ -223,12 +232,225 @@ router.get('/preferences', async (req, res) => {
       priorityKeywords: []
     };
 
-    return res.status(200).json(preferences);
+    return res.status(200).json({
+      ...preferences,
+      redactPii: preferences.redactPii !== false,
+      syncToGmail: preferences.syncToGmail === true,
+      replySignature: typeof preferences.replySignature === 'string' ? preferences.replySignature : ''
+    });
   } catch (error) {
     console.error('Error getting user preferences:', error);
     return res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * @route   PUT /api/user/preferences
+ * @desc    Update user preferences (only the fields sent are changed)
+ * @access  Private
+ */
+router.put('/preferences', async (req, res) => {
+  try {
+    if (!req.user || !req.user.uid) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    const uid = req.user.uid;
+    const input = req.body || {};
+
+    if (input.redactPii !== undefined && typeof input.redactPii !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'redactPii must be a boolean' });
+    }
+
+    if (input.syncToGmail !== undefined && typeof input.syncToGmail !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'syncToGmail must be a boolean' });
+    }
+
+    if (input.replySignature !== undefined &&
+      (typeof input.replySignature !== 'string' || input.replySignature.length > REPLY_SIGNATURE_MAX_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `replySignature must be a string of at most ${REPLY_SIGNATURE_MAX_LENGTH} characters`
+      });
+    }
+
+    const fields = PREFERENCE_FIELDS.filter(field => input[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No valid preference fields provided (${PREFERENCE_FIELDS.join(', ')})`
+      });
+    }
+
+    const userRef = db.collection('users').doc(uid);
+    const userDoc = await userRef.get();
+    const userData = userDoc.exists ? userDoc.data() : {};
+
+    // Write to wherever this user's preferences already live
+    const prefix = !userData.profile?.preferences && userData.preferences ? 'preferences' : 'profile.preferences';
+
+    if (!userDoc.exists) {
+      await userRef.set({ profile: { email: req.user.email || '', preferences: {} } });
+    }
+
+    const updates = {};
+    fields.forEach(field => {
+      updates[`${prefix}.${field}`] = input[field];
+    });
+    if (prefix === 'profile.preferences') {
+      updates['profile.updatedAt'] = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    await userRef.update(updates);
+
+    return res.status(200).json({ success: true, error: null });
+  } catch (error) {
+    console.error('Error updating user preferences:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/user/redaction-audit
+ * @desc    Get what was masked before message content was sent to the LLM (counts only)
+ * @access  Private
+ */
+router.get('/redaction-audit', async (req, res) => {
+  try {
+    if (!req.user || !req.user.uid) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const audit = await getRedactionAudit(req.user.uid, days);
+
+    return res.status(200).json(audit);
+  } catch (error) {
+    console.error('Error getting redaction audit:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+
+/**
+ * Convert a rule document into the shape returned by the API
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} - Rule with ISO dates
+ */
+const serializeRule = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt && data.createdAt.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+    updatedAt: data.updatedAt && data.updatedAt.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
+  };
+};
+
+/**
+ * @route   GET /api/user/rules
+ * @desc    Get the user's message rules in the order they are applied
+ * @access  Private
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    if (!req.user || !req.user.uid) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const rulesSnapshot = await getRulesRef(req.user.uid).get();
+    const rules = rulesSnapshot.docs
+      .map(serializeRule)
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    return res.status(200).json({ rules });
+  } catch (error) {
+    console.error('Error getting user rules:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/user/rules
+ * @desc    Create a message rule
+ * @access  Private
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    if (!req.user || !req.user.uid) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const now = new Date();
+    const ruleRef = await getRulesRef(req.user.uid).add({ ...rule, createdAt: now, updatedAt: now });
+
+    return res.status(201).json(serializeRule(await ruleRef.get()));
+  } catch (error) {
+    console.error('Error creating user rule:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/user/rules/:id
+ * @desc    Replace a message rule
+ * @access  Private
+ */
+router.put('/rules/:id', async (req, res) => {
+  try {
+    if (!req.user || !req.user.uid) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const ruleRef = getRulesRef(req.user.uid).doc(req.params.id);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await ruleRef.set({ ...rule, createdAt: ruleDoc.data().createdAt, updatedAt: new Date() });
+
+    return res.status(200).json(serializeRule(await ruleRef.get()));
+  } catch (error) {
+    console.error('Error updating user rule:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/user/rules/:id
+ * @desc    Delete a message rule
+ * @access  Private
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    if (!req.user || !req.user.uid) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const ruleRef = getRulesRef(req.user.uid).doc(req.params.id);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    await ruleRef.delete();
+
+    return res.status(200).json({ message: 'Rule deleted' });
+  } catch (error) {
+    console.error('Error deleting user rule:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
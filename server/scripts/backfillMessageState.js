@@ -0,0 +1,37 @@
+/**
+ * Backfill archive, snooze and label fields
+ *
+ * The inbox view of GET /api/messages filters on `archived == false` and
+ * `snoozed == false`, which Firestore only matches when the fields exist. New messages
+ * get them from models/messageModel.js, and older ones are backfilled on the user's first
+ * inbox request (see services/messageStateService.js); run this to do it ahead of time.
+ *
+ * Usage:
+ * node scripts/backfillMessageState.js [userId]
+ */
+
+require('dotenv').config();
+const { db } = require('../config/firebase');
+const { backfillMessageStateFields } = require('../services/messageStateService');
+
+async function backfillMessageState() {
+    const userIds = process.argv[2]
+        ? [process.argv[2]]
+        : (await db.collection('messages').listDocuments()).map(ref => ref.id);
+
+    console.log(`📥 Backfilling archive, snooze and label fields for ${userIds.length} user(s)...\n`);
+
+    for (const userId of userIds) {
+        const updated = await backfillMessageStateFields(userId);
+        console.log(`   - ${userId}: ${updated} messages updated`);
+    }
+
+    console.log('\n✅ Message state backfilled');
+}
+
+backfillMessageState()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Backfill failed:', error.message);
+        process.exit(1);
+    });
@@ -1,114 +1,240 @@
 /**
  * Email Classification Service
  * 
- * Uses Qwen 2.5 32B model from Nebius AI to classify emails into three categories:
+ * Uses the LLM configured for the "classifier" stage (see services/llmService.js,
+ * Qwen 2.5 32B on Nebius AI by default) to classify emails into three categories:
  * - FLOW_CRITICAL: Urgent messages requiring immediate attention
  * - FLOW_ACTION: Messages requiring action but not immediate response
  * - FLOW_INFO: FYI messages requiring no immediate action
+ *
+ * Next to the label it returns a category (see MESSAGE_CATEGORIES), a confidence
+ * between 0 and 1 and the deadline mentioned in the email, if any.
  */
 
 require('dotenv').config();
-const { OpenAI } = require('openai');
+const { generateText } = require('../services/llmService');
+const { withLlmCache } = require('../services/llmCacheService');
+const { createRedactor, recordRedactionAudit } = require('../services/redactionService');
+const { MESSAGE_CATEGORIES } = require('../models/messageModel');
 
-// Initialize OpenAI client with Nebius AI endpoint
-const client = new OpenAI({
-    baseURL: "https://api.studio.nebius.com/v1/",
-    apiKey: process.env.NEBIUS_API_KEY
-});
+// Bump whenever the prompt below changes so cached classifications are not reused
+const CLASSIFIER_PROMPT_VERSION = 2;
+
+const SYSTEM_PROMPT = `You're an expert email classifier for productivity workflows. Analyze each email and classify it strictly using ONLY these labels:
+
+FLOW_CRITICAL = Critical (Immediate action required, time-sensitive consequences)  
+FLOW_ACTION = Action Needed (Requires follow-up but not urgent)  
+FLOW_INFO = Informational (No action needed, FYI only)
+
+Consider the following factors in your reasoning:
+- Urgency language ("urgent", "ASAP", "immediately", "by EOD")
+- Explicit deadlines mentioned
+- Sender's role/authority and relationship to recipient
+- Direct requests vs indirect FYI
+- Consequence of inaction or delayed response
+- Whether the email requires a response
+- Presence of actionable items or tasks
+- Time-sensitivity of the subject matter
+
+Also assign exactly one category:
+meeting_request = Meeting invitations, scheduling or rescheduling requests
+invoice_billing = Invoices, payments, receipts, subscriptions and billing issues
+code_review = Pull requests, code review requests and CI results
+customer_support = Customer questions, complaints and support tickets
+newsletter = Newsletters, marketing, digests and announcements sent to a list
+security_alert = Sign-in alerts, password resets, vulnerabilities and security incidents
+personal = Personal, family or social messages
+other = Anything else
+
+Rate your confidence in the label from 0 to 1, and extract the deadline the email asks for, if any, as an ISO 8601 date (YYYY-MM-DD). Resolve relative deadlines ("by Friday", "tomorrow") against the date the email was sent. Use null when there is no deadline.
+
+Respond ONLY with a JSON object in this exact format:
+{"label": "FLOW_CRITICAL|FLOW_ACTION|FLOW_INFO", "category": "${MESSAGE_CATEGORIES.join('|')}", "confidence": 0.0-1.0, "deadline": "YYYY-MM-DD" or null, "reasoning": "brief explanation"}`;
+
+const validLabels = ['FLOW_CRITICAL', 'FLOW_ACTION', 'FLOW_INFO'];
+
+/**
+ * Turn the model's deadline into an ISO date, or null if it isn't a date
+ * @param {*} deadline - Deadline as answered by the model
+ * @returns {string|null} - e.g. "2025-05-02"
+ */
+function parseDeadline(deadline) {
+    if (typeof deadline !== 'string' || !deadline.trim()) return null;
+
+    const date = new Date(deadline.trim());
+    return isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+/**
+ * Keep the model's confidence only if it is a number between 0 and 1
+ * @param {*} confidence - Confidence as answered by the model
+ * @returns {number|null}
+ */
+function parseConfidence(confidence) {
+    const value = typeof confidence === 'string' ? parseFloat(confidence) : confidence;
+    return typeof value === 'number' && value >= 0 && value <= 1 ? value : null;
+}
 
 /**
- * Classifies email content using the Qwen 2.5 32B model
+ * Parse and validate the model's classification
+ *
+ * Only the label is required: an unknown category becomes "other" and a missing or
+ * invalid confidence or deadline becomes null, so a model that ignores part of the
+ * format still classifies.
+ *
+ * @param {string} rawResponse - Model output
+ * @returns {Object} - { label, category, confidence, deadline, reasoning }
+ */
+function parseClassification(rawResponse) {
+    let classification;
+    try {
+        classification = JSON.parse(rawResponse);
+    } catch (parseError) {
+        throw new Error(`Failed to parse classification response: ${rawResponse}. Error: ${parseError.message}`);
+    }
+
+    // Validate that we got the expected structure
+    if (!classification.label || !classification.reasoning) {
+        throw new Error(`Invalid classification response structure: ${rawResponse}`);
+    }
+
+    if (!validLabels.includes(classification.label)) {
+        throw new Error(`Invalid classification label: ${classification.label}`);
+    }
+
+    return {
+        label: classification.label,
+        category: MESSAGE_CATEGORIES.includes(classification.category) ? classification.category : 'other',
+        confidence: parseConfidence(classification.confidence),
+        deadline: parseDeadline(classification.deadline),
+        reasoning: classification.reasoning
+    };
+}
+
+/**
+ * Message fields stored from a classification
+ * @param {Object} classification - Result of classifyEmailToMessage
+ * @returns {Object} - { category, confidence, deadline } ready for Firestore
+ */
+function getClassificationFields({ category, confidence, deadline } = {}) {
+    return {
+        category: category || null,
+        confidence: typeof confidence === 'number' ? confidence : null,
+        deadline: deadline ? new Date(deadline) : null
+    };
+}
+
+/**
+ * Classifies email content using the classifier stage's LLM
  * 
  * @param {Object} email - Email object containing metadata and content
  * @param {string} email.from - Email sender
  * @param {string} email.subject - Email subject
  * @param {string} email.body - Email body text
- * @returns {Promise<string>} - Returns classification label: FLOW_CRITICAL, FLOW_ACTION, or FLOW_INFO
+ * @param {string|Date} email.date - When the email was sent, for relative deadlines (defaults to now)
+ * @param {string} email.bulkReason - Header that marks the email as bulk or automated (see utils/bulkMail.js)
+ * @param {Array} examples - The user's own priority corrections, shown to the model as
+ *                           few-shot examples ({ from, subject, content, label, category })
+ * @param {Object} privacy - { userId, redactPii, messageId }; PII in the sender, subject, body
+ *                           and examples is masked unless redactPii is false
+ * @returns {Promise<Object>} - { label, category, confidence, deadline, reasoning }; label is
+ *                            FLOW_CRITICAL, FLOW_ACTION, or FLOW_INFO
  */
-async function classifyEmailToMessage(email) {
+async function classifyEmailToMessage(email, examples = [], privacy = {}) {
     try {
+        // Personal data never leaves the server; placeholders are put back in the reasoning
+        const redactor = createRedactor(privacy.redactPii !== false);
+        const sender = redactor.redactSender(email.from);
+        const subject = redactor.redact(email.subject);
+        const body = redactor.redact(email.body.substring(0, 4000));
+        const sentDate = new Date(email.date || Date.now());
+        const sentOn = (isNaN(sentDate.getTime()) ? new Date() : sentDate).toISOString().substring(0, 10);
+
         // Create a comprehensive prompt with email metadata and content
         const emailContent = `
-From: ${email.from}
-Subject: ${email.subject}
+From: ${sender}
+Sent: ${sentOn}
+Subject: ${subject}${email.bulkReason ? `\nBulk/automated mail: yes (${email.bulkReason})` : ''}
 ---
-${email.body.substring(0, 4000)} // Limiting to 4000 chars to avoid token limits
+${body} // Limiting to 4000 chars to avoid token limits
 `;
 
         // console.log(`Classifying email: "${email.subject.substring(0, 50)}${email.subject.length > 50 ? '...' : ''}"`);
 
-        const response = await client.chat.completions.create({
-            model: "Qwen/Qwen2.5-32B-Instruct",
-            max_tokens: 100,
-            temperature: 0,
-            messages: [
+        // Past corrections become example exchanges so the model follows this user's judgement
+        const redactedExamples = examples.map(example => ({
+            ...example,
+            from: redactor.redact(example.from),
+            subject: redactor.redact(example.subject),
+            content: redactor.redact(example.content)
+        }));
+        const exampleMessages = redactedExamples.flatMap(example => [
+            {
+                role: "user",
+                content: `
+From: ${example.from}
+Subject: ${example.subject}
+---
+${example.content}
+`
+            },
+            {
+                role: "assistant",
+                content: JSON.stringify({
+                    label: example.label,
+                    category: example.category || 'other',
+                    confidence: 1,
+                    deadline: null,
+                    reasoning: 'The user set this priority for a similar message'
+                })
+            }
+        ]);
+
+        // Identical emails (newsletters, notifications) reuse an earlier classification
+        // (keyed and stored redacted, so the cache holds no personal data either)
+        const classification = await withLlmCache('classifier', {
+            from: email.from,
+            subject,
+            body,
+            promptVersion: CLASSIFIER_PROMPT_VERSION,
+            context: {
+                // Relative deadlines depend on the day the email was sent
+                sentOn,
+                // Only set for bulk mail, so cached classifications of other mail stay valid
+                ...(email.bulkReason ? { bulkReason: email.bulkReason } : {}),
+                redacted: redactor.enabled,
+                examples: redactedExamples.map(example => [example.from, example.subject, example.content, example.label, example.category])
+            }
+        }, async () => {
+            const response = await generateText('classifier', [
                 {
                     role: "system",
-                    content: `You're an expert email classifier for productivity workflows. Analyze each email and classify it strictly using ONLY these labels:
-
-FLOW_CRITICAL = Critical (Immediate action required, time-sensitive consequences)  
-FLOW_ACTION = Action Needed (Requires follow-up but not urgent)  
-FLOW_INFO = Informational (No action needed, FYI only)
-
-Consider the following factors in your reasoning:
-- Urgency language ("urgent", "ASAP", "immediately", "by EOD")
-- Explicit deadlines mentioned
-- Sender's role/authority and relationship to recipient
-- Direct requests vs indirect FYI
-- Consequence of inaction or delayed response
-- Whether the email requires a response
-- Presence of actionable items or tasks
-- Time-sensitivity of the subject matter
-
-Respond ONLY with a JSON object in this exact format:
-{"label": "FLOW_CRITICAL|FLOW_ACTION|FLOW_INFO", "reasoning": "brief explanation"}`
+                    content: SYSTEM_PROMPT
                 },
+                ...exampleMessages,
                 {
                     role: "user",
                     content: emailContent
                 }
-            ]
-        });
-
-        // Extract and parse the classification result
-        const rawResponse = response.choices[0].message.content.trim();
-        // console.log(`Raw classification response: ${rawResponse}`);
+            ]);
 
-        try {
-            const classification = JSON.parse(rawResponse);
-            
-            // Validate that we got the expected structure
-            if (!classification.label || !classification.reasoning) {
-                throw new Error('Invalid response structure');
-            }
-
-            const validLabels = ['FLOW_CRITICAL', 'FLOW_ACTION', 'FLOW_INFO'];
-            if (!validLabels.includes(classification.label)) {
-                throw new Error(`Invalid label: ${classification.label}`);
-            }
+            // console.log(`Raw classification response: ${response.text}`);
+            return parseClassification(response.text);
+        });
 
-            // console.log(`ppppp Email classified as: ${classification.label} - ${classification.reasoning}`);
-            return {
-                label: classification.label,
-                reasoning: classification.reasoning
-            };
-
-        } catch (parseError) {
-            console.warn(`Failed to parse classification response: ${rawResponse}. Error: ${parseError.message}`);
-            // Default fallback
-            return {
-                label: 'FLOW_INFO',
-                reasoning: 'Classification failed, defaulted to informational'
-            };
-        }
+        recordRedactionAudit(privacy, 'classifier', redactor, privacy.messageId);
+        return redactor.restore(classification);
     } catch (error) {
-        console.error('Email classification error:', error);
+        console.error('Email classification error:', error.message);
         // Default to FLOW_INFO for any errors to avoid blocking the pipeline
         return {
-                label: 'FLOW_INFO',
-                reasoning: 'Classification failed, defaulted to informational'
-            };
+            label: 'FLOW_INFO',
+            category: 'other',
+            confidence: 0,
+            deadline: null,
+            reasoning: 'Classification failed, defaulted to informational'
+        };
     }
 }
 
-module.exports = { classifyEmailToMessage };
\ No newline at end of file
+module.exports = { classifyEmailToMessage, getClassificationFields };
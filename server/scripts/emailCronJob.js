@@ -1,10 +1,28 @@
 const cron = require('node-cron');
 const { getUsersWithValidTokens } = require('../models/oauthTokenModel');
-const { fetchUserEmails, saveEmailsToFirestore } = require('../services/emailService');
+const { saveEmailsToFirestore } = require('../services/emailService');
+const { syncGmailMailbox, commitGmailSync } = require('../services/gmailSyncService');
+const {
+  fetchImapEmails,
+  parseImapMessage,
+  getImapServices,
+  getImapSyncState,
+  saveImapSyncState
+} = require('../services/imapService');
+const { syncOutlookMailbox, commitOutlookSync } = require('../services/outlookSyncService');
+const { fetchOutlookAttachments, parseOutlookMessage, getMicrosoftServices } = require('../services/microsoftGraphService');
 const { classifyEmailToMessage } = require('./classifyEmailToMessage');
 const { generateTaskFromMessage } = require('./taskGenerator');
-const { processEmail } = require('./processEmail');
+const { processEmail, processParsedEmail, loadClassificationContext } = require('./processEmail');
 const { db } = require('../config/firebase');
+const { getSyncLeaseKey, acquireSyncLease, releaseSyncLease } = require('../services/syncLeaseService');
+const { runWithTimeout, throwIfAborted, runWithConcurrency, TimeoutError } = require('../utils/workerPool');
+
+// Number of mailboxes processed in parallel and time budget per mailbox
+const EMAIL_CRON_CONCURRENCY = parseInt(process.env.EMAIL_CRON_CONCURRENCY) || 5;
+const EMAIL_CRON_USER_TIMEOUT_MS = parseInt(process.env.EMAIL_CRON_USER_TIMEOUT_MS) || 5 * 60 * 1000;
+// Messages classified and saved at a time, so a run that times out keeps what it saved
+const EMAIL_CRON_SAVE_CHUNK_SIZE = parseInt(process.env.EMAIL_CRON_SAVE_CHUNK_SIZE) || 20;
 
 // Log messages with timestamp
 const log = (message) => {
@@ -12,87 +30,266 @@ const log = (message) => {
   console.log(`[${timestamp}] ${message}`);
 };
 
+/**
+ * Classify fetched messages, generate their tasks and save them EMAIL_CRON_SAVE_CHUNK_SIZE
+ * at a time. The syncs skip messages that are already stored, so when a run is stopped
+ * the next one carries on after the last saved chunk.
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} items - Fetched messages
+ * @param {Function} processItem - async (item, classificationContext) => processed email
+ * @param {Object} options - { signal, onChunkSaved(chunkItems) }
+ * @returns {Promise<Object>} - { success, savedCount, classifiedCount, taskedCount, error }
+ */
+const saveInChunks = async (userId, items, processItem, { signal, onChunkSaved } = {}) => {
+  const classificationContext = await loadClassificationContext(userId);
+  let savedCount = 0;
+  let classifiedCount = 0;
+  let taskedCount = 0;
+
+  for (let i = 0; i < items.length; i += EMAIL_CRON_SAVE_CHUNK_SIZE) {
+    const chunkItems = items.slice(i, i + EMAIL_CRON_SAVE_CHUNK_SIZE);
+    const emailResults = [];
+    const tasksResults = [];
+
+    for (const item of chunkItems) {
+      throwIfAborted(signal);
+      const processedEmail = await processItem(item, classificationContext);
+      emailResults.push(processedEmail);
+
+      const taskResult = await generateTaskFromMessage(processedEmail, classificationContext.privacy);
+      if (taskResult.isGenerateTask) {
+        if (taskResult.isMultiple) {
+          tasksResults.push(...taskResult.tasks);
+        } else {
+          tasksResults.push(taskResult.tasks);
+        }
+      }
+    }
+
+    throwIfAborted(signal);
+    const saveResult = await saveEmailsToFirestore(userId, emailResults, tasksResults);
+    if (!saveResult.success) {
+      return { success: false, error: saveResult.error };
+    }
+
+    savedCount += saveResult.savedCount;
+    classifiedCount += emailResults.length;
+    taskedCount += saveResult.savedTasksCount;
+    if (onChunkSaved) await onChunkSaved(chunkItems);
+
+    log(`Saved ${Math.min(i + chunkItems.length, items.length)}/${items.length} emails for user ${userId}`);
+  }
+
+  return { success: true, savedCount, classifiedCount, taskedCount };
+};
+
 // Run email fetching for a specific user
-const processUserEmails = async (userId, tokenData) => {
+// (signal: optional AbortSignal from runWithTimeout, checked between stages)
+const processUserEmails = async (userId, tokenData, signal) => {
   try {
-    log(`Fetching emails for user ${userId}...`);
+    log(`Syncing emails for user ${userId}...`);
 
-    // Fetch recent emails (adjust query as needed)
-    const fetchResult = await fetchUserEmails(userId, {
-      maxResults: 5,
-      query: 'is:inbox newer_than:7d' // Get inbox emails from last 7 days
-    });
+    // Pull only what changed since the last sync (or run a full resync)
+    const syncResult = await syncGmailMailbox(userId);
 
-    if (!fetchResult.success) {
-      log(`Failed to fetch emails for user ${userId}: ${fetchResult.error}`);
+    if (!syncResult.success) {
+      log(`Failed to fetch emails for user ${userId}: ${syncResult.error}`);
       return {
         success: false,
-        error: fetchResult.error
+        error: syncResult.error
       };
     }
 
-    log(`Found ${fetchResult.emails.length} emails for user ${userId}`);
-    // Skip saving if no emails found
-    if (fetchResult.emails.length === 0) {
+    log(`Found ${syncResult.messageIds.length} new emails for user ${userId}` +
+      ` (${syncResult.fullResync ? 'full resync' : 'incremental'}, ${syncResult.deletedCount} deleted, ${syncResult.updatedCount} relabelled` +
+      `${syncResult.truncated ? ', the rest next run' : ''})`);
+
+    // Skip saving if no new emails found
+    if (syncResult.messageIds.length === 0) {
+      throwIfAborted(signal);
+      await commitGmailSync(userId, syncResult);
       return {
         success: true,
         savedCount: 0,
-        fetchedCount: 0
+        fetchedCount: syncResult.fetchedCount,
+        classifiedCount: 0,
+        taskedCount: 0
       };
     }
-    const emailResults = [];
-    const tasksResults = [];
-    let count = 0;
-    const messagesRef = db.collection('messages').doc(userId).collection('userMessages');
-
-    for (const email of fetchResult.emails) {
-      const isEmailProcessed = await messagesRef.doc(email.id).get();
-      if (isEmailProcessed.exists) {
-        log(`Email ${email.id} already processed for user ${userId}, skipping...`);
-        continue; // Skip already processed emails
-      }
-  
-      const processedEmail =  await processEmail(fetchResult.gmailClient, email.id);
-      emailResults.push(processedEmail);
-      const taskResult = await generateTaskFromMessage(processedEmail);
-      if(taskResult.isGenerateTask){
-        if(taskResult.isMultiple){
-          tasksResults.push(...taskResult.tasks);
-        }else{
-          tasksResults.push(taskResult.tasks);
-        }
+    const saveResult = await saveInChunks(
+      userId,
+      syncResult.messageIds,
+      (emailId, classificationContext) => processEmail(syncResult.gmailClient, emailId, classificationContext),
+      { signal }
+    );
+
+    if (!saveResult.success) {
+      log(`Failed to save emails for user ${userId}: ${saveResult.error}`);
+      return {
+        success: false,
+        error: saveResult.error
+      };
+    }
+
+    // Only advance the history ID once the new messages are stored
+    throwIfAborted(signal);
+    await commitGmailSync(userId, syncResult);
+
+    log(`Saved ${saveResult.savedCount} new emails for user ${userId}`);
+
+    return {
+      success: true,
+      savedCount: saveResult.savedCount,
+      fetchedCount: syncResult.fetchedCount,
+      classifiedCount: saveResult.classifiedCount,
+      taskedCount: saveResult.taskedCount
+    };
+  } catch (error) {
+    log(`Error processing emails for user ${userId}: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Run email fetching for one of a user's IMAP mail services
+const processUserImapEmails = async (userId, serviceId, authData, signal) => {
+  try {
+    log(`Syncing IMAP emails for user ${userId} (service ${serviceId})...`);
+
+    const state = await getImapSyncState(userId, serviceId);
+    const fetchResult = await fetchImapEmails(authData, {
+      lastUid: state ? state.lastUid : 0,
+      uidValidity: state ? state.uidValidity : null
+    });
+
+    if (!fetchResult.success) {
+      log(`Failed to fetch IMAP emails for user ${userId}: ${fetchResult.error}`);
+      return {
+        success: false,
+        error: fetchResult.error
+      };
+    }
+
+    log(`Found ${fetchResult.messages.length} new IMAP emails for user ${userId}`);
+
+    // Remember the highest saved UID after each chunk so the next run only asks for newer mail
+    const saveResult = await saveInChunks(
+      userId,
+      fetchResult.messages,
+      async (message, classificationContext) => {
+        const sourceId = `imap-${serviceId}-${fetchResult.uidValidity}-${message.uid}`;
+        const parsedEmail = await parseImapMessage(message, sourceId);
+        return processParsedEmail(parsedEmail, {
+          read: parsedEmail.read,
+          internetMessageId: parsedEmail.internetMessageId,
+          serviceId
+        }, classificationContext);
+      },
+      {
+        signal,
+        onChunkSaved: (chunkMessages) => saveImapSyncState(userId, serviceId, {
+          uidValidity: fetchResult.uidValidity,
+          lastUid: chunkMessages[chunkMessages.length - 1].uid
+        })
       }
+    );
 
-      log(`Processed email ${count + 1}/${fetchResult.emails.length} for user ${userId}`);
-      count++;
+    if (!saveResult.success) {
+      log(`Failed to save IMAP emails for user ${userId}: ${saveResult.error}`);
+      return {
+        success: false,
+        error: saveResult.error
+      };
+    }
+
+    // A new or reset mailbox with no mail still records its UIDVALIDITY
+    if (fetchResult.messages.length === 0) {
+      throwIfAborted(signal);
+      const sameMailbox = state && state.uidValidity === fetchResult.uidValidity;
+      await saveImapSyncState(userId, serviceId, {
+        uidValidity: fetchResult.uidValidity,
+        lastUid: sameMailbox ? state.lastUid : 0
+      });
     }
-   if(emailResults.length === 0) {
-      log(`No new emails to save for user ${userId}`);
+
+    log(`Saved ${saveResult.savedCount} new IMAP emails for user ${userId}`);
+
+    return {
+      success: true,
+      savedCount: saveResult.savedCount,
+      fetchedCount: fetchResult.messages.length,
+      classifiedCount: saveResult.classifiedCount,
+      taskedCount: saveResult.taskedCount
+    };
+  } catch (error) {
+    log(`Error processing IMAP emails for user ${userId}: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Run email fetching for a user's Outlook inbox (Microsoft 365)
+const processUserOutlookEmails = async (userId, serviceId, signal) => {
+  try {
+    log(`Syncing Outlook emails for user ${userId}...`);
+
+    const syncResult = await syncOutlookMailbox(userId);
+
+    if (!syncResult.success) {
+      log(`Failed to fetch Outlook emails for user ${userId}: ${syncResult.error}`);
       return {
-        success: true,
-        savedCount: 0,
-        fetchedCount: fetchResult.emails.length
+        success: false,
+        error: syncResult.error
       };
-   }
-    const saveResult = await saveEmailsToFirestore(userId, emailResults, tasksResults);
+    }
+
+    log(`Found ${syncResult.newMessages.length} new Outlook emails for user ${userId}` +
+      ` (${syncResult.fullResync ? 'full resync' : 'incremental'}, ${syncResult.deletedCount} deleted, ${syncResult.updatedCount} updated)`);
+
+    const saveResult = await saveInChunks(
+      userId,
+      syncResult.newMessages,
+      async (message, classificationContext) => {
+        const attachments = message.hasAttachments
+          ? await fetchOutlookAttachments(syncResult.accessToken, message.id).catch(() => [])
+          : [];
+        const parsedEmail = parseOutlookMessage(message, attachments);
+        return processParsedEmail(parsedEmail, {
+          read: parsedEmail.read,
+          internetMessageId: parsedEmail.internetMessageId,
+          serviceId
+        }, classificationContext);
+      },
+      { signal }
+    );
 
     if (!saveResult.success) {
-      log(`Failed to save emails for user ${userId}: ${saveResult.error}`);
+      log(`Failed to save Outlook emails for user ${userId}: ${saveResult.error}`);
       return {
         success: false,
         error: saveResult.error
       };
     }
 
-    log(`Saved ${saveResult.savedCount} new emails for user ${userId}`);
+    // Only advance the deltaLink once the new messages are stored
+    throwIfAborted(signal);
+    await commitOutlookSync(userId, syncResult);
+
+    log(`Saved ${saveResult.savedCount} new Outlook emails for user ${userId}`);
 
     return {
       success: true,
       savedCount: saveResult.savedCount,
-      fetchedCount: fetchResult.emails.length
+      fetchedCount: syncResult.fetchedCount,
+      classifiedCount: saveResult.classifiedCount,
+      taskedCount: saveResult.taskedCount
     };
   } catch (error) {
-    log(`Error processing emails for user ${userId}: ${error.message}`);
+    log(`Error processing Outlook emails for user ${userId}: ${error.message}`);
     return {
       success: false,
       error: error.message
@@ -100,37 +297,158 @@ const processUserEmails = async (userId, tokenData) => {
   }
 };
 
+/**
+ * Save an aggregated report of a cron run to Firestore
+ * @param {Object} report - Run report
+ * @returns {Promise<string|null>} - ID of the saved report document
+ */
+const saveRunReport = async (report) => {
+  try {
+    const reportRef = await db.collection('cronRuns').add(report);
+    return reportRef.id;
+  } catch (error) {
+    log(`Failed to save email cron run report: ${error.message}`);
+    return null;
+  }
+};
+
 // Main function that runs the cron job
-const runEmailCronJob = async () => {
+const runEmailCronJob = async (options = {}) => {
+  const concurrency = options.concurrency || EMAIL_CRON_CONCURRENCY;
+  const userTimeoutMs = options.userTimeoutMs || EMAIL_CRON_USER_TIMEOUT_MS;
+  const startedAt = new Date();
+
   try {
     log('Starting email fetch cron job...');
 
-    // Get all users with valid Google tokens
+    // Get all users with valid Google tokens and all IMAP and Outlook mail services
     const usersWithTokens = await getUsersWithValidTokens('google');
+    const imapServices = await getImapServices().catch(error => {
+      log(`Failed to load IMAP services: ${error.message}`);
+      return [];
+    });
+    const outlookServices = await getMicrosoftServices('email').catch(error => {
+      log(`Failed to load Outlook services: ${error.message}`);
+      return [];
+    });
 
-    log(`Found ${usersWithTokens.length} users with valid Google tokens`);
+    log(`Found ${usersWithTokens.length} users with valid Google tokens, ${imapServices.length} IMAP services and ${outlookServices.length} Outlook services`);
 
-    if (usersWithTokens.length === 0) {
+    const jobs = [
+      ...usersWithTokens.map(({ userId, tokenData }) => ({
+        userId,
+        source: 'gmail',
+        run: (signal) => processUserEmails(userId, tokenData, signal)
+      })),
+      ...imapServices.map(({ userId, serviceId, authData }) => ({
+        userId,
+        source: 'imap',
+        serviceId,
+        run: (signal) => processUserImapEmails(userId, serviceId, authData, signal)
+      })),
+      ...outlookServices.map(({ userId, serviceId }) => ({
+        userId,
+        source: 'outlook',
+        serviceId,
+        run: (signal) => processUserOutlookEmails(userId, serviceId, signal)
+      }))
+    ];
+
+    if (jobs.length === 0) {
       log('No users to process. Ending job.');
-      return;
+      return null;
     }
 
-    // Process each user's emails
-    const results = await Promise.all(
-      [usersWithTokens[0]].map(({ userId, tokenData }) =>
-        processUserEmails(userId, tokenData)
-      )
-    );
+    log(`Processing ${jobs.length} mailboxes with concurrency ${concurrency} and a ${userTimeoutMs}ms timeout per mailbox`);
+
+    // Process every mailbox through a bounded worker pool; a timed-out sync is
+    // cancelled and keeps its slot until it has actually stopped
+    const settled = await runWithConcurrency(jobs, concurrency, async (job) => {
+      const jobStartedAt = Date.now();
+      const leaseKey = getSyncLeaseKey(job.source, job.serviceId);
+      let leaseId = null;
+      try {
+        // A sync started from the dashboard may still be running for this mailbox
+        leaseId = await acquireSyncLease(job.userId, leaseKey, userTimeoutMs * 2, 'email cron');
+        if (!leaseId) {
+          log(`Skipping ${job.source} mailbox of user ${job.userId}: another sync is running`);
+          return { ...job, success: true, skipped: true, durationMs: Date.now() - jobStartedAt };
+        }
+
+        const result = await runWithTimeout(
+          job.run,
+          userTimeoutMs,
+          `Email sync (${job.source}) for user ${job.userId}`
+        );
+        return { ...job, ...result, durationMs: Date.now() - jobStartedAt };
+      } catch (error) {
+        log(`Error processing emails for user ${job.userId}: ${error.message}`);
+        return {
+          ...job,
+          success: false,
+          error: error.message,
+          timedOut: error instanceof TimeoutError,
+          durationMs: Date.now() - jobStartedAt
+        };
+      } finally {
+        if (leaseId) {
+          await releaseSyncLease(job.userId, leaseKey, leaseId).catch(error => {
+            log(`Could not release the sync lease of user ${job.userId}: ${error.message}`);
+          });
+        }
+      }
+    });
+
+    const results = settled.map(({ value }) => ({
+      userId: value.userId,
+      source: value.source,
+      serviceId: value.serviceId || null,
+      success: value.success,
+      fetchedCount: value.fetchedCount || 0,
+      classifiedCount: value.classifiedCount || 0,
+      taskedCount: value.taskedCount || 0,
+      savedCount: value.savedCount || 0,
+      timedOut: value.timedOut || false,
+      skipped: value.skipped || false,
+      error: value.error || null,
+      durationMs: value.durationMs
+    }));
 
     // Summarize results
     const successCount = results.filter(r => r.success).length;
-    const totalSaved = results.reduce((sum, r) => sum + (r.savedCount || 0), 0);
+    const timedOutCount = results.filter(r => r.timedOut).length;
+    const skippedCount = results.filter(r => r.skipped).length;
+    const totalFetched = results.reduce((sum, r) => sum + r.fetchedCount, 0);
+    const totalSaved = results.reduce((sum, r) => sum + r.savedCount, 0);
+    const finishedAt = new Date();
+
+    const report = {
+      job: 'email',
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt.getTime() - startedAt.getTime(),
+      concurrency,
+      userTimeoutMs,
+      totalUsers: new Set(jobs.map(job => job.userId)).size,
+      totalMailboxes: jobs.length,
+      successCount,
+      failedCount: results.length - successCount,
+      timedOutCount,
+      skippedCount,
+      totalFetched,
+      totalSaved,
+      results
+    };
+
+    const reportId = await saveRunReport(report);
 
-    log(`Email fetch job completed: ${successCount}/${usersWithTokens.length} users processed successfully`);
+    log(`Email fetch job completed: ${successCount}/${jobs.length} mailboxes processed successfully (${timedOutCount} timed out, ${skippedCount} skipped)`);
     log(`Total new emails saved: ${totalSaved}`);
 
+    return { id: reportId, ...report };
   } catch (error) {
     log(`Error in email cron job: ${error.message}`);
+    return null;
   }
 };
 
@@ -138,7 +456,7 @@ const runEmailCronJob = async () => {
 const scheduleEmailCronJob = (schedule = '0 * * * *') => {
   log(`Scheduling email fetch cron job with schedule: ${schedule}`);
 
-  cron.schedule(schedule, runEmailCronJob);
+  cron.schedule(schedule, () => runEmailCronJob());
   log('Email fetch cron job scheduled successfully');
 
   // Return a function that can be used to run the job manually
@@ -147,5 +465,8 @@ const scheduleEmailCronJob = (schedule = '0 * * * *') => {
 
 module.exports = {
   scheduleEmailCronJob,
-  runEmailCronJob
+  runEmailCronJob,
+  processUserEmails,
+  processUserImapEmails,
+  processUserOutlookEmails
 };
@@ -0,0 +1,412 @@
+/**
+ * Classification evaluation harness
+ *
+ * Runs a directory of labeled email fixtures through classifyEmailToMessage and
+ * generateTaskFromMessage and reports:
+ * - per-label precision/recall/F1 and a confusion matrix for the priority label
+ * - category accuracy
+ * - task extraction accuracy (task or no task, title, due date, priority)
+ * - what changed since the stored baseline
+ *
+ * Each fixture is a JSON file shaped like the sample data in insertSampleMessages.js:
+ * {
+ *   "message": { "type": "email", "from": { "name", "email" }, "subject", "content", ... },
+ *   "expected": {
+ *     "priority": "critical" | "action" | "info",
+ *     "category": "newsletter" | ... (see MESSAGE_CATEGORIES, optional),
+ *     "task": null | { "titleKeywords": [...], "dueInDays": 0, "priority": "high" | "medium" | "low" }
+ *   }
+ * }
+ * `dueInDays` counts days from the day of the run; leave it out to skip the due date check.
+ *
+ * The model comes from the LLM provider chain (see services/llmService.js) and defaults
+ * to the offline mock provider, so prompt and pipeline changes can be compared without
+ * API keys. Pass --chain to evaluate a real model.
+ *
+ * Usage:
+ * node scripts/evalClassifier.js [--chain mock] [--fixtures <dir>] [--baseline <file>]
+ *                                [--update-baseline] [--fail-on-regression] [--json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PRIORITIES = ['critical', 'action', 'info'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without dashes
+ * @param {string} defaultValue - Value when the option is missing
+ * @returns {string} - Option value
+ */
+const getOption = (name, defaultValue) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+};
+
+const options = {
+    chain: getOption('chain', 'mock'),
+    fixturesDir: path.resolve(getOption('fixtures', path.join(__dirname, 'fixtures', 'classification'))),
+    baselinePath: path.resolve(getOption('baseline', path.join(__dirname, 'fixtures', 'classification-baseline.json'))),
+    updateBaseline: process.argv.includes('--update-baseline'),
+    failOnRegression: process.argv.includes('--fail-on-regression'),
+    json: process.argv.includes('--json')
+};
+
+// Both stages use the chain under evaluation; set before the pipeline loads the environment.
+// Cached results would hide prompt changes, so the cache is off.
+process.env.LLM_CLASSIFIER_CHAIN = options.chain;
+process.env.LLM_TASKS_CHAIN = options.chain;
+process.env.LLM_CACHE_ENABLED = 'false';
+
+const { classifyEmailToMessage } = require('./classifyEmailToMessage');
+const { generateTaskFromMessage } = require('./taskGenerator');
+
+const priorityMap = {
+    'FLOW_CRITICAL': 'critical',
+    'FLOW_ACTION': 'action',
+    'FLOW_INFO': 'info'
+};
+
+/**
+ * Load every fixture of a directory
+ * @param {string} dir - Fixtures directory
+ * @returns {Array} - [{ id, message, expected }]
+ */
+const loadFixtures = (dir) => {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            if (!fixture.message || !fixture.expected || !PRIORITIES.includes(fixture.expected.priority)) {
+                throw new Error(`Fixture ${file} needs a message and an expected priority`);
+            }
+            return { id: path.basename(file, '.json'), ...fixture };
+        });
+};
+
+/**
+ * Days between today and a date, by calendar day
+ * @param {Date} date - Due date
+ * @returns {number|null} - Day offset
+ */
+const toDayOffset = (date) => {
+    if (!date || isNaN(new Date(date).getTime())) return null;
+    const startOfDay = (value) => {
+        const day = new Date(value);
+        day.setHours(0, 0, 0, 0);
+        return day.getTime();
+    };
+    return Math.round((startOfDay(date) - startOfDay(new Date())) / DAY_MS);
+};
+
+/**
+ * Run one fixture through the classifier and task generator the way the sync pipeline does
+ * @param {Object} fixture - Loaded fixture
+ * @returns {Promise<Object>} - { priority, category, reasoning, task }
+ */
+const runFixture = async ({ id, message }) => {
+    const from = message.from ? `${message.from.name} <${message.from.email}>` : 'Unknown Sender';
+    const { label, category, reasoning } = await classifyEmailToMessage({
+        from,
+        subject: message.subject || 'No Subject',
+        body: message.content || ''
+    });
+    const priority = priorityMap[label] || 'info';
+
+    const taskResult = await generateTaskFromMessage({
+        ...message,
+        type: message.type || 'email',
+        priority,
+        sourceId: id
+    });
+
+    let task = null;
+    if (taskResult.isGenerateTask) {
+        // Only the first task is scored when the generator splits a message
+        const generated = taskResult.isMultiple ? taskResult.tasks[0] : (taskResult.tasks || taskResult.task);
+        if (generated) {
+            task = {
+                title: generated.title || '',
+                dueInDays: toDayOffset(generated.dueDate),
+                priority: generated.priority || null
+            };
+        }
+    }
+
+    return { priority, category, reasoning, task };
+};
+
+/**
+ * Compare a prediction with its fixture
+ * @param {Object} expected - Fixture expectation
+ * @param {Object} predicted - Result of runFixture
+ * @returns {Object} - Per-check outcome (null when the check doesn't apply)
+ */
+const scoreFixture = (expected, predicted) => {
+    const expectedTask = expected.task || null;
+    const bothHaveTasks = Boolean(expectedTask && predicted.task);
+
+    return {
+        priority: expected.priority === predicted.priority,
+        category: expected.category ? expected.category === predicted.category : null,
+        taskDetected: Boolean(expectedTask) === Boolean(predicted.task),
+        title: bothHaveTasks && expectedTask.titleKeywords
+            ? expectedTask.titleKeywords.every(keyword => predicted.task.title.toLowerCase().includes(keyword.toLowerCase()))
+            : null,
+        dueDate: bothHaveTasks && expectedTask.dueInDays !== undefined
+            ? expectedTask.dueInDays === predicted.task.dueInDays
+            : null,
+        taskPriority: bothHaveTasks && expectedTask.priority
+            ? expectedTask.priority === predicted.task.priority
+            : null
+    };
+};
+
+/**
+ * Share of passed checks, ignoring checks that didn't apply
+ * @param {Array} scores - Per-fixture scores
+ * @param {string} field - Score field
+ * @returns {Object} - { correct, total, accuracy }
+ */
+const accuracyOf = (scores, field) => {
+    const applicable = scores.filter(score => score[field] !== null);
+    const correct = applicable.filter(score => score[field]).length;
+    return {
+        correct,
+        total: applicable.length,
+        accuracy: applicable.length > 0 ? round(correct / applicable.length) : null
+    };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Compute the evaluation metrics of a run
+ * @param {Array} results - [{ id, expected, predicted, score }]
+ * @returns {Object} - { accuracy, labels, confusion, category, tasks }
+ */
+const computeMetrics = (results) => {
+    // confusion[expected][predicted]
+    const confusion = {};
+    PRIORITIES.forEach(expected => {
+        confusion[expected] = {};
+        PRIORITIES.forEach(predicted => { confusion[expected][predicted] = 0; });
+    });
+    results.forEach(({ expected, predicted }) => {
+        confusion[expected.priority][predicted.priority]++;
+    });
+
+    const labels = {};
+    PRIORITIES.forEach(label => {
+        const truePositives = confusion[label][label];
+        const predictedCount = PRIORITIES.reduce((sum, expected) => sum + confusion[expected][label], 0);
+        const support = PRIORITIES.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+        const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+        const recall = support > 0 ? truePositives / support : 0;
+
+        labels[label] = {
+            precision: round(precision),
+            recall: round(recall),
+            f1: precision + recall > 0 ? round((2 * precision * recall) / (precision + recall)) : 0,
+            support
+        };
+    });
+
+    const scores = results.map(result => result.score);
+    return {
+        accuracy: accuracyOf(scores, 'priority').accuracy,
+        labels,
+        confusion,
+        category: accuracyOf(scores, 'category'),
+        tasks: {
+            detection: accuracyOf(scores, 'taskDetected'),
+            title: accuracyOf(scores, 'title'),
+            dueDate: accuracyOf(scores, 'dueDate'),
+            priority: accuracyOf(scores, 'taskPriority')
+        }
+    };
+};
+
+/**
+ * Compare a run with the stored baseline
+ * @param {Object} baseline - Stored baseline
+ * @param {Object} metrics - Metrics of this run
+ * @param {Array} results - Results of this run
+ * @returns {Object} - { metrics: [{ name, before, after, delta }], fixtures: [...], regressed }
+ */
+const diffAgainstBaseline = (baseline, metrics, results) => {
+    const pairs = [['priority accuracy', baseline.metrics.accuracy, metrics.accuracy]];
+    PRIORITIES.forEach(label => {
+        pairs.push([`${label} F1`, baseline.metrics.labels[label].f1, metrics.labels[label].f1]);
+    });
+    // Baselines recorded before categories existed have no category accuracy
+    pairs.push(['category accuracy', baseline.metrics.category ? baseline.metrics.category.accuracy : null, metrics.category.accuracy]);
+    Object.keys(metrics.tasks).forEach(check => {
+        pairs.push([`task ${check} accuracy`, baseline.metrics.tasks[check].accuracy, metrics.tasks[check].accuracy]);
+    });
+
+    const metricChanges = pairs
+        .filter(([, before, after]) => before !== after)
+        .map(([name, before, after]) => ({
+            name,
+            before,
+            after,
+            delta: before !== null && after !== null ? round(after - before) : null
+        }));
+
+    const fixtureChanges = [];
+    results.forEach(({ id, predicted, score }) => {
+        const previous = baseline.results[id];
+        if (!previous) {
+            fixtureChanges.push({ id, change: 'new fixture' });
+            return;
+        }
+        if (previous.predicted.priority !== predicted.priority) {
+            fixtureChanges.push({
+                id,
+                change: `priority ${previous.predicted.priority} -> ${predicted.priority} (${score.priority ? 'now correct' : 'now wrong'})`
+            });
+        }
+        if (previous.predicted.category && previous.predicted.category !== predicted.category) {
+            fixtureChanges.push({ id, change: `category ${previous.predicted.category} -> ${predicted.category}` });
+        }
+        if (Boolean(previous.predicted.task) !== Boolean(predicted.task)) {
+            fixtureChanges.push({ id, change: predicted.task ? 'now creates a task' : 'no longer creates a task' });
+        }
+    });
+
+    return {
+        metrics: metricChanges,
+        fixtures: fixtureChanges,
+        regressed: metricChanges.some(change => change.delta !== null && change.delta < 0)
+    };
+};
+
+const percent = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Print the report of a run
+ * @param {Object} report - { metrics, results, diff }
+ */
+const printReport = ({ metrics, results, diff }) => {
+    console.log(`\n📊 Priority classification (${results.length} fixtures, accuracy ${percent(metrics.accuracy)})\n`);
+    console.log('   label      precision  recall  f1      support');
+    PRIORITIES.forEach(label => {
+        const { precision, recall, f1, support } = metrics.labels[label];
+        console.log(`   ${label.padEnd(10)} ${percent(precision).padEnd(10)} ${percent(recall).padEnd(7)} ${percent(f1).padEnd(7)} ${support}`);
+    });
+
+    console.log('\n   confusion (rows: expected, columns: predicted)');
+    console.log(`   ${''.padEnd(10)} ${PRIORITIES.map(label => label.padEnd(9)).join('')}`);
+    PRIORITIES.forEach(expected => {
+        console.log(`   ${expected.padEnd(10)} ${PRIORITIES.map(predicted => String(metrics.confusion[expected][predicted]).padEnd(9)).join('')}`);
+    });
+
+    const { correct, total, accuracy } = metrics.category;
+    console.log(`\n🏷️ Category accuracy ${percent(accuracy)} (${correct}/${total})`);
+
+    console.log('\n📝 Task extraction');
+    Object.entries(metrics.tasks).forEach(([check, { correct, total, accuracy }]) => {
+        console.log(`   ${check.padEnd(10)} ${percent(accuracy).padEnd(7)} (${correct}/${total})`);
+    });
+
+    const misses = results.filter(({ score }) => Object.values(score).some(value => value === false));
+    if (misses.length > 0) {
+        console.log('\n❌ Misses');
+        misses.forEach(({ id, expected, predicted, score }) => {
+            const problems = [];
+            if (!score.priority) problems.push(`priority ${predicted.priority}, expected ${expected.priority}`);
+            if (score.category === false) problems.push(`category ${predicted.category}, expected ${expected.category}`);
+            if (!score.taskDetected) problems.push(predicted.task ? 'unexpected task' : 'missing task');
+            if (score.title === false) problems.push(`title "${predicted.task.title}"`);
+            if (score.dueDate === false) problems.push(`due in ${predicted.task.dueInDays} days, expected ${expected.task.dueInDays}`);
+            if (score.taskPriority === false) problems.push(`task priority ${predicted.task.priority}, expected ${expected.task.priority}`);
+            console.log(`   - ${id}: ${problems.join('; ')}`);
+        });
+    }
+
+    if (!diff) {
+        if (!options.updateBaseline) {
+            console.log('\nℹ️ No baseline to compare with (run with --update-baseline to store one)');
+        }
+        return;
+    }
+
+    console.log(`\n🔍 Compared with baseline${diff.chain !== options.chain ? ` (recorded with chain "${diff.chain}")` : ''}`);
+    if (diff.metrics.length === 0 && diff.fixtures.length === 0) {
+        console.log('   No changes');
+    }
+    diff.metrics.forEach(({ name, before, after, delta }) => {
+        const arrow = delta === null ? '' : delta > 0 ? ' ⬆️' : ' ⬇️';
+        console.log(`   ${name}: ${percent(before)} -> ${percent(after)}${arrow}`);
+    });
+    diff.fixtures.forEach(({ id, change }) => console.log(`   - ${id}: ${change}`));
+};
+
+async function evalClassifier() {
+    const fixtures = loadFixtures(options.fixturesDir);
+    if (fixtures.length === 0) {
+        throw new Error(`No fixtures found in ${options.fixturesDir}`);
+    }
+
+    if (!options.json) {
+        console.log(`🧪 Evaluating ${fixtures.length} fixtures with LLM chain "${options.chain}"...`);
+    }
+
+    const results = [];
+    for (const fixture of fixtures) {
+        const predicted = await runFixture(fixture);
+        results.push({
+            id: fixture.id,
+            expected: fixture.expected,
+            predicted,
+            score: scoreFixture(fixture.expected, predicted)
+        });
+    }
+
+    const metrics = computeMetrics(results);
+
+    let diff = null;
+    if (fs.existsSync(options.baselinePath)) {
+        const baseline = JSON.parse(fs.readFileSync(options.baselinePath, 'utf8'));
+        diff = { chain: baseline.chain, ...diffAgainstBaseline(baseline, metrics, results) };
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ chain: options.chain, metrics, results, diff }, null, 2));
+    } else {
+        printReport({ metrics, results, diff });
+    }
+
+    if (options.updateBaseline) {
+        const baseline = {
+            chain: options.chain,
+            createdAt: new Date().toISOString(),
+            metrics,
+            // Reasoning text changes on every run of a real model, so it isn't part of the baseline
+            results: Object.fromEntries(results.map(({ id, predicted }) => [id, {
+                predicted: { priority: predicted.priority, category: predicted.category, task: predicted.task }
+            }]))
+        };
+        fs.writeFileSync(options.baselinePath, `${JSON.stringify(baseline, null, 2)}\n`);
+        if (!options.json) console.log(`\n💾 Baseline saved to ${path.relative(process.cwd(), options.baselinePath)}`);
+    }
+
+    return diff;
+}
+
+evalClassifier()
+    .then(diff => {
+        if (options.failOnRegression && diff && diff.regressed) {
+            console.error('\n❌ Metrics regressed compared with the baseline');
+            process.exit(1);
+        }
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('❌ Evaluation failed:', error.message);
+        process.exit(1);
+    });
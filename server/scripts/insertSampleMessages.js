@@ -97,6 +97,7 @@ async function insertSampleMessages() {
     for (const emailData of sampleEmails) {
       const timestamp = getRandomRecentDate();
       await messagesRef.add({
+        ...createDefaultMessage(emailData.type),
         ...emailData,
         timestamp
       });
@@ -107,6 +108,7 @@ async function insertSampleMessages() {
     for (const slackData of sampleSlackMessages) {
       const timestamp = getRandomRecentDate();
       await messagesRef.add({
+        ...createDefaultMessage(slackData.type),
         ...slackData,
         timestamp
       });
@@ -116,6 +118,7 @@ async function insertSampleMessages() {
     // Insert Teams message
     const teamsTimestamp = getRandomRecentDate();
     await messagesRef.add({
+      ...createDefaultMessage(sampleTeamsMessage.type),
       ...sampleTeamsMessage,
       timestamp: teamsTimestamp
     });
@@ -0,0 +1,44 @@
+/**
+ * LLM result cache maintenance
+ *
+ * Usage:
+ * node scripts/llmCache.js stats [days]     Show hit/miss counts per day (default 7 days)
+ * node scripts/llmCache.js clear [stage]    Delete cached results ("classifier", "tasks" or all)
+ */
+
+require('dotenv').config();
+const { getLlmCacheStats, clearLlmCache } = require('../services/llmCacheService');
+
+const percent = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+
+async function main() {
+    const [command, argument] = process.argv.slice(2);
+
+    if (command === 'stats') {
+        const { daily } = await getLlmCacheStats(parseInt(argument) || 7);
+        console.log('date         classifier (hits/misses, rate)   tasks (hits/misses, rate)');
+        daily.forEach(({ date, classifier, tasks }) => {
+            const format = ({ hits, misses, hitRate }) => `${hits}/${misses}, ${percent(hitRate)}`.padEnd(32);
+            console.log(`${date}   ${format(classifier)} ${format(tasks)}`);
+        });
+        return;
+    }
+
+    if (command === 'clear') {
+        if (argument && !['classifier', 'tasks'].includes(argument)) {
+            throw new Error(`Unknown stage: ${argument}`);
+        }
+        const deletedCount = await clearLlmCache(argument);
+        console.log(`✅ Deleted ${deletedCount} cached ${argument || 'LLM'} results`);
+        return;
+    }
+
+    throw new Error('Usage: node scripts/llmCache.js stats [days] | clear [classifier|tasks]');
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
@@ -25,113 +25,79 @@ const createGmailClient = (tokenData) => {
  * 4. Stores results in Firebase
  */
 
-const { classifyEmailToMessage } = require('./classifyEmailToMessage');
-const { parseEmailBody } = require('../utils/emailParser');
+const { classifyEmailToMessage, getClassificationFields } = require('./classifyEmailToMessage');
+const { parseEmailBody, parseEmailHeaders, getAttachmentParts, htmlToText } = require('../utils/emailParser');
+const { extractReply } = require('../utils/replyExtractor');
+const { getEmailThreadId } = require('../services/threadService');
+const { fetchGmailAttachments, getExtractableType } = require('../services/attachmentService');
+const { parseCalendar, getRsvpStatus } = require('../utils/icsParser');
+const { detectBulkMail, parseListUnsubscribe } = require('../utils/bulkMail');
+const { parseMessageIds } = require('../utils/replyDraft');
+const { createDefaultMessage } = require('../models/messageModel');
+const { getUserRules, evaluateRules } = require('../services/rulesService');
+const { getPriorityExamples } = require('../services/feedbackService');
+const { getRedactionSettings } = require('../services/redactionService');
 
 /**
  * Process a single email
  * @param {Object} gmail - Gmail API client instance
  * @param {string} messageId - Email message ID
+ * @param {Object} context - The user's classification context (see loadClassificationContext)
  * @returns {Promise<Object>} - Processed email object
  */
-async function processEmail(gmail, emailId) {
+async function processEmail(gmail, emailId, context = {}) {
     try {
         const email = await gmail.users.messages.get({
             userId: 'me',
             id: emailId,
             format: 'full',
         });
-        const headers = email.data.payload.headers;
-        const subject = headers.find((header) => header.name === 'Subject')?.value || 'No Subject';
-        const from = headers.find((header) => header.name === 'From')?.value || 'Unknown Sender';
-        const date = headers.find((header) => header.name === 'Date')?.value || new Date().toISOString();
-        const to = headers.find((header) => header.name === 'To')?.value || '';
+        // Encoded words ("=?UTF-8?B?...?=") in the headers are decoded here
+        const headers = parseEmailHeaders(email.data);
+        const subject = headers.subject || 'No Subject';
+        const from = headers.from || 'Unknown Sender';
+        const date = headers.date || new Date().toISOString();
+        const to = headers.to;
 
         // Parse email body using the emailParser utility
         const parsedEmail = parseEmailBody(email.data);
 
-        // Ensure we always have content, even if parsing fails
-        let bodyText = '';
-
-        if (parsedEmail && parsedEmail.text && parsedEmail.text.trim() !== '') {
-            bodyText = parsedEmail.text;
-        } else if (parsedEmail && parsedEmail.html && parsedEmail.html.trim() !== '') {
-            bodyText = parsedEmail.html;
-        } else {
-            // Fallback: Use snippet provided by Gmail API
-            bodyText = email.data.snippet || 'No content available';
-        }
-
-        // Final content check - if all fails, provide default content
-        if (!bodyText || bodyText.trim() === '') {
-            bodyText = `Email from ${from} with subject "${subject}" - Content unavailable`;
-        }
-
-        // Create email object for classification
-        const emailForClassification = {
+        // Attachments, including nested ones, with the text of PDF/DOCX/CSV/TXT files
+        const attachments = await fetchGmailAttachments(gmail, emailId, getAttachmentParts(email.data));
+
+        const processedEmail = await processParsedEmail({
+            sourceId: emailId,
             subject,
             from,
-            body: bodyText,
-        };
-
-        // Classify the email
-        const { label, reasoning } = await classifyEmailToMessage(emailForClassification);
-        // console.log(` 111111 Email ${emailId} classified with priority: ${label}, reasoning: ${reasoning}`);
-        // Extract sender name and email
-        const fromName = extractNameFromEmail(from);
-        const fromEmail = extractEmailAddress(from);
-
-        // Extract email recipients as an array (if available)
-        const toArray = to ? to.split(',').map(email => email.trim()) : [];
-
-        // Check for attachments
-        const attachments = [];
-        if (email.data.payload.parts) {
-            email.data.payload.parts.forEach(part => {
-                if (part.filename && part.filename.length > 0) {
-                    attachments.push({
-                        filename: part.filename,
-                        mimeType: part.mimeType,
-                        size: part.body.size || 0,
-                    });
-                }
-            });
-        }
-
-        // Convert priority to Firebase schema format
-        const priorityMap = {
-            'FLOW_CRITICAL': 'critical',
-            'FLOW_ACTION': 'action',
-            'FLOW_INFO': 'info'
-        };
-
-        const prioriti = priorityMap[label] || 'info';
-        console.log(`Processed email ${emailId} with priority: ${label}`);
-        return {
-            // Required common fields with fallbacks
-            type: 'email',
-            content: bodyText,
-            timestamp: new Date(date),
-            priority: prioriti, // Default to 'info' if classification fails
-            read: false, // Always false for new emails
-            sourceId: emailId || `email-${Date.now()}`, // Fallback using timestamp if ID is missing
-            reasoning: reasoning || 'No reasoning provided',
-            from: {
-                name: fromName || 'Unknown Sender',
-                email: fromEmail || 'unknown@example.com'
-            },
-            to: Array.isArray(toArray) ? toArray : [],
-            subject: subject || 'No Subject',
-            attachments: Array.isArray(attachments) ? attachments : [],
-            messageTimestamp: new Date(date)
-        };
+            to,
+            replyTo: headers.replyTo,
+            date,
+            text: parsedEmail && parsedEmail.text,
+            html: parsedEmail && parsedEmail.html,
+            calendar: parsedEmail && parsedEmail.calendar,
+            snippet: email.data.snippet,
+            attachments,
+            listId: headers.listId,
+            listUnsubscribe: headers.listUnsubscribe,
+            listUnsubscribePost: headers.listUnsubscribePost,
+            precedence: headers.precedence,
+            autoSubmitted: headers.autoSubmitted,
+            threadId: email.data.threadId,
+            internetMessageId: headers.messageId,
+            inReplyTo: headers.inReplyTo,
+            references: headers.references
+        }, {
+            labelIds: email.data.labelIds || []
+        }, context);
+        console.log(`Processed email ${emailId} with priority: ${processedEmail.priority}`);
+        return processedEmail;
 
     } catch (error) {
         console.error(`Error processing email ${emailId}:`, error);
 
         // Create a valid placeholder object even in case of errors
         return {
-            type: 'email',
+            ...createDefaultMessage('email'),
             content: `Error retrieving email content: ${error.message}`,
             timestamp: new Date(),
             priority: 'info',
@@ -148,6 +114,207 @@ async function processEmail(gmail, emailId) {
     }
 }
 
+/**
+ * Classify an already fetched email and build the message stored in Firestore
+ *
+ * Every mail connector (Gmail, IMAP, Outlook) funnels through here so they all produce
+ * the same message schema.
+ *
+ * @param {Object} email - Source-independent email data
+ * @param {string} email.sourceId - Unique ID used as the message document ID
+ * @param {string} email.subject - Subject header
+ * @param {string} email.from - From header, e.g. "John Doe <john@example.com>"
+ * @param {string} email.to - To header, comma-separated
+ * @param {string} email.replyTo - Reply-To header, comma-separated
+ * @param {string} email.date - Date header or ISO date string
+ * @param {string} email.text - Plain text body
+ * @param {string} email.html - HTML body
+ * @param {string} email.snippet - Short preview used when there is no body
+ * @param {string} email.calendar - iCalendar text of inline text/calendar parts
+ * @param {Array} email.attachments - Attachment metadata, with extractedText when it was extracted
+                                      (.ics attachments are read as invites too)
+ * @param {string} email.listId - List-Id header of mailing list mail
+ * @param {string} email.listUnsubscribe - List-Unsubscribe header
+ * @param {string} email.listUnsubscribePost - List-Unsubscribe-Post header (RFC 8058 one-click)
+ * @param {string} email.precedence - Precedence header
+ * @param {string} email.autoSubmitted - Auto-Submitted header
+ * @param {string} email.threadId - Gmail thread ID
+ * @param {string} email.conversationId - Outlook conversation ID
+ * @param {string} email.internetMessageId - Message-ID header
+ * @param {string} email.inReplyTo - In-Reply-To header
+ * @param {string|Array} email.references - References header
+ * @param {Object} extraFields - Connector-specific fields added to the message
+ * @param {Object} context - The user's classification context (see loadClassificationContext)
+ * @param {Array} context.rules - Message rules, applied before the LLM classifier
+ * @param {Array} context.examples - Priority corrections used as classifier examples
+ * @param {Object} context.privacy - { userId, redactPii }, how PII is masked in the prompt
+ * @returns {Promise<Object>} - Processed email object
+ */
+async function processParsedEmail(email, extraFields = {}, context = {}) {
+    const subject = email.subject || 'No Subject';
+    const from = email.from || 'Unknown Sender';
+    const date = email.date || new Date().toISOString();
+    const to = email.to || '';
+
+    // Ensure we always have content, even if parsing fails
+    let bodyText = '';
+
+    if (email.text && email.text.trim() !== '') {
+        bodyText = email.text;
+    } else if (email.html && email.html.trim() !== '') {
+        bodyText = htmlToText(email.html);
+    } else {
+        // Fallback: Use snippet provided by the mail source
+        bodyText = email.snippet || 'No content available';
+    }
+
+    // Final content check - if all fails, provide default content
+    if (!bodyText || bodyText.trim() === '') {
+        bodyText = `Email from ${from} with subject "${subject}" - Content unavailable`;
+    }
+
+    // Quoted replies, signatures and disclaimers are left out of what the LLM reads
+    const { newContent } = extractReply(bodyText);
+
+    // Newsletters and notifications are recognized by their headers; the classifier is told
+    const bulk = detectBulkMail(email);
+
+    // Create email object for classification
+    const emailForClassification = {
+        subject,
+        from,
+        body: newContent,
+        date,
+        bulkReason: bulk.bulkReason
+    };
+
+    // User rules run first; a rule that forces a priority replaces the LLM
+    const ruleResult = evaluateRules(context.rules, {
+        ...emailForClassification,
+        listId: email.listId,
+        attachments: email.attachments
+    });
+
+    const classification = ruleResult.priority
+        ? { label: null, reasoning: `Rule "${ruleResult.priorityRule}" set priority to ${ruleResult.priority}` }
+        : await classifyEmailToMessage(emailForClassification, context.examples, {
+            ...context.privacy,
+            messageId: email.sourceId
+        });
+    const { label, reasoning } = classification;
+
+    // Record every other rule that fired next to the classification reasoning
+    const otherRules = ruleResult.matchedRules
+        .filter(rule => rule.name !== ruleResult.priorityRule)
+        .map(rule => `"${rule.name}"`);
+    const ruleNote = otherRules.length > 0 ? ` (rules applied: ${otherRules.join(', ')})` : '';
+
+    // Extract sender name and email
+    const fromName = extractNameFromEmail(from);
+    const fromEmail = extractEmailAddress(from);
+
+    // Extract email recipients as an array (if available)
+    const toArray = to ? to.split(',').map(address => address.trim()) : [];
+
+    // Meeting invites, updates and cancellations
+    const events = extractCalendarEvents(email, toArray.map(extractEmailAddress));
+
+    // Convert priority to Firebase schema format
+    const priorityMap = {
+        'FLOW_CRITICAL': 'critical',
+        'FLOW_ACTION': 'action',
+        'FLOW_INFO': 'info'
+    };
+
+    return {
+        ...createDefaultMessage('email'),
+        // Required common fields with fallbacks
+        content: bodyText,
+        newContent,
+        timestamp: new Date(date),
+        priority: ruleResult.priority || priorityMap[label] || 'info', // Default to 'info' if classification fails
+        priorityRule: ruleResult.priorityRule,
+        read: false, // Always false for new emails
+        sourceId: email.sourceId || `email-${Date.now()}`, // Fallback using timestamp if ID is missing
+        reasoning: `${reasoning || 'No reasoning provided'}${ruleNote}`,
+        ...getClassificationFields(classification),
+        // An invite is a meeting request, whatever the classifier made of its body
+        ...(events.some(event => event.method === 'REQUEST') ? { category: 'meeting_request' } : {}),
+        from: {
+            name: fromName || 'Unknown Sender',
+            email: fromEmail || 'unknown@example.com'
+        },
+        to: toArray,
+        replyTo: String(email.replyTo || '').split(',').map(address => address.trim()).filter(Boolean).map(extractEmailAddress),
+        subject,
+        attachments: Array.isArray(email.attachments) ? email.attachments : [],
+        messageTimestamp: new Date(date),
+        listId: email.listId || '',
+        ...bulk,
+        unsubscribe: parseListUnsubscribe(email.listUnsubscribe, email.listUnsubscribePost),
+        threadId: getEmailThreadId(email),
+        internetMessageId: email.internetMessageId || '',
+        references: parseMessageIds(email.references),
+        events,
+        tags: ruleResult.tags,
+        skipTask: ruleResult.skipTask,
+        ...extraFields,
+        // Rule actions win over what the mail source reported
+        ...(ruleResult.markRead ? { read: true } : {})
+    };
+}
+
+/**
+ * Read the calendar events of an email from its text/calendar parts and .ics attachments
+ *
+ * Invites usually carry the same calendar twice (inline and as invite.ics), so events
+ * are kept once per UID and occurrence.
+ *
+ * @param {Object} email - Source-independent email data (see processParsedEmail)
+ * @param {Array<string>} recipients - Addresses the email was sent to, to find the user's RSVP status
+ * @returns {Array} - Events (see utils/icsParser.js) with the calendar method and the user's rsvpStatus
+ */
+function extractCalendarEvents(email, recipients) {
+    const calendars = [email.calendar, ...(Array.isArray(email.attachments) ? email.attachments : [])
+        .filter(attachment => getExtractableType(attachment) === 'calendar')
+        .map(attachment => attachment.extractedText)]
+        .filter(Boolean);
+
+    const events = new Map();
+    calendars.forEach(text => {
+        const { method, events: calendarEvents } = parseCalendar(text);
+        calendarEvents.forEach(event => {
+            const key = `${event.uid}|${event.recurrenceId}`;
+            if (events.has(key)) return;
+            events.set(key, {
+                ...event,
+                method,
+                rsvpStatus: getRsvpStatus(event, recipients)
+            });
+        });
+    });
+
+    return [...events.values()];
+}
+
+/**
+ * Load what the classifier needs to know about a user: their message rules, their
+ * past priority corrections and their PII redaction setting. Load it once per sync and
+ * pass it to every email.
+ *
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - { rules, examples, privacy }
+ */
+async function loadClassificationContext(userId) {
+    const [rules, examples, privacy] = await Promise.all([
+        getUserRules(userId),
+        getPriorityExamples(userId),
+        getRedactionSettings(userId)
+    ]);
+
+    return { rules, examples, privacy };
+}
+
 /**
  * Extract name from an email string like "John Doe <john@example.com>"
  * 
@@ -174,4 +341,4 @@ function extractEmailAddress(emailString) {
     return match ? match[1] : emailString;
 }
 
-module.exports = { processEmail };
\ No newline at end of file
+module.exports = { processEmail, processParsedEmail, loadClassificationContext };
\ No newline at end of file
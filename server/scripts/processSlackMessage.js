@@ -0,0 +1,49 @@
+/**
+ * Slack Message Processing
+ *
+ * Converts Slack events/history items into stored messages:
+ * 1. Builds the `slack` message schema from the raw Slack payload
+ * 2. Sends it through the same classifier used for email
+ */
+
+const { classifyEmailToMessage, getClassificationFields } = require('./classifyEmailToMessage');
+const { buildSlackMessage } = require('../services/slackService');
+
+/**
+ * Process a single Slack message
+ * @param {Object} event - Slack message event or conversations.history item
+ * @param {Object} context - { teamId, channelId, authedUserId, directory, isMention, privacy }
+ * @returns {Promise<Object>} - Processed message object
+ */
+async function processSlackMessage(event, context) {
+    const message = await buildSlackMessage(event, context);
+
+    // The classifier works on email-shaped input, so frame the Slack message as one
+    const classification = await classifyEmailToMessage({
+        from: message.sender.name,
+        subject: message.channel === 'Direct message'
+            ? `Direct message from ${message.sender.name}`
+            : `Slack message in #${message.channel}${message.mentions ? ' (you were mentioned)' : ''}`,
+        body: message.content,
+        date: message.timestamp
+    }, [], { ...context.privacy, messageId: message.sourceId });
+
+    const { label, reasoning } = classification;
+
+    // Convert priority to Firebase schema format
+    const priorityMap = {
+        'FLOW_CRITICAL': 'critical',
+        'FLOW_ACTION': 'action',
+        'FLOW_INFO': 'info'
+    };
+
+    console.log(`Processed Slack message ${message.sourceId} with priority: ${label}`);
+    return {
+        ...message,
+        priority: priorityMap[label] || 'info',
+        reasoning: reasoning || 'No reasoning provided',
+        ...getClassificationFields(classification)
+    };
+}
+
+module.exports = { processSlackMessage };
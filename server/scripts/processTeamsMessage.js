@@ -0,0 +1,51 @@
+/**
+ * Teams Message Processing
+ *
+ * Converts Microsoft Teams chat/channel messages into stored messages:
+ * 1. Builds the `teams` message schema from the Graph chatMessage
+ * 2. Sends it through the same classifier used for email
+ */
+
+const { classifyEmailToMessage, getClassificationFields } = require('./classifyEmailToMessage');
+const { buildTeamsMessage } = require('../services/microsoftGraphService');
+
+/**
+ * Process a single Teams message
+ * @param {Object} item - Graph chatMessage
+ * @param {Object} conversation - Chat or channel the message belongs to
+ * @param {Object} profile - Connected user's Graph profile
+ * @param {Object} privacy - { userId, redactPii } of the connected user (see services/redactionService.js)
+ * @returns {Promise<Object>} - Processed message object
+ */
+async function processTeamsMessage(item, conversation, profile, privacy = {}) {
+    const message = buildTeamsMessage(item, conversation, profile);
+
+    // The classifier works on email-shaped input, so frame the Teams message as one
+    const classification = await classifyEmailToMessage({
+        from: message.sender.email ? `${message.sender.name} <${message.sender.email}>` : message.sender.name,
+        subject: conversation.kind === 'chat'
+            ? `Teams chat: ${message.channel}`
+            : `Teams message in ${message.channel}${message.mentions ? ' (you were mentioned)' : ''}`,
+        body: message.content,
+        date: message.timestamp
+    }, [], { ...privacy, messageId: message.sourceId });
+
+    const { label, reasoning } = classification;
+
+    // Convert priority to Firebase schema format
+    const priorityMap = {
+        'FLOW_CRITICAL': 'critical',
+        'FLOW_ACTION': 'action',
+        'FLOW_INFO': 'info'
+    };
+
+    console.log(`Processed Teams message ${message.sourceId} with priority: ${label}`);
+    return {
+        ...message,
+        priority: priorityMap[label] || 'info',
+        reasoning: reasoning || 'No reasoning provided',
+        ...getClassificationFields(classification)
+    };
+}
+
+module.exports = { processTeamsMessage };
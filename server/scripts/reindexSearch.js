@@ -0,0 +1,75 @@
+/**
+ * Rebuild the search index
+ *
+ * Indexes every stored message and task for full-text and semantic search (see
+ * services/searchService.js). New and changed documents are indexed as they are
+ * written; run this once for data stored before search existed, when an index
+ * write failed, or after changing EMBEDDING_PROVIDER.
+ *
+ * Usage:
+ * node scripts/reindexSearch.js [userId]
+ */
+
+require('dotenv').config();
+const { db, admin } = require('../config/firebase');
+const { indexMessages, indexTasks } = require('../services/searchService');
+
+const PAGE_SIZE = 400;
+
+/**
+ * Index one collection of a user, a page at a time
+ * @param {Object} collectionRef - userMessages or userTasks collection
+ * @param {Function} index - indexMessages or indexTasks, bound to the user
+ * @returns {Promise<number>} - Number of documents indexed
+ */
+async function indexCollection(collectionRef, index) {
+    let indexed = 0;
+    let lastDoc = null;
+
+    for (;;) {
+        let query = collectionRef.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+        if (lastDoc) query = query.startAfter(lastDoc);
+
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        indexed += await index(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+        if (snapshot.size < PAGE_SIZE) break;
+    }
+
+    return indexed;
+}
+
+async function reindexSearch() {
+    const userIds = process.argv[2]
+        ? [process.argv[2]]
+        : [...new Set([
+            ...(await db.collection('messages').listDocuments()).map(ref => ref.id),
+            ...(await db.collection('tasks').listDocuments()).map(ref => ref.id)
+        ])];
+
+    console.log(`🔎 Rebuilding the search index for ${userIds.length} user(s)...\n`);
+
+    for (const userId of userIds) {
+        const messageCount = await indexCollection(
+            db.collection('messages').doc(userId).collection('userMessages'),
+            messages => indexMessages(userId, messages)
+        );
+        const taskCount = await indexCollection(
+            db.collection('tasks').doc(userId).collection('userTasks'),
+            tasks => indexTasks(userId, tasks)
+        );
+        console.log(`   - ${userId}: ${messageCount} messages, ${taskCount} tasks`);
+    }
+
+    console.log('\n✅ Search index rebuilt');
+}
+
+reindexSearch()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Reindex failed:', error.message);
+        process.exit(1);
+    });
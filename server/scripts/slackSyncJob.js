@@ -0,0 +1,330 @@
+const cron = require('node-cron');
+const { db } = require('../config/firebase');
+const { saveEmailsToFirestore } = require('../services/emailService');
+const {
+  callSlackApi,
+  createSlackDirectory,
+  getSlackSourceId,
+  shouldIngestSlackMessage,
+  getSlackServices,
+  getSlackSyncState,
+  saveSlackSyncState
+} = require('../services/slackService');
+const { processSlackMessage } = require('./processSlackMessage');
+const { generateTaskFromMessage } = require('./taskGenerator');
+const { getRedactionSettings } = require('../services/redactionService');
+const { getSyncLeaseKey, runWithSyncLease } = require('../services/syncLeaseService');
+const { runWithConcurrency } = require('../utils/workerPool');
+
+// How far back the first backfill reaches and how much it may pull per conversation
+const SLACK_BACKFILL_DAYS = parseInt(process.env.SLACK_BACKFILL_DAYS) || 7;
+const SLACK_MAX_MESSAGES_PER_CHANNEL = parseInt(process.env.SLACK_MAX_MESSAGES_PER_CHANNEL) || 200;
+const SLACK_CRON_CONCURRENCY = parseInt(process.env.SLACK_CRON_CONCURRENCY) || 3;
+// Messages classified and saved at a time during a backfill
+const SLACK_SAVE_CHUNK_SIZE = parseInt(process.env.SLACK_SAVE_CHUNK_SIZE) || 50;
+// A backfill has no time budget; its sync lease expires after this if the process died
+const SLACK_SYNC_LEASE_TTL_MS = parseInt(process.env.SLACK_SYNC_LEASE_TTL_MS) || 30 * 60 * 1000;
+
+// Log messages with timestamp
+const log = (message) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] Slack Sync: ${message}`);
+};
+
+/**
+ * Generate tasks for processed Slack messages and save everything to Firestore
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} messages - Processed Slack messages
+ * @param {Object} privacy - The user's redaction setting (see services/redactionService.js)
+ * @returns {Promise<Object>} - Save result
+ */
+const saveSlackMessages = async (userId, messages, privacy) => {
+  const tasksResults = [];
+
+  for (const message of messages) {
+    const taskResult = await generateTaskFromMessage(message, privacy);
+    if (taskResult.isGenerateTask) {
+      if (taskResult.isMultiple) {
+        tasksResults.push(...taskResult.tasks);
+      } else {
+        tasksResults.push(taskResult.tasks);
+      }
+    }
+  }
+
+  return saveEmailsToFirestore(userId, messages, tasksResults);
+};
+
+/**
+ * List every conversation the connected user can read
+ * @param {string} token - Slack token
+ * @returns {Promise<Array>} - Slack conversation objects
+ */
+const listSlackConversations = async (token) => {
+  const conversations = [];
+  let cursor;
+
+  do {
+    const data = await callSlackApi(token, 'conversations.list', {
+      types: 'public_channel,private_channel,mpim,im',
+      exclude_archived: true,
+      limit: 200,
+      cursor
+    });
+
+    conversations.push(...(data.channels || []).filter(channel => channel.is_member || channel.is_im));
+    cursor = data.response_metadata && data.response_metadata.next_cursor;
+  } while (cursor);
+
+  return conversations;
+};
+
+/**
+ * Fetch messages posted to a conversation after a timestamp, oldest first
+ * @param {string} token - Slack token
+ * @param {string} channelId - Slack conversation ID
+ * @param {string} oldest - Only return messages after this Slack timestamp
+ * @returns {Promise<Array>} - Slack message items
+ */
+const fetchConversationHistory = async (token, channelId, oldest) => {
+  const items = [];
+  let cursor;
+
+  do {
+    const data = await callSlackApi(token, 'conversations.history', {
+      channel: channelId,
+      oldest,
+      limit: 200,
+      cursor
+    });
+
+    items.push(...(data.messages || []));
+    cursor = data.has_more && data.response_metadata && data.response_metadata.next_cursor;
+  } while (cursor && items.length < SLACK_MAX_MESSAGES_PER_CHANNEL);
+
+  // Slack pages from newest to oldest; keep the most recent messages, oldest first
+  return items
+    .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
+    .slice(-SLACK_MAX_MESSAGES_PER_CHANNEL);
+};
+
+/**
+ * Backfill a Slack service: pull every conversation's history since the last run
+ * @param {string} userId - User's Firebase ID
+ * @param {string} serviceId - Slack service ID
+ * @param {Object} authData - { accessToken, teamId, authedUserId }
+ * @returns {Promise<Object>} - { success, fetchedCount, classifiedCount, taskedCount, savedCount, error }
+ */
+const backfillSlackService = async (userId, serviceId, authData) => {
+  try {
+    log(`Backfilling Slack for user ${userId} (service ${serviceId})...`);
+
+    const token = authData.accessToken;
+    const directory = createSlackDirectory(token);
+    const state = await getSlackSyncState(userId, serviceId);
+    const privacy = await getRedactionSettings(userId);
+    const defaultOldest = String(Date.now() / 1000 - SLACK_BACKFILL_DAYS * 24 * 60 * 60);
+
+    const conversations = await listSlackConversations(token);
+    const messagesRef = db.collection('messages').doc(userId).collection('userMessages');
+    let fetchedCount = 0;
+    let classifiedCount = 0;
+    let savedCount = 0;
+    let taskedCount = 0;
+
+    for (const conversation of conversations) {
+      const items = await fetchConversationHistory(token, conversation.id, state.channels[conversation.id] || defaultOldest);
+      fetchedCount += items.length;
+
+      // Save each chunk and move the channel cursor past it, so a failure later on
+      // doesn't make the next run classify these messages again
+      for (let i = 0; i < items.length; i += SLACK_SAVE_CHUNK_SIZE) {
+        const chunkItems = items.slice(i, i + SLACK_SAVE_CHUNK_SIZE);
+        const candidates = chunkItems
+          .filter(item => shouldIngestSlackMessage(item, authData.authedUserId))
+          .map(item => ({ item, sourceId: getSlackSourceId(authData.teamId, conversation.id, item.ts) }));
+
+        // Events may already have delivered some of these messages, skip them before classifying
+        const existingDocs = candidates.length > 0
+          ? await db.getAll(...candidates.map(candidate => messagesRef.doc(candidate.sourceId)))
+          : [];
+        const existingIds = new Set(existingDocs.filter(doc => doc.exists).map(doc => doc.id));
+
+        const newMessages = [];
+        for (const candidate of candidates) {
+          if (existingIds.has(candidate.sourceId)) continue;
+
+          newMessages.push(await processSlackMessage(candidate.item, {
+            teamId: authData.teamId,
+            channelId: conversation.id,
+            authedUserId: authData.authedUserId,
+            directory,
+            privacy
+          }));
+        }
+
+        if (newMessages.length > 0) {
+          const saveResult = await saveSlackMessages(userId, newMessages, privacy);
+          if (!saveResult.success) {
+            return { success: false, error: saveResult.error };
+          }
+          classifiedCount += newMessages.length;
+          savedCount += saveResult.savedCount;
+          taskedCount += saveResult.savedTasksCount;
+        }
+
+        state.channels[conversation.id] = chunkItems[chunkItems.length - 1].ts;
+        await saveSlackSyncState(userId, serviceId, { channels: state.channels });
+      }
+    }
+
+    await saveSlackSyncState(userId, serviceId, { channels: state.channels });
+
+    log(`Saved ${savedCount} new Slack messages for user ${userId} from ${conversations.length} conversations`);
+
+    return { success: true, fetchedCount, classifiedCount, taskedCount, savedCount };
+  } catch (error) {
+    log(`Error backfilling Slack for user ${userId}: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Add or remove a reaction on a stored Slack message
+ * @param {string} userId - User's Firebase ID
+ * @param {string} teamId - Slack workspace ID
+ * @param {Object} event - reaction_added / reaction_removed event
+ * @returns {Promise<void>}
+ */
+const applySlackReaction = async (userId, teamId, event) => {
+  if (!event.item || event.item.type !== 'message') return;
+
+  const messageRef = db.collection('messages')
+    .doc(userId)
+    .collection('userMessages')
+    .doc(getSlackSourceId(teamId, event.item.channel, event.item.ts));
+
+  const messageDoc = await messageRef.get();
+  if (!messageDoc.exists) return;
+
+  const delta = event.type === 'reaction_added' ? 1 : -1;
+  const reactions = [...(messageDoc.data().reactions || [])];
+  const index = reactions.findIndex(reaction => reaction.emoji === event.reaction);
+
+  if (index === -1) {
+    if (delta > 0) reactions.push({ emoji: event.reaction, count: 1 });
+  } else {
+    reactions[index] = { ...reactions[index], count: reactions[index].count + delta };
+  }
+
+  await messageRef.update({
+    reactions: reactions.filter(reaction => reaction.count > 0)
+  });
+};
+
+/**
+ * Handle an Events API callback for every connected user it is visible to
+ * @param {Object} payload - Events API "event_callback" payload
+ * @returns {Promise<void>}
+ */
+const handleSlackEvent = async (payload) => {
+  const { team_id: teamId, event } = payload;
+  if (!event) return;
+
+  // Slack lists the installations that can see the event; only deliver it to those users
+  const authorizedUserIds = (payload.authorizations || []).map(authorization => authorization.user_id);
+  const services = (await getSlackServices(teamId)).filter(service =>
+    authorizedUserIds.length === 0 || authorizedUserIds.includes(service.authData.authedUserId)
+  );
+
+  for (const service of services) {
+    try {
+      if (event.type === 'reaction_added' || event.type === 'reaction_removed') {
+        await applySlackReaction(service.userId, teamId, event);
+        continue;
+      }
+
+      if (event.type !== 'message' && event.type !== 'app_mention') continue;
+      if (!shouldIngestSlackMessage(event, service.authData.authedUserId)) continue;
+
+      const sourceId = getSlackSourceId(teamId, event.channel, event.ts);
+      const existingDoc = await db.collection('messages')
+        .doc(service.userId)
+        .collection('userMessages')
+        .doc(sourceId)
+        .get();
+
+      if (existingDoc.exists) continue;
+
+      const privacy = await getRedactionSettings(service.userId);
+      const message = await processSlackMessage(event, {
+        teamId,
+        channelId: event.channel,
+        authedUserId: service.authData.authedUserId,
+        directory: createSlackDirectory(service.authData.accessToken),
+        isMention: event.type === 'app_mention',
+        privacy
+      });
+
+      await saveSlackMessages(service.userId, [message], privacy);
+      log(`Ingested Slack ${event.type} ${sourceId} for user ${service.userId}`);
+    } catch (error) {
+      log(`Error handling Slack ${event.type} event for user ${service.userId}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Backfill every connected Slack service
+ * @returns {Promise<Object>} - Summary of the run
+ */
+const runSlackBackfillJob = async () => {
+  try {
+    log('Starting Slack backfill job...');
+
+    const services = await getSlackServices();
+    log(`Found ${services.length} connected Slack services`);
+
+    // A service that a manual sync is backfilling is left to it
+    const settled = await runWithConcurrency(services, SLACK_CRON_CONCURRENCY, ({ userId, serviceId, authData }) =>
+      runWithSyncLease(userId, getSyncLeaseKey('slack', serviceId), SLACK_SYNC_LEASE_TTL_MS, 'slack cron', () =>
+        backfillSlackService(userId, serviceId, authData)
+      )
+    );
+
+    const results = settled.map(({ value }) => value);
+    const successCount = results.filter(result => result.success && !result.skipped).length;
+    const skippedCount = results.filter(result => result.skipped).length;
+    const totalSaved = results.reduce((sum, result) => sum + (result.savedCount || 0), 0);
+
+    log(`Slack backfill job completed: ${successCount}/${services.length} services synced, ${skippedCount} already syncing, ${totalSaved} new messages`);
+
+    return { success: true, totalServices: services.length, successCount, skippedCount, totalSaved };
+  } catch (error) {
+    log(`Error in Slack backfill job: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Schedule the backfill job (every 6 hours by default, events cover real-time delivery)
+const scheduleSlackBackfillJob = (schedule = '0 */6 * * *') => {
+  log(`Scheduling Slack backfill job with schedule: ${schedule}`);
+
+  cron.schedule(schedule, () => runSlackBackfillJob());
+
+  return runSlackBackfillJob;
+};
+
+module.exports = {
+  backfillSlackService,
+  handleSlackEvent,
+  runSlackBackfillJob,
+  scheduleSlackBackfillJob
+};
+
+// If this file is run directly, run a backfill for every connected service
+if (require.main === module) {
+  runSlackBackfillJob()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
@@ -0,0 +1,84 @@
+const cron = require('node-cron');
+const { getDueSnoozes, resurfaceMessage } = require('../services/messageStateService');
+const { notifyUser } = require('../services/notificationService');
+
+// Snoozes handled per run; the rest wait for the next run
+const SNOOZE_CRON_BATCH_SIZE = parseInt(process.env.SNOOZE_CRON_BATCH_SIZE) || 200;
+
+// Log messages with timestamp
+const log = (message) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] Snooze: ${message}`);
+};
+
+/**
+ * Describe a message in a notification
+ * @param {Object} message - Message data
+ * @returns {string}
+ */
+const describeMessage = (message) => {
+  if (message.type === 'email') {
+    return `${message.subject || '(no subject)'} from ${message.from?.name || message.from?.email || 'unknown sender'}`;
+  }
+  return `${message.sender?.name || 'Someone'} in ${message.channel || message.type}`;
+};
+
+/**
+ * Bring back the snoozed messages that are due and notify their users
+ * @returns {Promise<Object>} - { success, resurfacedCount, error }
+ */
+const runSnoozeCronJob = async () => {
+  try {
+    const snoozes = await getDueSnoozes(new Date(), SNOOZE_CRON_BATCH_SIZE);
+    if (snoozes.length === 0) {
+      return { success: true, resurfacedCount: 0 };
+    }
+
+    let resurfacedCount = 0;
+    for (const snooze of snoozes) {
+      try {
+        const message = await resurfaceMessage(snooze);
+        if (!message) continue;
+        resurfacedCount++;
+
+        await notifyUser(snooze.userId, {
+          type: 'message',
+          title: 'Snoozed message is back',
+          content: describeMessage(message),
+          sourceId: message.id,
+          sourceType: 'message'
+        });
+      } catch (error) {
+        log(`Error resurfacing message ${snooze.messageId} for user ${snooze.userId}: ${error.message}`);
+      }
+    }
+
+    log(`Brought back ${resurfacedCount} snoozed messages`);
+
+    return { success: true, resurfacedCount };
+  } catch (error) {
+    log(`Error in snooze job: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Schedule the snooze job (every minute by default)
+const scheduleSnoozeCronJob = (schedule = '* * * * *') => {
+  log(`Scheduling snooze job with schedule: ${schedule}`);
+
+  cron.schedule(schedule, () => runSnoozeCronJob());
+
+  return runSnoozeCronJob;
+};
+
+module.exports = {
+  runSnoozeCronJob,
+  scheduleSnoozeCronJob
+};
+
+// If this file is run directly, bring back the due snoozes once
+if (require.main === module) {
+  runSnoozeCronJob()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
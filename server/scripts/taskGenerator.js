@@ -4,33 +4,52 @@
  * Analyzes messages from various sources (email, Slack, Teams) and generates appropriate tasks.
  * Uses AI to extract relevant task information from message content.
  */
-const axios = require('axios');
 require('dotenv').config();
-const { OpenAI } = require('openai');
+const { generateText } = require('../services/llmService');
+const { withLlmCache } = require('../services/llmCacheService');
+const { createRedactor, recordRedactionAudit } = require('../services/redactionService');
+const { buildRsvpTasks } = require('../services/eventService');
 
-// Initialize OpenAI client with Nebius AI endpoint
-const client = new OpenAI({
-    baseURL: "https://api.studio.nebius.com/v1/",
-    apiKey: process.env.NEBIUS_API_KEY
-});
+// Bump whenever buildAIPrompt or the system prompt changes so cached results are not reused
+const TASK_PROMPT_VERSION = 2;
+
+// Attachment text read into the prompt, per message (the full text is stored on the message)
+const TASK_ATTACHMENT_TEXT_MAX_CHARS = parseInt(process.env.TASK_ATTACHMENT_TEXT_MAX_CHARS) || 6000;
 
 /**
  * Main function to analyze a message and determine if a task should be generated
  * @param {Object} message - Message object following the message schema
+ * @param {Object} privacy - { userId, redactPii } of the message owner (see services/redactionService.js)
  * @returns {Promise<Object>} - Response object with isGenerateTask flag and task object(s) if needed
  */
-async function generateTaskFromMessage(message) {
+async function generateTaskFromMessage(message, privacy = {}) {
     try {
         // Validate input message
         if (!message || !message.type || !message.content) {
             throw new Error('Invalid message object provided');
         }
 
+        // A user rule turned off task generation for this message
+        if (message.skipTask) {
+            return {
+                isGenerateTask: false
+            };
+        }
+
+        // Meeting invites get an "RSVP to ..." task per unanswered event instead of an
+        // LLM-generated task; updates, cancellations and answered invites get none
+        if (Array.isArray(message.events) && message.events.length > 0) {
+            const rsvpTasks = buildRsvpTasks(message);
+            return rsvpTasks.length > 0
+                ? { isGenerateTask: true, isMultiple: true, tasks: rsvpTasks }
+                : { isGenerateTask: false };
+        }
+
         // Extract key information based on message type
         const sourceInfo = extractSourceInfo(message);
 
         // Generate task content using AI and determine if task is needed
-        const aiResult = await generateTaskContentWithAI(message);
+        const aiResult = await generateTaskContentWithAI(message, privacy);
 
         // If AI determines no task is needed, return early with isGenerateTask = false
         if (!aiResult.isGenerateTask) {
@@ -58,6 +77,7 @@ async function generateTaskFromMessage(message) {
                     completed: false,
                     source: message.type,
                     sourceMessageId: message.sourceId || "",
+                    threadId: message.threadId || null,
                     tags: Array.isArray(taskContent.tags) ? taskContent.tags : generateDefaultTags(message),
                     assignedTo: []
                 };
@@ -87,6 +107,7 @@ async function generateTaskFromMessage(message) {
                 completed: false,
                 source: message.type,
                 sourceMessageId: message.sourceId || "",
+                threadId: message.threadId || null,
                 tags: Array.isArray(taskContent.tags) ? taskContent.tags : generateDefaultTags(message),
                 assignedTo: []
             };
@@ -148,21 +169,52 @@ function extractSourceInfo(message) {
 /**
  * Use AI to analyze message content and generate appropriate task details
  * @param {Object} message - Message object
+ * @param {Object} privacy - { userId, redactPii }; PII is masked in the prompt unless redactPii is false
  * @returns {Promise<Object>} - Task content with title, description, priority, etc.
  */
-async function generateTaskContentWithAI(message) {
+async function generateTaskContentWithAI(message, privacy = {}) {
     try {
-        // Prepare context from message
+        // Prepare context from message, with personal data replaced by placeholders
+        // that are put back into the generated titles and descriptions below
+        const redactor = createRedactor(privacy.redactPii !== false);
         const context = prepareContextForAI(message);
+        const cacheSender = context.senderEmail || context.sender;
+        context.sender = redactor.redactSender(context.sender);
+        context.subject = redactor.redact(context.subject);
+        context.content = redactor.redact(context.content);
+        context.attachments = context.attachments.map(attachment => ({
+            ...attachment,
+            text: redactor.redact(attachment.text)
+        }));
 
         // Build AI prompt
         const prompt = buildAIPrompt(context);
 
-        // Call Nebius AI API
-        const response = await callNebiusAI(prompt);
+        // Identical messages of the same user reuse an earlier result; the prompt embeds
+        // today's date for relative due dates, so results are only reused on the same day
+        const result = await withLlmCache('tasks', {
+            userId: privacy.userId,
+            from: cacheSender,
+            subject: context.subject || context.channel,
+            body: [context.content, ...context.attachments.map(attachment => `${attachment.filename}\n${attachment.text}`)].join('\n\n'),
+            promptVersion: TASK_PROMPT_VERSION,
+            context: {
+                messageType: context.messageType,
+                priority: context.priority,
+                hasMentions: context.hasMentions,
+                date: new Date().toISOString().substring(0, 10),
+                redacted: redactor.enabled
+            }
+        }, async () => {
+            // Call the LLM configured for the "tasks" stage
+            const response = await callTaskLLM(prompt);
+
+            // Parse the AI response
+            return parseAIResponse(response);
+        }, { shouldCache: result => !result.parseFailed });
 
-        // Parse the AI response
-        return parseAIResponse(response);
+        recordRedactionAudit(privacy, 'tasks', redactor, message.sourceId);
+        return redactor.restore(result);
     } catch (error) {
         console.error('Error generating task content with AI:', error);
         return {}; // Return empty object, defaults will be used
@@ -177,8 +229,10 @@ async function generateTaskContentWithAI(message) {
 function prepareContextForAI(message) {
     let context = {
         messageType: message.type,
-        content: message.content,
+        // Email replies are read without the quoted thread, signature and disclaimer
+        content: message.newContent || message.content,
         priority: message.priority,
+        attachments: [],
     };
 
     switch (message.type) {
@@ -186,6 +240,7 @@ function prepareContextForAI(message) {
             context.subject = message.subject;
             context.sender = message.from && message.from.name;
             context.senderEmail = message.from && message.from.email;
+            context.attachments = getAttachmentTexts(message.attachments);
             break;
 
         case 'slack':
@@ -199,6 +254,24 @@ function prepareContextForAI(message) {
     return context;
 }
 
+/**
+ * Collect the extracted text of a message's attachments for the prompt
+ * @param {Array} attachments - Attachment metadata (see services/attachmentService.js)
+ * @returns {Array} - [{ filename, text }], within TASK_ATTACHMENT_TEXT_MAX_CHARS in total
+ */
+function getAttachmentTexts(attachments) {
+    let remaining = TASK_ATTACHMENT_TEXT_MAX_CHARS;
+
+    return (Array.isArray(attachments) ? attachments : [])
+        .filter(attachment => attachment && attachment.extractedText)
+        .map(attachment => {
+            const text = attachment.extractedText.substring(0, remaining);
+            remaining -= text.length;
+            return { filename: attachment.filename, text };
+        })
+        .filter(attachment => attachment.text);
+}
+
 /**
  * Build the prompt for the AI based on message context
  * @param {Object} context - Context object
@@ -219,7 +292,10 @@ ${context.hasMentions !== undefined ? `- Has Mentions: ${context.hasMentions}` :
 
 CONTENT:
 ${context.content}
-
+${context.attachments && context.attachments.length > 0 ? `
+ATTACHMENTS (text extracted from the attached files; requests in them count like requests in the message):
+${context.attachments.map(attachment => `--- ${attachment.filename} ---\n${attachment.text}`).join('\n\n')}
+` : ''}
 TASK EVALUATION GUIDELINES:
 First, evaluate whether this message should be converted into a task. A message should become a task if it:
 1. Contains an explicit or implicit request for action
@@ -301,31 +377,25 @@ If MULTIPLE tasks should be generated:
 }
 
 /**
- * Call Nebius AI API for task generation
+ * Call the task generation LLM (see services/llmService.js)
  * @param {String} prompt - AI prompt
  * @returns {Promise<String>} - AI response
  */
-async function callNebiusAI(prompt) {
+async function callTaskLLM(prompt) {
   try {
-    const response = await client.chat.completions.create({
-        model: "Qwen/Qwen2.5-32B-Instruct",
-        max_tokens: 500,
-        temperature: 0,
-        messages: [
-            {
-                role: "system",
-                content: 'You are a professional assistant that analyzes messages and determines if they should become tasks. You can differentiate between actionable requests and informational messages. You provide structured JSON responses only.'
-            },
-            {
-                role: 'user',
-                content: prompt
-            }
-        ]
-      }
-    );
-    return response.choices[0].message.content.trim();
+    const response = await generateText('tasks', [
+        {
+            role: "system",
+            content: 'You are a professional assistant that analyzes messages and determines if they should become tasks. You can differentiate between actionable requests and informational messages. You provide structured JSON responses only.'
+        },
+        {
+            role: 'user',
+            content: prompt
+        }
+    ]);
+    return response.text;
   } catch (error) {
-    console.error('Error calling Nebius AI API:', error.message);
+    console.error('Error calling task generation LLM:', error.message);
     throw new Error('Failed to get response from AI service');
   }
 }
@@ -441,6 +511,7 @@ function parseAIResponse(response) {
     console.error('Error parsing AI response:', error);
     // Return object with isGenerateTask true as fallback
     return { 
+      parseFailed: true,
       isGenerateTask: true,
       generateTask: {
         isMultiple: false,
@@ -493,7 +564,7 @@ function generateDefaultDescription(message) {
       sender = 'Unknown';
   }
   
-  return `Review the following message from ${sender}:\n\n${message.content}`;
+  return `Review the following message from ${sender}:\n\n${message.newContent || message.content}`;
 }
 
 /**
@@ -554,6 +625,7 @@ function createDefaultErrorTask(message) {
     completed: false,
     source: message.type || 'unknown',
     sourceMessageId: message.sourceId || "",
+    threadId: message.threadId || null,
     tags: [message.type || 'unknown', 'error-task'],
     assignedTo: []
   };
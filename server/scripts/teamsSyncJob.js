@@ -0,0 +1,193 @@
+const cron = require('node-cron');
+const { db } = require('../config/firebase');
+const { saveEmailsToFirestore } = require('../services/emailService');
+const {
+  getGraphTokenForUser,
+  getMicrosoftProfile,
+  listTeamsConversations,
+  fetchTeamsMessages,
+  shouldIngestTeamsMessage,
+  getTeamsSourceId,
+  getMicrosoftServices,
+  getMicrosoftSyncState,
+  saveMicrosoftSyncState
+} = require('../services/microsoftGraphService');
+const { processTeamsMessage } = require('./processTeamsMessage');
+const { getRedactionSettings } = require('../services/redactionService');
+const { generateTaskFromMessage } = require('./taskGenerator');
+const { getSyncLeaseKey, runWithSyncLease } = require('../services/syncLeaseService');
+const { runWithConcurrency } = require('../utils/workerPool');
+
+// How far back the first sync reaches and how much it may pull per chat/channel
+const TEAMS_BACKFILL_DAYS = parseInt(process.env.TEAMS_BACKFILL_DAYS) || 7;
+const TEAMS_MAX_MESSAGES_PER_CONVERSATION = parseInt(process.env.TEAMS_MAX_MESSAGES_PER_CONVERSATION) || 200;
+const TEAMS_CRON_CONCURRENCY = parseInt(process.env.TEAMS_CRON_CONCURRENCY) || 3;
+// A sync has no time budget; its sync lease expires after this if the process died
+const TEAMS_SYNC_LEASE_TTL_MS = parseInt(process.env.TEAMS_SYNC_LEASE_TTL_MS) || 30 * 60 * 1000;
+
+// Log messages with timestamp
+const log = (message) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] Teams Sync: ${message}`);
+};
+
+/**
+ * Generate tasks for processed Teams messages and save everything to Firestore
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} messages - Processed Teams messages
+ * @param {Object} privacy - The user's redaction setting (see services/redactionService.js)
+ * @returns {Promise<Object>} - Save result
+ */
+const saveTeamsMessages = async (userId, messages, privacy) => {
+  const tasksResults = [];
+
+  for (const message of messages) {
+    const taskResult = await generateTaskFromMessage(message, privacy);
+    if (taskResult.isGenerateTask) {
+      if (taskResult.isMultiple) {
+        tasksResults.push(...taskResult.tasks);
+      } else {
+        tasksResults.push(taskResult.tasks);
+      }
+    }
+  }
+
+  return saveEmailsToFirestore(userId, messages, tasksResults);
+};
+
+/**
+ * Sync a user's Teams chats and channels since the last run
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - { success, fetchedCount, classifiedCount, taskedCount, savedCount, error }
+ */
+const syncTeamsForUser = async (userId) => {
+  try {
+    log(`Syncing Teams messages for user ${userId}...`);
+
+    const accessToken = await getGraphTokenForUser(userId);
+    const profile = await getMicrosoftProfile(accessToken);
+    const state = await getMicrosoftSyncState(userId);
+    const privacy = await getRedactionSettings(userId);
+    const defaultSince = new Date(Date.now() - TEAMS_BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+
+    const conversations = await listTeamsConversations(accessToken);
+    const messagesRef = db.collection('messages').doc(userId).collection('userMessages');
+    const candidates = [];
+    const watermarks = {};
+    let fetchedCount = 0;
+
+    for (const conversation of conversations) {
+      const since = state.teams[conversation.id] ? new Date(state.teams[conversation.id]) : defaultSince;
+
+      let items;
+      try {
+        items = await fetchTeamsMessages(accessToken, conversation, since, TEAMS_MAX_MESSAGES_PER_CONVERSATION);
+      } catch (error) {
+        // Channel messages need admin consent; keep going with the conversations we can read
+        log(`Skipping Teams ${conversation.kind} ${conversation.name} for user ${userId}: ${error.message}`);
+        continue;
+      }
+      fetchedCount += items.length;
+
+      items
+        .filter(item => shouldIngestTeamsMessage(item, profile.id))
+        .forEach(item => candidates.push({
+          item,
+          conversation,
+          sourceId: getTeamsSourceId(conversation.id, item.id)
+        }));
+
+      if (items.length > 0) {
+        watermarks[conversation.id] = items[items.length - 1].createdDateTime;
+      }
+    }
+
+    // Skip messages an earlier (interrupted) run already stored before classifying
+    const existingDocs = candidates.length > 0
+      ? await db.getAll(...candidates.map(candidate => messagesRef.doc(candidate.sourceId)))
+      : [];
+    const existingIds = new Set(existingDocs.filter(doc => doc.exists).map(doc => doc.id));
+
+    const newMessages = [];
+    for (const candidate of candidates) {
+      if (existingIds.has(candidate.sourceId)) continue;
+      newMessages.push(await processTeamsMessage(candidate.item, candidate.conversation, profile, privacy));
+    }
+
+    let savedCount = 0;
+    let taskedCount = 0;
+    if (newMessages.length > 0) {
+      const saveResult = await saveTeamsMessages(userId, newMessages, privacy);
+      if (!saveResult.success) {
+        return { success: false, error: saveResult.error };
+      }
+      savedCount = saveResult.savedCount;
+      taskedCount = saveResult.savedTasksCount;
+    }
+
+    if (Object.keys(watermarks).length > 0) {
+      await saveMicrosoftSyncState(userId, { teams: watermarks });
+    }
+
+    log(`Saved ${savedCount} new Teams messages for user ${userId} from ${conversations.length} conversations`);
+
+    return { success: true, fetchedCount, classifiedCount: newMessages.length, taskedCount, savedCount };
+  } catch (error) {
+    log(`Error syncing Teams for user ${userId}: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Sync every connected Teams service
+ * @returns {Promise<Object>} - Summary of the run
+ */
+const runTeamsSyncJob = async () => {
+  try {
+    log('Starting Teams sync job...');
+
+    const services = await getMicrosoftServices('teams');
+    log(`Found ${services.length} connected Teams services`);
+
+    // A user whose Teams a manual sync is pulling is left to it
+    const settled = await runWithConcurrency(services, TEAMS_CRON_CONCURRENCY, ({ userId }) =>
+      runWithSyncLease(userId, getSyncLeaseKey('teams'), TEAMS_SYNC_LEASE_TTL_MS, 'teams cron', () =>
+        syncTeamsForUser(userId)
+      )
+    );
+
+    const results = settled.map(({ value }) => value);
+    const successCount = results.filter(result => result.success && !result.skipped).length;
+    const skippedCount = results.filter(result => result.skipped).length;
+    const totalSaved = results.reduce((sum, result) => sum + (result.savedCount || 0), 0);
+
+    log(`Teams sync job completed: ${successCount}/${services.length} services synced, ${skippedCount} already syncing, ${totalSaved} new messages`);
+
+    return { success: true, totalServices: services.length, successCount, skippedCount, totalSaved };
+  } catch (error) {
+    log(`Error in Teams sync job: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Schedule the sync job (every 15 minutes by default)
+const scheduleTeamsSyncJob = (schedule = '*/15 * * * *') => {
+  log(`Scheduling Teams sync job with schedule: ${schedule}`);
+
+  cron.schedule(schedule, () => runTeamsSyncJob());
+
+  return runTeamsSyncJob;
+};
+
+module.exports = {
+  syncTeamsForUser,
+  runTeamsSyncJob,
+  scheduleTeamsSyncJob
+};
+
+// If this file is run directly, sync every connected Teams service
+if (require.main === module) {
+  runTeamsSyncJob()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
@@ -9,6 +9,7 @@
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
 const TelegramBot = require('node-telegram-bot-api');
 const { generateVoiceBriefing } = require('./voiceBriefingGenerator');
+const { getRedactionSettings } = require('../services/redactionService');
 const { db, admin } = require('../config/firebase');
 const path = require('path');
 const fs = require('fs');
@@ -74,7 +75,7 @@ function addVoiceBriefingCommands(bot) {
 
             // Generate voice briefing
             const fileName = `briefing_${userId}_${Date.now()}.mp3`;
-            const audioFilePath = await generateVoiceBriefing(emails, { fileName });
+            const audioFilePath = await generateVoiceBriefing(emails, { fileName, privacy: await getRedactionSettings(userId) });
 
             if (!audioFilePath) {
                 bot.sendMessage(chatId, 'Sorry, I could not generate a voice briefing at this time.');
@@ -227,7 +228,7 @@ async function scheduleDailyBriefings(bot, cronSchedule = '0 8 * * *') {
 
                     // Generate briefing
                     const fileName = `scheduled_${userId}_${Date.now()}.mp3`;
-                    const audioFilePath = await generateVoiceBriefing(emails, { fileName });
+                    const audioFilePath = await generateVoiceBriefing(emails, { fileName, privacy: await getRedactionSettings(userId) });
 
                     if (!audioFilePath) {
                         console.log(`Failed to generate briefing for user ${userId}`);
@@ -0,0 +1,111 @@
+/**
+ * Test script for attachment text extraction
+ *
+ * Extracts the text of the files in scripts/fixtures/attachments/ (PDF, DOCX, CSV) and
+ * downloads the attachments of a Gmail message with a forwarded mail nested in it, using
+ * a stubbed Gmail client. Runs offline.
+ *
+ * Usage:
+ * node scripts/testAttachments.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAttachmentParts } = require('../utils/emailParser');
+const { extractAttachmentText, fetchGmailAttachments } = require('../services/attachmentService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'attachments');
+
+const FILE_CASES = [
+    { filename: 'invoice.pdf', mimeType: 'application/pdf', expected: 'payment due on 2026-11-01' },
+    { filename: 'contract.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', expected: 'sign and return this contract by Friday' },
+    { filename: 'schedule.csv', mimeType: 'text/csv', expected: 'task,owner,due\nShip release,Dana,2026-10-30' }
+];
+
+const toBase64Url = (buffer) => buffer.toString('base64url');
+
+async function testAttachments() {
+    console.log('🧪 Testing attachment extraction...\n');
+
+    console.log('1️⃣ Extracting text from fixture files...');
+    for (const { filename, mimeType, expected } of FILE_CASES) {
+        const buffer = fs.readFileSync(path.join(FIXTURES_DIR, filename));
+        const { extractedText, extractionError } = await extractAttachmentText(buffer, { filename, mimeType });
+
+        if (extractionError) throw new Error(`${filename}: ${extractionError}`);
+        if (!extractedText.includes(expected)) {
+            throw new Error(`${filename}: text is missing ${JSON.stringify(expected)}\n${extractedText}`);
+        }
+        console.log(`   - ${filename}: ${JSON.stringify(extractedText.substring(0, 60))}`);
+    }
+
+    const unsupported = await extractAttachmentText(Buffer.from('GIF89a'), { filename: 'logo.gif', mimeType: 'image/gif' });
+    if (Object.keys(unsupported).length > 0) throw new Error('Unsupported types should not be extracted');
+
+    const broken = await extractAttachmentText(Buffer.from('not a pdf'), { filename: 'broken.pdf', mimeType: 'application/pdf' });
+    if (!broken.extractionError) throw new Error('A broken PDF should report an extraction error');
+    console.log('✅ Text is extracted\n');
+
+    console.log('2️⃣ Downloading nested Gmail attachments...');
+    const pdf = fs.readFileSync(path.join(FIXTURES_DIR, 'invoice.pdf'));
+    const message = {
+        id: 'msg-1',
+        payload: {
+            mimeType: 'multipart/mixed',
+            parts: [
+                { mimeType: 'text/plain', filename: '', body: { size: 20, data: toBase64Url(Buffer.from('See the attachments')) } },
+                {
+                    mimeType: 'message/rfc822',
+                    filename: '',
+                    body: { size: 0 },
+                    parts: [{
+                        mimeType: 'multipart/mixed',
+                        filename: '',
+                        body: { size: 0 },
+                        parts: [
+                            { mimeType: 'text/plain', filename: '', body: { size: 9, data: toBase64Url(Buffer.from('Forwarded')) } },
+                            { mimeType: 'application/pdf', filename: 'invoice.pdf', body: { size: pdf.length, attachmentId: 'att-pdf' } }
+                        ]
+                    }]
+                },
+                { mimeType: 'text/plain', filename: 'notes.txt', body: { size: 13, data: toBase64Url(Buffer.from('Call Sam back')) } },
+                { mimeType: 'image/png', filename: 'logo.png', body: { size: 2048, attachmentId: 'att-png' } }
+            ]
+        }
+    };
+
+    const requested = [];
+    const gmail = {
+        users: {
+            messages: {
+                attachments: {
+                    get: async ({ id }) => {
+                        requested.push(id);
+                        return { data: { data: toBase64Url(pdf) } };
+                    }
+                }
+            }
+        }
+    };
+
+    const parts = getAttachmentParts(message);
+    const filenames = parts.map(part => part.filename);
+    if (filenames.join(',') !== 'invoice.pdf,notes.txt,logo.png') throw new Error(`Unexpected attachment parts: ${filenames.join(', ')}`);
+
+    const attachments = await fetchGmailAttachments(gmail, message.id, parts);
+    if (requested.join(',') !== 'att-pdf') throw new Error(`Only the PDF should be downloaded, requested: ${requested.join(', ')}`);
+    if (!attachments[0].extractedText.includes('INV-2041')) throw new Error('Nested PDF text was not extracted');
+    if (attachments[1].extractedText !== 'Call Sam back') throw new Error('Inline text attachment was not extracted');
+    if (attachments[2].extractedText !== undefined || attachments[2].size !== 2048) throw new Error('Image should only be listed');
+    attachments.forEach(attachment => console.log(`   - ${attachment.filename} (${attachment.mimeType}, ${attachment.size} bytes): ${attachment.extractedText ? 'text extracted' : 'listed'}`));
+    console.log('✅ Nested attachments are downloaded\n');
+
+    console.log('🎉 Attachment extraction test completed');
+}
+
+testAttachments()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
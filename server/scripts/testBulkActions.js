@@ -0,0 +1,102 @@
+/**
+ * Test script for bulk message actions
+ *
+ * Checks the requests POST /api/messages/bulk accepts, bulk filters and label changes.
+ * Runs offline.
+ *
+ * Usage:
+ * node scripts/testBulkActions.js
+ */
+
+const {
+    BULK_MAX_MESSAGES,
+    BULK_MAX_TASK_CONVERSIONS,
+    normalizeBulkFilter,
+    validateBulkRequest,
+    applyLabelChange,
+    chunk,
+    chunkByWrites
+} = require('../utils/bulkActions');
+
+const PRIORITIES = ['critical', 'action', 'info'];
+
+const assertEqual = (actual, expected, description) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${description}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+};
+
+const ids = (count) => Array.from({ length: count }, (_, i) => `m${i}`);
+
+function testBulkActions() {
+    console.log('🧪 Testing bulk message actions...\n');
+
+    console.log('1️⃣ Checking bulk requests...');
+    const archive = validateBulkRequest({ action: 'archive', messageIds: ['m1', 'm2', 'm1'] }, PRIORITIES);
+    assertEqual(archive.messageIds, ['m1', 'm2'], 'Duplicate IDs');
+    assertEqual(archive.maxMessages, BULK_MAX_MESSAGES, 'Message limit');
+
+    const invalid = [
+        [{ action: 'delete', messageIds: ['m1'] }, 'action must be one of'],
+        [{ action: 'archive' }, 'Pass either messageIds or filter'],
+        [{ action: 'archive', messageIds: ['m1'], filter: {} }, 'Pass either messageIds or filter'],
+        [{ action: 'archive', messageIds: [] }, 'messageIds must be a non-empty array'],
+        [{ action: 'archive', messageIds: ['m1', 7] }, 'messageIds must be a non-empty array'],
+        [{ action: 'archive', messageIds: ids(BULK_MAX_MESSAGES + 1) }, `At most ${BULK_MAX_MESSAGES} messages`],
+        [{ action: 'convertToTask', messageIds: ids(BULK_MAX_TASK_CONVERSIONS + 1) }, `At most ${BULK_MAX_TASK_CONVERSIONS} messages`],
+        [{ action: 'priority', messageIds: ['m1'], priority: 'urgent' }, 'Priority must be one of'],
+        [{ action: 'label', messageIds: ['m1'] }, 'Pass addLabels or removeLabels'],
+        [{ action: 'label', messageIds: ['m1'], addLabels: 'l1' }, 'addLabels and removeLabels must be arrays'],
+        [{ action: 'markRead', filter: { folder: 'inbox' } }, 'Unknown filter fields: folder']
+    ];
+    for (const [body, error] of invalid) {
+        const result = validateBulkRequest(body, PRIORITIES);
+        if (!result.error || !result.error.startsWith(error)) {
+            throw new Error(`${JSON.stringify(body).substring(0, 80)}: got ${result.error}, expected ${error}`);
+        }
+        console.log(`   - ${result.error}`);
+    }
+    console.log('✅ Bad requests are turned away\n');
+
+    console.log('2️⃣ Reading bulk filters...');
+    assertEqual(
+        normalizeBulkFilter({ view: 'inbox', read: false, priority: ['action', 'critical'], minConfidence: 0.7, label: '' }),
+        { params: { view: 'inbox', read: 'false', priority: 'action,critical', minConfidence: '0.7' } },
+        'Filter params'
+    );
+    const filtered = validateBulkRequest({ action: 'markRead', filter: { category: 'newsletter' } }, PRIORITIES);
+    assertEqual(filtered.filterParams, { category: 'newsletter' }, 'Filter request');
+    assertEqual(filtered.messageIds, null, 'No IDs with a filter');
+    console.log('✅ Filters become GET /api/messages parameters\n');
+
+    console.log('3️⃣ Changing labels...');
+    const label = validateBulkRequest(
+        { action: 'label', messageIds: ['m1'], addLabels: ['l1', 'l2'], removeLabels: ['l2', 'l3'] },
+        PRIORITIES
+    );
+    assertEqual(label.options, { addLabels: ['l1', 'l2'], removeLabels: ['l3'] }, 'Added labels win');
+    assertEqual(applyLabelChange(['l3', 'l4'], label.options), ['l4', 'l1', 'l2'], 'Label change');
+    assertEqual(applyLabelChange(['l1'], { addLabels: ['l1'], removeLabels: [] }), ['l1'], 'Label already there');
+    console.log('✅ Labels are added and removed\n');
+
+    console.log('4️⃣ Splitting into batches...');
+    assertEqual(chunk(ids(5), 2), [['m0', 'm1'], ['m2', 'm3'], ['m4']], 'Chunks');
+    assertEqual(chunk([], 2), [], 'No chunks');
+
+    // Task conversions write one document per task
+    const conversions = [{ id: 'm0', writes: 3 }, { id: 'm1', writes: 2 }, { id: 'm2', writes: 6 }, { id: 'm3', writes: 1 }];
+    const batches = chunkByWrites(conversions, plan => plan.writes, 5);
+    assertEqual(batches.map(batch => batch.map(plan => plan.id)), [['m0', 'm1'], ['m2'], ['m3']], 'Chunks by writes');
+    assertEqual(chunkByWrites([], plan => plan.writes, 5), [], 'No chunks by writes');
+    console.log('✅ Messages are split into batches, by message or by writes\n');
+
+    console.log('🎉 Bulk actions test completed');
+}
+
+try {
+    testBulkActions();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
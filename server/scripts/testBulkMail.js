@@ -0,0 +1,128 @@
+/**
+ * Test script for bulk mail detection and unsubscribing
+ *
+ * Checks how List-Id, List-Unsubscribe, Precedence and Auto-Submitted headers flag mail
+ * as bulk or automated, how unsubscribe options are read (refusing mailto: header
+ * injection), that one-click unsubscribe refuses links into private networks and only
+ * counts a 2xx answer as done. Runs offline.
+ *
+ * Usage:
+ * node scripts/testBulkMail.js
+ */
+
+const { detectBulkMail, parseListUnsubscribe } = require('../utils/bulkMail');
+const axios = require('axios');
+const { isPrivateAddress, parseMailtoLink, buildMailtoMessage, unsubscribeFromMessage } = require('../services/unsubscribeService');
+
+const DETECTION_CASES = [
+    { headers: {}, expected: { isBulk: false, isAutomated: false, bulkReason: null } },
+    { headers: { listUnsubscribe: '<https://news.example.com/u/1>' }, expected: { isBulk: true, isAutomated: false, bulkReason: 'List-Unsubscribe' } },
+    { headers: { listId: 'Dev list <dev.lists.example.org>' }, expected: { isBulk: true, isAutomated: false, bulkReason: 'List-Id' } },
+    { headers: { precedence: 'Bulk' }, expected: { isBulk: true, isAutomated: false, bulkReason: 'Precedence: bulk' } },
+    { headers: { autoSubmitted: 'auto-generated' }, expected: { isBulk: false, isAutomated: true, bulkReason: 'Auto-Submitted: auto-generated' } },
+    { headers: { autoSubmitted: 'no' }, expected: { isBulk: false, isAutomated: false, bulkReason: null } }
+];
+
+const UNSUBSCRIBE_CASES = [
+    {
+        header: '<mailto:leave@lists.example.com?subject=unsubscribe>, <https://news.example.com/u/1?t=abc>',
+        post: 'List-Unsubscribe=One-Click',
+        expected: { url: 'https://news.example.com/u/1?t=abc', mailto: 'mailto:leave@lists.example.com?subject=unsubscribe', oneClick: true }
+    },
+    {
+        header: '<http://news.example.com/u/1>, <mailto:leave@lists.example.com>',
+        post: '',
+        expected: { url: null, mailto: 'mailto:leave@lists.example.com', oneClick: false }
+    },
+    { header: 'not a link', post: '', expected: null }
+];
+
+async function testBulkMail() {
+    console.log('🧪 Testing bulk mail handling...\n');
+
+    console.log('1️⃣ Flagging bulk and automated mail...');
+    for (const { headers, expected } of DETECTION_CASES) {
+        const result = detectBulkMail(headers);
+        if (JSON.stringify(result) !== JSON.stringify(expected)) {
+            throw new Error(`${JSON.stringify(headers)}: got ${JSON.stringify(result)}, expected ${JSON.stringify(expected)}`);
+        }
+        console.log(`   - ${JSON.stringify(headers)}: ${result.bulkReason || 'personal'}`);
+    }
+    console.log('✅ Bulk mail is flagged\n');
+
+    console.log('2️⃣ Reading List-Unsubscribe...');
+    for (const { header, post, expected } of UNSUBSCRIBE_CASES) {
+        const result = parseListUnsubscribe(header, post);
+        if (JSON.stringify(result) !== JSON.stringify(expected)) {
+            throw new Error(`"${header}": got ${JSON.stringify(result)}, expected ${JSON.stringify(expected)}`);
+        }
+    }
+
+    const raw = Buffer.from(await buildMailtoMessage('mailto:leave@lists.example.com?subject=Abmelden%20bitte&body=Hi%0D%0ABcc:%20x@example.com'), 'base64url').toString();
+    const [headers, body] = raw.split('\r\n\r\n');
+    if (!/^To: leave@lists\.example\.com$/m.test(headers) || !/^Subject: Abmelden bitte$/m.test(headers) || /Bcc/i.test(raw) || body.trim() !== 'unsubscribe') {
+        throw new Error(`Unexpected unsubscribe mail:\n${raw}`);
+    }
+
+    // The link comes from the sender, who must not be able to add recipients or headers
+    for (const mailto of [
+        'mailto:x@example.com%0D%0ABcc:victim@example.org',
+        'mailto:x@example.com,victim@example.org',
+        'mailto:Leave%20<x@example.com>',
+        'mailto:%E0%A4%A',
+        'mailto:?to=victim@example.org'
+    ]) {
+        if (parseMailtoLink(mailto) !== null || await buildMailtoMessage(mailto) !== null) {
+            throw new Error(`${mailto} should be refused`);
+        }
+    }
+    const injected = parseMailtoLink('mailto:leave@lists.example.com?subject=stop%0D%0ABcc:%20victim@example.org');
+    if (injected.subject !== 'stop Bcc: victim@example.org') {
+        throw new Error(`Line breaks were kept in the subject: ${JSON.stringify(injected)}`);
+    }
+    console.log('✅ Unsubscribe options are read, header injection is refused\n');
+
+    console.log('3️⃣ Refusing private addresses...');
+    ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:10.0.0.1'].forEach(address => {
+        if (!isPrivateAddress(address)) throw new Error(`${address} should be private`);
+    });
+    ['93.184.216.34', '2606:2800:220:1::1'].forEach(address => {
+        if (isPrivateAddress(address)) throw new Error(`${address} should be public`);
+    });
+
+    for (const url of ['https://127.0.0.1/unsubscribe', 'https://localhost/unsubscribe']) {
+        let recorded;
+        const messageRef = { id: 'msg-1', update: async (fields) => { recorded = fields.unsubscribeResult; } };
+        const result = await unsubscribeFromMessage('user-1', messageRef, { unsubscribe: { url, mailto: null, oneClick: true } });
+        if (result.status !== 'failed' || !/private address/.test(result.error)) throw new Error(`${url} was not refused: ${JSON.stringify(result)}`);
+        if (recorded !== result) throw new Error('The result was not recorded on the message');
+        console.log(`   - ${url}: ${result.error}`);
+    }
+    console.log('✅ Links into private networks are refused\n');
+
+    console.log('4️⃣ Checking one-click answers...');
+    const post = axios.post;
+    try {
+        for (const [httpStatus, expected] of [[200, 'unsubscribed'], [204, 'unsubscribed'], [302, 'failed'], [404, 'failed']]) {
+            axios.post = async () => ({ status: httpStatus });
+            const messageRef = { id: 'msg-2', update: async () => {} };
+            const result = await unsubscribeFromMessage('user-1', messageRef, {
+                unsubscribe: { url: 'https://93.184.216.34/unsubscribe', mailto: null, oneClick: true }
+            });
+            if (result.status !== expected) throw new Error(`HTTP ${httpStatus}: got ${result.status}, expected ${expected}`);
+            console.log(`   - HTTP ${httpStatus}: ${result.status}`);
+        }
+    } finally {
+        axios.post = post;
+    }
+    console.log('✅ Only a 2xx answer counts as unsubscribed\n');
+
+    console.log('🎉 Bulk mail test completed');
+}
+
+testBulkMail()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
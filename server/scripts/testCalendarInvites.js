@@ -0,0 +1,141 @@
+/**
+ * Test script for meeting invite parsing
+ *
+ * Parses the iCalendar files in scripts/fixtures/calendar/ (Google and Outlook invites,
+ * a cancellation, an all-day event), finds the text/calendar part of a Gmail message,
+ * and builds the "RSVP to ..." tasks of a pending invite. Runs offline.
+ *
+ * Usage:
+ * node scripts/testCalendarInvites.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCalendar, getRsvpStatus } = require('../utils/icsParser');
+const { parseEmailBody } = require('../utils/emailParser');
+const { buildRsvpTasks, getEventDocId } = require('../services/eventService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'calendar');
+const USER_EMAILS = ['you@example.com'];
+
+const CALENDAR_CASES = [
+    {
+        file: 'google-invite.ics',
+        method: 'REQUEST',
+        expected: {
+            title: 'Q3 planning',
+            start: '2030-07-15T08:00:00.000Z',
+            end: '2030-07-15T09:00:00.000Z',
+            location: 'Room 4.01, Berlin office',
+            description: 'Agenda:\n- Q3 roadmap\n- Hiring, budget',
+            organizer: 'alice@example.com',
+            rsvpStatus: 'needs-action'
+        }
+    },
+    {
+        file: 'outlook-invite.ics',
+        method: 'REQUEST',
+        expected: {
+            title: 'Contract review',
+            start: '2030-12-03T13:00:00.000Z',
+            end: '2030-12-03T13:30:00.000Z',
+            description: "Let's go through the contract renewal before the deadline. Please bring the signed copy.",
+            organizer: 'john.doe@contoso.com',
+            sequence: 2,
+            rsvpStatus: 'needs-action'
+        }
+    },
+    {
+        file: 'cancellation.ics',
+        method: 'CANCEL',
+        expected: { title: 'Q3 planning', status: 'cancelled', sequence: 1 }
+    },
+    {
+        file: 'all-day.ics',
+        method: 'REQUEST',
+        expected: {
+            title: 'Team offsite',
+            start: '2030-09-20T00:00:00.000Z',
+            end: '2030-09-22T00:00:00.000Z',
+            allDay: true,
+            recurrence: 'FREQ=YEARLY',
+            rsvpStatus: 'tentative'
+        }
+    }
+];
+
+function testCalendarInvites() {
+    console.log('🧪 Testing calendar invites...\n');
+
+    console.log('1️⃣ Parsing iCalendar fixtures...');
+    for (const { file, method, expected } of CALENDAR_CASES) {
+        const calendar = parseCalendar(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+        if (calendar.method !== method) throw new Error(`${file}: method ${calendar.method}, expected ${method}`);
+        if (calendar.events.length !== 1) throw new Error(`${file}: ${calendar.events.length} events, expected 1`);
+
+        const event = calendar.events[0];
+        const actual = {
+            ...event,
+            organizer: event.organizer && event.organizer.email,
+            rsvpStatus: getRsvpStatus(event, USER_EMAILS)
+        };
+        Object.entries(expected).forEach(([field, value]) => {
+            if (actual[field] !== value) {
+                throw new Error(`${file}: ${field} is ${JSON.stringify(actual[field])}, expected ${JSON.stringify(value)}`);
+            }
+        });
+        console.log(`   - ${file}: "${event.title}" ${event.start} (${method})`);
+    }
+    console.log('✅ Events are parsed\n');
+
+    console.log('2️⃣ Reading the text/calendar part of a Gmail message...');
+    const ics = fs.readFileSync(path.join(FIXTURES_DIR, 'google-invite.ics'));
+    const message = {
+        payload: {
+            mimeType: 'multipart/mixed',
+            parts: [{
+                mimeType: 'multipart/alternative',
+                parts: [
+                    { mimeType: 'text/plain', body: { data: Buffer.from('You have been invited to Q3 planning').toString('base64url') } },
+                    {
+                        mimeType: 'text/calendar',
+                        headers: [{ name: 'Content-Type', value: 'text/calendar; charset="UTF-8"; method=REQUEST' }],
+                        body: { data: ics.toString('base64url') }
+                    }
+                ]
+            }]
+        }
+    };
+    const parsed = parseEmailBody(message);
+    if (parsed.text.includes('BEGIN:VCALENDAR')) throw new Error('The calendar ended up in the body text');
+    if (parseCalendar(parsed.calendar).events.length !== 1) throw new Error('The text/calendar part was not read');
+    console.log('✅ Calendar part is kept apart from the body\n');
+
+    console.log('3️⃣ Building RSVP tasks...');
+    const events = parseCalendar(ics.toString('utf8')).events.map(event => ({
+        ...event,
+        method: 'REQUEST',
+        rsvpStatus: getRsvpStatus(event, USER_EMAILS)
+    }));
+    const tasks = buildRsvpTasks({ type: 'email', sourceId: 'msg-1', threadId: 'thread-1', events });
+    if (tasks.length !== 1) throw new Error(`${tasks.length} RSVP tasks, expected 1`);
+    if (tasks[0].title !== 'RSVP to Q3 planning') throw new Error(`Unexpected title "${tasks[0].title}"`);
+    if (tasks[0].dueDate.toISOString() !== '2030-07-15T08:00:00.000Z') throw new Error(`Due ${tasks[0].dueDate.toISOString()}, expected the event start`);
+    if (tasks[0].eventId !== getEventDocId(events[0])) throw new Error('Task is not linked to its event');
+    console.log(`   - ${tasks[0].title}, due ${tasks[0].dueDate.toISOString()}`);
+
+    const answered = buildRsvpTasks({ type: 'email', events: events.map(event => ({ ...event, rsvpStatus: 'accepted' })) });
+    const past = buildRsvpTasks({ type: 'email', events: events.map(event => ({ ...event, start: '2020-01-01T10:00:00.000Z' })) });
+    if (answered.length > 0 || past.length > 0) throw new Error('Answered and past invites should not get RSVP tasks');
+    console.log('✅ Only pending invites get RSVP tasks\n');
+
+    console.log('🎉 Calendar invite test completed');
+}
+
+try {
+    testCalendarInvites();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,65 @@
+/**
+ * Test script for the Gmail MIME parser
+ *
+ * Parses the Gmail API messages in scripts/fixtures/emails/ (non-UTF-8 charsets,
+ * RFC 2047 encoded headers, HTML-only mail, attachments) and checks the decoded
+ * headers and body text against each fixture's `expected` block. Runs offline.
+ *
+ * Usage:
+ * node scripts/testEmailParser.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseEmailBody, parseEmailHeaders, decodeMimeWords } = require('../utils/emailParser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'emails');
+
+const HEADER_CASES = [
+    { value: '=?UTF-8?Q?Caf=C3=A9_au_lait?=', expected: 'Café au lait' },
+    { value: 'Re: =?ISO-8859-1?Q?K=F6ln?= meeting', expected: 'Re: Köln meeting' },
+    { value: '=?UTF-8?B?SGVsbG8=?= =?UTF-8?B?IHdvcmxk?=', expected: 'Hello world' },
+    { value: '=?unknown-charset?Q?plain?=', expected: 'plain' },
+    { value: 'No encoding here', expected: 'No encoding here' }
+];
+
+function testEmailParser() {
+    console.log('🧪 Testing email parser...\n');
+
+    console.log('1️⃣ Decoding encoded header words...');
+    for (const { value, expected } of HEADER_CASES) {
+        const decoded = decodeMimeWords(value);
+        if (decoded !== expected) throw new Error(`"${value}" was decoded to "${decoded}", expected "${expected}"`);
+        console.log(`   - ${decoded}`);
+    }
+    console.log('✅ Header words are decoded\n');
+
+    console.log('2️⃣ Parsing fixture messages...');
+    const files = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort();
+    for (const file of files) {
+        const { message, expected } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+        const headers = parseEmailHeaders(message);
+        const { text } = parseEmailBody(message);
+
+        if (headers.subject !== expected.subject) throw new Error(`${file}: subject "${headers.subject}", expected "${expected.subject}"`);
+        if (headers.from !== expected.from) throw new Error(`${file}: from "${headers.from}", expected "${expected.from}"`);
+        (expected.textIncludes || []).forEach(snippet => {
+            if (!text.includes(snippet)) throw new Error(`${file}: body is missing ${JSON.stringify(snippet)}\n${text}`);
+        });
+        (expected.textExcludes || []).forEach(snippet => {
+            if (text.includes(snippet)) throw new Error(`${file}: body should not contain ${JSON.stringify(snippet)}\n${text}`);
+        });
+        console.log(`   - ${file}: "${headers.subject}" (${text.length} chars)`);
+    }
+    console.log(`✅ ${files.length} messages parsed\n`);
+
+    console.log('🎉 Email parser test completed');
+}
+
+try {
+    testEmailParser();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,72 @@
+/**
+ * Test script for the IMAP mail connector
+ *
+ * Connects to an IMAP server, fetches recent messages and prints them in the
+ * same shape the email pipeline stores. Intended for a local test server, e.g.:
+ *
+ *   docker run -p 3143:3143 -p 3025:3025 greenmail/standalone
+ *
+ * Usage (local servers need IMAP_ALLOW_PRIVATE_HOSTS=true):
+ * IMAP_ALLOW_PRIVATE_HOSTS=true IMAP_TEST_HOST=localhost IMAP_TEST_PORT=3143 IMAP_TEST_SECURE=false \
+ * IMAP_TEST_USER=test@localhost IMAP_TEST_PASSWORD=test \
+ * node scripts/testImapConnector.js [--classify]
+ */
+
+require('dotenv').config();
+const { testImapConnection, fetchImapEmails, parseImapMessage } = require('../services/imapService');
+const { processParsedEmail } = require('./processEmail');
+
+const authData = {
+    provider: 'imap',
+    host: process.env.IMAP_TEST_HOST || 'localhost',
+    port: process.env.IMAP_TEST_PORT || 3143,
+    secure: process.env.IMAP_TEST_SECURE === 'true',
+    user: process.env.IMAP_TEST_USER || 'test@localhost',
+    password: process.env.IMAP_TEST_PASSWORD || 'test',
+    rejectUnauthorized: process.env.IMAP_TEST_REJECT_UNAUTHORIZED !== 'false'
+};
+
+// Classification calls the LLM, so it is opt-in
+const shouldClassify = process.argv.includes('--classify');
+
+async function testImapConnector() {
+    console.log(`🧪 Testing IMAP connector against ${authData.host}:${authData.port}...\n`);
+
+    console.log('1️⃣ Testing connection...');
+    const connection = await testImapConnection(authData);
+    if (!connection.success) {
+        console.error(`❌ Connection failed: ${connection.error}`);
+        process.exit(1);
+    }
+    console.log('✅ Connected and opened INBOX\n');
+
+    console.log('2️⃣ Fetching recent messages...');
+    const fetchResult = await fetchImapEmails(authData, { maxResults: 10 });
+    if (!fetchResult.success) {
+        console.error(`❌ Fetch failed: ${fetchResult.error}`);
+        process.exit(1);
+    }
+    console.log(`✅ Fetched ${fetchResult.messages.length} messages (UIDVALIDITY ${fetchResult.uidValidity})\n`);
+
+    console.log(`3️⃣ Parsing messages${shouldClassify ? ' and classifying' : ''}...`);
+    for (const message of fetchResult.messages) {
+        const sourceId = `imap-test-${fetchResult.uidValidity}-${message.uid}`;
+        const parsedEmail = await parseImapMessage(message, sourceId);
+
+        if (shouldClassify) {
+            const processedEmail = await processParsedEmail(parsedEmail, { read: parsedEmail.read });
+            console.log(`   - [${processedEmail.priority}] ${processedEmail.subject} (from ${processedEmail.from.email})`);
+        } else {
+            console.log(`   - UID ${message.uid}: ${parsedEmail.subject} (from ${parsedEmail.from}, ${parsedEmail.attachments.length} attachments)`);
+        }
+    }
+
+    console.log('\n🎉 IMAP connector test completed');
+}
+
+testImapConnector()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Test failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,113 @@
+/**
+ * Test script for the LLM provider layer
+ *
+ * Runs the classifier, task generator and briefing stages offline: every stage uses
+ * the deterministic mock provider, a fake OpenAI-compatible server stands in for a
+ * local Ollama/llama.cpp endpoint, and an unreachable endpoint checks that a stage
+ * falls back to the next provider in its chain. No API keys are needed.
+ *
+ * Usage:
+ * node scripts/testLlmProviders.js
+ */
+
+require('dotenv').config();
+const express = require('express');
+
+// Configure every stage before the pipeline modules read the environment
+process.env.LLM_DEFAULT_CHAIN = 'mock';
+process.env.LLM_CACHE_ENABLED = 'false';
+delete process.env.LLM_CLASSIFIER_CHAIN;
+delete process.env.LLM_TASKS_CHAIN;
+delete process.env.LLM_BRIEFING_CHAIN;
+
+const EMAILS = [
+    { from: 'ops@example.com', subject: 'Production outage', body: 'The API is failing, we need a fix ASAP.', expected: 'FLOW_CRITICAL' },
+    { from: 'alice@example.com', subject: 'Contract renewal', body: 'Could you sign the renewal by Friday?', expected: 'FLOW_ACTION' },
+    { from: 'news@example.com', subject: 'Weekly newsletter', body: 'Top stories this week.', expected: 'FLOW_INFO' }
+];
+
+const startFakeOpenAIServer = () => new Promise(resolve => {
+    const app = express();
+    app.use(express.json());
+
+    app.post('/v1/chat/completions', (req, res) => {
+        res.json({
+            id: 'chatcmpl-test',
+            object: 'chat.completion',
+            model: req.body.model,
+            choices: [{
+                index: 0,
+                finish_reason: 'stop',
+                message: { role: 'assistant', content: JSON.stringify({ label: 'FLOW_ACTION', reasoning: `answered by ${req.body.model} at temperature ${req.body.temperature}` }) }
+            }]
+        });
+    });
+
+    const server = app.listen(0, () => resolve({ server, baseUrl: `http://localhost:${server.address().port}/v1` }));
+});
+
+async function testLlmProviders() {
+    const { generateText, getStageConfig } = require('../services/llmService');
+    const { classifyEmailToMessage } = require('./classifyEmailToMessage');
+    const { generateTaskFromMessage } = require('./taskGenerator');
+    const { server, baseUrl } = await startFakeOpenAIServer();
+
+    try {
+        console.log('🧪 Testing LLM provider layer offline...\n');
+
+        console.log('1️⃣ Reading stage configuration...');
+        process.env.LLM_TASKS_CHAIN = 'nebius, openai-compatible:llama3.1:8b ,mock';
+        process.env.LLM_TASKS_TEMPERATURE = '0.2';
+        const tasksConfig = getStageConfig('tasks');
+        delete process.env.LLM_TASKS_CHAIN;
+        delete process.env.LLM_TASKS_TEMPERATURE;
+        const chain = tasksConfig.chain.map(({ provider, model }) => `${provider}:${model}`).join(',');
+        if (chain !== 'nebius:Qwen/Qwen2.5-32B-Instruct,openai-compatible:llama3.1:8b,mock:mock') throw new Error(`Unexpected chain: ${chain}`);
+        if (tasksConfig.temperature !== 0.2 || tasksConfig.maxTokens !== 500) throw new Error('Stage overrides were not applied');
+        console.log(`✅ tasks stage -> ${chain} (temperature ${tasksConfig.temperature}, ${tasksConfig.maxTokens} tokens)\n`);
+
+        console.log('2️⃣ Classifying emails with the mock provider...');
+        for (const email of EMAILS) {
+            const { label, reasoning } = await classifyEmailToMessage(email);
+            if (label !== email.expected) throw new Error(`"${email.subject}" was classified as ${label}, expected ${email.expected}`);
+            console.log(`   - ${email.subject}: ${label} (${reasoning})`);
+        }
+        console.log('✅ Mock classification is deterministic\n');
+
+        console.log('3️⃣ Generating tasks with the mock provider...');
+        const actionTask = await generateTaskFromMessage({ type: 'email', subject: 'Contract renewal', content: 'Could you sign the renewal by Friday?', priority: 'action', from: { name: 'Alice', email: 'alice@example.com' } });
+        const infoTask = await generateTaskFromMessage({ type: 'email', subject: 'Weekly newsletter', content: 'Top stories this week.', priority: 'info', from: { name: 'News', email: 'news@example.com' } });
+        if (!actionTask.isGenerateTask || infoTask.isGenerateTask) throw new Error('Task generation did not follow the message content');
+        console.log(`✅ Action email -> "${actionTask.tasks.title}", newsletter -> no task\n`);
+
+        console.log('4️⃣ Summarizing a briefing with the mock provider...');
+        const briefing = await generateText('briefing', [{ role: 'user', content: 'EMAIL 1:\nSubject: Production outage\n\nEMAIL 2:\nSubject: Contract renewal' }]);
+        if (briefing.provider !== 'mock') throw new Error(`Briefing used ${briefing.provider}`);
+        console.log(`✅ ${briefing.text}\n`);
+
+        console.log('5️⃣ Calling an OpenAI-compatible server...');
+        process.env.OPENAI_COMPATIBLE_BASE_URL = baseUrl;
+        process.env.LLM_CLASSIFIER_CHAIN = 'openai-compatible:llama3.1:8b';
+        const local = await classifyEmailToMessage(EMAILS[2]);
+        if (local.label !== 'FLOW_ACTION') throw new Error('The OpenAI-compatible answer was not used');
+        console.log(`✅ ${local.reasoning}\n`);
+
+        console.log('6️⃣ Falling back from an unreachable endpoint...');
+        process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://127.0.0.1:9/v1';
+        process.env.LLM_CLASSIFIER_CHAIN = 'openai-compatible,unknown-provider,mock';
+        const fallback = await generateText('classifier', [{ role: 'user', content: 'Subject: Production outage\n---\nThe site is failing, fix it immediately' }]);
+        if (fallback.provider !== 'mock') throw new Error(`Expected the mock provider to answer, got ${fallback.provider}`);
+        console.log(`✅ Answered by ${fallback.provider}: ${fallback.text}\n`);
+
+        console.log('🎉 LLM provider test completed');
+    } finally {
+        server.close();
+    }
+}
+
+testLlmProviders()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
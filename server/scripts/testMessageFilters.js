@@ -0,0 +1,75 @@
+/**
+ * Test script for message filters
+ *
+ * Checks the deadline bounds and the filters GET /api/messages runs on each page, with
+ * deadlines stored as Firestore Timestamps. Runs offline.
+ *
+ * Usage:
+ * node scripts/testMessageFilters.js
+ */
+
+const { Timestamp } = require('firebase-admin').firestore;
+const {
+    toDeadlineDate,
+    parseDeadlineBefore,
+    getStartOfToday,
+    matchesPageFilters
+} = require('../utils/messageFilters');
+
+const assertEqual = (actual, expected, description) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${description}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+};
+
+// Deadlines as classifyEmailToMessage stores them
+const deadlineOn = (day) => Timestamp.fromDate(new Date(day));
+
+const NO_FILTERS = { categories: null, minConfidence: null, hasDeadline: undefined, deadlineBound: null };
+
+function testMessageFilters() {
+    console.log('🧪 Testing message filters...\n');
+
+    console.log('1️⃣ Reading deadline bounds...');
+    assertEqual(parseDeadlineBefore('2025-05-02').deadlineBound.toISOString(), '2025-05-02T23:59:59.999Z', 'Date');
+    assertEqual(parseDeadlineBefore('2025-05-02T08:30:00Z').deadlineBound.toISOString(), '2025-05-02T23:59:59.999Z', 'Date and time');
+    assertEqual(parseDeadlineBefore('soon'), { error: 'deadlineBefore must be a date' }, 'Not a date');
+    assertEqual(getStartOfToday(new Date('2025-05-02T17:45:00Z')).toISOString(), '2025-05-02T00:00:00.000Z', 'Start of today');
+    assertEqual(toDeadlineDate(deadlineOn('2025-05-02')).toISOString(), '2025-05-02T00:00:00.000Z', 'Timestamp');
+    assertEqual(toDeadlineDate(new Date('2025-05-02')).toISOString(), '2025-05-02T00:00:00.000Z', 'Date');
+    assertEqual(toDeadlineDate(null), null, 'No deadline');
+    console.log('✅ deadlineBefore covers the whole day, overdue starts at midnight UTC\n');
+
+    console.log('2️⃣ Filtering Timestamp deadlines...');
+    const { deadlineBound } = parseDeadlineBefore('2025-05-02');
+    const before = { ...NO_FILTERS, deadlineBound };
+    assertEqual(matchesPageFilters({ deadline: deadlineOn('2025-05-01') }, before), true, 'Deadline the day before');
+    assertEqual(matchesPageFilters({ deadline: deadlineOn('2025-05-02') }, before), true, 'Deadline on the day');
+    assertEqual(matchesPageFilters({ deadline: deadlineOn('2025-05-03') }, before), false, 'Deadline the day after');
+    assertEqual(matchesPageFilters({ deadline: null }, before), false, 'No deadline');
+
+    const withDeadline = { ...NO_FILTERS, hasDeadline: 'true' };
+    assertEqual(matchesPageFilters({ deadline: deadlineOn('2025-05-01') }, withDeadline), true, 'hasDeadline=true');
+    assertEqual(matchesPageFilters({ deadline: null }, withDeadline), false, 'hasDeadline=true without one');
+    assertEqual(matchesPageFilters({ deadline: null }, { ...NO_FILTERS, hasDeadline: 'false' }), true, 'hasDeadline=false');
+    console.log('✅ Timestamp deadlines match deadlineBefore and hasDeadline\n');
+
+    console.log('3️⃣ Filtering categories and confidence...');
+    const invoices = { ...NO_FILTERS, categories: ['invoice_billing', 'uncategorized'] };
+    assertEqual(matchesPageFilters({ category: 'invoice_billing' }, invoices), true, 'Listed category');
+    assertEqual(matchesPageFilters({}, invoices), true, 'Uncategorized message');
+    assertEqual(matchesPageFilters({ category: 'code_review' }, invoices), false, 'Other category');
+    assertEqual(matchesPageFilters({ confidence: 0.9 }, { ...NO_FILTERS, minConfidence: 0.8 }), true, 'Confident');
+    assertEqual(matchesPageFilters({ confidence: null }, { ...NO_FILTERS, minConfidence: 0.8 }), false, 'No confidence');
+    console.log('✅ Categories and confidence are filtered\n');
+
+    console.log('🎉 Message filters test completed');
+}
+
+try {
+    testMessageFilters();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
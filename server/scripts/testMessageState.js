@@ -0,0 +1,97 @@
+/**
+ * Test script for archive, snooze and labels
+ *
+ * Checks snooze dates, label names and the Gmail modify requests built for archive and
+ * label changes. Runs offline.
+ *
+ * Usage:
+ * node scripts/testMessageState.js
+ */
+
+const {
+    SNOOZE_MAX_DAYS,
+    parseSnoozeUntil,
+    normalizeLabelName,
+    validateLabelInput,
+    diffLabels,
+    buildGmailModifyRequest,
+    isGmailMessage
+} = require('../utils/messageState');
+
+const NOW = new Date('2025-05-02T10:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const assertEqual = (actual, expected, description) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${description}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+};
+
+function testMessageState() {
+    console.log('🧪 Testing archive, snooze and labels...\n');
+
+    console.log('1️⃣ Reading snooze dates...');
+    const tomorrow = parseSnoozeUntil('2025-05-03T09:00:00Z', NOW);
+    assertEqual(tomorrow.until && tomorrow.until.toISOString(), '2025-05-03T09:00:00.000Z', 'Tomorrow');
+    assertEqual(parseSnoozeUntil(NOW.getTime() + 60000, NOW).error, undefined, 'Epoch milliseconds');
+
+    const invalid = [
+        ['not a date', 'until must be a date'],
+        ['', 'until must be a date'],
+        [undefined, 'until must be a date'],
+        ['2025-05-02T09:59:00Z', 'until must be in the future'],
+        [new Date(NOW.getTime() + (SNOOZE_MAX_DAYS + 1) * DAY_MS).toISOString(), `until must be within ${SNOOZE_MAX_DAYS} days`]
+    ];
+    for (const [value, error] of invalid) {
+        assertEqual(parseSnoozeUntil(value, NOW).error, error, `until=${value}`);
+        console.log(`   - ${value === undefined ? '(missing)' : value || '(empty)'}: ${error}`);
+    }
+    console.log('✅ Snooze dates are checked\n');
+
+    console.log('2️⃣ Checking label names and colors...');
+    assertEqual(normalizeLabelName('  Q3   contracts '), 'Q3 contracts', 'Whitespace');
+    assertEqual(validateLabelInput({ name: 'Clients', color: 'blue' }), null, 'Valid label');
+    assertEqual(validateLabelInput({ name: '   ' }), 'Label name is required', 'Blank name');
+    assertEqual(validateLabelInput({ name: 'x'.repeat(51) }), 'Label name must be at most 50 characters', 'Long name');
+    assertEqual(validateLabelInput({ color: 'blue' }, true), null, 'Color only update');
+    if (!validateLabelInput({ name: 'Clients', color: 'neon' })) {
+        throw new Error('An unknown color was accepted');
+    }
+    console.log('✅ Label input is checked\n');
+
+    console.log('3️⃣ Building Gmail modify requests...');
+    assertEqual(diffLabels(['a', 'b'], ['b', 'c']), { added: ['c'], removed: ['a'] }, 'Label diff');
+    assertEqual(
+        buildGmailModifyRequest({ archived: true }),
+        { addLabelIds: [], removeLabelIds: ['INBOX'] },
+        'Archive'
+    );
+    assertEqual(
+        buildGmailModifyRequest({ archived: false, addLabelIds: ['Label_1'], removeLabelIds: ['Label_2'] }),
+        { addLabelIds: ['Label_1', 'INBOX'], removeLabelIds: ['Label_2'] },
+        'Unarchive with labels'
+    );
+    // Two FlowSync labels can share a Gmail label when one was renamed to the other's name
+    assertEqual(
+        buildGmailModifyRequest({ addLabelIds: ['Label_1'], removeLabelIds: ['Label_1'] }),
+        { addLabelIds: ['Label_1'], removeLabelIds: [] },
+        'Same label added and removed'
+    );
+    console.log('✅ Archive takes the INBOX label off, labels map to Gmail labels\n');
+
+    console.log('4️⃣ Telling Gmail messages apart...');
+    assertEqual(isGmailMessage({ type: 'email', labelIds: ['INBOX'] }), true, 'Gmail message');
+    assertEqual(isGmailMessage({ type: 'email', serviceId: 'imap-1' }), false, 'IMAP message');
+    assertEqual(isGmailMessage({ type: 'slack', labelIds: [] }), false, 'Slack message');
+    console.log('✅ Only Gmail messages are synced back\n');
+
+    console.log('🎉 Message state test completed');
+}
+
+try {
+    testMessageState();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,170 @@
+/**
+ * Test script for the Microsoft Graph connector (Outlook and Teams)
+ *
+ * Starts a small fake Graph API in-process, points GRAPH_API_BASE_URL at it and
+ * runs the connector against it: Outlook delta sync (including paging and removed
+ * messages) and Teams chat/channel message conversion. Nothing is written to Firestore.
+ *
+ * Usage:
+ * node scripts/testMicrosoftConnector.js [--classify]
+ */
+
+require('dotenv').config();
+const express = require('express');
+
+const ACCESS_TOKEN = 'graph-test-token';
+const ME = { id: 'user-me', displayName: 'Me', mail: 'me@contoso.com', userPrincipalName: 'me@contoso.com' };
+
+const OUTLOOK_MESSAGES = [
+    {
+        id: 'AAMk/outlook-1',
+        subject: 'Contract renewal due Friday',
+        from: { emailAddress: { name: 'Alice Smith', address: 'alice@contoso.com' } },
+        toRecipients: [{ emailAddress: { name: 'Me', address: 'me@contoso.com' } }],
+        receivedDateTime: '2024-05-01T09:00:00Z',
+        isRead: false,
+        body: { contentType: 'text', content: 'Hi, please sign the renewal before Friday.' },
+        bodyPreview: 'Hi, please sign the renewal before Friday.',
+        hasAttachments: false,
+        internetMessageId: '<renewal@contoso.com>'
+    },
+    {
+        id: 'outlook-2',
+        subject: 'Weekly newsletter',
+        from: { emailAddress: { name: 'News', address: 'news@contoso.com' } },
+        toRecipients: [],
+        receivedDateTime: '2024-05-01T08:00:00Z',
+        isRead: true,
+        body: { contentType: 'html', content: '<p>Top stories&nbsp;this week</p><p>&amp; more</p>' },
+        bodyPreview: 'Top stories this week',
+        hasAttachments: false
+    }
+];
+
+const TEAMS_CHATS = [
+    { id: '19:chat-1@unq.gbl.spaces', chatType: 'oneOnOne', topic: null, members: [{ displayName: 'Bob' }, { displayName: 'Me' }] }
+];
+const TEAMS_MESSAGES = {
+    '19:chat-1@unq.gbl.spaces': [
+        { id: '3', messageType: 'message', createdDateTime: '2024-05-01T10:02:00Z', from: { user: { id: 'user-me', displayName: 'Me' } }, body: { contentType: 'text', content: 'My own reply' } },
+        { id: '2', messageType: 'systemEventMessage', createdDateTime: '2024-05-01T10:01:00Z', body: { contentType: 'html', content: '<systemEventMessage/>' } },
+        { id: '1', messageType: 'message', createdDateTime: '2024-05-01T10:00:00Z', from: { user: { id: 'user-bob', displayName: 'Bob' } }, body: { contentType: 'html', content: '<p>Can you join the <b>incident call</b> now?</p>' } }
+    ],
+    'channel-1': [
+        {
+            id: '10', messageType: 'message', createdDateTime: '2024-05-01T11:00:00Z',
+            from: { user: { id: 'user-carol', displayName: 'Carol' } },
+            body: { contentType: 'html', content: '<p><at id="0">Me</at> the release notes need a review</p>' },
+            mentions: [{ id: 0, mentioned: { user: { id: 'user-me', displayName: 'Me' } } }]
+        }
+    ]
+};
+
+// Classification calls the LLM, so it is opt-in
+const shouldClassify = process.argv.includes('--classify');
+
+const startFakeGraphApi = () => new Promise(resolve => {
+    const app = express();
+    let baseUrl = '';
+
+    app.use((req, res, next) => {
+        if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+            return res.status(401).json({ error: { code: 'InvalidAuthenticationToken', message: 'Access token is invalid' } });
+        }
+        next();
+    });
+
+    app.get('/v1.0/me', (req, res) => res.json(ME));
+
+    // Two pages, then a deltaLink; the deltaLink reports one removal
+    app.get('/v1.0/me/mailFolders/inbox/messages/delta', (req, res) => {
+        if (req.query.$deltatoken === 'next') {
+            return res.json({ value: [{ id: 'outlook-2', '@removed': { reason: 'deleted' } }], '@odata.deltaLink': `${baseUrl}/me/mailFolders/inbox/messages/delta?$deltatoken=next` });
+        }
+        if (req.query.$skiptoken === 'page2') {
+            return res.json({ value: [OUTLOOK_MESSAGES[1]], '@odata.deltaLink': `${baseUrl}/me/mailFolders/inbox/messages/delta?$deltatoken=next` });
+        }
+        res.json({ value: [OUTLOOK_MESSAGES[0]], '@odata.nextLink': `${baseUrl}/me/mailFolders/inbox/messages/delta?$skiptoken=page2` });
+    });
+
+    app.get('/v1.0/me/chats', (req, res) => res.json({ value: TEAMS_CHATS }));
+    app.get('/v1.0/me/chats/:chatId/messages', (req, res) => res.json({ value: TEAMS_MESSAGES[req.params.chatId] || [] }));
+    app.get('/v1.0/me/joinedTeams', (req, res) => res.json({ value: [{ id: 'team-1', displayName: 'Engineering' }] }));
+    app.get('/v1.0/teams/:teamId/channels', (req, res) => res.json({ value: [{ id: 'channel-1', displayName: 'Releases' }] }));
+    app.get('/v1.0/teams/:teamId/channels/:channelId/messages', (req, res) => res.json({ value: TEAMS_MESSAGES[req.params.channelId] || [] }));
+
+    const server = app.listen(0, () => {
+        baseUrl = `http://localhost:${server.address().port}/v1.0`;
+        resolve({ server, baseUrl });
+    });
+});
+
+async function testMicrosoftConnector() {
+    const { server, baseUrl } = await startFakeGraphApi();
+    process.env.GRAPH_API_BASE_URL = baseUrl;
+
+    const {
+        getMicrosoftProfile,
+        fetchOutlookChanges,
+        parseOutlookMessage,
+        listTeamsConversations,
+        fetchTeamsMessages,
+        shouldIngestTeamsMessage,
+        buildTeamsMessage
+    } = require('../services/microsoftGraphService');
+    const { processParsedEmail } = require('./processEmail');
+    const { processTeamsMessage } = require('./processTeamsMessage');
+
+    try {
+        console.log('🧪 Testing Microsoft Graph connector against a fake Graph API...\n');
+
+        console.log('1️⃣ Reading profile...');
+        const profile = await getMicrosoftProfile(ACCESS_TOKEN);
+        await getMicrosoftProfile('wrong-token').then(
+            () => { throw new Error('Invalid token was accepted'); },
+            error => console.log(`✅ Signed in as ${profile.mail} (invalid token rejected: ${error.status})\n`)
+        );
+
+        console.log(`2️⃣ Outlook delta sync${shouldClassify ? ' and classification' : ''}...`);
+        const initial = await fetchOutlookChanges(ACCESS_TOKEN, { since: new Date('2024-04-01T00:00:00Z') });
+        if (initial.messages.length !== 2 || !initial.deltaLink) throw new Error('Initial delta did not follow nextLink to the deltaLink');
+        for (const message of initial.messages) {
+            const parsedEmail = parseOutlookMessage(message);
+            const email = shouldClassify
+                ? await processParsedEmail(parsedEmail, { read: parsedEmail.read })
+                : parsedEmail;
+            console.log(`   - [${email.priority || 'unclassified'}] ${email.sourceId}: ${email.subject} (${shouldClassify ? email.from.email : email.from}) -> "${parsedEmail.text}"`);
+        }
+        const incremental = await fetchOutlookChanges(ACCESS_TOKEN, { deltaLink: initial.deltaLink });
+        if (incremental.removedIds.join() !== 'outlook-2') throw new Error('Removed message was not reported');
+        console.log(`✅ ${initial.messages.length} messages on the first sync, ${incremental.removedIds.length} removed on the next\n`);
+
+        console.log(`3️⃣ Teams chats and channels${shouldClassify ? ' with classification' : ''}...`);
+        const conversations = await listTeamsConversations(ACCESS_TOKEN);
+        for (const conversation of conversations) {
+            const items = await fetchTeamsMessages(ACCESS_TOKEN, conversation, new Date('2024-04-01T00:00:00Z'));
+            for (const item of items) {
+                if (!shouldIngestTeamsMessage(item, profile.id)) {
+                    console.log(`   - skipped ${item.id} (${item.messageType === 'message' ? 'own message' : item.messageType})`);
+                    continue;
+                }
+                const message = shouldClassify
+                    ? await processTeamsMessage(item, conversation, profile)
+                    : buildTeamsMessage(item, conversation, profile);
+                console.log(`   - [${message.priority}] ${message.channel} / ${message.sender.name}${message.mentions ? ' (mention)' : ''}: ${message.content}`);
+            }
+        }
+        console.log(`✅ Read ${conversations.length} conversations\n`);
+
+        console.log('🎉 Microsoft Graph connector test completed');
+    } finally {
+        server.close();
+    }
+}
+
+testMicrosoftConnector()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,82 @@
+/**
+ * Test script for PII redaction
+ *
+ * Checks that personal data is masked with placeholders, that look-alikes (dates,
+ * invoice numbers, invalid IBANs and card numbers) are left alone, that the sender's
+ * address gets its role placeholder, and that model output is re-hydrated. Runs offline.
+ *
+ * Usage:
+ * node scripts/testRedaction.js
+ */
+
+require('dotenv').config();
+const { createRedactor } = require('../services/redactionService');
+
+const CASES = [
+    { text: 'Mail jane.doe@acme.com or jane.doe@acme.com', expected: 'Mail [EMAIL_1] or [EMAIL_1]' },
+    { text: 'Call +1 (415) 555-0132 or 030 1234567', expected: 'Call [PHONE_1] or [PHONE_2]' },
+    { text: 'Pay to DE89 3704 0044 0532 0130 00 today', expected: 'Pay to [IBAN_1] today' },
+    { text: 'Card 4111 1111 1111 1111 expires soon', expected: 'Card [CARD_1] expires soon' },
+    { text: 'Ship to 221B Baker Street or Hauptstraße 12', expected: 'Ship to [ADDRESS_1] or [ADDRESS_2]' },
+    { text: 'Use sk-abcdefghijklmnopqrstuvwx as the key', expected: 'Use [SECRET_1] as the key' },
+    { text: 'Invoice INV-2024-0042 is due 2024-05-01, ref 12345678', expected: 'Invoice INV-2024-0042 is due 2024-05-01, ref 12345678' },
+    { text: 'Not an IBAN: DE00 1234 5678 9012 3456 78', expected: 'Not an IBAN: DE00 1234 5678 9012 3456 78' }
+];
+
+function testRedaction() {
+    console.log('🧪 Testing PII redaction...\n');
+
+    console.log('1️⃣ Masking personal data...');
+    for (const { text, expected } of CASES) {
+        const redacted = createRedactor().redact(text);
+        if (redacted !== expected) throw new Error(`"${text}" was redacted to "${redacted}", expected "${expected}"`);
+        console.log(`   - ${redacted}`);
+    }
+    console.log('✅ Personal data is masked and look-alikes are kept\n');
+
+    console.log('2️⃣ Restoring model output...');
+    const redactor = createRedactor();
+    redactor.redact('Send the contract to carol@example.com and call +44 20 7946 0958');
+    const dueDate = new Date('2030-01-01T00:00:00Z');
+    const restored = redactor.restore({
+        title: 'Send contract to [EMAIL_1]',
+        tags: ['call [PHONE_1]'],
+        dueDate,
+        note: '[EMAIL_7] was never redacted'
+    });
+    if (restored.title !== 'Send contract to carol@example.com' || restored.tags[0] !== 'call +44 20 7946 0958') {
+        throw new Error(`Placeholders were not restored: ${JSON.stringify(restored)}`);
+    }
+    if (restored.dueDate !== dueDate || restored.note !== '[EMAIL_7] was never redacted') {
+        throw new Error('Restoring changed values it should have kept');
+    }
+    console.log(`✅ ${restored.title} (counts: ${JSON.stringify(redactor.getCounts())})\n`);
+
+    console.log('3️⃣ Masking the sender...');
+    const senderRedactor = createRedactor();
+    const sender = senderRedactor.redactSender('Dana Fox <dana@example.com>');
+    const content = senderRedactor.redact('Reply to dana@example.com, cc eli@example.com');
+    if (sender !== 'Dana Fox <[SENDER_EMAIL]>' || content !== 'Reply to [SENDER_EMAIL], cc [EMAIL_2]') {
+        throw new Error(`Sender was redacted to "${sender}" / "${content}"`);
+    }
+    if (senderRedactor.restore('Answer [SENDER_EMAIL]') !== 'Answer dana@example.com') {
+        throw new Error('The sender placeholder was not restored');
+    }
+    console.log(`✅ ${sender}\n`);
+
+    console.log('4️⃣ Respecting the opt-out...');
+    const disabled = createRedactor(false);
+    if (disabled.redact(CASES[0].text) !== CASES[0].text) throw new Error('A disabled redactor changed the text');
+    if (disabled.redactSender('dana@example.com') !== 'dana@example.com') throw new Error('A disabled redactor changed the sender');
+    console.log('✅ Nothing is masked when redactPii is off\n');
+
+    console.log('🎉 PII redaction test completed');
+}
+
+try {
+    testRedaction();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,121 @@
+/**
+ * Test script for reply drafts
+ *
+ * Checks the requests POST /api/messages/:id/draft-reply and /send-reply accept, reply
+ * subjects and recipients, In-Reply-To/References headers, draft clean-up and the
+ * Telegram button data. Runs offline.
+ *
+ * Usage:
+ * node scripts/testReplyDraft.js
+ */
+
+const {
+    REPLY_REFERENCES_MAX,
+    validateDraftRequest,
+    validateSendRequest,
+    buildReplySubject,
+    parseMessageIds,
+    buildReplyHeaders,
+    getReplyRecipient,
+    getReplyBlocker,
+    finishDraftBody,
+    buildReplyCallback,
+    parseReplyCallback
+} = require('../utils/replyDraft');
+
+const assertEqual = (actual, expected, description) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${description}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+};
+
+const assertError = (result, expected) => {
+    if (!result.error || !result.error.startsWith(expected)) {
+        throw new Error(`got ${result.error}, expected ${expected}`);
+    }
+    console.log(`   - ${result.error}`);
+};
+
+function testReplyDraft() {
+    console.log('🧪 Testing reply drafts...\n');
+
+    console.log('1️⃣ Checking draft and send requests...');
+    assertEqual(validateDraftRequest({}), { tone: 'professional', instructions: '' }, 'Default tone');
+    assertEqual(validateDraftRequest({ tone: 'concise', instructions: ' Say yes ' }), { tone: 'concise', instructions: 'Say yes' }, 'Tone and instructions');
+    assertError(validateDraftRequest({ tone: 'angry' }), 'tone must be one of');
+    assertError(validateDraftRequest({ tone: 'toString' }), 'tone must be one of');
+    assertError(validateDraftRequest({ instructions: 'x'.repeat(501) }), 'instructions must be a string');
+
+    assertEqual(validateSendRequest({ body: 'Thanks!\n\n' }), { body: 'Thanks!', subject: null, draftId: null }, 'Send request');
+    assertError(validateSendRequest({ body: '  ' }), 'body must be the text');
+    assertError(validateSendRequest({ body: 'Hi', subject: 'Re: a\r\nBcc: x@example.com' }), 'subject must be a single line');
+    assertError(validateSendRequest({ body: 'Hi', draftId: 7 }), 'draftId must be a draft ID');
+    console.log('✅ Bad requests are turned away\n');
+
+    console.log('2️⃣ Building subjects and recipients...');
+    assertEqual(buildReplySubject('Contract renewal'), 'Re: Contract renewal', 'Reply subject');
+    assertEqual(buildReplySubject('RE: Contract renewal'), 'RE: Contract renewal', 'Already a reply');
+    assertEqual(buildReplySubject('Fwd: Contract renewal'), 'Re: Fwd: Contract renewal', 'Forwarded mail');
+    assertEqual(getReplyRecipient({ from: { email: 'ana@example.com' } }), 'ana@example.com', 'Sender');
+    assertEqual(getReplyRecipient({ from: { email: 'ana@example.com' }, replyTo: ['support@example.com'] }), 'support@example.com', 'Reply-To wins');
+    assertEqual(getReplyRecipient({ from: { email: 'unknown@example.com' } }), null, 'Unknown sender');
+    assertEqual(getReplyBlocker({ type: 'slack' }), 'Only emails can be answered', 'Slack message');
+    assertEqual(getReplyBlocker({ type: 'email', from: { email: 'ana@example.com' } }), null, 'Email');
+    console.log('✅ Replies go to Reply-To, else the sender\n');
+
+    console.log('3️⃣ Building threading headers...');
+    assertEqual(parseMessageIds('<Root@example.com> <b@example.com>'), ['Root@example.com', 'b@example.com'], 'References header');
+    assertEqual(
+        buildReplyHeaders({ id: 'm2', internetMessageId: '<C@example.com>', references: ['a@example.com', 'b@example.com'] }),
+        { inReplyTo: '<C@example.com>', references: ['<a@example.com>', '<b@example.com>', '<C@example.com>'] },
+        'Stored References'
+    );
+    const thread = [
+        { id: 'm1', internetMessageId: '<a@example.com>' },
+        { id: 'm2', internetMessageId: '<b@example.com>' },
+        { id: 'm3', internetMessageId: '<c@example.com>' }
+    ];
+    assertEqual(
+        buildReplyHeaders(thread[1], thread),
+        { inReplyTo: '<b@example.com>', references: ['<a@example.com>', '<b@example.com>'] },
+        'References from the thread'
+    );
+    assertEqual(buildReplyHeaders({ id: 'm1', internetMessageId: '' }, []), { inReplyTo: null, references: [] }, 'No Message-ID');
+
+    const long = buildReplyHeaders({
+        id: 'm',
+        internetMessageId: '<last@example.com>',
+        references: Array.from({ length: 30 }, (_, i) => `r${i}@example.com`)
+    });
+    assertEqual(long.references.length, REPLY_REFERENCES_MAX, 'Long chains are trimmed');
+    assertEqual([long.references[0], long.references[long.references.length - 1]], ['<r0@example.com>', '<last@example.com>'], 'Root and parent stay');
+    console.log('✅ In-Reply-To and References point at the thread\n');
+
+    console.log('4️⃣ Finishing drafts...');
+    assertEqual(
+        finishDraftBody('```\nSubject: Re: Hi\n\nHi Ana,\n\nYes, Friday works.\n\nBest regards,\n-- \nAI\n```', 'Sam Lee\nAcme Inc.'),
+        'Hi Ana,\n\nYes, Friday works.\n\nBest regards,\nSam Lee\nAcme Inc.',
+        'Draft body with signature'
+    );
+    assertEqual(finishDraftBody('Thanks!\n', ''), 'Thanks!', 'No signature');
+    console.log('✅ Drafts end with the user\'s signature\n');
+
+    console.log('5️⃣ Reading Telegram buttons...');
+    const draftButton = buildReplyCallback('draft', 'imap-email-1718000000000-1234567890-42');
+    assertEqual(parseReplyCallback(draftButton), { action: 'draft', id: 'imap-email-1718000000000-1234567890-42' }, 'Draft button');
+    assertEqual(parseReplyCallback(buildReplyCallback('tone', 'd1', 'formal')), { action: 'tone', id: 'd1', tone: 'formal' }, 'Tone button');
+    assertEqual(parseReplyCallback('reply:tone:d1:angry'), null, 'Unknown tone');
+    assertEqual(parseReplyCallback('verify:123'), null, 'Other button');
+    assertEqual(buildReplyCallback('draft', 'x'.repeat(60)), null, 'Too long for Telegram');
+    console.log('✅ Button data fits Telegram\'s 64 bytes\n');
+
+    console.log('🎉 Reply draft test completed');
+}
+
+try {
+    testReplyDraft();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
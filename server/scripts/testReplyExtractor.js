@@ -0,0 +1,104 @@
+/**
+ * Test script for quoted-reply and signature stripping
+ *
+ * Checks that the new content of Gmail, Outlook and Apple Mail replies is separated from
+ * the quoted thread, the signature and legal disclaimers, and that forwarded messages and
+ * requests written under a sign-off are kept. Runs offline.
+ *
+ * Usage:
+ * node scripts/testReplyExtractor.js
+ */
+
+const { extractReply } = require('../utils/replyExtractor');
+
+const CASES = [
+    {
+        name: 'Gmail reply with a wrapped header',
+        text: 'Sounds good, let\'s meet on Thursday.\n\nOn Mon, Jun 3, 2024 at 9:12 AM Alice Smith <alice@example.com>\nwrote:\n> Can we meet this week?\n>\n> Alice',
+        newContent: 'Sounds good, let\'s meet on Thursday.',
+        quoted: 'Can we meet this week?'
+    },
+    {
+        name: 'Outlook reply with a header block',
+        text: 'Approved.\n\nBest regards,\nBob Jones\nHead of Finance | Acme Corp\n+1 415 555 0132\n\n________________________________\nFrom: Carol <carol@acme.com>\nSent: Tuesday, June 4, 2024 10:00 AM\nTo: Bob Jones <bob@acme.com>\nSubject: Expense report\n\nPlease approve my expense report.',
+        newContent: 'Approved.\n\nBest regards,',
+        quoted: 'Please approve my expense report.',
+        signature: 'Head of Finance | Acme Corp'
+    },
+    {
+        name: 'Outlook "Original Message" separator',
+        text: 'I will send it tomorrow.\n\n-----Original Message-----\nFrom: Dan\nSent: Monday\nSubject: Report\n\nWhere is the report?',
+        newContent: 'I will send it tomorrow.',
+        quoted: 'Where is the report?'
+    },
+    {
+        name: 'Apple Mail reply and mobile signature',
+        text: 'Yes, go ahead.\n\nSent from my iPhone\n\nOn 3 Jun 2024, at 09:12, Eve <eve@example.com> wrote:\n\n> Can I merge the PR?',
+        newContent: 'Yes, go ahead.',
+        quoted: 'Can I merge the PR?',
+        signature: 'Sent from my iPhone'
+    },
+    {
+        name: 'German Outlook reply',
+        text: 'Passt, danke!\n\nVon: Frank <frank@firma.de>\nGesendet: Montag, 3. Juni 2024 09:12\nAn: Team\nBetreff: Termin\n\nPasst Mittwoch?',
+        newContent: 'Passt, danke!',
+        quoted: 'Passt Mittwoch?'
+    },
+    {
+        name: 'Interleaved answers',
+        text: '> Can you review the PR?\nYes, today.\n> And the budget?\nAfter lunch.',
+        newContent: 'Yes, today.\nAfter lunch.',
+        quoted: '> Can you review the PR?\n> And the budget?'
+    },
+    {
+        name: 'Signature delimiter and disclaimer',
+        text: 'The invoice is attached, please pay by Friday.\n\n-- \nGrace Hopper\nAccounts\n\nCONFIDENTIALITY NOTICE: This email and any attachments are confidential.',
+        newContent: 'The invoice is attached, please pay by Friday.',
+        signature: 'Grace Hopper',
+        disclaimer: 'CONFIDENTIALITY NOTICE'
+    },
+    {
+        name: 'Request under a sign-off is kept',
+        text: 'Thanks,\nplease send the report by Friday.',
+        newContent: 'Thanks,\nplease send the report by Friday.'
+    },
+    {
+        name: 'Forwarded message is kept',
+        text: 'FYI, see below.\n\n---------- Forwarded message ---------\nFrom: Heidi <heidi@example.com>\nDate: Mon, Jun 3, 2024\nSubject: Outage\n\nThe API is down.\n\nOn Sun, Jun 2, 2024 Ivan wrote:\n> Is the API ok?',
+        newContent: 'FYI, see below.\n\n---------- Forwarded message ---------\nFrom: Heidi <heidi@example.com>\nDate: Mon, Jun 3, 2024\nSubject: Outage\n\nThe API is down.\n\nOn Sun, Jun 2, 2024 Ivan wrote:\n> Is the API ok?'
+    },
+    {
+        name: 'Quote only falls back to the full body',
+        text: 'On Mon, Jun 3, 2024 Judy wrote:\n> Lunch?',
+        newContent: 'On Mon, Jun 3, 2024 Judy wrote:\n> Lunch?'
+    }
+];
+
+function testReplyExtractor() {
+    console.log('🧪 Testing reply extraction...\n');
+
+    console.log('1️⃣ Extracting new content...');
+    for (const { name, text, newContent, quoted, signature, disclaimer } of CASES) {
+        const result = extractReply(text);
+        if (result.newContent !== newContent) throw new Error(`${name}: new content ${JSON.stringify(result.newContent)}, expected ${JSON.stringify(newContent)}`);
+        if (quoted && !result.quoted.includes(quoted)) throw new Error(`${name}: quoted text ${JSON.stringify(result.quoted)} is missing ${JSON.stringify(quoted)}`);
+        if (signature && !result.signature.includes(signature)) throw new Error(`${name}: signature ${JSON.stringify(result.signature)} is missing ${JSON.stringify(signature)}`);
+        if (disclaimer && !result.disclaimer.includes(disclaimer)) throw new Error(`${name}: disclaimer ${JSON.stringify(result.disclaimer)} is missing ${JSON.stringify(disclaimer)}`);
+        console.log(`   - ${name}: ${JSON.stringify(result.newContent.substring(0, 60))}`);
+    }
+    console.log('✅ Quotes, signatures and disclaimers are stripped\n');
+
+    console.log('2️⃣ Handling empty bodies...');
+    if (extractReply('').newContent !== '') throw new Error('An empty body should have no new content');
+    console.log('✅ Empty body stays empty\n');
+
+    console.log('🎉 Reply extraction test completed');
+}
+
+try {
+    testReplyExtractor();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,102 @@
+/**
+ * Test script for message rules
+ *
+ * Checks that rules sent by the client are validated and normalized, that unsafe subject
+ * patterns are refused, and how the matching rules' actions combine. Runs offline.
+ *
+ * Usage:
+ * node scripts/testRules.js
+ */
+
+require('dotenv').config();
+const { validateRule, evaluateRules } = require('../services/rulesService');
+
+const assertEqual = (actual, expected, description) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${description}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+};
+
+const rule = (conditions, actions, name = 'Rule') => ({ name, conditions, actions });
+
+const EMAIL = {
+    from: 'Billing <billing@mail.acme.com>',
+    subject: 'Invoice #1234 is due',
+    body: 'Please pay by Friday.',
+    listId: '<billing.acme.com>',
+    attachments: [{ filename: 'invoice.pdf' }]
+};
+
+function testRules() {
+    console.log('🧪 Testing message rules...\n');
+
+    console.log('1️⃣ Validating rules...');
+    assertEqual(validateRule(null), { error: 'Rule is required' }, 'No rule');
+    assertEqual(validateRule(rule({ senders: 'a@b.com' }, { markRead: true }, ' ')), { error: 'Rule name is required' }, 'No name');
+    assertEqual(validateRule(rule({}, { markRead: true })).error.startsWith('A rule needs at least one condition'), true, 'No condition');
+    assertEqual(validateRule(rule({ senders: 'a@b.com' }, {})).error.startsWith('A rule needs at least one action'), true, 'No action');
+    assertEqual(validateRule(rule({ senders: 'a@b.com' }, { priority: 'urgent' })).error.startsWith('Priority must be one of'), true, 'Unknown priority');
+
+    const { rule: normalized } = validateRule({
+        ...rule({ senders: ' Billing@Acme.com, ', domains: ['@Acme.com'], listId: ' Billing.Acme.com ' }, { priority: 'action', tags: 'Finance, bills' }),
+        order: '2'
+    });
+    assertEqual(normalized, {
+        name: 'Rule',
+        enabled: true,
+        order: 2,
+        conditions: { senders: ['billing@acme.com'], domains: ['acme.com'], listId: 'billing.acme.com' },
+        actions: { priority: 'action', skipTask: false, markRead: false, tags: ['finance', 'bills'] }
+    }, 'Normalized rule');
+    console.log('✅ Rules are validated and normalized\n');
+
+    console.log('2️⃣ Checking subject patterns...');
+    const withPattern = (subjectRegex) => validateRule(rule({ subjectRegex }, { markRead: true }));
+    assertEqual(withPattern('^(re|fwd): invoice #\\d+').rule.conditions.subjectRegex, '^(re|fwd): invoice #\\d+', 'Safe pattern');
+    assertEqual(withPattern('(weekly )?digest [a-z+*]+').rule.conditions.subjectRegex, '(weekly )?digest [a-z+*]+', 'Quantifiers in a class');
+    assertEqual(withPattern('(?:ab)+').rule.conditions.subjectRegex, '(?:ab)+', 'Repeated group without quantifiers');
+    assertEqual(withPattern('(').error.startsWith('Invalid subject pattern:'), true, 'Invalid pattern');
+    [
+        ['(a+)+$', 'Nested quantifier'],
+        ['(\\w*)*x', 'Nested star'],
+        ['((a)+)+', 'Nested group'],
+        ['(a|ab)*c', 'Repeated alternatives'],
+        ['(x+x+){2,}y', 'Repeated range'],
+        ['(?:a?)+', 'Repeated optional'],
+        ['(a)\\1', 'Backreference'],
+        ['a'.repeat(201), 'Too long']
+    ].forEach(([pattern, description]) => {
+        assertEqual(withPattern(pattern).error.startsWith('Invalid subject pattern:'), true, description);
+    });
+    assertEqual(evaluateRules([rule({ subjectRegex: '(a+)+$' }, { markRead: true })], { subject: `${'a'.repeat(40)}!` }).markRead, false, 'Stored unsafe pattern');
+    console.log('✅ Unsafe subject patterns are refused and never run\n');
+
+    console.log('3️⃣ Evaluating rules...');
+    const rules = [
+        rule({ domains: ['acme.com'], subjectRegex: 'invoice' }, { priority: 'action', tags: ['finance'] }, 'Invoices'),
+        rule({ keywords: ['pay by'] }, { priority: 'critical', markRead: true, tags: ['finance', 'due'] }, 'Payments'),
+        rule({ listId: 'billing.acme.com', hasAttachments: true }, { skipTask: true }, 'Billing list'),
+        rule({ senders: ['someone@else.com'] }, { priority: 'info' }, 'Someone else')
+    ];
+    assertEqual(evaluateRules(rules, EMAIL), {
+        matchedRules: [{ name: 'Invoices' }, { name: 'Payments' }, { name: 'Billing list' }],
+        priority: 'action',
+        priorityRule: 'Invoices',
+        skipTask: true,
+        markRead: true,
+        tags: ['finance', 'due']
+    }, 'Matching rules');
+    assertEqual(evaluateRules(rules, { ...EMAIL, from: 'billing@notacme.com', attachments: [] }).matchedRules, [{ name: 'Payments' }], 'Other domain without attachments');
+    assertEqual(evaluateRules([], EMAIL).priority, null, 'No rules');
+    console.log('✅ The first priority wins and the other actions combine\n');
+
+    console.log('🎉 Message rules test completed');
+}
+
+try {
+    testRules();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,119 @@
+/**
+ * Test script for full-text search
+ *
+ * Parses search queries, builds index entries for sample messages and tasks, and checks
+ * matching (phrases, from:, tag:, priority:), BM25 ranking and highlighted snippets.
+ * Runs offline.
+ *
+ * Usage:
+ * node scripts/testSearch.js
+ */
+
+const { parseSearchQuery, matchesSearchQuery, rankSearchEntries, buildSnippet } = require('../utils/searchText');
+const { buildMessageEntry, buildTaskEntry } = require('../services/searchService');
+
+const ENTRIES = [
+    buildMessageEntry('invoice', {
+        type: 'email',
+        from: { name: 'Alice Müller', email: 'alice@acme.com' },
+        subject: 'Quarterly report and invoice',
+        content: 'Hi, the quarterly report is attached. Please pay the invoice by Friday.',
+        priority: 'action',
+        timestamp: new Date('2025-05-02T10:00:00Z')
+    }),
+    buildMessageEntry('newsletter', {
+        type: 'email',
+        from: { name: 'Acme News', email: 'news@acme.com' },
+        subject: 'This week at Acme',
+        content: 'Our report on the market: quarterly numbers are up. The report covers Europe.',
+        priority: 'info',
+        timestamp: new Date('2025-05-03T10:00:00Z')
+    }),
+    buildMessageEntry('slack', {
+        type: 'slack',
+        sender: { name: 'Bob' },
+        channel: 'finance',
+        content: 'Can someone review the invoice from Acme?',
+        priority: 'critical',
+        timestamp: new Date('2025-05-04T10:00:00Z')
+    }),
+    buildTaskEntry('task', {
+        title: 'Pay Acme invoice',
+        description: 'Invoice 2025-117 for the quarterly report',
+        tags: ['Finance', 'follow-up'],
+        priority: 'high',
+        createdOn: '2025-05-02T11:00:00Z'
+    })
+];
+
+const SEARCH_CASES = [
+    { query: 'invoice', expected: ['task', 'invoice', 'slack'] },
+    { query: '"quarterly report"', expected: ['invoice', 'task'] },
+    { query: 'report from:alice', expected: ['invoice'] },
+    { query: 'from:alice@acme.com', expected: ['invoice'] },
+    { query: 'from:"Acme News" europe', expected: ['newsletter'] },
+    { query: 'tag:finance', expected: ['task'] },
+    { query: 'invoice priority:critical', expected: ['slack'] },
+    { query: 'müller', expected: ['invoice'] },
+    { query: 'invoice unicorn', expected: [] }
+];
+
+function testSearch() {
+    console.log('🧪 Testing full-text search...\n');
+
+    console.log('1️⃣ Parsing queries...');
+    const parsed = parseSearchQuery('Budget "Quarterly  Report" from:"Alice Müller" tag:Follow-up priority:HIGH re:lunch');
+    const expected = {
+        terms: ['budget', 'quarterly', 'report', 're', 'lunch'],
+        phrases: [['quarterly', 'report']],
+        from: [['alice', 'muller']],
+        tags: ['follow-up'],
+        priority: ['high']
+    };
+    if (JSON.stringify(parsed) !== JSON.stringify(expected)) {
+        throw new Error(`Got ${JSON.stringify(parsed)}, expected ${JSON.stringify(expected)}`);
+    }
+    console.log('✅ Words, phrases and qualifiers are read\n');
+
+    console.log('2️⃣ Matching and ranking...');
+    const docCount = ENTRIES.length;
+    for (const { query, expected: expectedIds } of SEARCH_CASES) {
+        const searchQuery = parseSearchQuery(query);
+        const terms = [...searchQuery.terms, ...searchQuery.from.flat().map(token => `from:${token}`)];
+        const docFreq = Object.fromEntries(terms.map(term => [term, ENTRIES.filter(entry => entry.terms.includes(term)).length]));
+
+        // Index entries come newest first, like the Firestore candidate query
+        const candidates = [...ENTRIES].sort((a, b) => b.timestamp - a.timestamp);
+        const ids = rankSearchEntries(candidates.filter(entry => matchesSearchQuery(entry, searchQuery)), searchQuery, { docCount, docFreq })
+            .map(({ entry }) => entry.refId);
+
+        if (JSON.stringify(ids) !== JSON.stringify(expectedIds)) {
+            throw new Error(`"${query}": got ${JSON.stringify(ids)}, expected ${JSON.stringify(expectedIds)}`);
+        }
+        console.log(`   - ${query}: ${ids.join(', ') || 'no results'}`);
+    }
+    console.log('✅ Results match and rank as expected\n');
+
+    console.log('3️⃣ Highlighting snippets...');
+    const longText = `${'Lorem ipsum dolor sit amet. '.repeat(20)}The quarterly report is attached.${' Filler text.'.repeat(30)}`;
+    const snippet = buildSnippet(longText, ['quarterly', 'report']);
+    const highlighted = snippet.highlights.map(([start, end]) => snippet.text.slice(start, end));
+    if (JSON.stringify(highlighted) !== JSON.stringify(['quarterly', 'report'])) {
+        throw new Error(`Highlights point at ${JSON.stringify(highlighted)} in "${snippet.text}"`);
+    }
+    if (!snippet.text.startsWith('…') || !snippet.text.endsWith('…') || snippet.text.length > 162) {
+        throw new Error(`Unexpected snippet "${snippet.text}"`);
+    }
+    console.log(`   - ${snippet.text}`);
+    console.log('✅ Snippets show the matches\n');
+
+    console.log('🎉 Search test completed');
+}
+
+try {
+    testSearch();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+}
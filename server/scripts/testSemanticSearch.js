@@ -0,0 +1,99 @@
+/**
+ * Test script for semantic search embeddings
+ *
+ * Checks how EMBEDDING_PROVIDER is read, and that the mock embedder gives normalized,
+ * deterministic vectors that rank related texts above unrelated ones. Runs offline.
+ *
+ * Usage:
+ * node scripts/testSemanticSearch.js
+ */
+
+const { getEmbedderConfig, embedTexts, cosineSimilarity } = require('../services/embeddingService');
+
+// Default SEMANTIC_MIN_SCORE of services/searchService.js
+const SEMANTIC_MIN_SCORE = 0.3;
+
+const TEXTS = {
+    contract: 'Q3 vendor contract renewal\nAlice Müller\nThe vendor contract for Q3 needs signing by Friday.',
+    review: 'Contract review\nLegal\nLegal reviewed the contracts of our vendors.',
+    lunch: 'Lunch on Friday?\nBob\nPizza at the usual place.',
+    invoice: 'Invoice 2025-117\nAcme Billing\nPlease pay the attached invoice.'
+};
+
+async function testSemanticSearch() {
+    console.log('🧪 Testing semantic search embeddings...\n');
+
+    console.log('1️⃣ Reading EMBEDDING_PROVIDER...');
+    const cases = [
+        [undefined, null],
+        ['local', 'local:Xenova/all-MiniLM-L6-v2'],
+        ['openai-compatible:nomic-embed-text:v1.5', 'openai-compatible:nomic-embed-text:v1.5'],
+        ['mock', 'mock:hash-256'],
+        ['none', null]
+    ];
+    for (const [value, expected] of cases) {
+        if (value === undefined) delete process.env.EMBEDDING_PROVIDER;
+        else process.env.EMBEDDING_PROVIDER = value;
+
+        const config = getEmbedderConfig();
+        const id = config ? config.id : null;
+        if (id !== expected) {
+            throw new Error(`EMBEDDING_PROVIDER=${value}: got ${id}, expected ${expected}`);
+        }
+        console.log(`   - ${value || '(unset)'}: ${id || 'off'}`);
+    }
+    console.log('✅ Embedder configuration is read\n');
+
+    console.log('2️⃣ Embedding with the mock embedder...');
+    process.env.EMBEDDING_PROVIDER = 'mock';
+    const names = Object.keys(TEXTS);
+    const { vectors, embedder } = await embedTexts(names.map(name => TEXTS[name]));
+    const { vectors: [again] } = await embedTexts([TEXTS.contract]);
+
+    vectors.forEach((vector, index) => {
+        const length = Math.sqrt(cosineSimilarity(vector, vector));
+        if (Math.abs(length - 1) > 1e-9) {
+            throw new Error(`Vector of "${names[index]}" has length ${length}`);
+        }
+    });
+    if (JSON.stringify(again) !== JSON.stringify(vectors[0])) {
+        throw new Error('The same text gave a different vector');
+    }
+    console.log(`✅ ${embedder} vectors are normalized and deterministic\n`);
+
+    console.log('3️⃣ Ranking by similarity...');
+    const { vectors: [question] } = await embedTexts(['anything about the Q3 vendor contract?']);
+    const ranked = names
+        .map((name, index) => ({ name, score: cosineSimilarity(question, vectors[index]) }))
+        .sort((a, b) => b.score - a.score);
+    ranked.forEach(({ name, score }) => console.log(`   - ${name}: ${score.toFixed(3)}`));
+
+    const order = ranked.map(({ name }) => name);
+    if (order[0] !== 'contract' || order[1] !== 'review') {
+        throw new Error(`Unexpected order ${order.join(', ')}`);
+    }
+    // Hashed words can share a dimension, so unrelated texts only stay under the cutoff
+    if (ranked.find(({ name }) => name === 'lunch').score >= SEMANTIC_MIN_SCORE) {
+        throw new Error(`Unrelated text scored above ${SEMANTIC_MIN_SCORE}`);
+    }
+    console.log('✅ Related texts rank first\n');
+
+    console.log('4️⃣ Turning semantic search off...');
+    process.env.EMBEDDING_PROVIDER = 'none';
+    try {
+        await embedTexts(['anything']);
+        throw new Error('embedTexts should fail with EMBEDDING_PROVIDER=none');
+    } catch (error) {
+        if (!error.message.includes('turned off')) throw error;
+    }
+    console.log('✅ No vectors are made when semantic search is off\n');
+
+    console.log('🎉 Semantic search test completed');
+}
+
+testSemanticSearch()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,137 @@
+/**
+ * Test script for the Slack connector
+ *
+ * Starts a small fake Slack Web API in-process, points SLACK_API_BASE_URL at it and
+ * runs the connector against it: connection test, message building and request
+ * signature verification. Nothing is written to Firestore.
+ *
+ * Usage:
+ * node scripts/testSlackConnector.js [--classify]
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+
+const FAKE_TEAM = { id: 'T0001', name: 'Flow Test' };
+const FAKE_AUTHED_USER = 'U0001';
+const FAKE_USERS = {
+    U0001: { id: 'U0001', name: 'me', profile: { display_name: 'Me', image_72: '' } },
+    U0002: { id: 'U0002', name: 'alice', profile: { display_name: 'Alice', image_72: 'https://example.com/alice.png' } }
+};
+const FAKE_CHANNELS = {
+    C0001: { id: 'C0001', name: 'general', is_member: true },
+    D0001: { id: 'D0001', is_im: true, user: 'U0002' }
+};
+const FAKE_HISTORY = {
+    C0001: [
+        { type: 'message', user: 'U0002', text: 'Hey <@U0001>, can you review the deploy plan by Friday?', ts: '1700000000.000100', reactions: [{ name: 'eyes', count: 2 }] },
+        { type: 'message', subtype: 'channel_join', user: 'U0002', text: '<@U0002> has joined the channel', ts: '1700000001.000100' },
+        { type: 'message', user: 'U0001', text: 'My own message', ts: '1700000002.000100' }
+    ],
+    D0001: [
+        { type: 'message', user: 'U0002', text: 'Lunch tomorrow? See <https://example.com/menu|the menu>', ts: '1700000003.000100' }
+    ]
+};
+
+// Classification calls the LLM, so it is opt-in
+const shouldClassify = process.argv.includes('--classify');
+
+const startFakeSlackApi = () => new Promise(resolve => {
+    const app = express();
+    const respond = (res, data) => res.json({ ok: true, ...data });
+
+    app.get('/api/auth.test', (req, res) => {
+        if (req.headers.authorization !== 'Bearer xoxp-test') {
+            return res.json({ ok: false, error: 'invalid_auth' });
+        }
+        respond(res, { team_id: FAKE_TEAM.id, team: FAKE_TEAM.name, user_id: FAKE_AUTHED_USER });
+    });
+    app.get('/api/conversations.list', (req, res) => respond(res, { channels: Object.values(FAKE_CHANNELS) }));
+    app.get('/api/conversations.info', (req, res) => respond(res, { channel: FAKE_CHANNELS[req.query.channel] }));
+    app.get('/api/conversations.history', (req, res) => respond(res, { messages: [...(FAKE_HISTORY[req.query.channel] || [])].reverse() }));
+    app.get('/api/users.info', (req, res) => {
+        const user = FAKE_USERS[req.query.user];
+        return user ? respond(res, { user }) : res.json({ ok: false, error: 'user_not_found' });
+    });
+
+    const server = app.listen(0, () => resolve(server));
+});
+
+async function testSlackConnector() {
+    const server = await startFakeSlackApi();
+    process.env.SLACK_API_BASE_URL = `http://localhost:${server.address().port}/api`;
+    process.env.SLACK_SIGNING_SECRET = 'test-signing-secret';
+
+    const {
+        callSlackApi,
+        testSlackConnection,
+        verifySlackSignature,
+        createSlackDirectory,
+        shouldIngestSlackMessage,
+        buildSlackMessage
+    } = require('../services/slackService');
+    const { processSlackMessage } = require('./processSlackMessage');
+
+    try {
+        console.log('🧪 Testing Slack connector against a fake Slack API...\n');
+
+        console.log('1️⃣ Testing connection...');
+        const badConnection = await testSlackConnection('xoxp-wrong');
+        if (badConnection.success) throw new Error('Invalid token was accepted');
+        const connection = await testSlackConnection('xoxp-test');
+        if (!connection.success) throw new Error(`Connection failed: ${connection.error}`);
+        console.log(`✅ Connected to ${connection.teamName} as ${connection.authedUserId} (invalid token rejected: ${badConnection.error})\n`);
+
+        console.log(`2️⃣ Building messages${shouldClassify ? ' and classifying' : ''}...`);
+        const directory = createSlackDirectory('xoxp-test');
+        const { channels } = await callSlackApi('xoxp-test', 'conversations.list');
+
+        for (const channel of channels) {
+            const { messages } = await callSlackApi('xoxp-test', 'conversations.history', { channel: channel.id });
+            for (const item of messages) {
+                if (!shouldIngestSlackMessage(item, connection.authedUserId)) {
+                    console.log(`   - skipped ${item.ts} (${item.subtype || 'own message'})`);
+                    continue;
+                }
+
+                const context = { teamId: connection.teamId, channelId: channel.id, authedUserId: connection.authedUserId, directory };
+                const message = shouldClassify
+                    ? await processSlackMessage(item, context)
+                    : await buildSlackMessage(item, context);
+                console.log(`   - [${message.priority}] ${message.channel} / ${message.sender.name}${message.mentions ? ' (mention)' : ''}: ${message.content}`);
+            }
+        }
+        console.log('✅ Messages built\n');
+
+        console.log('3️⃣ Verifying request signatures...');
+        const rawBody = Buffer.from(JSON.stringify({ type: 'url_verification', challenge: 'abc' }));
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = 'v0=' + crypto
+            .createHmac('sha256', process.env.SLACK_SIGNING_SECRET)
+            .update(`v0:${timestamp}:${rawBody.toString('utf8')}`)
+            .digest('hex');
+        const signedRequest = { rawBody, headers: { 'x-slack-request-timestamp': timestamp, 'x-slack-signature': signature } };
+        const tamperedRequest = { ...signedRequest, rawBody: Buffer.from('{"type":"event_callback"}') };
+        const staleRequest = { ...signedRequest, headers: { ...signedRequest.headers, 'x-slack-request-timestamp': String(Number(timestamp) - 600) } };
+        // Same number of characters as a real signature, more bytes
+        const multiByteRequest = { ...signedRequest, headers: { ...signedRequest.headers, 'x-slack-signature': 'v0=' + 'é'.repeat(64) } };
+
+        if (!verifySlackSignature(signedRequest)) throw new Error('Valid signature was rejected');
+        if (verifySlackSignature(tamperedRequest)) throw new Error('Tampered body was accepted');
+        if (verifySlackSignature(staleRequest)) throw new Error('Stale timestamp was accepted');
+        if (verifySlackSignature(multiByteRequest)) throw new Error('Multi-byte signature was accepted');
+        console.log('✅ Valid signature accepted, tampered, stale and malformed requests rejected\n');
+
+        console.log('🎉 Slack connector test completed');
+    } finally {
+        server.close();
+    }
+}
+
+testSlackConnector()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Test failed:', error.message);
+        process.exit(1);
+    });
@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const { db } = require('../config/firebase');
 const { generateVoiceBriefing } = require('./voiceBriefingGenerator');
+const { getRedactionSettings } = require('../services/redactionService');
 const telegramService = require('../services/telegramService');
 const fs = require('fs');
 const path = require('path');
@@ -87,7 +88,7 @@ function convertMessagesToEmailFormat(messages) {
       name: message.senderName || message.from || 'Unknown Sender',
       email: message.senderEmail || message.fromEmail || 'unknown@example.com'
     },
-    content: message.content || message.body || message.text || '',
+    content: message.newContent || message.content || message.body || message.text || '',
     priority: message.priority || 'normal',
     timestamp: message.timestamp,
     type: 'message'
@@ -123,6 +124,7 @@ async function processUserVoiceBriefing(user) {
     const audioFilePath = await generateVoiceBriefing(emailFormatMessages, {
       maxEmails: messages.length, // No limit - use all messages
       fileName: `briefing_${user.userId}_${Date.now()}.mp3`,
+      privacy: await getRedactionSettings(user.userId),
       voiceSettings: {
         stability: 0.5,
         similarity_boost: 0.75,
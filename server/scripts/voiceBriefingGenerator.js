@@ -1,7 +1,8 @@
 /**
  * Voice Briefing Generator
  * 
- * Analyzes emails and generates audio briefings using Nebius AI for summarization
+ * Analyzes emails and generates audio briefings using the LLM configured for the
+ * "briefing" stage (see services/llmService.js) for summarization
  * and ElevenLabs for text-to-speech conversion.
  * Focus is on critical and action priority emails.
  */
@@ -11,18 +12,14 @@ require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') }
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-const { OpenAI } = require('openai');
-
-// Initialize OpenAI client with Nebius AI endpoint
-const client = new OpenAI({
-    baseURL: "https://api.studio.nebius.com/v1/",
-    apiKey: process.env.NEBIUS_API_KEY
-});
+const { generateText } = require('../services/llmService');
+const { createRedactor, recordRedactionAudit } = require('../services/redactionService');
 
 /**
  * Main function to generate voice briefing from emails
  * @param {Array} emails - List of emails following the project schema
  * @param {Object} options - Configuration options
+ * @param {Object} options.privacy - { userId, redactPii } of the recipient (see services/redactionService.js)
  * @returns {Promise<string>} - Path to the generated audio file
  */
 async function generateVoiceBriefing(emails, options = {}) {
@@ -57,7 +54,7 @@ async function generateVoiceBriefing(emails, options = {}) {
         }
 
         // Generate a summary of the emails using Nebius AI
-        const summary = await generateEmailSummary(filteredEmails);
+        const summary = await generateEmailSummary(filteredEmails, config.privacy);
 
         // Generate an audio briefing from the summary
         const audioFilePath = await generateAudio(summary, config);
@@ -113,20 +110,23 @@ function filterAndSortEmails(emails, maxEmails) {
 /**
  * Generate a summary of the emails using Nebius AI
  * @param {Array} emails - Filtered list of emails
+ * @param {Object} privacy - { userId, redactPii }; PII is masked in the prompt unless redactPii is false
  * @returns {Promise<string>} - Summarized briefing text
  */
-async function generateEmailSummary(emails) {
+async function generateEmailSummary(emails, privacy = {}) {
     try {
         // Prepare context from emails for the AI
         const emailContext = prepareEmailContext(emails);
 
-        // Build prompt for the AI
-        const prompt = buildSummaryPrompt(emailContext);
+        // Build prompt for the AI, masking personal data until the summary comes back
+        const redactor = createRedactor(privacy.redactPii !== false);
+        const prompt = redactor.redact(buildSummaryPrompt(emailContext));
 
-        // Call Nebius AI for the summary
-        const response = await callNebiusAI(prompt);
+        // Call the briefing LLM for the summary
+        const response = await callBriefingLLM(prompt);
 
-        return response.trim();
+        recordRedactionAudit(privacy, 'briefing', redactor);
+        return redactor.restore(response.trim());
     } catch (error) {
         console.error('Error generating email summary with AI:', error);
 
@@ -199,31 +199,26 @@ The briefing should be easy to follow when listened to, not read. Aim for a prof
 }
 
 /**
- * Call Nebius AI API for summary generation
+ * Call the briefing LLM for summary generation (see services/llmService.js)
  * @param {String} prompt - AI prompt
  * @returns {Promise<String>} - AI response
  */
-async function callNebiusAI(prompt) {
+async function callBriefingLLM(prompt) {
   try {
-    const response = await client.chat.completions.create({
-      model: "Qwen/Qwen2.5-32B-Instruct",
-      max_tokens: 800,
-      temperature: 0.3,
-      messages: [
-        {
-          role: "system",
-          content: 'You are a professional briefing assistant that creates concise spoken summaries optimized for voice delivery.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
+    const response = await generateText('briefing', [
+      {
+        role: "system",
+        content: 'You are a professional briefing assistant that creates concise spoken summaries optimized for voice delivery.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ]);
     
-    return response.choices[0].message.content.trim();
+    return response.text;
   } catch (error) {
-    console.error('Error calling Nebius AI API:', error.message);
+    console.error('Error calling briefing LLM:', error.message);
     throw new Error('Failed to get response from AI service');
   }
 }
@@ -0,0 +1,175 @@
+/**
+ * Attachment Service
+ *
+ * Downloads email attachments and extracts their text, so the task generator can act on
+ * "please sign the attached contract by Friday":
+ * - PDF (pdf-parse), DOCX (mammoth), CSV and plain text
+ * - .ics calendar files, kept as iCalendar text for utils/icsParser.js
+ * - attachments above ATTACHMENT_MAX_BYTES are not downloaded
+ * - extracted text is capped at ATTACHMENT_TEXT_MAX_CHARS per attachment and
+ *   ATTACHMENT_TEXT_MAX_TOTAL_CHARS per message, to keep message documents small
+ *
+ * Only the extracted text is stored on the message, never the file itself.
+ */
+
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const ATTACHMENT_TEXT_MAX_CHARS = parseInt(process.env.ATTACHMENT_TEXT_MAX_CHARS) || 20000;
+const ATTACHMENT_TEXT_MAX_TOTAL_CHARS = parseInt(process.env.ATTACHMENT_TEXT_MAX_TOTAL_CHARS) || 50000;
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Work out which extractor handles an attachment, from its MIME type or file extension
+ * @param {Object} attachment - { filename, mimeType }
+ * @returns {string|null} - "pdf", "docx", "text", "calendar", or null when the type is not supported
+ */
+const getExtractableType = ({ filename = '', mimeType = '' }) => {
+    const extension = (filename.match(/\.([a-z0-9]+)$/i) || [])[1];
+    const type = mimeType.toLowerCase();
+
+    if (type === 'application/pdf' || extension === 'pdf') return 'pdf';
+    if (type === DOCX_MIME_TYPE || extension === 'docx') return 'docx';
+    if (type === 'text/calendar' || type === 'application/ics' || extension === 'ics') return 'calendar';
+    if (type === 'text/plain' || type === 'text/csv' || ['txt', 'csv', 'md', 'log'].includes(extension)) return 'text';
+    return null;
+};
+
+/**
+ * Normalize extracted text and cap its length
+ * @param {string} text - Extracted text
+ * @param {number} maxChars - Maximum length
+ * @returns {Object} - { text, truncated }
+ */
+const capText = (text, maxChars) => {
+    const normalized = String(text || '')
+        .replace(/\r\n|\r/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return normalized.length > maxChars
+        ? { text: normalized.substring(0, maxChars), truncated: true }
+        : { text: normalized, truncated: false };
+};
+
+/**
+ * Extract the text of an attachment
+ * @param {Buffer} buffer - File content
+ * @param {Object} attachment - { filename, mimeType }
+ * @returns {Promise<Object>} - { extractedText, textTruncated } or { extractionError };
+ *                              {} for unsupported types
+ */
+const extractAttachmentText = async (buffer, attachment) => {
+    const type = getExtractableType(attachment);
+    if (!type) return {};
+
+    try {
+        let text;
+        if (type === 'pdf') {
+            // pdf.js reads the underlying ArrayBuffer from offset 0, so small (pooled)
+            // Buffers have to be copied into an array of their own
+            text = (await pdfParse(new Uint8Array(buffer))).text;
+        } else if (type === 'docx') {
+            text = (await mammoth.extractRawText({ buffer })).value;
+        } else {
+            // UTF-8 with BOM, as written by Excel and Notepad
+            text = buffer.toString('utf8').replace(/^﻿/, '');
+        }
+
+        const { text: extractedText, truncated } = capText(text, ATTACHMENT_TEXT_MAX_CHARS);
+        return { extractedText, textTruncated: truncated };
+    } catch (error) {
+        console.error(`Could not extract text from ${attachment.filename}:`, error.message);
+        return { extractionError: error.message };
+    }
+};
+
+/**
+ * Download the attachments of a Gmail message and extract their text
+ * @param {Object} gmail - Gmail API client
+ * @param {string} messageId - Gmail message ID
+ * @param {Array} parts - Attachment parts (see getAttachmentParts in utils/emailParser.js)
+ * @returns {Promise<Array>} - [{ filename, mimeType, size, extractedText?, textTruncated?, extractionError? }]
+ */
+const fetchGmailAttachments = async (gmail, messageId, parts) => {
+    const attachments = [];
+
+    for (const part of parts) {
+        const attachment = {
+            filename: part.filename,
+            mimeType: part.mimeType,
+            size: (part.body && part.body.size) || 0
+        };
+
+        if (getExtractableType(attachment) && attachment.size <= ATTACHMENT_MAX_BYTES) {
+            try {
+                // Small attachments come inline, larger ones need a separate request
+                let data = part.body.data;
+                if (!data && part.body.attachmentId) {
+                    const response = await gmail.users.messages.attachments.get({
+                        userId: 'me',
+                        messageId,
+                        id: part.body.attachmentId
+                    });
+                    data = response.data.data;
+                }
+
+                if (data) {
+                    Object.assign(attachment, await extractAttachmentText(Buffer.from(data, 'base64url'), attachment));
+                }
+            } catch (error) {
+                console.error(`Could not download attachment ${attachment.filename} of ${messageId}:`, error.message);
+                attachment.extractionError = error.message;
+            }
+        }
+
+        attachments.push(attachment);
+    }
+
+    return capTotalText(attachments);
+};
+
+/**
+ * Extract the text of attachments that are already in memory (IMAP, via mailparser)
+ * @param {Array} files - [{ filename, mimeType, size, content: Buffer }]
+ * @returns {Promise<Array>} - Attachment metadata with extracted text
+ */
+const extractAttachments = async (files) => {
+    const attachments = [];
+
+    for (const { content, ...attachment } of files) {
+        if (content && attachment.size <= ATTACHMENT_MAX_BYTES) {
+            Object.assign(attachment, await extractAttachmentText(content, attachment));
+        }
+        attachments.push(attachment);
+    }
+
+    return capTotalText(attachments);
+};
+
+/**
+ * Keep the extracted text of a message's attachments within ATTACHMENT_TEXT_MAX_TOTAL_CHARS
+ * @param {Array} attachments - Attachment metadata with extracted text
+ * @returns {Array} - Attachments, later ones truncated or emptied when over the cap
+ */
+const capTotalText = (attachments) => {
+    let remaining = ATTACHMENT_TEXT_MAX_TOTAL_CHARS;
+
+    return attachments.map(attachment => {
+        if (!attachment.extractedText) return attachment;
+
+        const { text, truncated } = capText(attachment.extractedText, remaining);
+        remaining -= text.length;
+        return { ...attachment, extractedText: text, textTruncated: attachment.textTruncated || truncated };
+    });
+};
+
+module.exports = {
+    getExtractableType,
+    extractAttachmentText,
+    fetchGmailAttachments,
+    extractAttachments
+};
@@ -0,0 +1,381 @@
+/**
+ * Bulk Message Service
+ *
+ * Runs one action on many messages for POST /api/messages/bulk: mark read or unread,
+ * archive or unarchive, add and remove labels, set the priority, or convert to tasks.
+ *
+ * Writes go in Firestore batches of at most BULK_BATCH_WRITES documents, counted per
+ * message: archiving also deletes the snooze, a priority change records the feedback and
+ * a conversion saves every task of the message. Each batch carries the analytics counter
+ * changes of its own messages, so the counters only move for writes that were committed. A missing message or a failed batch is reported per message
+ * instead of failing the request, and messages already in the wanted state are left
+ * alone. Gmail sync and the search index are updated after the batches, as in the
+ * single message routes.
+ */
+
+const { db, admin } = require('../config/firebase');
+const {
+    getMessagesRef,
+    addArchiveToBatch,
+    addLabelsToBatch,
+    getGmailSyncClient,
+    syncMessageToGmail
+} = require('./messageStateService');
+const { addPriorityCorrectionToBatch } = require('./feedbackService');
+const { getRedactionSettings } = require('./redactionService');
+const { indexMessages, indexTasks } = require('./searchService');
+const { generateTaskFromMessage } = require('../scripts/taskGenerator');
+const { diffLabels, isGmailMessage } = require('../utils/messageState');
+const { applyLabelChange, chunk, chunkByWrites } = require('../utils/bulkActions');
+
+// Firestore batches take at most 500 writes; the analytics counters take one more
+const BULK_BATCH_WRITES = 400;
+// Messages read per getAll
+const BULK_READ_SIZE = 200;
+// Values per Firestore "in" filter
+const IN_FILTER_SIZE = 30;
+
+/**
+ * Load messages by ID
+ * @param {string} userId - User's Firebase ID
+ * @param {Array<string>} messageIds - Message IDs
+ * @returns {Promise<Object>} - { messages, missing } with the IDs that don't exist
+ */
+const getMessagesById = async (userId, messageIds) => {
+    const messages = [];
+    const missing = [];
+
+    for (const ids of chunk(messageIds, BULK_READ_SIZE)) {
+        const docs = await db.getAll(...ids.map(id => getMessagesRef(userId).doc(id)));
+        docs.forEach(doc => {
+            if (doc.exists) {
+                messages.push({ id: doc.id, ...doc.data() });
+            } else {
+                missing.push(doc.id);
+            }
+        });
+    }
+
+    return { messages, missing };
+};
+
+/**
+ * Plan the change of one message for the actions that only write to it
+ * @param {string} userId - User's Firebase ID
+ * @param {string} action - Bulk action
+ * @param {Object} message - Message data with its id
+ * @param {Object} options - { priority } or { addLabels, removeLabels }
+ * @returns {Object|null} - { apply(batch) => fields written, writes, gmailChange?, stats?, reindex? };
+ *                          null when the message already is in the wanted state
+ */
+const planMessageChange = (userId, action, message, options) => {
+    switch (action) {
+        case 'markRead':
+        case 'markUnread': {
+            const read = action === 'markRead';
+            if (Boolean(message.read) === read) return null;
+
+            return {
+                apply: (batch) => {
+                    batch.update(getMessagesRef(userId).doc(message.id), { read });
+                    return { read };
+                },
+                writes: 1,
+                stats: { 'messageStats.totalRead': read ? 1 : -1 }
+            };
+        }
+        case 'archive':
+        case 'unarchive': {
+            const archived = action === 'archive';
+            if (Boolean(message.archived) === archived) return null;
+
+            return {
+                apply: (batch) => addArchiveToBatch(batch, userId, message.id, archived),
+                writes: archived ? 2 : 1,
+                gmailChange: { archived }
+            };
+        }
+        case 'label': {
+            const labels = applyLabelChange(message.labels || [], options);
+            const { added, removed } = diffLabels(message.labels || [], labels);
+            if (added.length === 0 && removed.length === 0) return null;
+
+            return {
+                apply: (batch) => addLabelsToBatch(batch, userId, message.id, labels),
+                writes: 1,
+                gmailChange: { addLabels: added, removeLabels: removed }
+            };
+        }
+        case 'priority': {
+            if (message.priority === options.priority) return null;
+
+            return {
+                apply: (batch) => {
+                    const messageRef = getMessagesRef(userId).doc(message.id);
+                    const { originalPriority, agreed } = addPriorityCorrectionToBatch(
+                        batch, userId, messageRef, message, options.priority
+                    );
+                    return { priority: options.priority, originalPriority, userCorrected: !agreed };
+                },
+                writes: 2,
+                reindex: true
+            };
+        }
+        default:
+            throw new Error(`Unknown bulk action: ${action}`);
+    }
+};
+
+/**
+ * Get the tasks collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getTasksRef = (userId) => db.collection('tasks').doc(userId).collection('userTasks');
+
+/**
+ * Get the analytics counter changes of new tasks
+ * @param {Array} tasks - Tasks
+ * @returns {Object} - Counter deltas by field path
+ */
+const getTaskStats = (tasks) => {
+    const stats = { 'taskStats.totalCreated': tasks.length };
+    tasks.forEach(task => {
+        const key = `taskStats.byPriority.${task.priority || 'medium'}`;
+        stats[key] = (stats[key] || 0) + 1;
+    });
+    return stats;
+};
+
+/**
+ * Queue saving tasks
+ * @param {Object} batch - Firestore write batch
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} tasks - Tasks
+ * @returns {Array} - Tasks with their new IDs
+ */
+const addTasksToBatch = (batch, userId, tasks) => tasks.map(task => {
+    const taskRef = getTasksRef(userId).doc();
+    batch.set(taskRef, task);
+    return { id: taskRef.id, ...task };
+});
+
+/**
+ * Generate the tasks of messages and plan saving them. Messages that already have a
+ * task, or that the model finds no task in, fail
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} messages - Messages with their id
+ * @returns {Promise<Object>} - { plans, failed }
+ */
+const planTaskConversions = async (userId, messages) => {
+    const tasksRef = getTasksRef(userId);
+    const converted = new Set();
+
+    for (const ids of chunk(messages.map(message => message.id), IN_FILTER_SIZE)) {
+        const snapshot = await tasksRef.where('sourceMessageId', 'in', ids).get();
+        snapshot.docs.forEach(doc => converted.add(doc.data().sourceMessageId));
+    }
+
+    const redaction = await getRedactionSettings(userId);
+    const plans = [];
+    const failed = [];
+
+    for (const message of messages) {
+        if (converted.has(message.id)) {
+            failed.push({ id: message.id, error: 'Task already exists for this message' });
+            continue;
+        }
+
+        try {
+            const taskResponse = await generateTaskFromMessage(message, redaction);
+            const tasks = [].concat(taskResponse.tasks || taskResponse.task || []);
+            if (taskResponse.isGenerateTask === false || tasks.length === 0) {
+                failed.push({ id: message.id, error: 'Message cannot be converted to a task' });
+                continue;
+            }
+
+            plans.push({
+                message,
+                apply: (batch) => ({ tasks: addTasksToBatch(batch, userId, tasks) }),
+                writes: tasks.length,
+                stats: getTaskStats(tasks)
+            });
+        } catch (error) {
+            failed.push({ id: message.id, error: error.message });
+        }
+    }
+
+    return { plans, failed };
+};
+
+/**
+ * Queue the analytics counter changes of a batch. Message counters are only kept once
+ * the analytics document exists; task counters create it, as POST /api/tasks does
+ * @param {Object} batch - Firestore write batch
+ * @param {string} userId - User's Firebase ID
+ * @param {boolean} analyticsExists - Whether the analytics document exists
+ * @param {Object} stats - Counter deltas by field path ("taskStats.totalCreated")
+ * @returns {boolean} - Whether the analytics document exists after the batch
+ */
+const addStatsToBatch = (batch, userId, analyticsExists, stats) => {
+    const fields = Object.keys(stats).filter(field => stats[field] !== 0);
+    if (fields.length === 0) return analyticsExists;
+
+    const analyticsRef = db.collection('analytics').doc(userId);
+    const increment = (field) => admin.firestore.FieldValue.increment(stats[field]);
+
+    if (analyticsExists) {
+        batch.update(analyticsRef, Object.fromEntries(fields.map(field => [field, increment(field)])));
+        return true;
+    }
+
+    const taskFields = fields.filter(field => field.startsWith('taskStats.'));
+    if (taskFields.length === 0) return false;
+
+    // set() takes nested objects rather than field paths
+    const data = {};
+    taskFields.forEach(field => {
+        const parts = field.split('.');
+        let target = data;
+        parts.slice(0, -1).forEach(part => {
+            target[part] = target[part] || {};
+            target = target[part];
+        });
+        target[parts[parts.length - 1]] = increment(field);
+    });
+    batch.set(analyticsRef, data, { merge: true });
+
+    return true;
+};
+
+/**
+ * Write back the archive and label changes of Gmail messages
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} changes - [{ message, gmailChange }]
+ * @returns {Promise<Object>} - { synced, skipped, failed: [{ id, error }], reason? }
+ */
+const syncChangesToGmail = async (userId, changes) => {
+    const gmailChanges = changes.filter(({ message }) => isGmailMessage(message));
+    const result = { synced: 0, skipped: changes.length - gmailChanges.length, failed: [] };
+    if (gmailChanges.length === 0) return result;
+
+    const { gmail, reason } = await getGmailSyncClient(userId);
+    if (!gmail) {
+        return { ...result, skipped: changes.length, reason };
+    }
+
+    for (const { message, gmailChange } of gmailChanges) {
+        const sync = await syncMessageToGmail(userId, gmail, message, gmailChange);
+        if (sync.status === 'synced') {
+            result.synced++;
+        } else if (sync.status === 'failed') {
+            result.failed.push({ id: message.id, error: sync.error });
+        } else {
+            result.skipped++;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Run a bulk action on messages
+ * @param {string} userId - User's Firebase ID
+ * @param {string} action - One of BULK_ACTIONS (see utils/bulkActions.js)
+ * @param {Array} messages - Messages with their id
+ * @param {Object} options - { priority } or { addLabels, removeLabels }
+ * @returns {Promise<Object>} - { updated, unchanged, failed: [{ id, error }], changes, tasks, gmailSync }
+ *                              with the IDs of updated and unchanged messages and the
+ *                              fields written to each updated message ({ id, ...fields })
+ */
+const runBulkAction = async (userId, action, messages, options = {}) => {
+    let plans = [];
+    const unchanged = [];
+    const failed = [];
+
+    if (action === 'convertToTask') {
+        const conversions = await planTaskConversions(userId, messages);
+        plans = conversions.plans;
+        failed.push(...conversions.failed);
+    } else {
+        messages.forEach(message => {
+            const plan = planMessageChange(userId, action, message, options);
+            if (plan) {
+                plans.push({ message, ...plan });
+            } else {
+                unchanged.push(message.id);
+            }
+        });
+    }
+
+    let analyticsExists = (await db.collection('analytics').doc(userId).get()).exists;
+    const committed = [];
+
+    for (const batchPlans of chunkByWrites(plans, plan => plan.writes, BULK_BATCH_WRITES)) {
+        const batch = db.batch();
+        const stats = {};
+        const results = batchPlans.map(plan => {
+            Object.entries(plan.stats || {}).forEach(([field, delta]) => {
+                stats[field] = (stats[field] || 0) + delta;
+            });
+            return plan.apply(batch);
+        });
+        const statsExist = addStatsToBatch(batch, userId, analyticsExists, stats);
+
+        try {
+            await batch.commit();
+            analyticsExists = statsExist;
+            batchPlans.forEach((plan, index) => committed.push({ ...plan, result: results[index] }));
+        } catch (error) {
+            console.error(`Bulk ${action} batch failed for user ${userId}:`, error.message);
+            batchPlans.forEach(plan => failed.push({ id: plan.message.id, error: error.message }));
+        }
+    }
+
+    const tasks = committed.flatMap(({ result }) => result.tasks || []);
+    if (tasks.length > 0) {
+        await indexTasks(userId, tasks);
+    }
+
+    const reindexed = committed.filter(plan => plan.reindex);
+    if (reindexed.length > 0) {
+        await indexMessages(userId, reindexed.map(({ message, result }) => ({ ...message, ...result })));
+    }
+
+    const gmailSync = await syncChangesToGmail(userId, committed.filter(plan => plan.gmailChange));
+
+    return {
+        updated: committed.map(({ message }) => message.id),
+        unchanged,
+        failed,
+        changes: committed
+            .filter(({ result }) => !result.tasks)
+            .map(({ message, result }) => ({ id: message.id, ...result })),
+        tasks,
+        gmailSync
+    };
+};
+
+/**
+ * Save the tasks converted from one message with their analytics counters, as a bulk
+ * conversion does
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} tasks - Tasks generated from the message
+ * @returns {Promise<Array>} - Saved tasks with their IDs
+ */
+const saveConvertedTasks = async (userId, tasks) => {
+    const analyticsExists = (await db.collection('analytics').doc(userId).get()).exists;
+    const batch = db.batch();
+    const savedTasks = addTasksToBatch(batch, userId, tasks);
+    addStatsToBatch(batch, userId, analyticsExists, getTaskStats(tasks));
+    await batch.commit();
+
+    await indexTasks(userId, savedTasks);
+    return savedTasks;
+};
+
+module.exports = {
+    getMessagesById,
+    runBulkAction,
+    saveConvertedTasks
+};
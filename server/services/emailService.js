@@ -2,7 +2,15 @@ const { google } = require('googleapis');
 const { admin, db } = require('../config/firebase');
 const { getOAuthToken } = require('../models/oauthTokenModel');
 const { processEmail } = require('../scripts/processEmail');
+const { filterThreadDuplicateTasks } = require('./threadService');
+const { saveMessageEvents } = require('./eventService');
+const { indexMessages, indexTasks } = require('./searchService');
+const { chunkByWrites } = require('../utils/bulkActions');
 const logger = require('../utils/logger');
+
+// Firestore batches take at most 500 writes
+const SAVE_BATCH_SIZE = 400;
+
 /**
  * Create a Gmail API client with user's access token
  * @param {Object} tokenData - OAuth token data
@@ -24,49 +32,64 @@ const createGmailClient = (tokenData) => {
     return google.gmail({ version: 'v1', auth: oAuth2Client });
 };
 
+/**
+ * Create a Gmail API client for a user from their stored Google token
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - Result with the Gmail client or an error
+ */
+const getGmailClientForUser = async (userId) => {
+    // Get the user's Google OAuth token
+    const tokenData = await getOAuthToken(userId, 'google');
+
+    if (!tokenData || tokenData.isExpired) {
+        console.error(`No valid Google token found for user ${userId}`);
+        return { success: false, error: 'No valid token' };
+    }
+
+    // Check if we have Gmail API access
+    if (!tokenData.scopes.includes('https://www.googleapis.com/auth/gmail.readonly')) {
+        console.error(`User ${userId} doesn't have Gmail access scope`);
+        return { success: false, error: 'No Gmail scope' };
+    }
+
+    return { success: true, gmail: createGmailClient(tokenData) };
+};
+
 /**
  * Fetch emails for a user
  * @param {string} userId - User's Firebase ID
  * @param {Object} options - Options for fetching emails
+ * @param {number} options.maxResults - Maximum number of emails to return across all pages
+ * @param {string} options.query - Gmail search query
  * @returns {Promise<Array>} - Array of emails
  */
 const fetchUserEmails = async (userId, options = {}) => {
     try {
-
-        // Get the user's Google OAuth token
-        const tokenData = await getOAuthToken(userId, 'google');
-
-        if (!tokenData || tokenData.isExpired) {
-            console.error(`No valid Google token found for user ${userId}`);
-            return { success: false, error: 'No valid token', emails: [] };
-        }
-
-        // Check if we have Gmail API access
-        if (!tokenData.scopes.includes('https://www.googleapis.com/auth/gmail.readonly')) {
-            console.error(`User ${userId} doesn't have Gmail access scope`);
-            return { success: false, error: 'No Gmail scope', emails: [] };
+        const clientResult = await getGmailClientForUser(userId);
+        if (!clientResult.success) {
+            return { success: false, error: clientResult.error, emails: [] };
         }
 
-        // Create Gmail client
-        const gmail = createGmailClient(tokenData);
+        const gmail = clientResult.gmail;
 
         // Default query parameters
         const maxResults = options.maxResults || 10;
         const query = options.query || '';
 
-        // Get messages that match query
-        const response = await gmail.users.messages.list({
-            userId: 'me',
-            maxResults,
-            q: query
-        });
-
-        if (!response.data.messages || response.data.messages.length === 0) {
-            return { success: true, emails: [] };
-        }
-
-        // Get full message details
-        const emails = response.data.messages
+        // Page through messages that match query until we reach maxResults
+        const emails = [];
+        let pageToken;
+        do {
+            const response = await gmail.users.messages.list({
+                userId: 'me',
+                maxResults: Math.min(maxResults - emails.length, 500),
+                q: query,
+                pageToken
+            });
+
+            emails.push(...(response.data.messages || []));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken && emails.length < maxResults);
 
         return {
             success: true,
@@ -86,8 +109,14 @@ const fetchUserEmails = async (userId, options = {}) => {
 
 /**
  * Save fetched emails to the database
+ *
+ * Each message is committed in the same batch as its tasks, in batches of at most
+ * SAVE_BATCH_SIZE writes. Messages that are already stored are skipped along with their
+ * tasks, so a run retried after a failed batch doesn't save the same tasks twice.
+ *
  * @param {string} userId - User's Firebase ID
- * @param {Array} emails - Array of emails to save
+ * @param {Array} emailResults - Processed messages to save
+ * @param {Array} tasksResults - Tasks generated from the messages
  * @returns {Promise<Object>} - Result of the operation
  */
 const saveEmailsToFirestore = async (userId, emailResults, tasksResults) => {
@@ -102,66 +131,82 @@ const saveEmailsToFirestore = async (userId, emailResults, tasksResults) => {
                 totalProcessed: 0
             };
         }
-        const batch = db.batch();
         const messagesRef = db.collection('messages').doc(userId).collection('userMessages');
-        let savedCount = 0;
-
-        // Process each email - ensure we're iterating through the actual emails array
-        for (const email of emailResults) {
+        const TasksRef = db.collection('tasks').doc(userId).collection('userTasks');
+        const validEmails = emailResults.filter(email => {
             // Make sure email has a valid id
             if (!email || !email.sourceId) {
                 console.error('Invalid email object or missing ID:', email);
-                continue;
+                return false;
             }
+            return true;
+        });
 
-            // Check if this email already exists
-            const emailDoc = await messagesRef.doc(email.sourceId).get();
+        // Check which emails already exist, one read per chunk
+        const newIds = new Set();
+        const newEmails = [];
+        for (let i = 0; i < validEmails.length; i += SAVE_BATCH_SIZE) {
+            const emails = validEmails.slice(i, i + SAVE_BATCH_SIZE);
+            const existingDocs = await db.getAll(...emails.map(email => messagesRef.doc(email.sourceId)));
+            emails.forEach((email, index) => {
+                if (existingDocs[index].exists || newIds.has(email.sourceId)) return;
+                newIds.add(email.sourceId);
+                newEmails.push(email);
+            });
+        }
 
-            if (!emailDoc.exists) {
-                // Add email to batch if it doesn't exist yet
-                // Note: We're using the actual email object directly
-                batch.set(messagesRef.doc(email.sourceId), email);
-                savedCount++;
+        const newTasks = (tasksResults || []).filter(task => {
+            // Make sure task has a valid source message
+            if (!task || !task.sourceMessageId) {
+                console.error('Invalid task object or missing source message ID:', task);
+                return false;
             }
+            return newIds.has(task.sourceMessageId);
+        });
+        if (newTasks.length < (tasksResults || []).length) {
+            logger.info(`Skipped ${(tasksResults || []).length - newTasks.length} tasks of messages that were already stored`);
         }
 
-        // Commit the batch if we have any new emails
-        if (savedCount > 0) {
-            await batch.commit();
+        // A thread with an open task does not get another one for every reply
+        const threadTasks = await filterThreadDuplicateTasks(userId, newTasks);
+        if (threadTasks.length < newTasks.length) {
+            logger.info(`Skipped ${newTasks.length - threadTasks.length} tasks for threads that already have an open task`);
         }
 
+        const tasksByMessage = new Map();
+        threadTasks.forEach(task => {
+            tasksByMessage.set(task.sourceMessageId, [...(tasksByMessage.get(task.sourceMessageId) || []), task]);
+        });
+        const getTasks = (email) => tasksByMessage.get(email.sourceId) || [];
 
-        if (!tasksResults || tasksResults.length === 0) {
-            return {
-                success: true,
-                savedCount,
-                savedTasksCount: 0,
-                totalMessages: emailResults.length,
-                totalsTasks: tasksResults.length
-            };
-        }
-
-        const batchTasks = db.batch();
-        const TasksRef = db.collection('tasks').doc(userId).collection('userTasks');
+        let savedCount = 0;
         let TasksSavedCount = 0;
 
-        // Process each email - ensure we're iterating through the actual emails array
-        for (const task of tasksResults) {
-            console.log(`Processing task`, task.sourceMessageId);
-            // Make sure email has a valid id
-            if (!task || !task.sourceMessageId) {
-                console.error('Invalid email object or missing ID:', task);
-                continue;
-            }
-            const newDocRef = TasksRef.doc(); // random ID
+        for (const emails of chunkByWrites(newEmails, email => 1 + getTasks(email).length, SAVE_BATCH_SIZE)) {
+            const batch = db.batch();
+            const savedTasks = [];
+            emails.forEach(email => {
+                batch.set(messagesRef.doc(email.sourceId), email);
+                getTasks(email).forEach(task => {
+                    const newDocRef = TasksRef.doc(); // random ID
+                    batch.set(newDocRef, task);
+                    savedTasks.push({ id: newDocRef.id, ...task });
+                });
+            });
 
-            batchTasks.set(newDocRef, task);
-            TasksSavedCount++;
+            await batch.commit();
+            await indexMessages(userId, emails.map(email => ({ id: email.sourceId, ...email })));
+            if (savedTasks.length > 0) {
+                await indexTasks(userId, savedTasks);
+            }
+            savedCount += emails.length;
+            TasksSavedCount += savedTasks.length;
         }
 
-        // Commit the batch if we have any new emails
-        if (TasksSavedCount > 0) {
-            await batchTasks.commit();
+        // Meeting invites and their updates/cancellations go to the events collection
+        const savedEventsCount = await saveMessageEvents(userId, emailResults);
+        if (savedEventsCount > 0) {
+            logger.info(`Saved ${savedEventsCount} calendar events for user`);
         }
 
         return {
@@ -169,7 +214,7 @@ const saveEmailsToFirestore = async (userId, emailResults, tasksResults) => {
             savedCount,
             savedTasksCount: TasksSavedCount,
             totalMessages: emailResults.length,
-            totalsTasks: tasksResults.length,
+            totalsTasks: (tasksResults || []).length,
         };
     } catch (error) {
         console.error(`Error saving emails for user ${userId}:`, error);
@@ -177,12 +222,14 @@ const saveEmailsToFirestore = async (userId, emailResults, tasksResults) => {
             success: false,
             error: error.message,
             savedCount: 0,
-            totalProcessed: emails.length
+            totalProcessed: emailResults.length
         };
     }
 };
 
 module.exports = {
+    createGmailClient,
+    getGmailClientForUser,
     fetchUserEmails,
     saveEmailsToFirestore
 };
@@ -0,0 +1,185 @@
+/**
+ * Embedding Service
+ *
+ * Turns message and task text into vectors for semantic search and related items (see
+ * services/searchService.js). The embedder is set with EMBEDDING_PROVIDER, a
+ * `provider` or `provider:model` entry like the LLM chains; semantic search is off until
+ * one is set:
+ *
+ * - local              Sentence-transformer model run on the CPU with transformers.js
+ *                      (@huggingface/transformers, ONNX); the model is downloaded once
+ * - openai-compatible  The /embeddings endpoint of OPENAI_COMPATIBLE_BASE_URL (OpenAI, Ollama...)
+ * - mock               Deterministic hashed bag of words, for tests and offline runs
+ * - none               Semantic search off (the default)
+ *
+ * Vectors are normalized to length 1, so their dot product is the cosine similarity.
+ * Each vector is stored with the embedder that made it; vectors of another embedder are
+ * ignored until scripts/reindexSearch.js has run.
+ */
+
+require('dotenv').config();
+const { OpenAI } = require('openai');
+const { tokenize } = require('../utils/searchText');
+
+const DEFAULT_MODELS = {
+    'local': 'Xenova/all-MiniLM-L6-v2',
+    'openai-compatible': 'nomic-embed-text',
+    'mock': 'hash-256'
+};
+
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 16;
+// Sentence models only read the first few hundred tokens anyway
+const EMBEDDING_TEXT_MAX_CHARS = parseInt(process.env.EMBEDDING_TEXT_MAX_CHARS) || 2000;
+const MOCK_DIMENSIONS = 256;
+
+/**
+ * Read the configured embedder
+ * @returns {Object|null} - { provider, model, id }, null when semantic search is off
+ */
+const getEmbedderConfig = () => {
+    const entry = (process.env.EMBEDDING_PROVIDER || 'none').trim();
+    const separator = entry.indexOf(':');
+    const provider = separator === -1 ? entry : entry.slice(0, separator);
+    if (provider === 'none') return null;
+
+    const model = separator === -1 ? DEFAULT_MODELS[provider] : entry.slice(separator + 1);
+    return { provider, model, id: `${provider}:${model}` };
+};
+
+/**
+ * Scale a vector to length 1 (zero vectors stay zero)
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>}
+ */
+const normalizeVector = (vector) => {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+};
+
+/**
+ * Cosine similarity of two normalized vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same length
+ * @returns {number} - -1 to 1, 0 when the lengths differ
+ */
+const cosineSimilarity = (a, b) => {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+};
+
+/**
+ * Hash a token into a vector dimension (FNV-1a)
+ * @param {string} token - Token
+ * @returns {number}
+ */
+const hashToken = (token) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash % MOCK_DIMENSIONS;
+};
+
+/**
+ * Embed a text as a hashed bag of words, with plural and verb endings cut off so
+ * "contracts" and "contract" land in the same dimension
+ * @param {string} text - Text
+ * @returns {Array<number>}
+ */
+const mockEmbedding = (text) => {
+    const vector = new Array(MOCK_DIMENSIONS).fill(0);
+    tokenize(text).forEach(token => {
+        const stem = token.length > 4 ? token.replace(/(ing|ed|es|s)$/, '') : token;
+        vector[hashToken(stem)] += 1;
+    });
+    return normalizeVector(vector);
+};
+
+let localPipeline = null;
+
+/**
+ * Load (once) the transformers.js feature extraction pipeline
+ * @param {string} model - Hugging Face model ID with ONNX weights
+ * @returns {Promise<Function>}
+ */
+const getLocalPipeline = (model) => {
+    if (!localPipeline || localPipeline.model !== model) {
+        // Loaded lazily so the ONNX runtime is only needed when the local embedder is used
+        const { pipeline, env } = require('@huggingface/transformers');
+        if (process.env.EMBEDDING_CACHE_DIR) env.cacheDir = process.env.EMBEDDING_CACHE_DIR;
+
+        localPipeline = { model, extractor: pipeline('feature-extraction', model, { dtype: 'q8' }) };
+        // A failed download is retried on the next call
+        localPipeline.extractor.catch(() => { localPipeline = null; });
+    }
+    return localPipeline.extractor;
+};
+
+let openAIClient = null;
+
+const embedders = {
+    'local': async (texts, { model }) => {
+        const extractor = await getLocalPipeline(model);
+        const output = await extractor(texts, { pooling: 'mean', normalize: true });
+        return output.tolist();
+    },
+
+    'openai-compatible': async (texts, { model }) => {
+        if (!openAIClient) {
+            openAIClient = new OpenAI({
+                baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1',
+                apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed'
+            });
+        }
+        const response = await openAIClient.embeddings.create({ model, input: texts });
+        return response.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => normalizeVector(item.embedding));
+    },
+
+    'mock': async (texts) => texts.map(mockEmbedding)
+};
+
+/**
+ * Check whether semantic search is configured
+ * @returns {boolean}
+ */
+const isEmbeddingEnabled = () => getEmbedderConfig() !== null;
+
+/**
+ * Embed texts with the configured embedder
+ * @param {Array<string>} texts - Texts (cut to EMBEDDING_TEXT_MAX_CHARS)
+ * @returns {Promise<Object>} - { vectors, embedder } where embedder identifies the model
+ */
+const embedTexts = async (texts) => {
+    const config = getEmbedderConfig();
+    if (!config) {
+        throw new Error('Semantic search is turned off (EMBEDDING_PROVIDER=none)');
+    }
+
+    const embed = embedders[config.provider];
+    if (!embed) {
+        throw new Error(`Unknown embedding provider ${config.provider}`);
+    }
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = texts
+            .slice(i, i + EMBEDDING_BATCH_SIZE)
+            .map(text => String(text || '').substring(0, EMBEDDING_TEXT_MAX_CHARS));
+        vectors.push(...await embed(batch, { model: config.model }));
+    }
+
+    return { vectors, embedder: config.id };
+};
+
+module.exports = {
+    getEmbedderConfig,
+    isEmbeddingEnabled,
+    embedTexts,
+    cosineSimilarity
+};
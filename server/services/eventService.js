@@ -0,0 +1,207 @@
+/**
+ * Calendar Event Service
+ *
+ * Stores the meeting invites found in synced mail (see extractCalendarEvents in
+ * scripts/processEmail.js) in `events/{uid}/userEvents`, one document per event UID
+ * and occurrence:
+ * - a later update (higher SEQUENCE) of an invite replaces the stored event
+ * - a METHOD:CANCEL mail marks the event as cancelled
+ *
+ * Pending invites also become "RSVP to ..." tasks (see buildRsvpTasks).
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+
+const EVENTS_LIST_LIMIT = parseInt(process.env.EVENTS_LIST_LIMIT) || 500;
+
+/**
+ * Get the user's events collection
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getEventsRef = (userId) => db.collection('events').doc(userId).collection('userEvents');
+
+/**
+ * Document ID of an event; iCalendar UIDs may contain "/" and are often long
+ * @param {Object} event - Parsed event
+ * @returns {string}
+ */
+const getEventDocId = (event) => crypto.createHash('sha256')
+    .update(`${event.uid}|${event.recurrenceId || ''}`)
+    .digest('hex')
+    .substring(0, 32);
+
+/**
+ * Convert a stored event for the API (Firestore timestamps to ISO strings)
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} - Event with its document ID
+ */
+const formatEvent = (doc) => {
+    const data = doc.data();
+    const toIso = (value) => (value && value.toDate ? value.toDate().toISOString() : value || null);
+
+    return {
+        id: doc.id,
+        ...data,
+        start: toIso(data.start),
+        end: toIso(data.end),
+        updatedAt: toIso(data.updatedAt)
+    };
+};
+
+/**
+ * Save the events of processed emails
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} messages - Processed emails with an `events` array
+ * @returns {Promise<number>} - Number of events created or updated
+ */
+const saveMessageEvents = async (userId, messages) => {
+    const eventsRef = getEventsRef(userId);
+    let savedCount = 0;
+
+    for (const message of messages) {
+        for (const event of (message && message.events) || []) {
+            const eventRef = eventsRef.doc(getEventDocId(event));
+            const existing = await eventRef.get();
+            const stored = existing.exists ? existing.data() : null;
+
+            if (event.method === 'CANCEL' || event.status === 'cancelled') {
+                if (stored) {
+                    await eventRef.update({ status: 'cancelled', updatedAt: new Date() });
+                    savedCount++;
+                }
+                continue;
+            }
+
+            // An older copy of the invite (e.g. a reply quoting it) does not undo an update
+            if (stored && stored.sequence > event.sequence) continue;
+
+            const { method, ...eventFields } = event;
+            await eventRef.set({
+                ...eventFields,
+                start: new Date(event.start),
+                end: event.end ? new Date(event.end) : null,
+                // An RSVP the user already recorded survives a resent, unchanged invite
+                rsvpStatus: stored && stored.sequence === event.sequence && stored.rsvpStatus !== 'needs-action'
+                    ? stored.rsvpStatus
+                    : event.rsvpStatus,
+                sourceMessageId: message.sourceId || '',
+                threadId: message.threadId || null,
+                updatedAt: new Date()
+            });
+            savedCount++;
+        }
+    }
+
+    return savedCount;
+};
+
+/**
+ * List a user's events by start time
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} options - { from, to } ISO dates, and { includeCancelled }
+ * @returns {Promise<Array>} - Events, earliest first
+ */
+const listEvents = async (userId, options = {}) => {
+    let query = getEventsRef(userId).orderBy('start', 'asc');
+    if (options.from) query = query.where('start', '>=', new Date(options.from));
+    if (options.to) query = query.where('start', '<=', new Date(options.to));
+
+    const snapshot = await query.limit(EVENTS_LIST_LIMIT).get();
+    return snapshot.docs
+        .map(formatEvent)
+        .filter(event => options.includeCancelled || event.status !== 'cancelled');
+};
+
+/**
+ * Get one event
+ * @param {string} userId - User's Firebase ID
+ * @param {string} eventId - Event document ID
+ * @returns {Promise<Object|null>} - Event, or null when it does not exist
+ */
+const getEvent = async (userId, eventId) => {
+    const doc = await getEventsRef(userId).doc(eventId).get();
+    return doc.exists ? formatEvent(doc) : null;
+};
+
+/**
+ * Record the user's answer to an invite and complete its open RSVP tasks
+ *
+ * The answer is only tracked in FlowSync; the reply to the organizer is sent from the
+ * user's calendar.
+ *
+ * @param {string} userId - User's Firebase ID
+ * @param {string} eventId - Event document ID
+ * @param {string} rsvpStatus - "accepted", "declined" or "tentative"
+ * @returns {Promise<Object|null>} - Updated event, or null when it does not exist
+ */
+const updateRsvpStatus = async (userId, eventId, rsvpStatus) => {
+    const eventRef = getEventsRef(userId).doc(eventId);
+    const doc = await eventRef.get();
+    if (!doc.exists) return null;
+
+    await eventRef.update({ rsvpStatus, updatedAt: new Date() });
+
+    const tasksSnapshot = await db.collection('tasks').doc(userId).collection('userTasks')
+        .where('eventId', '==', eventId)
+        .where('completed', '==', false)
+        .get();
+    await Promise.all(tasksSnapshot.docs.map(taskDoc => taskDoc.ref.update({ completed: true })));
+    if (!tasksSnapshot.empty) {
+        await db.collection('analytics').doc(userId).update({
+            'taskStats.totalCompleted': admin.firestore.FieldValue.increment(tasksSnapshot.size)
+        });
+    }
+
+    return formatEvent(await eventRef.get());
+};
+
+/**
+ * Build "RSVP to ..." tasks for the invites in a message the user has not answered yet
+ * @param {Object} message - Processed email with an `events` array
+ * @returns {Array} - Tasks, due when the event starts; empty when nothing needs an answer
+ */
+const buildRsvpTasks = (message) => {
+    const now = Date.now();
+
+    return ((message && message.events) || [])
+        .filter(event => event.method === 'REQUEST' &&
+            event.status !== 'cancelled' &&
+            event.rsvpStatus === 'needs-action' &&
+            new Date(event.start).getTime() > now)
+        .map(event => {
+            const start = new Date(event.start);
+            const organizer = event.organizer && (event.organizer.name || event.organizer.email);
+            const details = [
+                `When: ${event.allDay ? start.toISOString().substring(0, 10) : start.toISOString()}`,
+                event.location ? `Where: ${event.location}` : '',
+                organizer ? `Organizer: ${organizer}` : ''
+            ].filter(Boolean);
+
+            return {
+                title: `RSVP to ${event.title}`,
+                description: details.join('\n'),
+                dueDate: start,
+                createdOn: new Date(),
+                // Invites for the next 24 hours need an answer today
+                priority: start.getTime() - now < 24 * 60 * 60 * 1000 ? 'high' : 'medium',
+                completed: false,
+                source: message.type,
+                sourceMessageId: message.sourceId || '',
+                threadId: message.threadId || null,
+                eventId: getEventDocId(event),
+                tags: ['meeting', 'rsvp'],
+                assignedTo: []
+            };
+        });
+};
+
+module.exports = {
+    getEventDocId,
+    saveMessageEvents,
+    listEvents,
+    getEvent,
+    updateRsvpStatus,
+    buildRsvpTasks
+};
@@ -0,0 +1,223 @@
+/**
+ * Priority Feedback Service
+ *
+ * Records the priority corrections users make in the inbox and turns them into:
+ * 1. Per-user few-shot examples injected into the classifier prompt
+ * 2. Classifier agreement metrics (how often the AI label was kept; rule-set priorities
+ *    are left out)
+ *
+ * Feedback is stored in `priorityFeedback/{uid}/userFeedback/{messageId}`, one document
+ * per message, so correcting the same message twice keeps only the latest choice.
+ */
+
+const { db } = require('../config/firebase');
+
+const PRIORITIES = ['critical', 'action', 'info'];
+
+// Labels the classifier answers with, by stored priority
+const PRIORITY_LABELS = {
+    critical: 'FLOW_CRITICAL',
+    action: 'FLOW_ACTION',
+    info: 'FLOW_INFO'
+};
+
+// How many corrections are shown to the classifier and how much of each message
+const FEW_SHOT_EXAMPLES = parseInt(process.env.CLASSIFIER_FEW_SHOT_EXAMPLES) || 5;
+const EXAMPLE_CONTENT_LENGTH = 500;
+
+// Reasoning processEmail stores when a rule set the priority instead of the classifier
+const RULE_REASONING = /^Rule ".*" set priority to /;
+
+/**
+ * Get the feedback collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getFeedbackRef = (userId) => db.collection('priorityFeedback').doc(userId).collection('userFeedback');
+
+/**
+ * Describe the sender of any message type
+ * @param {Object} message - Stored message
+ * @returns {string} - Sender as shown to the classifier
+ */
+const getMessageSender = (message) => {
+    if (message.type === 'email') {
+        return message.from ? `${message.from.name} <${message.from.email}>` : '';
+    }
+    return message.sender ? message.sender.name : '';
+};
+
+/**
+ * Queue recording a user's priority for a message
+ *
+ * The original AI priority and reasoning are kept on the message the first time it is
+ * corrected, so later corrections are still compared against what the AI said.
+ *
+ * @param {Object} batch - Firestore write batch
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} messageRef - Firestore reference of the message
+ * @param {Object} message - Stored message data
+ * @param {string} priority - Priority chosen by the user
+ * @returns {Object} - { originalPriority, priority, agreed }
+ */
+const addPriorityCorrectionToBatch = (batch, userId, messageRef, message, priority) => {
+    const originalPriority = message.originalPriority || message.priority || 'info';
+    const originalReasoning = message.originalReasoning || message.reasoning || '';
+    const agreed = originalPriority === priority;
+    const correctedAt = new Date();
+
+    batch.update(messageRef, {
+        priority,
+        originalPriority,
+        originalReasoning,
+        userCorrected: !agreed,
+        correctedAt
+    });
+
+    batch.set(getFeedbackRef(userId).doc(messageRef.id), {
+        messageId: messageRef.id,
+        type: message.type,
+        originalPriority,
+        originalReasoning,
+        correctedPriority: priority,
+        agreed,
+        ruleClassified: Boolean(message.priorityRule) || RULE_REASONING.test(originalReasoning),
+        category: message.category || null,
+        from: getMessageSender(message),
+        subject: message.subject || message.channel || '',
+        // The classifier reads email replies without their quoted thread
+        content: String(message.newContent || message.content || '').substring(0, EXAMPLE_CONTENT_LENGTH),
+        createdAt: correctedAt
+    });
+
+    return { originalPriority, priority, agreed };
+};
+
+/**
+ * Record a user's priority for a message (see addPriorityCorrectionToBatch)
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} messageRef - Firestore reference of the message
+ * @param {Object} message - Stored message data
+ * @param {string} priority - Priority chosen by the user
+ * @returns {Promise<Object>} - { originalPriority, priority, agreed }
+ */
+const recordPriorityCorrection = async (userId, messageRef, message, priority) => {
+    const batch = db.batch();
+    const result = addPriorityCorrectionToBatch(batch, userId, messageRef, message, priority);
+    await batch.commit();
+
+    return result;
+};
+
+/**
+ * Get the user's latest corrections as classifier examples
+ * @param {string} userId - User's Firebase ID
+ * @param {number} limit - Maximum number of examples
+ * @returns {Promise<Array>} - [{ from, subject, content, label, category }]
+ */
+const getPriorityExamples = async (userId, limit = FEW_SHOT_EXAMPLES) => {
+    const feedbackSnapshot = await getFeedbackRef(userId)
+        .orderBy('createdAt', 'desc')
+        .limit(limit * 4)
+        .get();
+
+    // Only disagreements teach the classifier something
+    return feedbackSnapshot.docs
+        .map(doc => doc.data())
+        .filter(feedback => !feedback.agreed && PRIORITY_LABELS[feedback.correctedPriority])
+        .slice(0, limit)
+        .map(feedback => ({
+            from: feedback.from,
+            subject: feedback.subject,
+            content: feedback.content,
+            label: PRIORITY_LABELS[feedback.correctedPriority],
+            category: feedback.category || null
+        }));
+};
+
+/**
+ * Check whether a user rule, not the classifier, set the priority a correction was made to
+ * @param {Object} feedback - Stored feedback
+ * @returns {boolean}
+ */
+const isRuleFeedback = (feedback) => {
+    // Feedback recorded before ruleClassified existed is recognized by the rule's reasoning
+    if (typeof feedback.ruleClassified === 'boolean') return feedback.ruleClassified;
+    return RULE_REASONING.test(feedback.originalReasoning || '');
+};
+
+/**
+ * Report how often users kept the classifier's priority
+ *
+ * Messages whose priority a rule set are left out. Totals compare the corrections made in
+ * the period with the messages classified in it, counted by aggregation; the daily entries
+ * cover the messages the user set a priority on that day, from their feedback.
+ *
+ * @param {string} userId - User's Firebase ID
+ * @param {number} days - Number of days to report
+ * @returns {Promise<Object>} - { days, totals, corrections, daily }
+ */
+const getClassifierMetrics = async (userId, days = 30) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    since.setUTCHours(0, 0, 0, 0);
+
+    const messagesQuery = db.collection('messages')
+        .doc(userId)
+        .collection('userMessages')
+        .where('timestamp', '>=', since);
+    const count = async (countQuery) => (await countQuery.count().get()).data().count;
+
+    const [received, ruleClassified, feedbackSnapshot] = await Promise.all([
+        count(messagesQuery),
+        count(messagesQuery.where('priorityRule', '!=', null)),
+        getFeedbackRef(userId).where('createdAt', '>=', since).get()
+    ]);
+
+    const dailyMap = {};
+    const corrections = {};
+    let corrected = 0;
+
+    feedbackSnapshot.forEach(doc => {
+        const feedback = doc.data();
+        if (isRuleFeedback(feedback)) return;
+
+        const createdAt = feedback.createdAt && feedback.createdAt.toDate ? feedback.createdAt.toDate() : new Date(feedback.createdAt);
+        const day = createdAt.toISOString().substring(0, 10);
+
+        if (!dailyMap[day]) {
+            dailyMap[day] = { date: day, reviewed: 0, corrected: 0 };
+        }
+        dailyMap[day].reviewed++;
+
+        if (!feedback.agreed) {
+            dailyMap[day].corrected++;
+            corrected++;
+
+            const key = `${feedback.originalPriority}->${feedback.correctedPriority}`;
+            corrections[key] = (corrections[key] || 0) + 1;
+        }
+    });
+
+    // Corrections can be made to messages older than the period
+    const agreementRate = (total, wrong) => total > 0 ? Math.max(0, Math.round(((total - wrong) / total) * 1000) / 1000) : null;
+    const classified = received - ruleClassified;
+
+    const daily = Object.values(dailyMap)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(entry => ({ ...entry, agreementRate: agreementRate(entry.reviewed, entry.corrected) }));
+
+    return {
+        days,
+        totals: { classified, corrected, agreementRate: agreementRate(classified, corrected) },
+        corrections,
+        daily
+    };
+};
+
+module.exports = {
+    PRIORITIES,
+    addPriorityCorrectionToBatch,
+    recordPriorityCorrection,
+    getPriorityExamples,
+    getClassifierMetrics
+};
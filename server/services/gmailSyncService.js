@@ -0,0 +1,315 @@
+/**
+ * Gmail Incremental Sync Service
+ *
+ * Keeps each user's mailbox in sync using the Gmail History API:
+ * 1. Stores the last seen Gmail historyId per user
+ * 2. Pulls only the deltas (added, deleted and relabelled messages) since then
+ * 3. Falls back to a full resync when there is no historyId or it has expired
+ * 4. Processes at most INCREMENTAL_SYNC_MAX_RESULTS new messages per run, and only moves
+ *    the historyId once every new message is stored
+ */
+
+const { db } = require('../config/firebase');
+const { getGmailClientForUser, fetchUserEmails } = require('./emailService');
+const { removeFromIndex } = require('./searchService');
+
+// Query and cap used when a full resync is needed
+const FULL_SYNC_QUERY = process.env.GMAIL_FULL_SYNC_QUERY || 'is:inbox newer_than:7d';
+const FULL_SYNC_MAX_RESULTS = parseInt(process.env.GMAIL_FULL_SYNC_MAX_RESULTS) || 100;
+// New messages processed per incremental run; the rest wait for the next runs
+const INCREMENTAL_SYNC_MAX_RESULTS = parseInt(process.env.GMAIL_INCREMENTAL_SYNC_MAX_RESULTS) || 100;
+
+// Firestore batches take at most 500 writes
+const CHANGES_BATCH_SIZE = 400;
+
+/**
+ * Get the stored Gmail sync state for a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object|null>} - Sync state or null if the user was never synced
+ */
+const getGmailSyncState = async (userId) => {
+    const stateDoc = await db.collection('syncState').doc(userId).get();
+
+    if (!stateDoc.exists || !stateDoc.data().gmail) {
+        return null;
+    }
+
+    return stateDoc.data().gmail;
+};
+
+/**
+ * Save the Gmail sync state for a user
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} state - State fields to merge (historyId, lastSyncedAt, ...)
+ * @returns {Promise<void>}
+ */
+const saveGmailSyncState = async (userId, state) => {
+    await db.collection('syncState').doc(userId).set({
+        gmail: state
+    }, { merge: true });
+};
+
+/**
+ * Check if a Gmail API error means the start history ID is no longer available
+ * @param {Error} error - Error thrown by the Gmail client
+ * @returns {boolean} - True if a full resync is required
+ */
+const isHistoryExpiredError = (error) => {
+    const status = error.code || (error.response && error.response.status);
+    return status === 404;
+};
+
+/**
+ * Pull all history records since a history ID and collapse them into a change set
+ * @param {Object} gmail - Gmail API client instance
+ * @param {string} startHistoryId - History ID to start from
+ * @returns {Promise<Object>} - { added, deleted, labelChanges, historyId }
+ */
+const fetchGmailChanges = async (gmail, startHistoryId) => {
+    const added = new Map();
+    const deleted = new Set();
+    const labelChanges = new Map();
+    let historyId = startHistoryId;
+    let pageToken;
+
+    do {
+        const response = await gmail.users.history.list({
+            userId: 'me',
+            startHistoryId,
+            historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+            maxResults: 500,
+            pageToken
+        });
+
+        for (const record of response.data.history || []) {
+            (record.messagesAdded || []).forEach(({ message }) => {
+                deleted.delete(message.id);
+                added.set(message.id, message);
+            });
+
+            (record.messagesDeleted || []).forEach(({ message }) => {
+                added.delete(message.id);
+                labelChanges.delete(message.id);
+                deleted.add(message.id);
+            });
+
+            [...(record.labelsAdded || []), ...(record.labelsRemoved || [])].forEach(({ message }) => {
+                if (deleted.has(message.id)) return;
+
+                // Later records carry the most recent label set for the message
+                if (added.has(message.id)) {
+                    added.set(message.id, message);
+                } else {
+                    labelChanges.set(message.id, message.labelIds || []);
+                }
+            });
+        }
+
+        historyId = response.data.historyId || historyId;
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return {
+        // Only inbox mail is ingested, matching the full sync query
+        added: [...added.values()].filter(message => (message.labelIds || []).includes('INBOX')),
+        deleted: [...deleted],
+        labelChanges,
+        historyId
+    };
+};
+
+/**
+ * Remove deleted messages and apply label changes to stored messages
+ * @param {string} userId - User's Firebase ID
+ * @param {Array<string>} deletedIds - Gmail IDs of deleted messages
+ * @param {Map<string, Array<string>>} labelChanges - Gmail ID to current label IDs
+ * @returns {Promise<Object>} - { deletedCount, updatedCount }
+ */
+const applyGmailChanges = async (userId, deletedIds, labelChanges) => {
+    const messagesRef = db.collection('messages').doc(userId).collection('userMessages');
+    const changedIds = [...new Set([...deletedIds, ...labelChanges.keys()])];
+
+    if (changedIds.length === 0) {
+        return { deletedCount: 0, updatedCount: 0 };
+    }
+
+    // Only touch messages we actually stored
+    const docs = (await db.getAll(...changedIds.map(id => messagesRef.doc(id)))).filter(doc => doc.exists);
+    const deletedSet = new Set(deletedIds);
+    const deletedDocIds = [];
+    let updatedCount = 0;
+
+    // Commit in chunks; an error leaves the history ID alone so the next run applies the rest
+    for (let i = 0; i < docs.length; i += CHANGES_BATCH_SIZE) {
+        const batch = db.batch();
+        const chunkDeletedIds = [];
+        let chunkUpdatedCount = 0;
+
+        for (const doc of docs.slice(i, i + CHANGES_BATCH_SIZE)) {
+            if (deletedSet.has(doc.id)) {
+                batch.delete(doc.ref);
+                chunkDeletedIds.push(doc.id);
+            } else {
+                const labelIds = labelChanges.get(doc.id);
+                batch.update(doc.ref, {
+                    labelIds,
+                    read: !labelIds.includes('UNREAD')
+                });
+                chunkUpdatedCount++;
+            }
+        }
+
+        await batch.commit();
+        if (chunkDeletedIds.length > 0) {
+            await removeFromIndex(userId, 'message', chunkDeletedIds);
+        }
+        deletedDocIds.push(...chunkDeletedIds);
+        updatedCount += chunkUpdatedCount;
+    }
+
+    return { deletedCount: deletedDocIds.length, updatedCount };
+};
+
+/**
+ * Keep the Gmail IDs of messages that aren't stored yet, so a sync that was stopped
+ * halfway doesn't process the messages it already saved again
+ * @param {string} userId - User's Firebase ID
+ * @param {Array<string>} messageIds - Gmail message IDs
+ * @returns {Promise<Array<string>>} - IDs of the messages to process, in the same order
+ */
+const filterStoredMessageIds = async (userId, messageIds) => {
+    const messagesRef = db.collection('messages').doc(userId).collection('userMessages');
+    const storedIds = new Set();
+
+    for (let i = 0; i < messageIds.length; i += CHANGES_BATCH_SIZE) {
+        const docs = await db.getAll(...messageIds.slice(i, i + CHANGES_BATCH_SIZE).map(id => messagesRef.doc(id)));
+        docs.filter(doc => doc.exists).forEach(doc => storedIds.add(doc.id));
+    }
+
+    return messageIds.filter(id => !storedIds.has(id));
+};
+
+/**
+ * Run a full resync: list recent inbox mail and keep the messages we haven't stored yet
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} gmail - Gmail API client instance
+ * @returns {Promise<Object>} - { success, messageIds, historyId, error }
+ */
+const runFullSync = async (userId, gmail) => {
+    // Read the history ID first so nothing that arrives during the listing is missed
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+
+    const fetchResult = await fetchUserEmails(userId, {
+        maxResults: FULL_SYNC_MAX_RESULTS,
+        query: FULL_SYNC_QUERY
+    });
+
+    if (!fetchResult.success) {
+        return { success: false, error: fetchResult.error };
+    }
+
+    return {
+        success: true,
+        messageIds: await filterStoredMessageIds(userId, fetchResult.emails.map(email => email.id)),
+        fetchedCount: fetchResult.emails.length,
+        historyId: profile.data.historyId
+    };
+};
+
+/**
+ * Sync a user's Gmail mailbox, incrementally when possible
+ *
+ * The new history ID is returned rather than saved so the caller can commit it
+ * only once the new messages have been processed and stored.
+ *
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - Sync result with the new message IDs to process
+ */
+const syncGmailMailbox = async (userId) => {
+    try {
+        const clientResult = await getGmailClientForUser(userId);
+        if (!clientResult.success) {
+            return { success: false, error: clientResult.error };
+        }
+
+        const gmail = clientResult.gmail;
+        const state = await getGmailSyncState(userId);
+
+        if (state && state.historyId) {
+            try {
+                const changes = await fetchGmailChanges(gmail, state.historyId);
+                const { deletedCount, updatedCount } = await applyGmailChanges(
+                    userId,
+                    changes.deleted,
+                    changes.labelChanges
+                );
+
+                // A burst of new mail is stored over several runs: the history ID stays where
+                // it was until a run gets through all of it, and stored messages are skipped
+                const newIds = await filterStoredMessageIds(userId, changes.added.map(message => message.id));
+                const truncated = newIds.length > INCREMENTAL_SYNC_MAX_RESULTS;
+
+                return {
+                    success: true,
+                    fullResync: false,
+                    gmailClient: gmail,
+                    messageIds: newIds.slice(0, INCREMENTAL_SYNC_MAX_RESULTS),
+                    fetchedCount: changes.added.length,
+                    deletedCount,
+                    updatedCount,
+                    truncated,
+                    historyId: truncated ? state.historyId : changes.historyId
+                };
+            } catch (error) {
+                if (!isHistoryExpiredError(error)) {
+                    throw error;
+                }
+                console.warn(`Gmail history ${state.historyId} expired for user ${userId}, running full resync`);
+            }
+        }
+
+        const fullSync = await runFullSync(userId, gmail);
+        if (!fullSync.success) {
+            return fullSync;
+        }
+
+        return {
+            ...fullSync,
+            fullResync: true,
+            gmailClient: gmail,
+            deletedCount: 0,
+            updatedCount: 0
+        };
+    } catch (error) {
+        console.error(`Error syncing Gmail for user ${userId}:`, error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Record a completed sync so the next run starts from the new history ID
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} syncResult - Result returned by syncGmailMailbox
+ * @returns {Promise<void>}
+ */
+const commitGmailSync = async (userId, syncResult) => {
+    const now = new Date();
+    const state = {
+        historyId: syncResult.historyId,
+        lastSyncedAt: now
+    };
+
+    if (syncResult.fullResync) {
+        state.lastFullSyncAt = now;
+    }
+
+    await saveGmailSyncState(userId, state);
+};
+
+module.exports = {
+    getGmailSyncState,
+    saveGmailSyncState,
+    fetchGmailChanges,
+    syncGmailMailbox,
+    commitGmailSync
+};
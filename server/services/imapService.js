@@ -0,0 +1,281 @@
+/**
+ * IMAP Mail Connector
+ *
+ * Alternative mail source for providers without Gmail OAuth (Fastmail, self-hosted, ...):
+ * 1. Connects to the user's IMAP server with the credentials stored on their email service
+ * 2. Fetches messages newer than the last seen UID
+ * 3. Parses the raw MIME source into the same shape the Gmail connector produces
+ *
+ * Works against any standards-compliant server. Servers on private or loopback addresses are
+ * refused, so users can't point the server at its own network; set IMAP_ALLOW_PRIVATE_HOSTS=true
+ * to test against a local greenmail or dovecot container.
+ */
+
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const { db } = require('../config/firebase');
+const { extractAttachments } = require('./attachmentService');
+const { resolvePublicAddress } = require('../utils/publicAddress');
+
+// How far back the first sync of a mailbox reaches
+const IMAP_INITIAL_SYNC_DAYS = parseInt(process.env.IMAP_INITIAL_SYNC_DAYS) || 7;
+const IMAP_MAX_RESULTS = parseInt(process.env.IMAP_MAX_RESULTS) || 100;
+const IMAP_ALLOW_PRIVATE_HOSTS = process.env.IMAP_ALLOW_PRIVATE_HOSTS === 'true';
+
+/**
+ * Build an ImapFlow client configuration from a service's authData
+ * @param {Object} authData - IMAP settings stored on the email service
+ * @param {string} authData.host - IMAP server hostname
+ * @param {number} authData.port - IMAP server port (993 for TLS, 143/3143 for plain)
+ * @param {boolean} authData.secure - Use implicit TLS (defaults to true)
+ * @param {string} authData.user - Login username
+ * @param {string} authData.password - Login password or app password
+ * @param {boolean} authData.rejectUnauthorized - Verify the server certificate (defaults to true)
+ * @returns {Object} - ImapFlow configuration
+ */
+const buildImapConfig = (authData) => {
+    const secure = authData.secure !== false;
+
+    return {
+        host: authData.host,
+        port: parseInt(authData.port) || (secure ? 993 : 143),
+        secure,
+        auth: {
+            user: authData.user,
+            pass: authData.password
+        },
+        tls: {
+            rejectUnauthorized: authData.rejectUnauthorized !== false
+        },
+        logger: false
+    };
+};
+
+/**
+ * Create an IMAP client for a service. The host is resolved here and the client connects
+ * to that address (the certificate is still checked against the host name), so a private
+ * address is refused even when the name only points to it at sync time
+ * @param {Object} authData - IMAP settings stored on the email service
+ * @returns {Promise<ImapFlow>} - Unconnected IMAP client
+ */
+const createImapClient = async (authData) => {
+    const config = buildImapConfig(authData);
+    if (IMAP_ALLOW_PRIVATE_HOSTS) return new ImapFlow(config);
+
+    const address = await resolvePublicAddress(authData.host);
+    return new ImapFlow({ ...config, host: address, servername: authData.host });
+};
+
+/**
+ * Check that IMAP settings are complete and the server accepts the login
+ * @param {Object} authData - IMAP settings to verify
+ * @returns {Promise<Object>} - { success, error }
+ */
+const testImapConnection = async (authData) => {
+    if (!authData || !authData.host || !authData.user || !authData.password) {
+        return { success: false, error: 'IMAP host, user and password are required' };
+    }
+
+    let client;
+
+    try {
+        client = await createImapClient(authData);
+        await client.connect();
+        await client.mailboxOpen(authData.mailbox || 'INBOX', { readOnly: true });
+        await client.logout();
+        return { success: true, error: null };
+    } catch (error) {
+        console.error(`IMAP connection test failed for ${authData.host}:`, error.message);
+        if (client) client.close();
+        return { success: false, error: error.responseText || error.message };
+    }
+};
+
+/**
+ * Fetch raw messages added to a mailbox since the last seen UID
+ * @param {Object} authData - IMAP settings stored on the email service
+ * @param {Object} options - Fetch options
+ * @param {number} options.lastUid - Highest UID already processed (0 for a first sync)
+ * @param {string} options.uidValidity - UIDVALIDITY seen during the last sync
+ * @param {number} options.maxResults - Maximum number of messages to return
+ * @returns {Promise<Object>} - { success, messages, uidValidity, error }
+ */
+const fetchImapEmails = async (authData, options = {}) => {
+    const mailbox = authData.mailbox || 'INBOX';
+    const maxResults = options.maxResults || IMAP_MAX_RESULTS;
+    let client;
+
+    try {
+        client = await createImapClient(authData);
+        await client.connect();
+        const lock = await client.getMailboxLock(mailbox);
+
+        try {
+            const uidValidity = String(client.mailbox.uidValidity);
+
+            // UIDs are only meaningful within the same UIDVALIDITY, start over if it changed
+            const lastUid = options.uidValidity === uidValidity ? (options.lastUid || 0) : 0;
+
+            let uids;
+            if (lastUid > 0) {
+                uids = await client.search({ uid: `${lastUid + 1}:*` }, { uid: true });
+            } else {
+                const since = new Date(Date.now() - IMAP_INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000);
+                uids = await client.search({ since }, { uid: true });
+            }
+
+            // "N:*" always matches the last message, even when its UID is below N
+            uids = (uids || [])
+                .filter(uid => uid > lastUid)
+                .sort((a, b) => a - b)
+                .slice(0, maxResults);
+
+            const messages = [];
+            if (uids.length > 0) {
+                for await (const message of client.fetch(uids, { uid: true, flags: true, source: true }, { uid: true })) {
+                    messages.push({
+                        uid: message.uid,
+                        flags: message.flags ? [...message.flags] : [],
+                        source: message.source
+                    });
+                }
+            }
+
+            return {
+                success: true,
+                messages: messages.sort((a, b) => a.uid - b.uid),
+                uidValidity
+            };
+        } finally {
+            lock.release();
+            await client.logout();
+        }
+    } catch (error) {
+        console.error(`Error fetching IMAP emails from ${authData.host}:`, error);
+        if (client) client.close();
+        return {
+            success: false,
+            error: error.responseText || error.message,
+            messages: []
+        };
+    }
+};
+
+/**
+ * Parse a raw IMAP message into the source-independent email shape used by processParsedEmail
+ * @param {Object} message - Raw message returned by fetchImapEmails
+ * @param {string} sourceId - ID to store the message under
+ * @returns {Promise<Object>} - Parsed email
+ */
+const parseImapMessage = async (message, sourceId) => {
+    const parsed = await simpleParser(message.source);
+
+    // Address fields are arrays when the header is repeated
+    const addressText = (address) => {
+        if (!address) return '';
+        return Array.isArray(address) ? address.map(a => a.text).join(', ') : address.text;
+    };
+
+    // mailparser folds List-* headers into a structure; the raw line is simpler to read
+    const headerLine = (key) => {
+        const header = (parsed.headerLines || []).find(item => item.key === key);
+        return header ? header.line.substring(header.line.indexOf(':') + 1).replace(/\r?\n[ \t]+/g, ' ').trim() : '';
+    };
+
+    return {
+        sourceId,
+        subject: parsed.subject,
+        from: addressText(parsed.from),
+        to: addressText(parsed.to),
+        replyTo: addressText(parsed.replyTo),
+        date: parsed.date ? parsed.date.toISOString() : undefined,
+        text: parsed.text || '',
+        html: parsed.html || '',
+        snippet: '',
+        attachments: await extractAttachments((parsed.attachments || []).map(attachment => ({
+            filename: attachment.filename || 'attachment',
+            mimeType: attachment.contentType,
+            size: attachment.size || 0,
+            content: attachment.content
+        }))),
+        internetMessageId: parsed.messageId || '',
+        inReplyTo: parsed.inReplyTo || '',
+        references: parsed.references || [],
+        listId: headerLine('list-id'),
+        listUnsubscribe: headerLine('list-unsubscribe'),
+        listUnsubscribePost: headerLine('list-unsubscribe-post'),
+        precedence: headerLine('precedence'),
+        autoSubmitted: headerLine('auto-submitted'),
+        read: message.flags.includes('\\Seen')
+    };
+};
+
+/**
+ * Get all connected IMAP email services across users
+ * @returns {Promise<Array>} - Array of { userId, serviceId, authData }
+ */
+const getImapServices = async () => {
+    const servicesSnapshot = await db.collectionGroup('userServices')
+        .where('type', '==', 'email')
+        .where('authData.provider', '==', 'imap')
+        .get();
+
+    const services = [];
+    servicesSnapshot.forEach(doc => {
+        const serviceData = doc.data();
+        if (!serviceData.isConnected) return;
+
+        services.push({
+            userId: doc.ref.parent.parent.id,
+            serviceId: doc.id,
+            authData: serviceData.authData
+        });
+    });
+
+    return services;
+};
+
+/**
+ * Get the stored IMAP sync state for a service
+ * @param {string} userId - User's Firebase ID
+ * @param {string} serviceId - Email service ID
+ * @returns {Promise<Object|null>} - { uidValidity, lastUid } or null if never synced
+ */
+const getImapSyncState = async (userId, serviceId) => {
+    const stateDoc = await db.collection('syncState').doc(userId).get();
+
+    if (!stateDoc.exists || !stateDoc.data().imap) {
+        return null;
+    }
+
+    return stateDoc.data().imap[serviceId] || null;
+};
+
+/**
+ * Save the IMAP sync state for a service
+ * @param {string} userId - User's Firebase ID
+ * @param {string} serviceId - Email service ID
+ * @param {Object} state - { uidValidity, lastUid }
+ * @returns {Promise<void>}
+ */
+const saveImapSyncState = async (userId, serviceId, state) => {
+    await db.collection('syncState').doc(userId).set({
+        imap: {
+            [serviceId]: {
+                ...state,
+                lastSyncedAt: new Date()
+            }
+        }
+    }, { merge: true });
+};
+
+module.exports = {
+    buildImapConfig,
+    createImapClient,
+    testImapConnection,
+    fetchImapEmails,
+    parseImapMessage,
+    getImapServices,
+    getImapSyncState,
+    saveImapSyncState
+};
@@ -0,0 +1,210 @@
+/**
+ * LLM Result Cache
+ *
+ * Content-addressed cache for classifier and task generator results, so the same
+ * newsletter or notification sent to many inboxes (or synced twice) only reaches the
+ * model once. Entries live in `llmCache/{key}` where the key hashes:
+ * - the sender, subject and body, with only case and whitespace normalized: links and
+ *   tokens stay in, so a result is only shared with the exact same message
+ * - the prompt version of the stage and any extra prompt input (e.g. few-shot examples)
+ * - the stage's provider chain, temperature and token limit
+ * - the user, for stages whose results are never shared across users (tasks quote links
+ *   and details of the message they were made from)
+ *
+ * Changing a prompt version, the model or LLM_CACHE_VERSION makes old entries
+ * unreachable; they expire after LLM_CACHE_TTL_HOURS. Only results are stored, never
+ * message content. Hits and misses are counted per day in `llmCacheStats/{YYYY-MM-DD}`.
+ *
+ * Tip: enable a Firestore TTL policy on `llmCache.expiresAt` to delete expired entries.
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+const { getStageConfig } = require('./llmService');
+
+const LLM_CACHE_TTL_HOURS = parseFloat(process.env.LLM_CACHE_TTL_HOURS) || 24 * 7;
+
+// Stages cached per user; they skip the cache when no user is given
+const USER_SCOPED_STAGES = ['tasks'];
+
+// In-process counters since startup, by stage
+const stats = {};
+
+/**
+ * Check whether the cache is on (LLM_CACHE_ENABLED, default true)
+ * @returns {boolean}
+ */
+const isCacheEnabled = () => process.env.LLM_CACHE_ENABLED !== 'false';
+
+/**
+ * SHA-256 hex digest of a string
+ * @param {string} text - Input
+ * @returns {string} - Hash
+ */
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Normalize a sender to its bare lowercase address
+ * @param {string} from - e.g. "Jane <JANE@example.com>"
+ * @returns {string} - e.g. "jane@example.com"
+ */
+const normalizeSender = (from) => {
+    const match = String(from || '').match(/<([^>]+)>/);
+    return (match ? match[1] : String(from || '')).trim().toLowerCase();
+};
+
+/**
+ * Normalize the case and whitespace of text; links and tokens are kept, so messages that
+ * differ in them never share a result
+ * @param {string} text - Subject or body
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Build the cache key of an LLM call
+ * @param {string} stage - "classifier" | "tasks"
+ * @param {Object} input - { from, subject, body, promptVersion, context, userId }
+ * @returns {string} - Cache key
+ */
+const buildCacheKey = (stage, { from, subject, body, promptVersion, context, userId }) => {
+    const { chain, temperature, maxTokens } = getStageConfig(stage);
+
+    return hashText(JSON.stringify({
+        stage,
+        cacheVersion: process.env.LLM_CACHE_VERSION || '1',
+        promptVersion,
+        chain,
+        temperature,
+        maxTokens,
+        from: normalizeSender(from),
+        subject: normalizeText(subject),
+        body: hashText(normalizeText(body)),
+        context: context === undefined ? null : context,
+        userId: USER_SCOPED_STAGES.includes(stage) ? userId : null
+    }));
+};
+
+/**
+ * Count a hit or miss in memory and in today's stats document
+ * @param {string} stage - Pipeline stage
+ * @param {string} outcome - "hits" | "misses"
+ */
+const recordOutcome = (stage, outcome) => {
+    stats[stage] = stats[stage] || { hits: 0, misses: 0 };
+    stats[stage][outcome]++;
+
+    const day = new Date().toISOString().substring(0, 10);
+    db.collection('llmCacheStats').doc(day)
+        .set({ [stage]: { [outcome]: admin.firestore.FieldValue.increment(1) } }, { merge: true })
+        .catch(error => console.error('Could not record LLM cache stats:', error.message));
+};
+
+/**
+ * Return a cached result, or compute and cache it
+ *
+ * Errors thrown by `compute` are passed on and nothing is cached. Stages cached per user
+ * are not cached at all without `input.userId`.
+ *
+ * @param {string} stage - "classifier" | "tasks"
+ * @param {Object} input - Key input (see buildCacheKey)
+ * @param {Function} compute - Async function calling the model; its result must be JSON-serializable
+ * @param {Object} options - { shouldCache(result) } to skip caching fallback results
+ * @returns {Promise<*>} - Cached or computed result
+ */
+const withLlmCache = async (stage, input, compute, options = {}) => {
+    if (!isCacheEnabled() || (USER_SCOPED_STAGES.includes(stage) && !input.userId)) {
+        return compute();
+    }
+
+    const key = buildCacheKey(stage, input);
+    const entryRef = db.collection('llmCache').doc(key);
+
+    try {
+        const entryDoc = await entryRef.get();
+        if (entryDoc.exists && entryDoc.data().expiresAt.toDate() > new Date()) {
+            recordOutcome(stage, 'hits');
+            return JSON.parse(entryDoc.data().result);
+        }
+    } catch (error) {
+        // A broken cache must never block classification
+        console.error(`LLM cache lookup failed for ${stage}:`, error.message);
+    }
+
+    recordOutcome(stage, 'misses');
+    const result = await compute();
+
+    if (!options.shouldCache || options.shouldCache(result)) {
+        const now = new Date();
+        await entryRef.set({
+            stage,
+            promptVersion: input.promptVersion,
+            // Stored as JSON so dates come back exactly as the pipeline produced them
+            result: JSON.stringify(result),
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + LLM_CACHE_TTL_HOURS * 60 * 60 * 1000)
+        }).catch(error => console.error(`Could not cache ${stage} result:`, error.message));
+    }
+
+    return result;
+};
+
+/**
+ * Get cache hit/miss stats
+ * @param {number} days - Number of days of stored stats
+ * @returns {Promise<Object>} - { process, daily: [{ date, classifier, tasks }] }
+ */
+const getLlmCacheStats = async (days = 7) => {
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+        dates.push(new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().substring(0, 10));
+    }
+
+    const statsDocs = await db.getAll(...dates.map(date => db.collection('llmCacheStats').doc(date)));
+    const daily = statsDocs.map((doc, index) => {
+        const data = doc.exists ? doc.data() : {};
+        const entry = { date: dates[index] };
+        ['classifier', 'tasks'].forEach(stage => {
+            const { hits = 0, misses = 0 } = data[stage] || {};
+            entry[stage] = { hits, misses, hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null };
+        });
+        return entry;
+    });
+
+    return { process: stats, daily };
+};
+
+/**
+ * Delete cached results, e.g. after a prompt fix that didn't bump the prompt version
+ * @param {string} stage - Only clear this stage (all stages when omitted)
+ * @returns {Promise<number>} - Number of deleted entries
+ */
+const clearLlmCache = async (stage) => {
+    let deletedCount = 0;
+
+    while (true) {
+        let query = db.collection('llmCache');
+        if (stage) {
+            query = query.where('stage', '==', stage);
+        }
+        const snapshot = await query.limit(500).get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        deletedCount += snapshot.size;
+    }
+
+    return deletedCount;
+};
+
+module.exports = {
+    withLlmCache,
+    buildCacheKey,
+    getLlmCacheStats,
+    clearLlmCache
+};
@@ -0,0 +1,267 @@
+/**
+ * LLM Provider Service
+ *
+ * One entry point for every model call in the pipeline (classifier, task generator,
+ * briefing summarizer, reply drafts). Each stage has its own provider chain, temperature and token
+ * limit; providers in the chain are tried in order until one answers.
+ *
+ * Providers:
+ * - nebius             Nebius AI Studio (OpenAI-compatible), NEBIUS_API_KEY
+ * - gemini             Google Gemini through config/gemini.js, GEMINI_API_KEY
+ * - openai-compatible  Any OpenAI-compatible endpoint (OpenAI, Ollama, llama.cpp, vLLM...)
+ * - mock               Deterministic offline responses for tests
+ *
+ * A chain is a comma-separated list of `provider` or `provider:model` entries, e.g.
+ *   LLM_CLASSIFIER_CHAIN="nebius:Qwen/Qwen2.5-32B-Instruct,openai-compatible:llama3.1:8b,mock"
+ * Stages without their own chain use LLM_DEFAULT_CHAIN (default "nebius").
+ */
+
+require('dotenv').config();
+const { OpenAI } = require('openai');
+
+// Default model per provider, used when a chain entry doesn't name one
+const DEFAULT_MODELS = {
+    'nebius': process.env.NEBIUS_MODEL || 'Qwen/Qwen2.5-32B-Instruct',
+    'gemini': process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    'openai-compatible': process.env.OPENAI_COMPATIBLE_MODEL || 'gpt-4o-mini',
+    'mock': 'mock'
+};
+
+// Per-stage defaults (these match what each stage used before providers were configurable)
+const STAGE_DEFAULTS = {
+    classifier: { temperature: 0, maxTokens: 200 },
+    tasks: { temperature: 0, maxTokens: 500 },
+    briefing: { temperature: 0.3, maxTokens: 800 },
+    replies: { temperature: 0.4, maxTokens: 600 }
+};
+
+// Keywords the mock provider uses to pick a message category
+const MOCK_CATEGORY_KEYWORDS = [
+    ['security_alert', /\b(security|password|sign-in|login attempt|vulnerability|breach|2fa)\b/],
+    ['invoice_billing', /\b(invoice|payment|billing|receipt|refund|subscription)\b/],
+    ['code_review', /\b(pull request|code review|merge request|pr #?\d+|ci build)\b/],
+    ['meeting_request', /\b(meeting|invite|invitation|calendar|reschedule|sync up|call at)\b/],
+    ['customer_support', /\b(ticket|customer|support request|complaint)\b/],
+    ['newsletter', /\b(newsletter|unsubscribe|digest|webinar|promo|this week)\b/],
+    ['personal', /\b(birthday|family|dinner|weekend plans|vacation photos)\b/]
+];
+
+const openAIClients = new Map();
+
+/**
+ * Get (and reuse) an OpenAI SDK client for a base URL
+ * @param {string} baseURL - API base URL
+ * @param {string} apiKey - API key
+ * @returns {OpenAI} - Client instance
+ */
+const getOpenAIClient = (baseURL, apiKey) => {
+    const key = `${baseURL}|${apiKey}`;
+    if (!openAIClients.has(key)) {
+        openAIClients.set(key, new OpenAI({ baseURL, apiKey }));
+    }
+    return openAIClients.get(key);
+};
+
+/**
+ * Call a chat completion endpoint through the OpenAI SDK
+ * @param {OpenAI} client - Client instance
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {Object} options - { model, temperature, maxTokens }
+ * @returns {Promise<string>} - Response text
+ */
+const callOpenAICompatible = async (client, messages, { model, temperature, maxTokens }) => {
+    const response = await client.chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages
+    });
+    return response.choices[0].message.content.trim();
+};
+
+const providers = {
+    'nebius': (messages, options) => callOpenAICompatible(
+        getOpenAIClient('https://api.studio.nebius.com/v1/', process.env.NEBIUS_API_KEY),
+        messages,
+        options
+    ),
+
+    'openai-compatible': (messages, options) => callOpenAICompatible(
+        // Local servers (Ollama, llama.cpp) ignore the key but the SDK requires one
+        getOpenAIClient(process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1', process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed'),
+        messages,
+        options
+    ),
+
+    'gemini': async (messages, { model, temperature, maxTokens }) => {
+        // Loaded lazily so the Gemini SDK is only needed when Gemini is in a chain
+        const { callGeminiAPI } = require('../config/gemini');
+
+        // Gemini's generateContent has no chat roles here, so fold the messages into one prompt
+        const prompt = messages.map(message => message.content).join('\n\n');
+        const result = await callGeminiAPI(prompt, {}, { model, temperature, maxOutputTokens: maxTokens });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.text.trim();
+    },
+
+    'mock': async (messages, options) => mockResponse(options.stage, messages)
+};
+
+/**
+ * Parse a chain string into provider/model entries
+ * @param {string} chain - e.g. "nebius,openai-compatible:llama3.1:8b"
+ * @returns {Array} - [{ provider, model }]
+ */
+const parseChain = (chain) => {
+    return chain
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            const provider = separator === -1 ? entry : entry.slice(0, separator);
+            const model = separator === -1 ? DEFAULT_MODELS[provider] : entry.slice(separator + 1);
+            return { provider, model };
+        });
+};
+
+/**
+ * Get the configuration of a pipeline stage
+ * @param {string} stage - "classifier" | "tasks" | "briefing" | "replies"
+ * @returns {Object} - { stage, chain: [{ provider, model }], temperature, maxTokens }
+ */
+const getStageConfig = (stage) => {
+    const defaults = STAGE_DEFAULTS[stage];
+    if (!defaults) {
+        throw new Error(`Unknown LLM stage: ${stage}`);
+    }
+
+    const prefix = `LLM_${stage.toUpperCase()}`;
+    const temperature = parseFloat(process.env[`${prefix}_TEMPERATURE`]);
+    const maxTokens = parseInt(process.env[`${prefix}_MAX_TOKENS`]);
+
+    return {
+        stage,
+        chain: parseChain(process.env[`${prefix}_CHAIN`] || process.env.LLM_DEFAULT_CHAIN || 'nebius'),
+        temperature: isNaN(temperature) ? defaults.temperature : temperature,
+        maxTokens: isNaN(maxTokens) ? defaults.maxTokens : maxTokens
+    };
+};
+
+/**
+ * Generate a completion for a pipeline stage, falling back along the stage's provider chain
+ * @param {string} stage - "classifier" | "tasks" | "briefing" | "replies"
+ * @param {Array} messages - Chat messages ({ role: "system"|"user", content })
+ * @returns {Promise<Object>} - { text, provider, model }
+ */
+const generateText = async (stage, messages) => {
+    const config = getStageConfig(stage);
+    const errors = [];
+
+    for (const { provider, model } of config.chain) {
+        const callProvider = providers[provider];
+        if (!callProvider) {
+            console.warn(`Unknown LLM provider ${provider} in the ${stage} chain`);
+            errors.push(`${provider}: unknown provider`);
+            continue;
+        }
+
+        try {
+            const text = await callProvider(messages, {
+                stage,
+                model,
+                temperature: config.temperature,
+                maxTokens: config.maxTokens
+            });
+            return { text, provider, model };
+        } catch (error) {
+            console.warn(`LLM provider ${provider} (${model}) failed for ${stage}: ${error.message}`);
+            errors.push(`${provider}: ${error.message}`);
+        }
+    }
+
+    throw new Error(`All LLM providers failed for ${stage} (${errors.join('; ')})`);
+};
+
+/**
+ * Build a deterministic response for the mock provider
+ *
+ * Keyword rules stand in for the model so the whole pipeline can run offline and
+ * produce the same output on every run.
+ *
+ * @param {string} stage - Pipeline stage
+ * @param {Array} messages - Chat messages
+ * @returns {string} - Response text in the format the stage expects
+ */
+const mockResponse = (stage, messages) => {
+    // Earlier user messages are few-shot examples; the last one is the actual input
+    const userMessages = messages.filter(message => message.role === 'user');
+    const prompt = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+
+    // The task prompt wraps the message in instructions; only look at the message itself
+    const subject = (prompt.match(/^- Subject: (.+)$/m) || [])[1];
+    const content = stage === 'tasks'
+        ? `${subject || ''}\n${(prompt.match(/CONTENT:\n([\s\S]*?)\n\nTASK EVALUATION GUIDELINES:/) || [])[1] || ''}`
+        : prompt;
+    const text = content.toLowerCase();
+    const isCritical = /\b(urgent|asap|immediately|critical|outage|emergency)\b/.test(text);
+    const isAction = isCritical || /\b(please|can you|could you|review|approve|sign|deadline|due|by (monday|tuesday|wednesday|thursday|friday|eod|tomorrow))\b/.test(text);
+
+    if (stage === 'classifier') {
+        const label = isCritical ? 'FLOW_CRITICAL' : isAction ? 'FLOW_ACTION' : 'FLOW_INFO';
+        const [category] = MOCK_CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(text)) || ['other'];
+        // Only dates in the body count, not the "Sent:" header
+        const body = content.substring(content.indexOf('\n---\n') + 1);
+        const deadline = (body.match(/\b(\d{4}-\d{2}-\d{2})\b/) || [])[1] || null;
+        return JSON.stringify({
+            label,
+            category,
+            confidence: isCritical || category !== 'other' ? 0.9 : 0.6,
+            deadline,
+            reasoning: `Mock classification (${isCritical ? 'urgent wording' : isAction ? 'request wording' : 'no request found'})`
+        });
+    }
+
+    if (stage === 'tasks') {
+        if (!isAction) {
+            return JSON.stringify({ isGenerateTask: false });
+        }
+        return JSON.stringify({
+            isGenerateTask: true,
+            generateTask: {
+                isMultiple: false,
+                task: {
+                    title: `Follow up: ${subject || 'message'}`.slice(0, 80),
+                    description: 'Generated by the mock LLM provider',
+                    priority: isCritical ? 'high' : 'medium',
+                    tags: ['mock'],
+                    dueDate: null
+                }
+            }
+        });
+    }
+
+    if (stage === 'replies') {
+        const answered = prompt.substring(prompt.indexOf('EMAIL TO ANSWER:'));
+        const sender = ((answered.match(/^From: (.+)$/m) || [])[1] || '').replace(/\s*<.*>$/, '').split(' ')[0];
+        const replySubject = (answered.match(/^Subject: (.+)$/m) || [])[1] || 'your message';
+        const tone = ((prompt.match(/^TONE: (\w+)/m) || [])[1] || '').toLowerCase();
+        if (tone === 'concise') {
+            return `Thanks${sender ? `, ${sender}` : ''}. Noted, I'll get back to you on "${replySubject}" shortly.\n\nBest,`;
+        }
+        return tone === 'formal'
+            ? `Dear ${sender || 'Sir or Madam'},\n\nThank you for your message regarding "${replySubject}". I will review it and respond in due course.\n\nKind regards,`
+            : `Hi ${sender || 'there'},\n\nThanks for your email about "${replySubject}". I'll look into it and get back to you shortly.\n\nBest regards,`;
+    }
+
+    const subjects = [...prompt.matchAll(/^Subject: (.+)$/gm)].map(match => match[1]);
+    return `Mock briefing. You have ${subjects.length} important emails${subjects.length > 0 ? `: ${subjects.join('; ')}` : ''}.`;
+};
+
+module.exports = {
+    generateText,
+    getStageConfig
+};
@@ -0,0 +1,448 @@
+/**
+ * Message State Service
+ *
+ * Archive, snooze and user labels of messages.
+ *
+ * - Archived messages leave the inbox view of GET /api/messages until unarchived.
+ * - Snoozed messages leave it until `snoozedUntil`; each snooze also has a document in
+ *   the top-level snoozes collection so scripts/snoozeCronJob.js can find the due ones
+ *   of every user with one query. Archiving a message ends its snooze.
+ * - Labels are the user's own (labels/{uid}/userLabels); messages keep their IDs in
+ *   `labels`. Rule tags stay separate.
+ *
+ * When the user turned on `syncToGmail` and granted the gmail.modify scope, archiving
+ * and labels of Gmail messages are written back with users.messages.modify: archiving
+ * takes the INBOX label off, and FlowSync labels get a Gmail label of the same name
+ * (created when first used). Gmail has no snooze in its API, so snoozes stay in FlowSync.
+ *
+ * The add*ToBatch helpers only queue writes so several messages can share a batch.
+ *
+ * The inbox view filters on `archived == false` and `snoozed == false`, which Firestore
+ * only matches when the fields exist: messages stored before them are backfilled on the
+ * user's first inbox request (ensureMessageStateFields).
+ */
+
+const { db, admin } = require('../config/firebase');
+const { getValidOAuthToken } = require('../models/oauthTokenModel');
+const { createGmailClient } = require('./emailService');
+const { diffLabels, buildGmailModifyRequest, isGmailMessage } = require('../utils/messageState');
+
+const GMAIL_MODIFY_SCOPE = 'https://www.googleapis.com/auth/gmail.modify';
+
+// Firestore batches take at most 500 writes
+const BACKFILL_PAGE_SIZE = 400;
+
+// Backfills of this process by user, so concurrent requests share one and later ones skip it
+const backfills = new Map();
+
+/**
+ * Get the messages collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getMessagesRef = (userId) => db.collection('messages').doc(userId).collection('userMessages');
+
+/**
+ * Get the labels collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getLabelsRef = (userId) => db.collection('labels').doc(userId).collection('userLabels');
+
+/**
+ * Get the snooze document of a message
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @returns {Object} - Firestore document reference
+ */
+const getSnoozeRef = (userId, messageId) => db.collection('snoozes').doc(`${userId}_${messageId}`);
+
+/**
+ * Queue archiving or unarchiving a message
+ * @param {Object} batch - Firestore write batch
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {boolean} archived - Archive (true) or move back to the inbox (false)
+ * @returns {Object} - Fields written to the message
+ */
+const addArchiveToBatch = (batch, userId, messageId, archived) => {
+    const update = archived
+        ? { archived: true, snoozed: false, snoozedUntil: null }
+        : { archived: false };
+
+    batch.update(getMessagesRef(userId).doc(messageId), update);
+    if (archived) batch.delete(getSnoozeRef(userId, messageId));
+
+    return update;
+};
+
+/**
+ * Queue snoozing a message, or ending its snooze
+ * @param {Object} batch - Firestore write batch
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {Date|null} until - When the message comes back; null ends the snooze
+ * @returns {Object} - Fields written to the message
+ */
+const addSnoozeToBatch = (batch, userId, messageId, until) => {
+    const update = until
+        ? { snoozed: true, snoozedUntil: admin.firestore.Timestamp.fromDate(until), archived: false }
+        : { snoozed: false, snoozedUntil: null };
+
+    batch.update(getMessagesRef(userId).doc(messageId), update);
+    if (until) {
+        batch.set(getSnoozeRef(userId, messageId), { userId, messageId, snoozedUntil: update.snoozedUntil });
+    } else {
+        batch.delete(getSnoozeRef(userId, messageId));
+    }
+
+    return update;
+};
+
+/**
+ * Queue replacing the labels of a message
+ * @param {Object} batch - Firestore write batch
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {Array<string>} labelIds - Label IDs (checked with findUnknownLabels)
+ * @returns {Object} - Fields written to the message
+ */
+const addLabelsToBatch = (batch, userId, messageId, labelIds) => {
+    const update = { labels: [...new Set(labelIds)] };
+    batch.update(getMessagesRef(userId).doc(messageId), update);
+    return update;
+};
+
+/**
+ * Get the labels of a user, by name
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Array>} - Labels with their IDs
+ */
+const getLabels = async (userId) => {
+    const snapshot = await getLabelsRef(userId).orderBy('name').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Find the label IDs that are not labels of the user
+ * @param {string} userId - User's Firebase ID
+ * @param {Array<string>} labelIds - Label IDs
+ * @returns {Promise<Array<string>>}
+ */
+const findUnknownLabels = async (userId, labelIds) => {
+    if (labelIds.length === 0) return [];
+
+    const docs = await db.getAll(...labelIds.map(id => getLabelsRef(userId).doc(id)));
+    return docs.filter(doc => !doc.exists).map(doc => doc.id);
+};
+
+/**
+ * Get a Gmail client that may modify the user's mail
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - { gmail } or { gmail: null, reason } when syncing is off
+ */
+const getGmailSyncClient = async (userId) => {
+    const userDoc = await db.collection('users').doc(userId).get();
+    const userData = userDoc.exists ? userDoc.data() : {};
+    const preferences = (userData.profile && userData.profile.preferences) || userData.preferences || {};
+    if (preferences.syncToGmail !== true) {
+        return { gmail: null, reason: 'Gmail sync is off' };
+    }
+
+    // Refreshes an expired access token; a revoked one means reconnecting
+    let tokenData;
+    try {
+        tokenData = await getValidOAuthToken(userId, 'google');
+    } catch (error) {
+        tokenData = null;
+    }
+    if (!tokenData || !(tokenData.scopes || []).includes(GMAIL_MODIFY_SCOPE)) {
+        return { gmail: null, reason: 'Reconnect Gmail to allow changes to your mail' };
+    }
+
+    return { gmail: createGmailClient(tokenData) };
+};
+
+/**
+ * Get the Gmail label of each FlowSync label, creating the missing ones (a Gmail label
+ * with the same name is reused)
+ * @param {Object} gmail - Gmail API client
+ * @param {string} userId - User's Firebase ID
+ * @param {Array<string>} labelIds - FlowSync label IDs
+ * @param {boolean} create - Whether to create missing Gmail labels
+ * @returns {Promise<Array<string>>} - Gmail label IDs (labels without one are left out)
+ */
+const getGmailLabelIds = async (gmail, userId, labelIds, create) => {
+    if (labelIds.length === 0) return [];
+
+    const docs = await db.getAll(...labelIds.map(id => getLabelsRef(userId).doc(id)));
+    const gmailLabelIds = [];
+    let gmailLabels = null;
+
+    for (const doc of docs.filter(item => item.exists)) {
+        const label = doc.data();
+        if (label.gmailLabelId || !create) {
+            if (label.gmailLabelId) gmailLabelIds.push(label.gmailLabelId);
+            continue;
+        }
+
+        let gmailLabelId;
+        try {
+            const response = await gmail.users.labels.create({
+                userId: 'me',
+                requestBody: { name: label.name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }
+            });
+            gmailLabelId = response.data.id;
+        } catch (error) {
+            // 409: the user already has a Gmail label with this name
+            if (error.code !== 409) throw error;
+            if (!gmailLabels) {
+                gmailLabels = (await gmail.users.labels.list({ userId: 'me' })).data.labels || [];
+            }
+            const existing = gmailLabels.find(item => item.name.toLowerCase() === label.name.toLowerCase());
+            if (!existing) throw error;
+            gmailLabelId = existing.id;
+        }
+
+        await doc.ref.update({ gmailLabelId });
+        gmailLabelIds.push(gmailLabelId);
+    }
+
+    return gmailLabelIds;
+};
+
+/**
+ * Write an archive or label change of a message back to Gmail. Errors are returned, not
+ * thrown: the change is already saved in FlowSync
+ * @param {string} userId - User's Firebase ID
+ * @param {Object|null} gmail - Client from getGmailSyncClient, null when syncing is off
+ * @param {Object} message - Message data with its id
+ * @param {Object} change - { archived?, addLabels?, removeLabels? } with FlowSync label IDs
+ * @returns {Promise<Object>} - { status: "synced" | "skipped" | "failed", reason?, error? }
+ */
+const syncMessageToGmail = async (userId, gmail, message, { archived, addLabels = [], removeLabels = [] }) => {
+    if (!isGmailMessage(message)) return { status: 'skipped', reason: 'Not a Gmail message' };
+    if (!gmail) return { status: 'skipped', reason: 'Gmail sync is off' };
+
+    try {
+        const request = buildGmailModifyRequest({
+            archived,
+            addLabelIds: await getGmailLabelIds(gmail, userId, addLabels, true),
+            // Labels that never reached Gmail have nothing to take off there
+            removeLabelIds: await getGmailLabelIds(gmail, userId, removeLabels, false)
+        });
+        if (request.addLabelIds.length === 0 && request.removeLabelIds.length === 0) {
+            return { status: 'skipped', reason: 'Nothing to change in Gmail' };
+        }
+
+        const response = await gmail.users.messages.modify({ userId: 'me', id: message.id, requestBody: request });
+        await getMessagesRef(userId).doc(message.id).update({ labelIds: response.data.labelIds || [] });
+
+        return { status: 'synced' };
+    } catch (error) {
+        console.error(`Gmail sync failed for message ${message.id}:`, error.message);
+        return { status: 'failed', error: error.message };
+    }
+};
+
+/**
+ * Load a message, apply a batched change and sync it to Gmail
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {Function} apply - (batch, message) => { update, gmailChange }; gmailChange null skips Gmail
+ * @returns {Promise<Object|null>} - { message, gmailSync }, null when the message doesn't exist
+ */
+const changeMessage = async (userId, messageId, apply) => {
+    const messageDoc = await getMessagesRef(userId).doc(messageId).get();
+    if (!messageDoc.exists) return null;
+
+    const message = { id: messageDoc.id, ...messageDoc.data() };
+    const batch = db.batch();
+    const { update, gmailChange } = apply(batch, message);
+    await batch.commit();
+
+    let gmailSync = { status: 'skipped', reason: 'Nothing to change in Gmail' };
+    if (!isGmailMessage(message)) {
+        gmailSync = { status: 'skipped', reason: 'Not a Gmail message' };
+    } else if (gmailChange) {
+        const { gmail, reason } = await getGmailSyncClient(userId);
+        gmailSync = gmail
+            ? await syncMessageToGmail(userId, gmail, message, gmailChange)
+            : { status: 'skipped', reason };
+    }
+
+    return { message: { ...message, ...update }, gmailSync };
+};
+
+/**
+ * Archive a message or move it back to the inbox
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {boolean} archived - Archive (true) or unarchive (false)
+ * @returns {Promise<Object|null>} - { message, gmailSync }, null when not found
+ */
+const archiveMessage = (userId, messageId, archived) => changeMessage(userId, messageId, (batch, message) => ({
+    update: addArchiveToBatch(batch, userId, messageId, archived),
+    gmailChange: Boolean(message.archived) !== archived ? { archived } : null
+}));
+
+/**
+ * Snooze a message until a date, or end its snooze
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {Date|null} until - When the message comes back (see parseSnoozeUntil); null ends the snooze
+ * @returns {Promise<Object|null>} - { message, gmailSync }, null when not found
+ */
+const snoozeMessage = (userId, messageId, until) => changeMessage(userId, messageId, (batch, message) => ({
+    update: addSnoozeToBatch(batch, userId, messageId, until),
+    // Snoozing an archived message brings it back to the inbox afterwards
+    gmailChange: until && message.archived ? { archived: false } : null
+}));
+
+/**
+ * Replace the labels of a message
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {Array<string>} labelIds - Label IDs (checked with findUnknownLabels)
+ * @returns {Promise<Object|null>} - { message, gmailSync }, null when not found
+ */
+const setMessageLabels = (userId, messageId, labelIds) => changeMessage(userId, messageId, (batch, message) => {
+    const update = addLabelsToBatch(batch, userId, messageId, labelIds);
+    const { added, removed } = diffLabels(message.labels || [], update.labels);
+
+    return {
+        update,
+        gmailChange: added.length > 0 || removed.length > 0 ? { addLabels: added, removeLabels: removed } : null
+    };
+});
+
+/**
+ * Get the snoozes that are due, oldest first
+ * @param {Date} now - Current time
+ * @param {number} limit - Maximum number of snoozes
+ * @returns {Promise<Array>} - Snooze documents { id, userId, messageId, snoozedUntil }
+ */
+const getDueSnoozes = async (now, limit) => {
+    const snapshot = await db.collection('snoozes')
+        .where('snoozedUntil', '<=', admin.firestore.Timestamp.fromDate(now))
+        .orderBy('snoozedUntil')
+        .limit(limit)
+        .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Bring a snoozed message back to the inbox and remove its snooze
+ * @param {Object} snooze - Snooze document from getDueSnoozes
+ * @returns {Promise<Object|null>} - Message data, null when it was deleted meanwhile
+ */
+const resurfaceMessage = async ({ userId, messageId }) => {
+    const messageRef = getMessagesRef(userId).doc(messageId);
+    const messageDoc = await messageRef.get();
+    const batch = db.batch();
+
+    batch.delete(getSnoozeRef(userId, messageId));
+    if (messageDoc.exists) {
+        batch.update(messageRef, {
+            snoozed: false,
+            snoozedUntil: null,
+            resurfacedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+    await batch.commit();
+
+    return messageDoc.exists ? { id: messageDoc.id, ...messageDoc.data() } : null;
+};
+
+/**
+ * Add the archive, snooze and label fields to a user's messages stored before they
+ * existed, a page at a time
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<number>} - Number of messages updated
+ */
+const backfillMessageStateFields = async (userId) => {
+    let updated = 0;
+    let lastDoc = null;
+
+    for (;;) {
+        let query = getMessagesRef(userId).orderBy(admin.firestore.FieldPath.documentId()).limit(BACKFILL_PAGE_SIZE);
+        if (lastDoc) query = query.startAfter(lastDoc);
+
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        let batchSize = 0;
+        snapshot.docs.forEach(doc => {
+            const message = doc.data();
+            const missing = {};
+            if (message.archived === undefined) missing.archived = false;
+            if (message.snoozed === undefined) missing.snoozed = false;
+            if (message.snoozedUntil === undefined) missing.snoozedUntil = null;
+            if (message.labels === undefined) missing.labels = [];
+
+            if (Object.keys(missing).length > 0) {
+                batch.update(doc.ref, missing);
+                batchSize++;
+            }
+        });
+        if (batchSize > 0) await batch.commit();
+
+        updated += batchSize;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+        if (snapshot.size < BACKFILL_PAGE_SIZE) break;
+    }
+
+    return updated;
+};
+
+/**
+ * Backfill the archive, snooze and label fields of a user's messages once, before
+ * querying their inbox; the user document records that it was done
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<void>}
+ */
+const ensureMessageStateFields = (userId) => {
+    if (!backfills.has(userId)) {
+        const backfill = (async () => {
+            const userRef = db.collection('users').doc(userId);
+            const userDoc = await userRef.get();
+            if (userDoc.exists && userDoc.data().messageStateBackfilledAt) return;
+
+            const updated = await backfillMessageStateFields(userId);
+            if (updated > 0) console.log(`Backfilled archive and snooze fields of ${updated} messages for user ${userId}`);
+            await userRef.set({ messageStateBackfilledAt: new Date() }, { merge: true });
+        })();
+
+        // A failed backfill is tried again on the next request
+        backfills.set(userId, backfill.catch(error => {
+            backfills.delete(userId);
+            throw error;
+        }));
+    }
+
+    return backfills.get(userId);
+};
+
+module.exports = {
+    GMAIL_MODIFY_SCOPE,
+    getMessagesRef,
+    getLabelsRef,
+    getSnoozeRef,
+    addArchiveToBatch,
+    addSnoozeToBatch,
+    addLabelsToBatch,
+    getLabels,
+    findUnknownLabels,
+    getGmailSyncClient,
+    syncMessageToGmail,
+    archiveMessage,
+    snoozeMessage,
+    setMessageLabels,
+    getDueSnoozes,
+    resurfaceMessage,
+    backfillMessageStateFields,
+    ensureMessageStateFields
+};
@@ -0,0 +1,399 @@
+/**
+ * Microsoft Graph Connector Service
+ *
+ * Reads Outlook mail and Microsoft Teams messages for users who connected a Microsoft 365 account:
+ * 1. Minimal Graph client on top of the stored `microsoft` OAuth token
+ * 2. Outlook inbox delta queries (new, changed and removed messages)
+ * 3. Conversion of Teams chat/channel messages into the `teams` message schema
+ *
+ * The Graph base URL can be pointed at a local fake server with GRAPH_API_BASE_URL.
+ */
+
+const axios = require('axios');
+const { db } = require('../config/firebase');
+const { GRAPH_API_BASE_URL } = require('../config/microsoft');
+const { getValidOAuthToken } = require('../models/oauthTokenModel');
+const { createDefaultMessage } = require('../models/messageModel');
+const { htmlToText } = require('../utils/emailParser');
+
+// Fields requested for Outlook messages
+const OUTLOOK_MESSAGE_FIELDS = [
+    'id', 'subject', 'from', 'toRecipients', 'receivedDateTime', 'isRead',
+    'body', 'bodyPreview', 'hasAttachments', 'internetMessageId', 'conversationId'
+].join(',');
+
+/**
+ * Call a Microsoft Graph endpoint
+ * @param {string} accessToken - Microsoft access token
+ * @param {string} pathOrUrl - Path relative to the Graph base URL, or an absolute nextLink/deltaLink
+ * @param {Object} params - Query parameters
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} - Response body
+ */
+const callGraphApi = async (accessToken, pathOrUrl, params = {}, headers = {}) => {
+    const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${GRAPH_API_BASE_URL}${pathOrUrl}`;
+
+    try {
+        const response = await axios.get(url, {
+            headers: { Authorization: `Bearer ${accessToken}`, ...headers },
+            params
+        });
+        return response.data;
+    } catch (error) {
+        const graphError = error.response && error.response.data && error.response.data.error;
+        const wrapped = new Error(`Graph API error (${pathOrUrl.split('?')[0]}): ${graphError ? graphError.message : error.message}`);
+        wrapped.status = error.response ? error.response.status : null;
+        wrapped.graphCode = graphError ? graphError.code : null;
+        throw wrapped;
+    }
+};
+
+/**
+ * Get a Graph access token for a user, refreshing it if needed
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<string>} - Access token
+ */
+const getGraphTokenForUser = async (userId) => {
+    const token = await getValidOAuthToken(userId, 'microsoft');
+    if (!token || !token.access_token) {
+        throw new Error('No valid Microsoft token found for user');
+    }
+    return token.access_token;
+};
+
+/**
+ * Get the signed-in Microsoft user
+ * @param {string} accessToken - Microsoft access token
+ * @returns {Promise<Object>} - { id, displayName, mail, userPrincipalName }
+ */
+const getMicrosoftProfile = async (accessToken) => {
+    return callGraphApi(accessToken, '/me', { $select: 'id,displayName,mail,userPrincipalName' });
+};
+
+/**
+ * Format a Graph emailAddress object as a header value, e.g. "John Doe <john@example.com>"
+ * @param {Object} recipient - Graph recipient ({ emailAddress: { name, address } })
+ * @returns {string} - Header value
+ */
+const formatGraphRecipient = (recipient) => {
+    if (!recipient || !recipient.emailAddress) return '';
+    const { name, address } = recipient.emailAddress;
+    return name && name !== address ? `${name} <${address}>` : (address || name || '');
+};
+
+/**
+ * Fetch Outlook inbox changes through a delta query
+ *
+ * The first call (no deltaLink) returns the inbox from `since` onwards; later calls
+ * with the stored deltaLink only return what changed.
+ *
+ * @param {string} accessToken - Microsoft access token
+ * @param {Object} options - { deltaLink, since, maxResults }
+ * @returns {Promise<Object>} - { messages, removedIds, deltaLink }
+ */
+const fetchOutlookChanges = async (accessToken, { deltaLink = null, since = null, maxResults = 100 } = {}) => {
+    const messages = [];
+    const removedIds = [];
+    let nextUrl = deltaLink || '/me/mailFolders/inbox/messages/delta';
+    let params = deltaLink ? {} : {
+        $select: OUTLOOK_MESSAGE_FIELDS,
+        ...(since ? { $filter: `receivedDateTime ge ${since.toISOString()}` } : {})
+    };
+    let newDeltaLink = null;
+
+    // Ask for plain text bodies so the classifier gets readable content
+    const headers = { Prefer: `outlook.body-content-type="text", odata.maxpagesize=${Math.min(maxResults, 50)}` };
+
+    while (nextUrl) {
+        const data = await callGraphApi(accessToken, nextUrl, params, headers);
+        params = {};
+
+        (data.value || []).forEach(item => {
+            if (item['@removed']) {
+                removedIds.push(item.id);
+            } else {
+                messages.push(item);
+            }
+        });
+
+        nextUrl = data['@odata.nextLink'] || null;
+        newDeltaLink = data['@odata.deltaLink'] || newDeltaLink;
+    }
+
+    return { messages, removedIds, deltaLink: newDeltaLink };
+};
+
+/**
+ * Get attachment metadata for an Outlook message
+ * @param {string} accessToken - Microsoft access token
+ * @param {string} messageId - Outlook message ID
+ * @returns {Promise<Array>} - [{ filename, mimeType, size }]
+ */
+const fetchOutlookAttachments = async (accessToken, messageId) => {
+    const data = await callGraphApi(accessToken, `/me/messages/${messageId}/attachments`, {
+        $select: 'name,contentType,size'
+    });
+
+    return (data.value || []).map(attachment => ({
+        filename: attachment.name,
+        mimeType: attachment.contentType,
+        size: attachment.size || 0
+    }));
+};
+
+/**
+ * Convert an Outlook message into the source-independent email shape used by processParsedEmail
+ * @param {Object} message - Graph message
+ * @param {Array} attachments - Attachment metadata
+ * @returns {Object} - Parsed email
+ */
+const parseOutlookMessage = (message, attachments = []) => {
+    const isHtml = message.body && message.body.contentType === 'html';
+    const body = (message.body && message.body.content) || '';
+
+    return {
+        sourceId: getOutlookSourceId(message.id),
+        subject: message.subject,
+        from: formatGraphRecipient(message.from),
+        to: (message.toRecipients || []).map(formatGraphRecipient).filter(Boolean).join(', '),
+        date: message.receivedDateTime,
+        text: isHtml ? htmlToText(body) : body,
+        html: isHtml ? body : '',
+        snippet: message.bodyPreview,
+        attachments,
+        read: Boolean(message.isRead),
+        internetMessageId: message.internetMessageId || null,
+        conversationId: message.conversationId || null
+    };
+};
+
+/**
+ * Make a Graph ID safe to use inside a Firestore document ID (no slashes)
+ * @param {string} id - Graph ID
+ * @returns {string} - Sanitized ID
+ */
+const toDocumentIdPart = (id) => String(id).replace(/\//g, '_');
+
+/**
+ * Build the stored message ID for an Outlook message
+ * @param {string} messageId - Outlook message ID
+ * @returns {string} - Message document ID
+ */
+const getOutlookSourceId = (messageId) => `outlook-${toDocumentIdPart(messageId)}`;
+
+/**
+ * Build the stored message ID for a Teams message
+ * @param {string} conversationId - Chat ID or channel ID
+ * @param {string} messageId - Teams message ID
+ * @returns {string} - Message document ID
+ */
+const getTeamsSourceId = (conversationId, messageId) => `teams-${toDocumentIdPart(conversationId)}-${toDocumentIdPart(messageId)}`;
+
+/**
+ * List all Teams conversations the user can read: chats and channels of joined teams
+ * @param {string} accessToken - Microsoft access token
+ * @returns {Promise<Array>} - [{ id, kind: 'chat'|'channel', name, teamId, messagesPath, messagesParams }]
+ */
+const listTeamsConversations = async (accessToken) => {
+    const conversations = [];
+
+    let nextUrl = '/me/chats';
+    let params = { $expand: 'members', $top: 50 };
+    while (nextUrl) {
+        const data = await callGraphApi(accessToken, nextUrl, params);
+        params = {};
+
+        (data.value || []).forEach(chat => {
+            const memberNames = (chat.members || []).map(member => member.displayName).filter(Boolean);
+            conversations.push({
+                id: chat.id,
+                kind: 'chat',
+                chatType: chat.chatType,
+                name: chat.topic || (chat.chatType === 'oneOnOne' ? 'Direct message' : memberNames.join(', ')),
+                teamId: null,
+                messagesPath: `/me/chats/${chat.id}/messages`,
+                messagesParams: { $top: 50, $orderby: 'createdDateTime desc' }
+            });
+        });
+
+        nextUrl = data['@odata.nextLink'] || null;
+    }
+
+    const teams = await callGraphApi(accessToken, '/me/joinedTeams', { $select: 'id,displayName' });
+    for (const team of teams.value || []) {
+        const channels = await callGraphApi(accessToken, `/teams/${team.id}/channels`, { $select: 'id,displayName' });
+        (channels.value || []).forEach(channel => {
+            conversations.push({
+                id: channel.id,
+                kind: 'channel',
+                name: `${team.displayName} / ${channel.displayName}`,
+                teamId: team.id,
+                messagesPath: `/teams/${team.id}/channels/${channel.id}/messages`,
+                messagesParams: { $top: 50 }
+            });
+        });
+    }
+
+    return conversations;
+};
+
+/**
+ * Fetch the messages of a Teams conversation created after a point in time, oldest first
+ * @param {string} accessToken - Microsoft access token
+ * @param {Object} conversation - Conversation from listTeamsConversations
+ * @param {Date} since - Only return messages created after this time
+ * @param {number} maxResults - Maximum number of messages to return
+ * @returns {Promise<Array>} - Graph chatMessage objects
+ */
+const fetchTeamsMessages = async (accessToken, conversation, since, maxResults = 200) => {
+    const items = [];
+    let nextUrl = conversation.messagesPath;
+    let params = conversation.messagesParams;
+
+    // Both endpoints return the newest messages first, so stop paging once we reach older ones
+    while (nextUrl && items.length < maxResults) {
+        const data = await callGraphApi(accessToken, nextUrl, params);
+        params = {};
+
+        const page = data.value || [];
+        const newer = page.filter(item => new Date(item.createdDateTime) > since);
+        items.push(...newer);
+
+        nextUrl = newer.length === page.length ? data['@odata.nextLink'] || null : null;
+    }
+
+    return items
+        .sort((a, b) => new Date(a.createdDateTime) - new Date(b.createdDateTime))
+        .slice(-maxResults);
+};
+
+/**
+ * Check whether a Teams message should be ingested for the connected user
+ * @param {Object} item - Graph chatMessage
+ * @param {string} microsoftUserId - Graph ID of the connected user
+ * @returns {boolean} - True if the message should be stored
+ */
+const shouldIngestTeamsMessage = (item, microsoftUserId) => {
+    // Skip system events (members added, renamed...) and deleted messages
+    if (item.messageType !== 'message' || item.deletedDateTime) return false;
+    // The user's own messages are not something they need to triage
+    const senderId = item.from && item.from.user && item.from.user.id;
+    if (senderId && senderId === microsoftUserId) return false;
+    return Boolean(item.body && htmlToText(item.body.content));
+};
+
+/**
+ * Convert a Teams message into the `teams` message schema (without classification)
+ * @param {Object} item - Graph chatMessage
+ * @param {Object} conversation - Conversation from listTeamsConversations
+ * @param {Object} profile - Connected user's Graph profile ({ id, mail, userPrincipalName })
+ * @returns {Object} - Message object ready for classification
+ */
+const buildTeamsMessage = (item, conversation, profile) => {
+    const sender = (item.from && (item.from.user || item.from.application)) || {};
+    const isHtml = item.body && item.body.contentType === 'html';
+    const content = isHtml ? htmlToText(item.body.content) : ((item.body && item.body.content) || '');
+    const messageDate = new Date(item.createdDateTime);
+
+    const mentioned = conversation.chatType === 'oneOnOne' ||
+        (item.mentions || []).some(mention =>
+            mention.mentioned && mention.mentioned.user && mention.mentioned.user.id === profile.id
+        );
+
+    return {
+        ...createDefaultMessage('teams'),
+        content: content || 'No content available',
+        timestamp: messageDate,
+        read: false,
+        sourceId: getTeamsSourceId(conversation.id, item.id),
+        channel: conversation.name,
+        sender: {
+            name: sender.displayName || 'Unknown',
+            email: sender.userPrincipalName || ''
+        },
+        mentions: mentioned,
+        messageTimestamp: messageDate,
+        teamsConversationId: conversation.id,
+        teamsConversationKind: conversation.kind,
+        teamsTeamId: conversation.teamId,
+        teamsMessageId: item.id,
+        webUrl: item.webUrl || null,
+        // Channel replies are grouped under their parent message
+        threadId: item.replyToId ? getTeamsSourceId(conversation.id, item.replyToId) : null
+    };
+};
+
+/**
+ * Get all connected Microsoft services of a type
+ * @param {string} type - Service type ("email" for Outlook, "teams" for Teams)
+ * @returns {Promise<Array>} - Array of { userId, serviceId, authData }
+ */
+const getMicrosoftServices = async (type) => {
+    const servicesSnapshot = await db.collectionGroup('userServices')
+        .where('type', '==', type)
+        .where('authData.provider', '==', 'microsoft')
+        .get();
+
+    const services = [];
+    servicesSnapshot.forEach(doc => {
+        const serviceData = doc.data();
+        if (!serviceData.isConnected) return;
+
+        services.push({
+            userId: doc.ref.parent.parent.id,
+            serviceId: doc.id,
+            authData: serviceData.authData
+        });
+    });
+
+    return services;
+};
+
+/**
+ * Get the stored Microsoft sync state for a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - { mailDeltaLink, teams: { [conversationId]: lastCreatedDateTime } }
+ */
+const getMicrosoftSyncState = async (userId) => {
+    const stateDoc = await db.collection('syncState').doc(userId).get();
+
+    if (!stateDoc.exists || !stateDoc.data().microsoft) {
+        return { mailDeltaLink: null, teams: {} };
+    }
+
+    return { mailDeltaLink: null, teams: {}, ...stateDoc.data().microsoft };
+};
+
+/**
+ * Save part of the Microsoft sync state for a user
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} state - Fields to merge, e.g. { mailDeltaLink } or { teams }
+ * @returns {Promise<void>}
+ */
+const saveMicrosoftSyncState = async (userId, state) => {
+    await db.collection('syncState').doc(userId).set({
+        microsoft: {
+            ...state,
+            lastSyncedAt: new Date()
+        }
+    }, { merge: true });
+};
+
+module.exports = {
+    callGraphApi,
+    getGraphTokenForUser,
+    getMicrosoftProfile,
+    htmlToText,
+    fetchOutlookChanges,
+    fetchOutlookAttachments,
+    parseOutlookMessage,
+    getOutlookSourceId,
+    getTeamsSourceId,
+    listTeamsConversations,
+    fetchTeamsMessages,
+    shouldIngestTeamsMessage,
+    buildTeamsMessage,
+    getMicrosoftServices,
+    getMicrosoftSyncState,
+    saveMicrosoftSyncState
+};
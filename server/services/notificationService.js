@@ -0,0 +1,68 @@
+/**
+ * Notification Service
+ *
+ * Stores in-app notifications in notifications/{uid}/userNotifications (shown in the
+ * header bell) and forwards them to the user's Telegram chat when they linked one and
+ * left Telegram notifications on.
+ */
+
+const { db, admin } = require('../config/firebase');
+const { createDefaultNotification } = require('../models/notificationModel');
+
+/**
+ * Get the notifications collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getNotificationsRef = (userId) => db.collection('notifications').doc(userId).collection('userNotifications');
+
+/**
+ * Get the Telegram chat to notify a user in
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<number|null>} - Chat ID, null when not linked or turned off
+ */
+const getTelegramChatId = async (userId) => {
+    const userDoc = await db.collection('users').doc(userId).get();
+    const profile = (userDoc.exists && userDoc.data().profile) || {};
+    if (!profile.telegramChatId) return null;
+
+    // Linking turns it on in the profile; the settings page keeps it with the preferences
+    const settings = (profile.preferences && profile.preferences.notificationPreferences) ||
+        profile.notificationPreferences || {};
+    return settings.telegram === false ? null : profile.telegramChatId;
+};
+
+/**
+ * Notify a user in the app and on Telegram. Telegram failures are logged, not thrown
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} notification - { type, title, content, sourceId?, sourceType? }
+ * @returns {Promise<string>} - ID of the stored notification
+ */
+const notifyUser = async (userId, { type, title, content, sourceId = '', sourceType }) => {
+    const notification = {
+        ...createDefaultNotification(type, title, content),
+        sourceId,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (sourceType) notification.sourceType = sourceType;
+
+    const notificationRef = await getNotificationsRef(userId).add(notification);
+
+    try {
+        const chatId = await getTelegramChatId(userId);
+        if (chatId) {
+            // Required here so scripts that never notify don't start the bot's polling
+            const telegramService = require('./telegramService');
+            await telegramService.sendTextToUser(chatId, `${title}\n${content}`);
+        }
+    } catch (error) {
+        console.error(`Telegram notification failed for user ${userId}:`, error.message);
+    }
+
+    return notificationRef.id;
+};
+
+module.exports = {
+    getNotificationsRef,
+    notifyUser
+};
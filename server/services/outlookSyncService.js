@@ -0,0 +1,156 @@
+/**
+ * Outlook Incremental Sync Service
+ *
+ * Keeps each user's Outlook inbox in sync using Microsoft Graph delta queries:
+ * 1. Stores the last deltaLink per user
+ * 2. Pulls only new, changed (read state) and removed messages since then
+ * 3. Starts over from the last OUTLOOK_INITIAL_SYNC_DAYS when the deltaLink is missing or expired
+ */
+
+const { db } = require('../config/firebase');
+const {
+    getGraphTokenForUser,
+    fetchOutlookChanges,
+    getOutlookSourceId,
+    getMicrosoftSyncState,
+    saveMicrosoftSyncState
+} = require('./microsoftGraphService');
+const { removeFromIndex } = require('./searchService');
+
+// Window and cap used when a full resync is needed
+const OUTLOOK_INITIAL_SYNC_DAYS = parseInt(process.env.OUTLOOK_INITIAL_SYNC_DAYS) || 7;
+const OUTLOOK_MAX_RESULTS = parseInt(process.env.OUTLOOK_MAX_RESULTS) || 100;
+
+/**
+ * Check if a Graph error means the stored deltaLink can no longer be used
+ * @param {Error} error - Error thrown by callGraphApi
+ * @returns {boolean} - True if a full resync is required
+ */
+const isDeltaExpiredError = (error) => {
+    return error.status === 410 || error.graphCode === 'SyncStateNotFound' || error.graphCode === 'syncStateNotFound';
+};
+
+/**
+ * Delete removed messages and update the read state of changed ones we already stored
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} removedIds - Outlook IDs removed from the inbox
+ * @param {Array} changedMessages - Outlook messages that are already stored
+ * @returns {Promise<Object>} - { deletedCount, updatedCount }
+ */
+const applyOutlookChanges = async (userId, removedIds, changedMessages) => {
+    const messagesRef = db.collection('messages').doc(userId).collection('userMessages');
+
+    if (removedIds.length === 0 && changedMessages.length === 0) {
+        return { deletedCount: 0, updatedCount: 0 };
+    }
+
+    // Only touch messages we actually stored
+    const removedDocs = removedIds.length > 0
+        ? await db.getAll(...removedIds.map(id => messagesRef.doc(getOutlookSourceId(id))))
+        : [];
+    const batch = db.batch();
+    const deletedDocs = removedDocs.filter(doc => doc.exists);
+
+    deletedDocs.forEach(doc => batch.delete(doc.ref));
+
+    changedMessages.forEach(message => {
+        batch.update(messagesRef.doc(getOutlookSourceId(message.id)), {
+            read: Boolean(message.isRead)
+        });
+    });
+
+    if (deletedDocs.length + changedMessages.length > 0) {
+        await batch.commit();
+    }
+    if (deletedDocs.length > 0) {
+        await removeFromIndex(userId, 'message', deletedDocs.map(doc => doc.id));
+    }
+
+    return { deletedCount: deletedDocs.length, updatedCount: changedMessages.length };
+};
+
+/**
+ * Sync a user's Outlook inbox
+ *
+ * Removed and changed messages are applied right away. New messages are returned so the
+ * caller can classify and store them before committing the new deltaLink.
+ *
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - { success, fullResync, accessToken, newMessages, fetchedCount, deletedCount, updatedCount, deltaLink, error }
+ */
+const syncOutlookMailbox = async (userId) => {
+    try {
+        const accessToken = await getGraphTokenForUser(userId);
+        const state = await getMicrosoftSyncState(userId);
+        const since = new Date(Date.now() - OUTLOOK_INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000);
+
+        let fullResync = !state.mailDeltaLink;
+        let changes;
+
+        try {
+            changes = await fetchOutlookChanges(accessToken, {
+                deltaLink: state.mailDeltaLink,
+                since,
+                maxResults: OUTLOOK_MAX_RESULTS
+            });
+        } catch (error) {
+            if (!state.mailDeltaLink || !isDeltaExpiredError(error)) throw error;
+
+            console.log(`Outlook deltaLink expired for user ${userId}, running a full resync`);
+            fullResync = true;
+            changes = await fetchOutlookChanges(accessToken, { since, maxResults: OUTLOOK_MAX_RESULTS });
+        }
+
+        // Split delivered messages into ones we already stored and new ones
+        const messagesRef = db.collection('messages').doc(userId).collection('userMessages');
+        const existingDocs = changes.messages.length > 0
+            ? await db.getAll(...changes.messages.map(message => messagesRef.doc(getOutlookSourceId(message.id))))
+            : [];
+        const existingIds = new Set(existingDocs.filter(doc => doc.exists).map(doc => doc.id));
+
+        const changedMessages = changes.messages.filter(message => existingIds.has(getOutlookSourceId(message.id)));
+        const newMessages = changes.messages
+            .filter(message => !existingIds.has(getOutlookSourceId(message.id)))
+            .sort((a, b) => new Date(a.receivedDateTime) - new Date(b.receivedDateTime))
+            .slice(-OUTLOOK_MAX_RESULTS);
+
+        const { deletedCount, updatedCount } = await applyOutlookChanges(userId, changes.removedIds, changedMessages);
+
+        return {
+            success: true,
+            fullResync,
+            accessToken,
+            newMessages,
+            fetchedCount: changes.messages.length,
+            deletedCount,
+            updatedCount,
+            deltaLink: changes.deltaLink
+        };
+    } catch (error) {
+        console.error(`Error syncing Outlook mailbox for user ${userId}:`, error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Store the deltaLink of a sync once its new messages have been saved
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} syncResult - Result of syncOutlookMailbox
+ * @returns {Promise<void>}
+ */
+const commitOutlookSync = async (userId, syncResult) => {
+    if (!syncResult.deltaLink) return;
+
+    await saveMicrosoftSyncState(userId, {
+        mailDeltaLink: syncResult.deltaLink,
+        ...(syncResult.fullResync ? { lastFullSyncAt: new Date() } : {})
+    });
+};
+
+module.exports = {
+    syncOutlookMailbox,
+    commitOutlookSync
+};
@@ -0,0 +1,271 @@
+/**
+ * PII Redaction Service
+ *
+ * Masks personal data in message content before it is put into an LLM prompt, and puts
+ * it back into what the model returns. A redactor replaces every match with a numbered
+ * placeholder (`[EMAIL_1]`, `[PHONE_2]`, ...) and keeps the originals in memory only, so
+ * task titles and descriptions can be re-hydrated locally:
+ *
+ *   const redactor = createRedactor();
+ *   const prompt = redactor.redact(content);
+ *   const task = redactor.restore(parsedModelOutput);
+ *
+ * Detected: API keys and tokens, email addresses, IBANs, card numbers (Luhn-checked),
+ * phone numbers and street addresses. The sender's address gets the role placeholder
+ * `[SENDER_EMAIL]` (redactSender), so the model can still tell who wrote the message
+ * apart from addresses mentioned in it.
+ *
+ * Users can opt out with the `redactPii` preference (on by default). Every redacting LLM
+ * call is audited in `redactionAudit/{uid}/userAudit` with counts per type; the redacted
+ * values themselves are never stored.
+ */
+
+const { db } = require('../config/firebase');
+
+const PII_TYPES = ['secret', 'email', 'iban', 'card', 'phone', 'address'];
+
+// Applied in this order, so a token is not also matched as a phone number, etc.
+const PII_PATTERNS = [
+    {
+        type: 'secret',
+        pattern: /\b(?:sk-[A-Za-z0-9_-]{16,}|gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})|\b(?=[A-Za-z0-9_-]*[A-Z])(?=[A-Za-z0-9_-]*[a-z])(?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{32,}/g
+    },
+    {
+        type: 'email',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    {
+        type: 'iban',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        validate: (match) => isValidIban(match)
+    },
+    {
+        type: 'card',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: (match) => isValidCardNumber(match)
+    },
+    {
+        type: 'phone',
+        pattern: /(?<![\w-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}\b/g,
+        validate: (match) => isPhoneNumber(match)
+    },
+    {
+        type: 'address',
+        pattern: /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][a-z]+\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq|Terrace|Parkway|Pkwy)\b\.?(?:,?\s+(?:Apt|Suite|Unit|#)\.?\s*\w+)?|\b[A-ZÄÖÜ][a-zäöüß]+(?:straße|strasse|weg|gasse|platz|allee)\s+\d{1,4}[a-z]?\b/g
+    }
+];
+
+// Placeholders written by a redactor, e.g. [EMAIL_1] or [SENDER_EMAIL]
+const PLACEHOLDER_PATTERN = /\[(?:(?:SECRET|EMAIL|IBAN|CARD|PHONE|ADDRESS)_\d+|SENDER_EMAIL)\]/g;
+const SENDER_PLACEHOLDER = '[SENDER_EMAIL]';
+
+/**
+ * Check an IBAN with the ISO 13616 mod-97 checksum
+ * @param {string} value - Candidate IBAN, spaces allowed
+ * @returns {boolean}
+ */
+const isValidIban = (value) => {
+    const iban = value.replace(/ /g, '');
+    if (iban.length < 15 || iban.length > 34) return false;
+
+    const digits = (iban.slice(4) + iban.slice(0, 4))
+        .split('')
+        .map(char => /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char)
+        .join('');
+
+    let remainder = 0;
+    for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+};
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} value - Candidate number, spaces and dashes allowed
+ * @returns {boolean}
+ */
+const isValidCardNumber = (value) => {
+    const digits = value.replace(/[ -]/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+/**
+ * Tell phone numbers apart from dates, times and amounts
+ * @param {string} value - Candidate phone number
+ * @returns {boolean}
+ */
+const isPhoneNumber = (value) => {
+    const digitCount = value.replace(/\D/g, '').length;
+    if (digitCount < 7 || digitCount > 15) return false;
+
+    // 2024-05-01, 01.05.2024 and similar dates
+    if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/.test(value) || /^\d{1,2}[-./]\d{1,2}[-./]\d{4}$/.test(value)) return false;
+
+    // Without a country code, a bare run of digits needs a separator to look like a phone number
+    return value.startsWith('+') || value.startsWith('(') || /[\s.-]/.test(value) || digitCount >= 10;
+};
+
+/**
+ * Create a redactor for one LLM call
+ *
+ * The same value always gets the same placeholder within a redactor, so the model can
+ * still tell that two mentions refer to the same person or number.
+ *
+ * @param {boolean} enabled - When false, redact() and restore() return their input unchanged
+ * @returns {Object} - { enabled, redact(text), redactSender(from), restore(value), getCounts() }
+ */
+const createRedactor = (enabled = true) => {
+    const placeholders = new Map();
+    const originals = new Map();
+    const counts = {};
+
+    const getPlaceholder = (type, value, role) => {
+        const key = `${type}:${value}`;
+        if (!placeholders.has(key)) {
+            counts[type] = (counts[type] || 0) + 1;
+            const placeholder = role && !originals.has(role) ? role : `[${type.toUpperCase()}_${counts[type]}]`;
+            placeholders.set(key, placeholder);
+            originals.set(placeholder, value);
+        }
+        return placeholders.get(key);
+    };
+
+    const redact = (text) => {
+        if (!enabled || !text) return text;
+
+        return PII_PATTERNS.reduce((result, { type, pattern, validate }) =>
+            result.replace(pattern, match => (!validate || validate(match)) ? getPlaceholder(type, match) : match),
+        String(text));
+    };
+
+    // Mask the address in a sender header ("Jane <jane@example.com>"); call it before
+    // redact() so the sender's address in the content gets the same placeholder
+    const redactSender = (from) => {
+        if (!enabled || !from) return from;
+
+        const { pattern } = PII_PATTERNS.find(({ type }) => type === 'email');
+        return String(from).replace(pattern, match => getPlaceholder('email', match, SENDER_PLACEHOLDER));
+    };
+
+    // Walks model output (strings, arrays, plain objects); dates and numbers pass through
+    const restore = (value) => {
+        if (!enabled || originals.size === 0) return value;
+
+        if (typeof value === 'string') {
+            return value.replace(PLACEHOLDER_PATTERN, placeholder => originals.has(placeholder) ? originals.get(placeholder) : placeholder);
+        }
+        if (Array.isArray(value)) {
+            return value.map(restore);
+        }
+        if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+        }
+        return value;
+    };
+
+    return {
+        enabled,
+        redact,
+        redactSender,
+        restore,
+        getCounts: () => ({ ...counts })
+    };
+};
+
+/**
+ * Load a user's redaction setting
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - { userId, redactPii }, passed to the LLM stages as `privacy`
+ */
+const getRedactionSettings = async (userId) => {
+    const userDoc = await db.collection('users').doc(userId).get();
+
+    // Preferences live either under profile or at the top level of the user document
+    const userData = userDoc.exists ? userDoc.data() : {};
+    const preferences = (userData.profile && userData.profile.preferences) || userData.preferences || {};
+
+    return { userId, redactPii: preferences.redactPii !== false };
+};
+
+/**
+ * Get the redaction audit collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getAuditRef = (userId) => db.collection('redactionAudit').doc(userId).collection('userAudit');
+
+/**
+ * Record what a redactor masked in one LLM call (types and counts only)
+ * @param {Object} privacy - { userId } of the message owner; calls without a user are not audited
+ * @param {string} stage - LLM stage, e.g. "classifier"
+ * @param {Object} redactor - Redactor used for the call
+ * @param {string} messageId - Source ID of the message, when known
+ */
+const recordRedactionAudit = (privacy, stage, redactor, messageId) => {
+    const counts = redactor.getCounts();
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (!privacy || !privacy.userId || total === 0) return;
+
+    getAuditRef(privacy.userId).add({
+        stage,
+        messageId: messageId || null,
+        counts,
+        total,
+        createdAt: new Date()
+    }).catch(error => console.error('Could not record redaction audit:', error.message));
+};
+
+/**
+ * Summarize what was redacted for a user
+ * @param {string} userId - User's Firebase ID
+ * @param {number} days - Number of days to report
+ * @param {number} limit - Maximum number of entries returned
+ * @returns {Promise<Object>} - { days, totals, byStage, entries }
+ */
+const getRedactionAudit = async (userId, days = 30, limit = 50) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const auditSnapshot = await getAuditRef(userId)
+        .where('createdAt', '>=', since)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+    const totals = Object.fromEntries(PII_TYPES.map(type => [type, 0]));
+    const byStage = {};
+
+    const entries = auditSnapshot.docs.map(doc => {
+        const entry = doc.data();
+        Object.entries(entry.counts || {}).forEach(([type, count]) => {
+            totals[type] = (totals[type] || 0) + count;
+        });
+        byStage[entry.stage] = (byStage[entry.stage] || 0) + 1;
+
+        return {
+            id: doc.id,
+            ...entry,
+            createdAt: entry.createdAt && entry.createdAt.toDate ? entry.createdAt.toDate().toISOString() : entry.createdAt
+        };
+    });
+
+    return { days, totals, byStage, entries: entries.slice(0, limit) };
+};
+
+module.exports = {
+    PII_TYPES,
+    createRedactor,
+    getRedactionSettings,
+    recordRedactionAudit,
+    getRedactionAudit
+};
@@ -0,0 +1,451 @@
+/**
+ * Reply Service
+ *
+ * Drafts replies to emails with the "replies" LLM stage and sends them back through the
+ * account the email came in on:
+ * - Gmail: users.messages.send into the Gmail thread (needs the gmail.send scope)
+ * - IMAP: SMTP, with the smtp* settings stored next to the IMAP ones on the email service
+ * Outlook mail and Slack/Teams messages can't be answered from FlowSync yet.
+ *
+ * A draft is written in one of REPLY_TONES (see utils/replyDraft.js) from the email, the
+ * messages before it in its thread and the user's instructions, and the user's signature
+ * (the replySignature preference, else their name) goes under it. Drafts are kept in
+ * replyDrafts/{uid}/userDrafts so the Telegram bot can send or redraft them from a button.
+ *
+ * Replies carry In-Reply-To and References so they land in the sender's thread. The
+ * outcome is recorded on the email as `replyResult`.
+ */
+
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { db } = require('../config/firebase');
+const { getValidOAuthToken } = require('../models/oauthTokenModel');
+const { createGmailClient } = require('./emailService');
+const { getThread } = require('./threadService');
+const { generateText } = require('./llmService');
+const { createRedactor, getRedactionSettings, recordRedactionAudit } = require('./redactionService');
+const { GMAIL_SEND_SCOPE } = require('./unsubscribeService');
+const { getMessagesRef, ensureMessageStateFields } = require('./messageStateService');
+const { isGmailMessage } = require('../utils/messageState');
+const {
+    REPLY_TONES,
+    buildReplySubject,
+    parseMessageIds,
+    buildReplyHeaders,
+    getReplyRecipient,
+    getReplyBlocker,
+    finishDraftBody
+} = require('../utils/replyDraft');
+
+// Messages before the answered one that the model reads, and how much of each
+const REPLY_CONTEXT_MESSAGES = 4;
+const REPLY_CONTEXT_LENGTH = 1500;
+const REPLY_MESSAGE_LENGTH = 4000;
+// Recent inbox emails looked through for the ones that wait for an answer
+const REPLY_CANDIDATE_SCAN = 50;
+const SMTP_TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS) || 20000;
+
+/**
+ * Get the reply drafts collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getDraftsRef = (userId) => db.collection('replyDrafts').doc(userId).collection('userDrafts');
+
+/**
+ * Load who replies are written and sent as
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Object>} - { name, email, signature }
+ */
+const getReplyProfile = async (userId) => {
+    const userDoc = await db.collection('users').doc(userId).get();
+
+    // Preferences live either under profile or at the top level of the user document
+    const userData = userDoc.exists ? userDoc.data() : {};
+    const profile = userData.profile || {};
+    const preferences = profile.preferences || userData.preferences || {};
+    const name = profile.displayName || '';
+
+    return {
+        name,
+        email: profile.email || '',
+        signature: typeof preferences.replySignature === 'string' && preferences.replySignature.trim()
+            ? preferences.replySignature
+            : name
+    };
+};
+
+/**
+ * Format a message of the thread for the prompt
+ * @param {Object} message - Message data
+ * @param {number} maxLength - Characters of content kept
+ * @returns {string}
+ */
+const formatPromptMessage = (message, maxLength) => {
+    const from = message.from || {};
+    const sentAt = message.timestamp && message.timestamp.toDate ? message.timestamp.toDate() : message.timestamp;
+
+    return [
+        `From: ${from.name || ''}${from.email ? ` <${from.email}>` : ''}`.trim(),
+        `Date: ${sentAt ? new Date(sentAt).toUTCString() : 'unknown'}`,
+        `Subject: ${message.subject || 'No Subject'}`,
+        '',
+        String(message.newContent || message.content || '').substring(0, maxLength)
+    ].join('\n');
+};
+
+/**
+ * Build the prompt of a reply draft
+ * @param {Object} message - Email to answer
+ * @param {Array} earlierMessages - Messages before it in its thread, oldest first
+ * @param {Object} options - { tone, instructions, userName }
+ * @returns {string}
+ */
+const buildReplyPrompt = (message, earlierMessages, { tone, instructions, userName }) => `
+Write a reply to the email below${userName ? ` on behalf of ${userName}` : ''}.
+
+TONE: ${REPLY_TONES[tone]}
+${instructions ? `\nWHAT THE REPLY SHOULD SAY: ${instructions}\n` : ''}
+${earlierMessages.length > 0 ? `EARLIER MESSAGES IN THE CONVERSATION (oldest first):\n${earlierMessages
+        .map(item => `---\n${formatPromptMessage(item, REPLY_CONTEXT_LENGTH)}`)
+        .join('\n')}\n---\n\n` : ''}EMAIL TO ANSWER:
+${formatPromptMessage(message, REPLY_MESSAGE_LENGTH)}
+
+GUIDELINES:
+1. Answer the questions and requests of the email to answer; earlier messages are context only
+2. Do not invent facts, dates, prices or commitments: write a placeholder such as [date] where the user has to fill something in
+3. Reply in the language of the email to answer
+4. Write the body only, starting with the greeting and ending with a closing such as "Best regards," with no name or signature after it
+`;
+
+/**
+ * Load a message to answer
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object|null>} - { message, messageRef } or { error }; null when not found
+ */
+const getReplyMessage = async (userId, messageId) => {
+    const messageRef = getMessagesRef(userId).doc(messageId);
+    const messageDoc = await messageRef.get();
+    if (!messageDoc.exists) return null;
+
+    const message = { id: messageDoc.id, ...messageDoc.data() };
+    const blocker = getReplyBlocker(message);
+    return blocker ? { error: blocker } : { message, messageRef };
+};
+
+/**
+ * Get the messages of the thread of a message, oldest first
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} message - Message with its id
+ * @returns {Promise<Array>} - The thread's messages; just the message when it has no thread
+ */
+const getThreadMessages = async (userId, message) => {
+    const thread = message.threadId ? await getThread(userId, message.threadId) : null;
+    return thread ? thread.messages : [message];
+};
+
+/**
+ * Draft a reply to an email and keep the draft
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {Object} options - { tone, instructions } (see validateDraftRequest)
+ * @returns {Promise<Object|null>} - { draft } or { error }; null when the message doesn't exist
+ */
+const draftReply = async (userId, messageId, { tone, instructions = '' }) => {
+    const loaded = await getReplyMessage(userId, messageId);
+    if (!loaded || loaded.error) return loaded;
+
+    const { message } = loaded;
+    const [threadMessages, profile, privacy] = await Promise.all([
+        getThreadMessages(userId, message),
+        getReplyProfile(userId),
+        getRedactionSettings(userId)
+    ]);
+    const index = threadMessages.findIndex(item => item.id === message.id);
+    const earlierMessages = threadMessages.slice(Math.max(0, index - REPLY_CONTEXT_MESSAGES), Math.max(0, index));
+
+    // Personal data is masked in the prompt and put back into the draft
+    const redactor = createRedactor(privacy.redactPii !== false);
+    const prompt = redactor.redact(buildReplyPrompt(message, earlierMessages, {
+        tone,
+        instructions,
+        userName: profile.name
+    }));
+
+    const response = await generateText('replies', [
+        {
+            role: 'system',
+            content: 'You write email replies for a busy professional. Answer with the text of the reply only.'
+        },
+        { role: 'user', content: prompt }
+    ]);
+    recordRedactionAudit(privacy, 'replies', redactor, message.sourceId);
+
+    const now = new Date();
+    const draft = {
+        messageId: message.id,
+        threadId: message.threadId || null,
+        to: getReplyRecipient(message),
+        subject: buildReplySubject(message.subject),
+        body: finishDraftBody(redactor.restore(response.text), profile.signature),
+        tone,
+        instructions,
+        provider: response.provider,
+        model: response.model,
+        status: 'draft',
+        telegramMessageId: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const draftRef = await getDraftsRef(userId).add(draft);
+    return { draft: { id: draftRef.id, ...draft } };
+};
+
+/**
+ * Get a reply draft
+ * @param {string} userId - User's Firebase ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<Object|null>} - Draft with its id, null when not found
+ */
+const getDraft = async (userId, draftId) => {
+    const draftDoc = await getDraftsRef(userId).doc(draftId).get();
+    return draftDoc.exists ? { id: draftDoc.id, ...draftDoc.data() } : null;
+};
+
+/**
+ * Change a reply draft
+ * @param {string} userId - User's Firebase ID
+ * @param {string} draftId - Draft ID
+ * @param {Object} fields - Fields to change, e.g. { body } or { telegramMessageId }
+ * @returns {Promise<void>}
+ */
+const updateDraft = (userId, draftId, fields) => getDraftsRef(userId).doc(draftId).update({
+    ...fields,
+    updatedAt: new Date()
+});
+
+/**
+ * Delete a reply draft
+ * @param {string} userId - User's Firebase ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<void>}
+ */
+const discardDraft = (userId, draftId) => getDraftsRef(userId).doc(draftId).delete();
+
+/**
+ * Find the draft a Telegram message shows
+ * @param {string} userId - User's Firebase ID
+ * @param {number} telegramMessageId - ID of the bot's message with the draft
+ * @returns {Promise<Object|null>} - Draft with its id, null when none
+ */
+const findDraftByTelegramMessage = async (userId, telegramMessageId) => {
+    const snapshot = await getDraftsRef(userId)
+        .where('telegramMessageId', '==', telegramMessageId)
+        .limit(1)
+        .get();
+    return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+};
+
+/**
+ * Build the raw RFC 5322 message the Gmail API sends
+ * @param {Object} mail - nodemailer message ({ from, to, subject, text, inReplyTo, references })
+ * @returns {Promise<string>} - Base64url encoded message
+ */
+const buildRawMessage = async (mail) => {
+    const message = await new MailComposer(mail).compile().build();
+    return message.toString('base64url');
+};
+
+/**
+ * Build a nodemailer SMTP configuration from an IMAP service's authData
+ * @param {Object} authData - Settings stored on the email service (see buildImapConfig)
+ * @param {string} authData.smtpHost - SMTP server hostname
+ * @param {number} authData.smtpPort - SMTP port (465 with implicit TLS, else 587 with STARTTLS)
+ * @param {boolean} authData.smtpSecure - Use implicit TLS (defaults to port 465)
+ * @param {string} authData.smtpUser - SMTP login, when not the IMAP one
+ * @param {string} authData.smtpPassword - SMTP password, when not the IMAP one
+ * @param {string} authData.email - Address replies are sent from (defaults to the login)
+ * @returns {Object} - nodemailer transport options
+ */
+const buildSmtpConfig = (authData) => {
+    const port = parseInt(authData.smtpPort) || (authData.smtpSecure === false ? 587 : 465);
+
+    return {
+        host: authData.smtpHost,
+        port,
+        secure: typeof authData.smtpSecure === 'boolean' ? authData.smtpSecure : port === 465,
+        auth: {
+            user: authData.smtpUser || authData.user,
+            pass: authData.smtpPassword || authData.password
+        },
+        tls: {
+            rejectUnauthorized: authData.rejectUnauthorized !== false
+        },
+        connectionTimeout: SMTP_TIMEOUT_MS,
+        socketTimeout: SMTP_TIMEOUT_MS
+    };
+};
+
+/**
+ * Work out how a reply to a message is sent
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} message - Email answered
+ * @param {Object} profile - { name, email } of the user (see getReplyProfile)
+ * @returns {Promise<Object>} - { via, from, send(mail) => { messageId } } or { error }
+ */
+const getReplyTransport = async (userId, message, profile) => {
+    if (isGmailMessage(message)) {
+        const tokenData = await getValidOAuthToken(userId, 'google');
+        if (!tokenData || !(tokenData.scopes || []).includes(GMAIL_SEND_SCOPE)) {
+            return { error: 'Reconnect Gmail to allow sending replies' };
+        }
+
+        const gmail = createGmailClient(tokenData);
+        return {
+            via: 'gmail',
+            from: profile.email ? { name: profile.name, address: profile.email } : undefined,
+            send: async (mail) => {
+                const response = await gmail.users.messages.send({
+                    userId: 'me',
+                    // Gmail only files the reply into the thread when the subject and headers match it
+                    requestBody: { raw: await buildRawMessage(mail), threadId: message.threadId }
+                });
+                return { messageId: response.data.id };
+            }
+        };
+    }
+
+    const serviceDoc = message.serviceId
+        ? await db.collection('services').doc(userId).collection('userServices').doc(message.serviceId).get()
+        : null;
+    const authData = serviceDoc && serviceDoc.exists ? serviceDoc.data().authData || {} : {};
+
+    if (authData.provider !== 'imap') {
+        return { error: 'Replies can only be sent from Gmail and IMAP accounts' };
+    }
+    if (!authData.smtpHost) {
+        return { error: 'Add the SMTP server of this mail account to send replies' };
+    }
+
+    const transporter = nodemailer.createTransport(buildSmtpConfig(authData));
+    return {
+        via: 'smtp',
+        from: { name: profile.name, address: authData.email || authData.user },
+        send: async (mail) => {
+            const info = await transporter.sendMail(mail);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+/**
+ * Send a reply to an email and record the result on it
+ * @param {string} userId - User's Firebase ID
+ * @param {string} messageId - Message ID
+ * @param {Object} reply - { body, subject, draftId } (see validateSendRequest)
+ * @returns {Promise<Object|null>} - { result } or { error }; null when the message doesn't exist.
+ *                                   result is { status: "sent"|"failed", via, to, messageId?, error?, at }
+ */
+const sendReply = async (userId, messageId, { body, subject = null, draftId = null }) => {
+    const loaded = await getReplyMessage(userId, messageId);
+    if (!loaded || loaded.error) return loaded;
+
+    const { message, messageRef } = loaded;
+    const draft = draftId ? await getDraft(userId, draftId) : null;
+    if (draftId && (!draft || draft.messageId !== messageId)) {
+        return { error: 'Draft not found for this message' };
+    }
+    if (draft && draft.status === 'sent') {
+        return { error: 'This draft was already sent' };
+    }
+
+    const profile = await getReplyProfile(userId);
+    const transport = await getReplyTransport(userId, message, profile);
+    if (transport.error) return { error: transport.error };
+
+    // Messages synced before References was kept get it from their thread
+    const threadMessages = parseMessageIds(message.references).length === 0
+        ? await getThreadMessages(userId, message)
+        : [];
+    const { inReplyTo, references } = buildReplyHeaders(message, threadMessages);
+
+    const mail = {
+        from: transport.from,
+        to: getReplyRecipient(message),
+        subject: subject || (draft && draft.subject) || buildReplySubject(message.subject),
+        text: body,
+        ...(inReplyTo ? { inReplyTo, references } : {})
+    };
+
+    let result;
+    try {
+        const sent = await transport.send(mail);
+        result = { status: 'sent', via: transport.via, to: mail.to, messageId: sent.messageId || null };
+    } catch (error) {
+        console.error(`Sending reply to message ${messageId} failed:`, error.message);
+        result = { status: 'failed', via: transport.via, to: mail.to, error: error.message };
+    }
+
+    result.at = new Date();
+    await messageRef.update({ replyResult: result });
+
+    if (draft) {
+        await updateDraft(userId, draft.id, {
+            body,
+            subject: mail.subject,
+            ...(result.status === 'sent' ? { status: 'sent', sentAt: result.at } : {})
+        });
+    }
+
+    return { result };
+};
+
+/**
+ * List the inbox emails that wait for an answer: critical and action emails from Gmail
+ * or an IMAP account with SMTP settings, not answered from FlowSync yet, most recent first
+ * @param {string} userId - User's Firebase ID
+ * @param {number} limit - Maximum number of emails
+ * @returns {Promise<Array>} - Messages with their id
+ */
+const listReplyCandidates = async (userId, limit = 5) => {
+    await ensureMessageStateFields(userId);
+    const [messagesSnapshot, servicesSnapshot] = await Promise.all([
+        getMessagesRef(userId)
+            .where('type', '==', 'email')
+            .where('archived', '==', false)
+            .where('snoozed', '==', false)
+            .orderBy('timestamp', 'desc')
+            .limit(REPLY_CANDIDATE_SCAN)
+            .get(),
+        db.collection('services').doc(userId).collection('userServices').get()
+    ]);
+
+    const smtpServiceIds = new Set(servicesSnapshot.docs
+        .filter(doc => {
+            const authData = doc.data().authData || {};
+            return authData.provider === 'imap' && authData.smtpHost;
+        })
+        .map(doc => doc.id));
+
+    return messagesSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(message => ['critical', 'action'].includes(message.priority) &&
+            !(message.replyResult && message.replyResult.status === 'sent') &&
+            !getReplyBlocker(message) &&
+            (isGmailMessage(message) || smtpServiceIds.has(message.serviceId)))
+        .slice(0, limit);
+};
+
+module.exports = {
+    buildReplyPrompt,
+    buildSmtpConfig,
+    draftReply,
+    getDraft,
+    updateDraft,
+    discardDraft,
+    findDraftByTelegramMessage,
+    sendReply,
+    listReplyCandidates
+};
@@ -0,0 +1,285 @@
+/**
+ * Message Rules Service
+ *
+ * Per-user rules evaluated before the LLM classifier. A rule has conditions (all must
+ * match) and actions:
+ *
+ * conditions: { senders, domains, subjectRegex, keywords, listId, hasAttachments }
+ * actions:    { priority, skipTask, markRead, tags }
+ *
+ * Rules are stored in `rules/{uid}/userRules/{ruleId}` and applied in `order`. The user's
+ * `priorityKeywords` preference acts as one more rule, applied after their own rules.
+ * The first matching rule that forces a priority decides it and the LLM is skipped;
+ * the other actions of every matching rule are combined.
+ */
+
+const { db } = require('../config/firebase');
+
+const PRIORITIES = ['critical', 'action', 'info'];
+const CONDITION_FIELDS = ['senders', 'domains', 'subjectRegex', 'keywords', 'listId', 'hasAttachments'];
+
+// Priority forced by the user's priorityKeywords preference
+const PRIORITY_KEYWORDS_PRIORITY = 'critical';
+
+// Subject patterns run against every incoming email, so they stay short
+const SUBJECT_REGEX_MAX_LENGTH = 200;
+
+/**
+ * Get the rules collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getRulesRef = (userId) => db.collection('rules').doc(userId).collection('userRules');
+
+/**
+ * Turn a value into a clean list of lowercase strings
+ * @param {*} value - Array or comma-separated string
+ * @returns {Array<string>} - Normalized list
+ */
+const toList = (value) => {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Check that a subject pattern can't backtrack catastrophically: no backreferences and no
+ * repeated group that itself repeats or has alternatives, like (a+)+ or (a|ab)*
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} - Why the pattern is refused, or null if it is safe
+ */
+const getUnsafePatternReason = (pattern) => {
+    if (pattern.length > SUBJECT_REGEX_MAX_LENGTH) {
+        return `it is longer than ${SUBJECT_REGEX_MAX_LENGTH} characters`;
+    }
+
+    // One entry per open group: whether it contains a quantifier or an alternative
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not allowed';
+            i++;
+        } else if (char === '[') {
+            // Skip the character class; quantifiers inside it are literal
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const repeats = groups.pop();
+            if (repeats && /[*+?{]/.test(pattern[i + 1] || '')) {
+                return 'a repeated group can\'t contain quantifiers or alternatives';
+            }
+            if (repeats && groups.length > 0) groups[groups.length - 1] = true;
+        } else if ((/[*+{|]/.test(char) || (char === '?' && pattern[i - 1] !== '(')) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Validate a rule sent by the client and normalize it for storage
+ * @param {Object} input - { name, enabled, order, conditions, actions }
+ * @returns {Object} - { rule } or { error }
+ */
+const validateRule = (input) => {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Rule is required' };
+    }
+
+    const name = String(input.name || '').trim();
+    if (!name) {
+        return { error: 'Rule name is required' };
+    }
+
+    const conditionsInput = input.conditions || {};
+    const conditions = {};
+
+    ['senders', 'domains', 'keywords'].forEach(field => {
+        const list = toList(conditionsInput[field]);
+        if (list.length > 0) conditions[field] = list;
+    });
+    if (conditions.domains) {
+        conditions.domains = conditions.domains.map(domain => domain.replace(/^@/, ''));
+    }
+
+    if (conditionsInput.subjectRegex) {
+        const subjectRegex = String(conditionsInput.subjectRegex);
+        try {
+            new RegExp(subjectRegex, 'i');
+        } catch (error) {
+            return { error: `Invalid subject pattern: ${error.message}` };
+        }
+        const unsafeReason = getUnsafePatternReason(subjectRegex);
+        if (unsafeReason) {
+            return { error: `Invalid subject pattern: ${unsafeReason}` };
+        }
+        conditions.subjectRegex = subjectRegex;
+    }
+    if (conditionsInput.listId) {
+        conditions.listId = String(conditionsInput.listId).trim().toLowerCase();
+    }
+    if (typeof conditionsInput.hasAttachments === 'boolean') {
+        conditions.hasAttachments = conditionsInput.hasAttachments;
+    }
+
+    if (!CONDITION_FIELDS.some(field => conditions[field] !== undefined)) {
+        return { error: `A rule needs at least one condition (${CONDITION_FIELDS.join(', ')})` };
+    }
+
+    const actionsInput = input.actions || {};
+    const actions = {
+        priority: actionsInput.priority || null,
+        skipTask: Boolean(actionsInput.skipTask),
+        markRead: Boolean(actionsInput.markRead),
+        tags: toList(actionsInput.tags)
+    };
+
+    if (actions.priority && !PRIORITIES.includes(actions.priority)) {
+        return { error: `Priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    if (!actions.priority && !actions.skipTask && !actions.markRead && actions.tags.length === 0) {
+        return { error: 'A rule needs at least one action (priority, skipTask, markRead, tags)' };
+    }
+
+    return {
+        rule: {
+            name,
+            enabled: input.enabled !== false,
+            order: parseInt(input.order) || 0,
+            conditions,
+            actions
+        }
+    };
+};
+
+/**
+ * Load the rules applied to a user's incoming messages
+ * @param {string} userId - User's Firebase ID
+ * @returns {Promise<Array>} - Enabled rules in the order they are applied
+ */
+const getUserRules = async (userId) => {
+    const [rulesSnapshot, userDoc] = await Promise.all([
+        getRulesRef(userId).get(),
+        db.collection('users').doc(userId).get()
+    ]);
+
+    const rules = rulesSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(rule => rule.enabled !== false)
+        .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    // Preferences live either under profile or at the top level of the user document
+    const userData = userDoc.exists ? userDoc.data() : {};
+    const preferences = (userData.profile && userData.profile.preferences) || userData.preferences || {};
+    const priorityKeywords = toList(preferences.priorityKeywords);
+
+    if (priorityKeywords.length > 0) {
+        rules.push({
+            id: 'priority-keywords',
+            name: 'Priority keywords',
+            conditions: { keywords: priorityKeywords },
+            actions: { priority: PRIORITY_KEYWORDS_PRIORITY, skipTask: false, markRead: false, tags: [] }
+        });
+    }
+
+    return rules;
+};
+
+/**
+ * Extract the bare email address from a header like "John Doe <john@example.com>"
+ * @param {string} from - From header
+ * @returns {string} - Lowercase address
+ */
+const getSenderAddress = (from) => {
+    const match = String(from || '').match(/<([^>]+)>/);
+    return (match ? match[1] : String(from || '')).trim().toLowerCase();
+};
+
+/**
+ * Check whether a rule's conditions all match an email
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} email - { from, subject, body, listId, attachments }
+ * @returns {boolean} - True if the rule applies
+ */
+const matchesConditions = (conditions, email) => {
+    const sender = getSenderAddress(email.from);
+    const domain = sender.split('@')[1] || '';
+    const subject = email.subject || '';
+    const text = `${subject}\n${email.body || ''}`.toLowerCase();
+
+    if (conditions.senders && !conditions.senders.includes(sender)) {
+        return false;
+    }
+    if (conditions.domains && !conditions.domains.some(ruleDomain => domain === ruleDomain || domain.endsWith(`.${ruleDomain}`))) {
+        return false;
+    }
+    if (conditions.subjectRegex) {
+        // Rules saved before patterns were checked never match rather than run unsafely
+        if (getUnsafePatternReason(String(conditions.subjectRegex))) return false;
+        try {
+            if (!new RegExp(conditions.subjectRegex, 'i').test(subject)) return false;
+        } catch (error) {
+            return false;
+        }
+    }
+    if (conditions.keywords && !conditions.keywords.some(keyword => text.includes(keyword))) {
+        return false;
+    }
+    if (conditions.listId && !(email.listId || '').toLowerCase().includes(conditions.listId)) {
+        return false;
+    }
+    if (typeof conditions.hasAttachments === 'boolean') {
+        const hasAttachments = Array.isArray(email.attachments) && email.attachments.length > 0;
+        if (hasAttachments !== conditions.hasAttachments) return false;
+    }
+
+    return true;
+};
+
+/**
+ * Apply a user's rules to an email
+ * @param {Array} rules - Rules from getUserRules
+ * @param {Object} email - { from, subject, body, listId, attachments }
+ * @returns {Object} - { matchedRules, priority, priorityRule, skipTask, markRead, tags }
+ */
+const evaluateRules = (rules, email) => {
+    const result = {
+        matchedRules: [],
+        priority: null,
+        priorityRule: null,
+        skipTask: false,
+        markRead: false,
+        tags: []
+    };
+
+    for (const rule of rules || []) {
+        if (!matchesConditions(rule.conditions || {}, email)) continue;
+
+        const actions = rule.actions || {};
+        result.matchedRules.push({ id: rule.id, name: rule.name });
+
+        if (actions.priority && !result.priority) {
+            result.priority = actions.priority;
+            result.priorityRule = rule.name;
+        }
+        result.skipTask = result.skipTask || Boolean(actions.skipTask);
+        result.markRead = result.markRead || Boolean(actions.markRead);
+        (actions.tags || []).forEach(tag => {
+            if (!result.tags.includes(tag)) result.tags.push(tag);
+        });
+    }
+
+    return result;
+};
+
+module.exports = {
+    getRulesRef,
+    validateRule,
+    getUserRules,
+    evaluateRules
+};
@@ -0,0 +1,451 @@
+/**
+ * Search Service
+ *
+ * Full-text search over the user's messages and tasks. Every message and task has an
+ * entry in `searchIndex/{uid}/entries/{kind}_{id}` holding the text we search (subject or
+ * title, sender, tags, body or description) and its `terms`: the inverted index is
+ * Firestore's own index of that array, queried with array-contains.
+ *
+ * Entries are written next to the documents they index (saveEmailsToFirestore, the
+ * message and task routes, the Gmail/Outlook delete sync). Index writes never fail the
+ * write they follow; run scripts/reindexSearch.js to rebuild a user's index.
+ *
+ * A search counts how many entries hold each query term (for ranking, and to pick the
+ * rarest term), fetches the newest entries with that term and checks the rest of the
+ * query in memory (see utils/searchText.js).
+ *
+ * Entries also hold an embedding of their text (services/embeddingService.js). Semantic
+ * search and related items compare vectors in memory: the newest SEMANTIC_CANDIDATE_LIMIT
+ * vectors of a user are loaded and kept for SEMANTIC_CACHE_TTL_MS.
+ */
+
+const { db } = require('../config/firebase');
+const {
+    parseSearchQuery,
+    isEmptySearchQuery,
+    buildSearchTerms,
+    matchesSearchQuery,
+    rankSearchEntries,
+    findHighlights,
+    buildSnippet
+} = require('../utils/searchText');
+const { getEmbedderConfig, embedTexts, cosineSimilarity } = require('./embeddingService');
+
+const SEARCH_MAX_TERMS = parseInt(process.env.SEARCH_MAX_TERMS) || 1000;
+const SEARCH_TEXT_MAX_CHARS = parseInt(process.env.SEARCH_TEXT_MAX_CHARS) || 20000;
+const SEARCH_CANDIDATE_LIMIT = parseInt(process.env.SEARCH_CANDIDATE_LIMIT) || 500;
+const SEMANTIC_CANDIDATE_LIMIT = parseInt(process.env.SEMANTIC_CANDIDATE_LIMIT) || 2000;
+const SEMANTIC_CACHE_TTL_MS = parseInt(process.env.SEMANTIC_CACHE_TTL_MS) || 60000;
+// Results less similar than this are left out
+const SEMANTIC_MIN_SCORE = parseFloat(process.env.SEMANTIC_MIN_SCORE) || 0.3;
+const SEMANTIC_CACHE_MAX_USERS = 50;
+// Firestore batches take at most 500 writes
+const INDEX_BATCH_SIZE = 400;
+// Entry fields keyword search reads (everything but the vector)
+const TEXT_FIELDS = ['kind', 'refId', 'type', 'title', 'from', 'tags', 'content', 'priority', 'terms', 'timestamp'];
+// Entry fields semantic search reads (everything but the text and terms)
+const VECTOR_FIELDS = ['kind', 'refId', 'type', 'title', 'from', 'priority', 'tags', 'threadId', 'timestamp', 'embedding', 'embedder'];
+
+// userId -> { loadedAt, embedder, items, truncated }
+const vectorCache = new Map();
+
+/**
+ * Get the user's search index collection
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getIndexRef = (userId) => db.collection('searchIndex').doc(userId).collection('entries');
+
+/**
+ * Document ID of an index entry
+ * @param {string} kind - "message" or "task"
+ * @param {string} id - Message or task document ID
+ * @returns {string}
+ */
+const getEntryId = (kind, id) => `${kind}_${id}`;
+
+/**
+ * Timestamp of an entry; dates given as strings become dates, since Firestore orders
+ * strings after every timestamp
+ * @param {*} value - Timestamp, Date, date string or server timestamp sentinel
+ * @returns {*}
+ */
+const toEntryTimestamp = (value) => {
+    if (!value) return new Date();
+    if (typeof value !== 'string') return value;
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? new Date() : date;
+};
+
+/**
+ * Build the index entry of a message
+ * @param {string} id - Message document ID
+ * @param {Object} message - Message data
+ * @returns {Object} - Index entry
+ */
+const buildMessageEntry = (id, message) => {
+    const sender = message.from || message.sender || {};
+    const attachmentNames = (message.attachments || []).map(attachment => attachment.filename).filter(Boolean);
+
+    const fields = {
+        title: message.type === 'email' ? message.subject || '' : message.channel ? `#${message.channel}` : '',
+        from: [sender.name, sender.email].filter(Boolean).join(' '),
+        tags: [],
+        // The new part of a reply; quoted history would match every message of the thread
+        content: [message.newContent || message.content || '', ...attachmentNames]
+            .join('\n')
+            .substring(0, SEARCH_TEXT_MAX_CHARS)
+    };
+
+    return {
+        kind: 'message',
+        refId: id,
+        type: message.type || null,
+        ...fields,
+        priority: message.priority || null,
+        threadId: message.threadId || null,
+        terms: buildSearchTerms(fields, SEARCH_MAX_TERMS),
+        timestamp: toEntryTimestamp(message.timestamp),
+        indexedAt: new Date()
+    };
+};
+
+/**
+ * Build the index entry of a task
+ * @param {string} id - Task document ID
+ * @param {Object} task - Task data
+ * @returns {Object} - Index entry
+ */
+const buildTaskEntry = (id, task) => {
+    const fields = {
+        title: task.title || '',
+        from: '',
+        tags: task.tags || [],
+        content: String(task.description || '').substring(0, SEARCH_TEXT_MAX_CHARS)
+    };
+
+    return {
+        kind: 'task',
+        refId: id,
+        type: null,
+        ...fields,
+        priority: task.priority || null,
+        threadId: task.threadId || null,
+        terms: buildSearchTerms(fields, SEARCH_MAX_TERMS),
+        timestamp: toEntryTimestamp(task.createdOn),
+        indexedAt: new Date()
+    };
+};
+
+/**
+ * Add the embedding of their text to index entries. Entries are still indexed for
+ * keyword search when embedding fails; reindexing adds the vectors later
+ * @param {Array} entries - Index entries
+ * @returns {Promise<Array>} - Entries with embedding and embedder (null without one)
+ */
+const addEmbeddings = async (entries) => {
+    const withoutEmbedding = entries.map(entry => ({ ...entry, embedding: null, embedder: null }));
+    if (!getEmbedderConfig() || entries.length === 0) return withoutEmbedding;
+
+    try {
+        const texts = entries.map(entry => [entry.title, entry.from, entry.tags.join(', '), entry.content]
+            .filter(Boolean)
+            .join('\n'));
+        const { vectors, embedder } = await embedTexts(texts);
+        return entries.map((entry, index) => ({ ...entry, embedding: vectors[index], embedder }));
+    } catch (error) {
+        console.error(`Error embedding ${entries.length} documents for semantic search:`, error.message);
+        return withoutEmbedding;
+    }
+};
+
+/**
+ * Write index entries in batches
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} entries - Index entries
+ * @returns {Promise<number>} - Number of entries written, 0 when indexing failed
+ */
+const writeEntries = async (userId, entries) => {
+    const indexRef = getIndexRef(userId);
+
+    try {
+        const embeddedEntries = await addEmbeddings(entries);
+
+        for (let i = 0; i < embeddedEntries.length; i += INDEX_BATCH_SIZE) {
+            const batch = db.batch();
+            embeddedEntries.slice(i, i + INDEX_BATCH_SIZE).forEach(entry => {
+                batch.set(indexRef.doc(getEntryId(entry.kind, entry.refId)), entry);
+            });
+            await batch.commit();
+        }
+        return entries.length;
+    } catch (error) {
+        console.error(`Error indexing ${entries.length} documents for search:`, error.message);
+        return 0;
+    } finally {
+        vectorCache.delete(userId);
+    }
+};
+
+/**
+ * Add or refresh messages in the search index
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} messages - Messages with their document ID ({ id, ...data })
+ * @returns {Promise<number>} - Number of messages indexed
+ */
+const indexMessages = async (userId, messages) => {
+    return writeEntries(userId, messages.map(({ id, ...message }) => buildMessageEntry(id, message)));
+};
+
+/**
+ * Add or refresh tasks in the search index
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} tasks - Tasks with their document ID ({ id, ...data })
+ * @returns {Promise<number>} - Number of tasks indexed
+ */
+const indexTasks = async (userId, tasks) => {
+    return writeEntries(userId, tasks.map(({ id, ...task }) => buildTaskEntry(id, task)));
+};
+
+/**
+ * Remove deleted messages or tasks from the search index
+ * @param {string} userId - User's Firebase ID
+ * @param {string} kind - "message" or "task"
+ * @param {Array<string>} ids - Document IDs
+ * @returns {Promise<void>}
+ */
+const removeFromIndex = async (userId, kind, ids) => {
+    const indexRef = getIndexRef(userId);
+
+    try {
+        for (let i = 0; i < ids.length; i += INDEX_BATCH_SIZE) {
+            const batch = db.batch();
+            ids.slice(i, i + INDEX_BATCH_SIZE).forEach(id => batch.delete(indexRef.doc(getEntryId(kind, id))));
+            await batch.commit();
+        }
+    } catch (error) {
+        console.error(`Error removing ${ids.length} documents from the search index:`, error.message);
+    } finally {
+        vectorCache.delete(userId);
+    }
+};
+
+/**
+ * Convert a Firestore timestamp (or date string) to an ISO string
+ * @param {*} value - Timestamp, Date or string
+ * @returns {string|null}
+ */
+const toISOString = (value) => {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Search the user's messages and tasks
+ * @param {string} userId - User's Firebase ID
+ * @param {string} text - Query, e.g. 'budget "quarterly report" from:alice tag:finance priority:high'
+ * @param {Object} options - { kind: "message" | "task" | undefined, limit }
+ * @returns {Promise<Object>} - { results, total, truncated }; truncated when only the
+ *                              newest SEARCH_CANDIDATE_LIMIT entries with the rarest term were checked
+ */
+const search = async (userId, text, { kind, limit = 20 } = {}) => {
+    const query = parseSearchQuery(text);
+    if (isEmptySearchQuery(query)) {
+        return { results: [], total: 0, truncated: false };
+    }
+
+    let indexQuery = getIndexRef(userId);
+    if (kind) indexQuery = indexQuery.where('kind', '==', kind);
+
+    // Terms an entry must hold; from: and tag: qualifiers are indexed as terms too
+    const requiredTerms = [
+        ...query.terms,
+        ...query.from.flat().map(token => `from:${token}`),
+        ...query.tags.map(tag => `tag:${tag}`)
+    ];
+
+    const count = async (countQuery) => (await countQuery.count().get()).data().count;
+    const [docCount, ...frequencies] = await Promise.all([
+        count(indexQuery),
+        ...requiredTerms.map(term => count(indexQuery.where('terms', 'array-contains', term)))
+    ]);
+    const docFreq = Object.fromEntries(requiredTerms.map((term, index) => [term, frequencies[index]]));
+
+    if (requiredTerms.some(term => docFreq[term] === 0)) {
+        return { results: [], total: 0, truncated: false };
+    }
+
+    // The rarest term fetches the fewest candidates
+    let candidatesQuery = indexQuery;
+    if (requiredTerms.length > 0) {
+        const rarest = requiredTerms.reduce((best, term) => (docFreq[term] < docFreq[best] ? term : best));
+        candidatesQuery = candidatesQuery.where('terms', 'array-contains', rarest);
+    }
+    if (query.priority.length > 0) {
+        candidatesQuery = candidatesQuery.where('priority', 'in', query.priority.slice(0, 10));
+    }
+
+    const snapshot = await candidatesQuery
+        .orderBy('timestamp', 'desc')
+        .limit(SEARCH_CANDIDATE_LIMIT)
+        .select(...TEXT_FIELDS)
+        .get();
+
+    const matches = snapshot.docs
+        .map(doc => doc.data())
+        .filter(entry => matchesSearchQuery(entry, query));
+
+    const highlightTerms = [...query.terms, ...query.from.flat()];
+    const results = rankSearchEntries(matches, query, { docCount, docFreq })
+        .slice(0, limit)
+        .map(({ entry, score }) => ({
+            kind: entry.kind,
+            id: entry.refId,
+            type: entry.type,
+            score,
+            title: entry.title,
+            titleHighlights: findHighlights(entry.title, highlightTerms),
+            snippet: buildSnippet(entry.content, highlightTerms),
+            from: entry.from || null,
+            priority: entry.priority,
+            tags: entry.tags || [],
+            timestamp: toISOString(entry.timestamp)
+        }));
+
+    return {
+        results,
+        total: matches.length,
+        truncated: snapshot.size === SEARCH_CANDIDATE_LIMIT
+    };
+};
+
+/**
+ * Load the newest vectors of a user made by the configured embedder, cached for a while
+ * @param {string} userId - User's Firebase ID
+ * @param {string} embedder - Embedder ID
+ * @returns {Promise<Object>} - { items, truncated }
+ */
+const loadVectors = async (userId, embedder) => {
+    const cached = vectorCache.get(userId);
+    if (cached && cached.embedder === embedder && Date.now() - cached.loadedAt < SEMANTIC_CACHE_TTL_MS) {
+        return cached;
+    }
+
+    const snapshot = await getIndexRef(userId)
+        .orderBy('timestamp', 'desc')
+        .limit(SEMANTIC_CANDIDATE_LIMIT)
+        .select(...VECTOR_FIELDS)
+        .get();
+
+    const vectors = {
+        loadedAt: Date.now(),
+        embedder,
+        items: snapshot.docs
+            .map(doc => doc.data())
+            .filter(entry => entry.embedder === embedder && Array.isArray(entry.embedding)),
+        truncated: snapshot.size === SEMANTIC_CANDIDATE_LIMIT
+    };
+
+    vectorCache.delete(userId);
+    if (vectorCache.size >= SEMANTIC_CACHE_MAX_USERS) {
+        // Maps iterate in insertion order, so the first key is the least recently loaded
+        vectorCache.delete(vectorCache.keys().next().value);
+    }
+    vectorCache.set(userId, vectors);
+
+    return vectors;
+};
+
+/**
+ * Rank entries by the similarity of their vector to a vector
+ * @param {Array} items - Entries with an embedding
+ * @param {Array<number>} vector - Vector to compare with
+ * @param {number} limit - Most results
+ * @returns {Array} - Results, most similar first
+ */
+const rankBySimilarity = (items, vector, limit) => {
+    return items
+        .map(entry => ({ entry, score: cosineSimilarity(entry.embedding, vector) }))
+        .filter(({ score }) => score >= SEMANTIC_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ entry, score }) => ({
+            kind: entry.kind,
+            id: entry.refId,
+            type: entry.type,
+            score: Math.round(score * 1000) / 1000,
+            title: entry.title,
+            from: entry.from || null,
+            priority: entry.priority,
+            tags: entry.tags || [],
+            timestamp: toISOString(entry.timestamp)
+        }));
+};
+
+/**
+ * Search the user's messages and tasks by meaning
+ * @param {string} userId - User's Firebase ID
+ * @param {string} text - Question or description, e.g. "anything about the Q3 vendor contract?"
+ * @param {Object} options - { kind: "message" | "task" | undefined, limit }
+ * @returns {Promise<Object>} - { results, truncated }; truncated when only the newest
+ *                              SEMANTIC_CANDIDATE_LIMIT entries were compared
+ */
+const semanticSearch = async (userId, text, { kind, limit = 20 } = {}) => {
+    const { vectors: [vector], embedder } = await embedTexts([text]);
+    const { items, truncated } = await loadVectors(userId, embedder);
+
+    return {
+        results: rankBySimilarity(items.filter(entry => !kind || entry.kind === kind), vector, limit),
+        truncated
+    };
+};
+
+/**
+ * Find the messages most similar to a message or task. Messages of the same conversation
+ * are left out, the thread already shows them. Never throws: related items are an extra
+ * on the message and task routes
+ * @param {string} userId - User's Firebase ID
+ * @param {string} kind - "message" or "task"
+ * @param {string} id - Message or task document ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - Related messages, most similar first; empty without a vector
+ */
+const findRelated = async (userId, kind, id, { limit = 5 } = {}) => {
+    const config = getEmbedderConfig();
+    if (!config) return [];
+
+    try {
+        const { items } = await loadVectors(userId, config.id);
+
+        let source = items.find(entry => entry.kind === kind && entry.refId === id);
+        if (!source) {
+            // Older than the loaded vectors
+            const entryDoc = await getIndexRef(userId).doc(getEntryId(kind, id)).get();
+            source = entryDoc.exists ? entryDoc.data() : null;
+        }
+        if (!source || source.embedder !== config.id || !Array.isArray(source.embedding)) return [];
+
+        const candidates = items.filter(entry =>
+            entry.kind === 'message' &&
+            !(kind === 'message' && entry.refId === id) &&
+            !(source.threadId && entry.threadId === source.threadId)
+        );
+        return rankBySimilarity(candidates, source.embedding, limit);
+    } catch (error) {
+        console.error(`Error finding items related to ${kind} ${id}:`, error.message);
+        return [];
+    }
+};
+
+module.exports = {
+    buildMessageEntry,
+    buildTaskEntry,
+    indexMessages,
+    indexTasks,
+    removeFromIndex,
+    search,
+    semanticSearch,
+    findRelated
+};
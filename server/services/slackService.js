@@ -0,0 +1,328 @@
+/**
+ * Slack Connector Service
+ *
+ * Talks to the Slack Web API and turns Slack messages into the `slack` message schema:
+ * 1. Minimal Web API client (auth.test, conversations.*, users.info)
+ * 2. Events API request signature verification
+ * 3. Conversion of Slack events/history items into stored messages
+ *
+ * The API base URL can be pointed at a local fake Slack server with SLACK_API_BASE_URL.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const { createDefaultMessage } = require('../models/messageModel');
+
+// Message subtypes that carry real content (everything else is edits, joins, topic changes...)
+const INGESTED_SUBTYPES = [undefined, 'thread_broadcast', 'file_share', 'bot_message', 'me_message'];
+
+// Slack rejects signed requests older than five minutes
+const SIGNATURE_MAX_AGE_SECONDS = 60 * 5;
+
+/**
+ * Get the Slack Web API base URL
+ * @returns {string} - Base URL without trailing slash
+ */
+const getSlackApiBaseUrl = () => (process.env.SLACK_API_BASE_URL || 'https://slack.com/api').replace(/\/$/, '');
+
+/**
+ * Call a Slack Web API method
+ * @param {string} token - Slack bot or user token
+ * @param {string} method - API method, e.g. "conversations.history"
+ * @param {Object} params - Method arguments
+ * @returns {Promise<Object>} - Response body
+ */
+const callSlackApi = async (token, method, params = {}) => {
+    const response = await axios.get(`${getSlackApiBaseUrl()}/${method}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params
+    });
+
+    if (!response.data || !response.data.ok) {
+        const error = new Error(`Slack API error (${method}): ${response.data ? response.data.error : 'empty response'}`);
+        error.slackError = response.data && response.data.error;
+        throw error;
+    }
+
+    return response.data;
+};
+
+/**
+ * Verify a Slack token and return the workspace and user it belongs to
+ * @param {string} token - Slack token
+ * @returns {Promise<Object>} - { success, teamId, teamName, authedUserId, error }
+ */
+const testSlackConnection = async (token) => {
+    if (!token) {
+        return { success: false, error: 'Slack access token is required' };
+    }
+
+    try {
+        const data = await callSlackApi(token, 'auth.test');
+        return {
+            success: true,
+            teamId: data.team_id,
+            teamName: data.team,
+            authedUserId: data.user_id,
+            error: null
+        };
+    } catch (error) {
+        console.error('Slack connection test failed:', error.message);
+        return { success: false, error: error.slackError || error.message };
+    }
+};
+
+/**
+ * Verify the signature of an Events API request
+ * @param {Object} req - Express request with rawBody captured by the JSON parser
+ * @returns {boolean} - True if the request was signed with SLACK_SIGNING_SECRET
+ */
+const verifySlackSignature = (req) => {
+    const signingSecret = process.env.SLACK_SIGNING_SECRET;
+    const timestamp = req.headers['x-slack-request-timestamp'];
+    const signature = req.headers['x-slack-signature'];
+
+    if (!signingSecret || !timestamp || !signature || !req.rawBody) {
+        return false;
+    }
+
+    // Reject replayed requests
+    if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > SIGNATURE_MAX_AGE_SECONDS) {
+        return false;
+    }
+
+    const expected = 'v0=' + crypto
+        .createHmac('sha256', signingSecret)
+        .update(`v0:${timestamp}:${req.rawBody.toString('utf8')}`)
+        .digest('hex');
+
+    // timingSafeEqual throws on buffers of different lengths, which a signature with
+    // multi-byte characters gives even when the string lengths match
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+/**
+ * Create per-run lookups for user and channel names so each ID is fetched once
+ * @param {string} token - Slack token
+ * @returns {Object} - { getUser, getChannel }
+ */
+const createSlackDirectory = (token) => {
+    const users = new Map();
+    const channels = new Map();
+
+    const getUser = async (slackUserId) => {
+        if (!slackUserId) return null;
+        if (!users.has(slackUserId)) {
+            users.set(slackUserId, callSlackApi(token, 'users.info', { user: slackUserId })
+                .then(data => data.user)
+                .catch(() => null));
+        }
+        return users.get(slackUserId);
+    };
+
+    const getChannel = async (channelId) => {
+        if (!channels.has(channelId)) {
+            channels.set(channelId, callSlackApi(token, 'conversations.info', { channel: channelId })
+                .then(data => data.channel)
+                .catch(() => null));
+        }
+        return channels.get(channelId);
+    };
+
+    return { getUser, getChannel };
+};
+
+/**
+ * Get the display name of a Slack user object
+ * @param {Object} user - Slack user object
+ * @returns {string} - Display name
+ */
+const getSlackUserName = (user) => {
+    if (!user) return 'Unknown';
+    const profile = user.profile || {};
+    return profile.display_name || profile.real_name || user.real_name || user.name || 'Unknown';
+};
+
+/**
+ * Replace Slack markup (<@U123>, <#C123|general>, <https://x|label>) with readable text
+ * @param {string} text - Raw Slack message text
+ * @param {Object} directory - Lookup created by createSlackDirectory
+ * @returns {Promise<string>} - Readable text
+ */
+const formatSlackText = async (text, directory) => {
+    if (!text) return '';
+
+    const userIds = [...new Set([...text.matchAll(/<@([A-Z0-9]+)(\|[^>]*)?>/g)].map(match => match[1]))];
+    const userNames = new Map();
+    for (const slackUserId of userIds) {
+        userNames.set(slackUserId, getSlackUserName(await directory.getUser(slackUserId)));
+    }
+
+    return text
+        .replace(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g, (_, slackUserId) => `@${userNames.get(slackUserId)}`)
+        .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+        .replace(/<!(here|channel|everyone)>/g, '@$1')
+        .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+        .replace(/<(https?:[^>]+)>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+};
+
+/**
+ * Build the stored message ID for a Slack message
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} channelId - Slack conversation ID
+ * @param {string} ts - Slack message timestamp
+ * @returns {string} - Message document ID
+ */
+const getSlackSourceId = (teamId, channelId, ts) => `slack-${teamId}-${channelId}-${ts}`;
+
+/**
+ * Check whether a Slack message should be ingested for a connected user
+ * @param {Object} event - Slack message event or history item
+ * @param {string} authedUserId - Slack user ID of the connected user
+ * @returns {boolean} - True if the message should be stored
+ */
+const shouldIngestSlackMessage = (event, authedUserId) => {
+    if (!INGESTED_SUBTYPES.includes(event.subtype)) return false;
+    // The user's own messages are not something they need to triage
+    if (event.user && event.user === authedUserId) return false;
+    return Boolean(event.text || (event.files && event.files.length));
+};
+
+/**
+ * Convert a Slack message into the `slack` message schema (without classification)
+ * @param {Object} event - Slack message event or history item
+ * @param {Object} context - { teamId, channelId, authedUserId, directory, isMention }
+ * @returns {Promise<Object>} - Message object ready for classification
+ */
+const buildSlackMessage = async (event, context) => {
+    const { teamId, channelId, authedUserId, directory } = context;
+    const channel = await directory.getChannel(channelId);
+    const senderUser = await directory.getUser(event.user);
+
+    const isDirect = channel ? Boolean(channel.is_im) : channelId.startsWith('D');
+    const senderName = senderUser
+        ? getSlackUserName(senderUser)
+        : (event.bot_profile && event.bot_profile.name) || event.username || 'Unknown';
+    const senderAvatar = senderUser
+        ? (senderUser.profile && senderUser.profile.image_72) || ''
+        : (event.bot_profile && event.bot_profile.icons && event.bot_profile.icons.image_72) || '';
+
+    let content = await formatSlackText(event.text, directory);
+    if (event.files && event.files.length) {
+        const fileNames = event.files.map(file => file.name || file.title).filter(Boolean);
+        content = [content, fileNames.length ? `Shared files: ${fileNames.join(', ')}` : ''].filter(Boolean).join('\n\n');
+    }
+
+    const mentioned = Boolean(context.isMention) || isDirect ||
+        (authedUserId && (event.text || '').includes(`<@${authedUserId}>`)) ||
+        /<!(here|channel|everyone)>/.test(event.text || '');
+
+    const messageDate = new Date(parseFloat(event.ts) * 1000);
+
+    return {
+        ...createDefaultMessage('slack'),
+        content: content || 'No content available',
+        timestamp: messageDate,
+        read: false,
+        sourceId: getSlackSourceId(teamId, channelId, event.ts),
+        channel: isDirect ? 'Direct message' : (channel && channel.name) || channelId,
+        sender: {
+            name: senderName,
+            avatar: senderAvatar
+        },
+        mentions: mentioned,
+        reactions: (event.reactions || []).map(reaction => ({
+            emoji: reaction.name,
+            count: reaction.count
+        })),
+        messageTimestamp: messageDate,
+        slackChannelId: channelId,
+        slackTs: event.ts,
+        slackThreadTs: event.thread_ts || null,
+        // Replies are grouped under their parent message
+        threadId: event.thread_ts ? getSlackSourceId(teamId, channelId, event.thread_ts) : null
+    };
+};
+
+/**
+ * Get all connected Slack services, optionally limited to one workspace
+ * @param {string} teamId - Optional Slack workspace ID
+ * @returns {Promise<Array>} - Array of { userId, serviceId, authData }
+ */
+const getSlackServices = async (teamId = null) => {
+    let query = db.collectionGroup('userServices').where('type', '==', 'slack');
+    if (teamId) {
+        query = query.where('authData.teamId', '==', teamId);
+    }
+
+    const servicesSnapshot = await query.get();
+
+    const services = [];
+    servicesSnapshot.forEach(doc => {
+        const serviceData = doc.data();
+        if (!serviceData.isConnected || !serviceData.authData || !serviceData.authData.accessToken) return;
+
+        services.push({
+            userId: doc.ref.parent.parent.id,
+            serviceId: doc.id,
+            authData: serviceData.authData
+        });
+    });
+
+    return services;
+};
+
+/**
+ * Get the stored Slack sync state for a service
+ * @param {string} userId - User's Firebase ID
+ * @param {string} serviceId - Slack service ID
+ * @returns {Promise<Object>} - { channels: { [channelId]: latestTs } }
+ */
+const getSlackSyncState = async (userId, serviceId) => {
+    const stateDoc = await db.collection('syncState').doc(userId).get();
+
+    if (!stateDoc.exists || !stateDoc.data().slack || !stateDoc.data().slack[serviceId]) {
+        return { channels: {} };
+    }
+
+    return { channels: {}, ...stateDoc.data().slack[serviceId] };
+};
+
+/**
+ * Save the Slack sync state for a service
+ * @param {string} userId - User's Firebase ID
+ * @param {string} serviceId - Slack service ID
+ * @param {Object} state - { channels: { [channelId]: latestTs } }
+ * @returns {Promise<void>}
+ */
+const saveSlackSyncState = async (userId, serviceId, state) => {
+    await db.collection('syncState').doc(userId).set({
+        slack: {
+            [serviceId]: {
+                ...state,
+                lastSyncedAt: new Date()
+            }
+        }
+    }, { merge: true });
+};
+
+module.exports = {
+    callSlackApi,
+    testSlackConnection,
+    verifySlackSignature,
+    createSlackDirectory,
+    formatSlackText,
+    getSlackSourceId,
+    shouldIngestSlackMessage,
+    buildSlackMessage,
+    getSlackServices,
+    getSlackSyncState,
+    saveSlackSyncState
+};
@@ -0,0 +1,261 @@
+/**
+ * Manual Sync Job Service
+ *
+ * Runs on-demand connector syncs triggered from the dashboard:
+ * 1. Records each sync as a job document (`syncJobs/{uid}/userSyncJobs/{jobId}`)
+ * 2. Runs queued jobs in-process with bounded concurrency
+ * 3. Writes the outcome back to the job and to the service (`lastSynced`, `errorMessage`)
+ *
+ * The queue lives in this process only; a job left queued or running by a restart is
+ * marked as failed the next time a sync of its service is requested. A job only runs
+ * while it holds the sync lease of its service (see syncLeaseService.js), so it never
+ * overlaps a cron sync or another job of the same service.
+ */
+
+const { db, admin } = require('../config/firebase');
+const { processUserEmails, processUserImapEmails, processUserOutlookEmails } = require('../scripts/emailCronJob');
+const { backfillSlackService } = require('../scripts/slackSyncJob');
+const { syncTeamsForUser } = require('../scripts/teamsSyncJob');
+const { getSyncLeaseKey, acquireSyncLease, releaseSyncLease, isSyncLeased } = require('./syncLeaseService');
+const { runWithTimeout, TimeoutError } = require('../utils/workerPool');
+
+// Number of manual syncs run at the same time and time budget per sync
+const SYNC_JOB_CONCURRENCY = parseInt(process.env.SYNC_JOB_CONCURRENCY) || 2;
+const SYNC_JOB_TIMEOUT_MS = parseInt(process.env.SYNC_JOB_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Pending jobs older than this can't belong to the current process anymore
+const STALE_JOB_MS = SYNC_JOB_TIMEOUT_MS * 3;
+// A lease outlives the time budget so a sync that is still stopping keeps it
+const SYNC_LEASE_TTL_MS = SYNC_JOB_TIMEOUT_MS * 2;
+
+const queue = [];
+let activeCount = 0;
+
+/**
+ * Get the sync jobs collection of a user
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getSyncJobsRef = (userId) => db.collection('syncJobs').doc(userId).collection('userSyncJobs');
+
+/**
+ * Pick the connector that syncs a service
+ * @param {Object} serviceData - Service document data
+ * @returns {string|null} - Connector name, or null if the service has nothing to sync
+ */
+const getServiceConnector = (serviceData) => {
+    const provider = serviceData.authData && serviceData.authData.provider;
+
+    switch (serviceData.type) {
+        case 'email':
+            if (provider === 'imap') return 'imap';
+            if (provider === 'microsoft') return 'outlook';
+            return 'gmail';
+        case 'slack':
+            return 'slack';
+        case 'teams':
+            return provider === 'microsoft' ? 'teams' : null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Run the connector of a service
+ * @param {string} connector - Connector name from getServiceConnector
+ * @param {string} userId - User's Firebase ID
+ * @param {string} serviceId - Service ID
+ * @param {Object} authData - Service auth data
+ * @param {AbortSignal} signal - Aborted when the sync runs out of time (mail connectors stop early)
+ * @returns {Promise<Object>} - { success, fetchedCount, classifiedCount, taskedCount, savedCount, error }
+ */
+const runConnector = (connector, userId, serviceId, authData, signal) => {
+    switch (connector) {
+        case 'gmail':
+            return processUserEmails(userId, null, signal);
+        case 'imap':
+            return processUserImapEmails(userId, serviceId, authData, signal);
+        case 'outlook':
+            return processUserOutlookEmails(userId, serviceId, signal);
+        case 'slack':
+            return backfillSlackService(userId, serviceId, authData);
+        case 'teams':
+            return syncTeamsForUser(userId);
+        default:
+            return Promise.resolve({ success: false, error: `Unknown connector: ${connector}` });
+    }
+};
+
+/**
+ * Run a queued sync job and record its outcome
+ * @param {Object} job - { userId, serviceId, jobId, connector }
+ * @returns {Promise<void>}
+ */
+const runSyncJob = async ({ userId, serviceId, jobId, connector }) => {
+    const jobRef = getSyncJobsRef(userId).doc(jobId);
+    const serviceRef = db.collection('services').doc(userId).collection('userServices').doc(serviceId);
+
+    const leaseKey = getSyncLeaseKey(connector, serviceId);
+    const leaseId = await acquireSyncLease(userId, leaseKey, SYNC_LEASE_TTL_MS, `job ${jobId}`);
+    if (!leaseId) {
+        await jobRef.update({
+            status: 'failed',
+            finishedAt: new Date(),
+            errors: ['Another sync of this service was already running']
+        });
+        console.log(`Sync job ${jobId} for service ${serviceId} skipped: another sync is running`);
+        return;
+    }
+
+    await jobRef.update({ status: 'running', startedAt: new Date() });
+
+    let result;
+    try {
+        // Read the service again: it may have been reconnected or removed while queued
+        const serviceDoc = await serviceRef.get();
+        if (!serviceDoc.exists) {
+            throw new Error('Service was disconnected');
+        }
+
+        // On timeout the connector is cancelled and awaited, so the lease is only
+        // released once it has stopped writing
+        result = await runWithTimeout(
+            (signal) => runConnector(connector, userId, serviceId, serviceDoc.data().authData || {}, signal),
+            SYNC_JOB_TIMEOUT_MS,
+            `Sync of service ${serviceId}`
+        );
+    } catch (error) {
+        result = {
+            success: false,
+            error: error instanceof TimeoutError ? `Sync timed out after ${SYNC_JOB_TIMEOUT_MS}ms` : error.message
+        };
+    } finally {
+        await releaseSyncLease(userId, leaseKey, leaseId).catch(error => {
+            console.error(`Could not release the sync lease of service ${serviceId}:`, error.message);
+        });
+    }
+
+    const finishedAt = new Date();
+    await jobRef.update({
+        status: result.success ? 'completed' : 'failed',
+        finishedAt,
+        fetchedCount: result.fetchedCount || 0,
+        classifiedCount: result.classifiedCount || 0,
+        taskedCount: result.taskedCount || 0,
+        savedCount: result.savedCount || 0,
+        errors: result.success ? [] : [result.error || 'Unknown error']
+    });
+
+    // Surface the outcome on the service itself so the dashboard can show it
+    const serviceUpdate = result.success
+        ? { lastSynced: admin.firestore.FieldValue.serverTimestamp(), errorMessage: '' }
+        : { errorMessage: result.error || 'Sync failed' };
+    await serviceRef.update(serviceUpdate).catch(error => {
+        console.error(`Could not update service ${serviceId} after sync:`, error.message);
+    });
+
+    console.log(`Sync job ${jobId} for service ${serviceId} ${result.success ? 'completed' : `failed: ${result.error}`}`);
+};
+
+/**
+ * Start queued jobs while there is capacity
+ */
+const drainQueue = () => {
+    while (activeCount < SYNC_JOB_CONCURRENCY && queue.length > 0) {
+        const job = queue.shift();
+        activeCount++;
+
+        runSyncJob(job)
+            .catch(error => console.error(`Sync job ${job.jobId} crashed:`, error))
+            .finally(() => {
+                activeCount--;
+                drainQueue();
+            });
+    }
+};
+
+/**
+ * Queue a sync for a service
+ *
+ * If the service already has a queued or running sync, that job is returned instead
+ * of starting a second one. A sync started by a cron job is turned away with a conflict.
+ *
+ * @param {string} userId - User's Firebase ID
+ * @param {string} serviceId - Service ID
+ * @param {Object} serviceData - Service document data
+ * @returns {Promise<Object>} - { jobId, status, alreadyQueued } or { error, conflict } if the service can't be synced
+ */
+const enqueueServiceSync = async (userId, serviceId, serviceData) => {
+    const connector = getServiceConnector(serviceData);
+    if (!connector) {
+        return { error: `Services of type "${serviceData.type}" have nothing to sync` };
+    }
+
+    const jobsRef = getSyncJobsRef(userId);
+    const pendingSnapshot = await jobsRef
+        .where('serviceId', '==', serviceId)
+        .where('status', 'in', ['queued', 'running'])
+        .limit(1)
+        .get();
+
+    if (!pendingSnapshot.empty) {
+        const pendingJob = pendingSnapshot.docs[0];
+        const createdAt = pendingJob.data().createdAt.toDate();
+
+        if (Date.now() - createdAt.getTime() < STALE_JOB_MS) {
+            return { jobId: pendingJob.id, status: pendingJob.data().status, alreadyQueued: true };
+        }
+
+        await pendingJob.ref.update({
+            status: 'failed',
+            finishedAt: new Date(),
+            errors: ['Sync was interrupted by a server restart']
+        });
+    }
+
+    if (await isSyncLeased(userId, getSyncLeaseKey(connector, serviceId))) {
+        return { error: 'This service is already being synced, try again when it is done', conflict: true };
+    }
+
+    const jobRef = await jobsRef.add({
+        serviceId,
+        serviceType: serviceData.type,
+        connector,
+        status: 'queued',
+        fetchedCount: 0,
+        classifiedCount: 0,
+        taskedCount: 0,
+        savedCount: 0,
+        errors: [],
+        createdAt: new Date(),
+        startedAt: null,
+        finishedAt: null
+    });
+
+    queue.push({ userId, serviceId, jobId: jobRef.id, connector });
+    drainQueue();
+
+    return { jobId: jobRef.id, status: 'queued', alreadyQueued: false };
+};
+
+/**
+ * Get a sync job of a service
+ * @param {string} userId - User's Firebase ID
+ * @param {string} serviceId - Service ID
+ * @param {string} jobId - Sync job ID
+ * @returns {Promise<Object|null>} - Job data or null if not found
+ */
+const getSyncJob = async (userId, serviceId, jobId) => {
+    const jobDoc = await getSyncJobsRef(userId).doc(jobId).get();
+
+    if (!jobDoc.exists || jobDoc.data().serviceId !== serviceId) {
+        return null;
+    }
+
+    return { id: jobDoc.id, ...jobDoc.data() };
+};
+
+module.exports = {
+    enqueueServiceSync,
+    getSyncJob
+};
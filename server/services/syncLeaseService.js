@@ -0,0 +1,126 @@
+/**
+ * Sync Lease Service
+ *
+ * Makes sure a mailbox or workspace is synced by one run at a time, whether the run
+ * comes from a cron job or from the dashboard:
+ * 1. A run takes a lease (`syncLeases/{uid}/userSyncLeases/{key}`) in a transaction
+ * 2. Another run of the same key is turned away while the lease is held
+ * 3. The lease is released when the run has stopped, or expires on its own if the
+ *    process died while holding it
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+
+/**
+ * Get the lease document of a sync
+ * @param {string} userId - User's Firebase ID
+ * @param {string} key - Lease key from getSyncLeaseKey
+ * @returns {Object} - Firestore document reference
+ */
+const getLeaseRef = (userId, key) => db.collection('syncLeases').doc(userId).collection('userSyncLeases').doc(key);
+
+/**
+ * Get the lease key of a connector
+ *
+ * Gmail, Outlook and Teams sync one account per user; IMAP and Slack sync each service.
+ *
+ * @param {string} connector - gmail, imap, outlook, slack or teams
+ * @param {string} [serviceId] - Service ID (IMAP and Slack)
+ * @returns {string} - Lease key
+ */
+const getSyncLeaseKey = (connector, serviceId) => {
+    return connector === 'imap' || connector === 'slack' ? `${connector}-${serviceId}` : connector;
+};
+
+/**
+ * Take the lease of a sync
+ * @param {string} userId - User's Firebase ID
+ * @param {string} key - Lease key from getSyncLeaseKey
+ * @param {number} ttlMs - Time after which the lease expires if it isn't released
+ * @param {string} holder - What holds the lease, e.g. "cron" or a sync job ID
+ * @returns {Promise<string|null>} - Lease ID to release it with, or null if another run holds it
+ */
+const acquireSyncLease = async (userId, key, ttlMs, holder) => {
+    const leaseRef = getLeaseRef(userId, key);
+    const leaseId = crypto.randomUUID();
+
+    return db.runTransaction(async (transaction) => {
+        const leaseDoc = await transaction.get(leaseRef);
+        const now = new Date();
+
+        if (leaseDoc.exists && leaseDoc.data().expiresAt.toDate() > now) {
+            return null;
+        }
+
+        transaction.set(leaseRef, {
+            leaseId,
+            holder,
+            acquiredAt: now,
+            expiresAt: new Date(now.getTime() + ttlMs)
+        });
+        return leaseId;
+    });
+};
+
+/**
+ * Release the lease of a sync, unless it expired and was taken by another run since
+ * @param {string} userId - User's Firebase ID
+ * @param {string} key - Lease key from getSyncLeaseKey
+ * @param {string} leaseId - Lease ID returned by acquireSyncLease
+ * @returns {Promise<void>}
+ */
+const releaseSyncLease = async (userId, key, leaseId) => {
+    const leaseRef = getLeaseRef(userId, key);
+
+    await db.runTransaction(async (transaction) => {
+        const leaseDoc = await transaction.get(leaseRef);
+
+        if (leaseDoc.exists && leaseDoc.data().leaseId === leaseId) {
+            transaction.delete(leaseRef);
+        }
+    });
+};
+
+/**
+ * Check if a sync currently holds its lease
+ * @param {string} userId - User's Firebase ID
+ * @param {string} key - Lease key from getSyncLeaseKey
+ * @returns {Promise<boolean>}
+ */
+const isSyncLeased = async (userId, key) => {
+    const leaseDoc = await getLeaseRef(userId, key).get();
+    return leaseDoc.exists && leaseDoc.data().expiresAt.toDate() > new Date();
+};
+
+/**
+ * Run a sync while holding its lease, or skip it when another run holds the lease
+ * @param {string} userId - User's Firebase ID
+ * @param {string} key - Lease key from getSyncLeaseKey
+ * @param {number} ttlMs - Time after which the lease expires if it isn't released
+ * @param {string} holder - What holds the lease, e.g. "slack cron"
+ * @param {Function} run - async () => sync result
+ * @returns {Promise<Object>} - What run returned, or { success: true, skipped: true }
+ */
+const runWithSyncLease = async (userId, key, ttlMs, holder, run) => {
+    const leaseId = await acquireSyncLease(userId, key, ttlMs, holder);
+    if (!leaseId) {
+        return { success: true, skipped: true };
+    }
+
+    try {
+        return await run();
+    } finally {
+        await releaseSyncLease(userId, key, leaseId).catch(error => {
+            console.error(`Could not release the sync lease ${key} of user ${userId}:`, error.message);
+        });
+    }
+};
+
+module.exports = {
+    getSyncLeaseKey,
+    acquireSyncLease,
+    releaseSyncLease,
+    isSyncLeased,
+    runWithSyncLease
+};
@@ -4,12 +4,26 @@ const fetch = require('node-fetch');
 const { db, admin } = require('../config/firebase');
 const { verificationCodes } = require('../utils/verificationCodes');
 const { verifyAndLinkTelegramAccount, checkVerificationCode } = require('../utils/telegramVerificationHelpers');
+const {
+  draftReply,
+  getDraft,
+  updateDraft,
+  discardDraft,
+  findDraftByTelegramMessage,
+  sendReply,
+  listReplyCandidates
+} = require('./replyService');
+const { REPLY_TONES, DEFAULT_REPLY_TONE, buildReplyCallback, parseReplyCallback } = require('../utils/replyDraft');
+
+// Telegram messages hold 4096 characters; longer drafts are cut in the preview only
+const DRAFT_PREVIEW_LENGTH = 3500;
 
 /**
  * Telegram Bot Service
  * This service handles Telegram bot functionality, including:
  * - User registration via /start command
- * - Sending MP3 files to users
+ * - Sending MP3 files and notifications to users
+ * - Drafting and sending email replies via /reply
  */
 class TelegramService {
   constructor() {
@@ -22,6 +36,7 @@ class TelegramService {
     // Create a bot instance
     this.bot = new TelegramBot(process.env.TELEGRAM_BOT_API_KEY, { polling: true });
     this.setupCommandHandlers();
+    this.setupReplyHandlers();
     console.log('Telegram bot service initialized');
   }
 
@@ -135,6 +150,7 @@ class TelegramService {
         "/verify CODE - Link your account using a verification code from the web app\n" +
         "/verify CODE EMAIL - Link your account using a verification code and email\n" +
         "/status - Check your account linkage status\n" +
+        "/reply - Draft and send a reply to an email waiting for an answer\n" +
         "/help - Show this help message\n\n" +
         "Once linked, you'll receive notifications and audio files from FlowSync.";
       
@@ -142,6 +158,221 @@ class TelegramService {
     });
   }
 
+  /**
+   * Set up /reply and its buttons: pick an email, get a draft, then send it, redraft it
+   * in another tone or discard it. Answering the draft message with text replaces the
+   * draft with that text
+   */
+  setupReplyHandlers() {
+    this.bot.onText(/^\/reply(@\w+)?$/, (msg) => this.handleReplyCommand(msg));
+    this.bot.on('callback_query', (query) => this.handleReplyButton(query));
+    this.bot.on('message', (msg) => this.handleDraftEdit(msg));
+  }
+
+  /**
+   * Find the FlowSync user a Telegram account is linked to
+   * @param {number} telegramId - Telegram user ID
+   * @returns {Promise<string|null>} - Firebase user ID, null when not linked
+   */
+  async findLinkedUserId(telegramId) {
+    const usersSnapshot = await db.collection('users')
+      .where('profile.telegramId', '==', telegramId)
+      .limit(1)
+      .get();
+
+    return usersSnapshot.empty ? null : usersSnapshot.docs[0].id;
+  }
+
+  /**
+   * List the emails waiting for an answer, one button each
+   * @param {Object} msg - Telegram message with the /reply command
+   */
+  async handleReplyCommand(msg) {
+    const chatId = msg.chat.id;
+
+    try {
+      const userId = await this.findLinkedUserId(msg.from.id);
+      if (!userId) {
+        this.bot.sendMessage(chatId, 'Your Telegram account is not linked to FlowSync. Use /help to see how to link it.');
+        return;
+      }
+
+      const messages = await listReplyCandidates(userId);
+      const buttons = messages
+        .map(message => ({
+          text: `${(message.from && (message.from.name || message.from.email)) || 'Unknown'}: ${message.subject || 'No Subject'}`.substring(0, 60),
+          callback_data: buildReplyCallback('draft', message.id)
+        }))
+        .filter(button => button.callback_data);
+
+      if (buttons.length === 0) {
+        this.bot.sendMessage(chatId, '📭 No critical or action emails are waiting for an answer.');
+        return;
+      }
+
+      this.bot.sendMessage(chatId, '✍️ Which email do you want to answer?', {
+        reply_markup: { inline_keyboard: buttons.map(button => [button]) }
+      });
+    } catch (error) {
+      console.error('Error handling /reply command:', error);
+      this.bot.sendMessage(chatId, 'An error occurred while loading your emails. Please try again later.');
+    }
+  }
+
+  /**
+   * Handle the buttons of /reply and of draft messages
+   * @param {Object} query - Telegram callback query
+   */
+  async handleReplyButton(query) {
+    const button = parseReplyCallback(query.data);
+    if (!button || !query.message) return;
+
+    const chatId = query.message.chat.id;
+
+    try {
+      const userId = await this.findLinkedUserId(query.from.id);
+      if (!userId) {
+        await this.bot.answerCallbackQuery(query.id, { text: 'Your Telegram account is not linked to FlowSync.' });
+        return;
+      }
+      await this.bot.answerCallbackQuery(query.id);
+
+      if (button.action === 'draft') {
+        await this.draftAndShowReply(chatId, userId, button.id, DEFAULT_REPLY_TONE);
+        return;
+      }
+
+      const draft = await getDraft(userId, button.id);
+      if (!draft || draft.status === 'sent') {
+        await this.bot.sendMessage(chatId, 'This draft is no longer available. Use /reply to start a new one.');
+        return;
+      }
+
+      // The buttons of the old draft message would act on a draft that is gone or sent
+      const removeButtons = { chat_id: chatId, message_id: query.message.message_id };
+
+      if (button.action === 'tone') {
+        await discardDraft(userId, draft.id);
+        await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, removeButtons);
+        await this.draftAndShowReply(chatId, userId, draft.messageId, button.tone, draft.instructions);
+      } else if (button.action === 'discard') {
+        await discardDraft(userId, draft.id);
+        await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, removeButtons);
+        await this.bot.sendMessage(chatId, '🗑 Draft discarded.');
+      } else if (button.action === 'send') {
+        const reply = await sendReply(userId, draft.messageId, {
+          body: draft.body,
+          subject: draft.subject,
+          draftId: draft.id
+        });
+
+        if (!reply) {
+          await this.bot.sendMessage(chatId, 'The email of this draft no longer exists.');
+        } else if (reply.error) {
+          await this.bot.sendMessage(chatId, `⚠️ ${reply.error}`);
+        } else if (reply.result.status === 'failed') {
+          await this.bot.sendMessage(chatId, `❌ Sending failed: ${reply.result.error}`);
+        } else {
+          await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, removeButtons);
+          await this.bot.sendMessage(chatId, `✅ Reply sent to ${reply.result.to}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error handling reply button:', error);
+      this.bot.sendMessage(chatId, 'An error occurred while working on your reply. Please try again later.');
+    }
+  }
+
+  /**
+   * Replace a draft with the text the user answered its message with
+   * @param {Object} msg - Telegram message
+   */
+  async handleDraftEdit(msg) {
+    if (!msg.reply_to_message || !msg.text || msg.text.startsWith('/')) return;
+
+    try {
+      const userId = await this.findLinkedUserId(msg.from.id);
+      if (!userId) return;
+
+      const draft = await findDraftByTelegramMessage(userId, msg.reply_to_message.message_id);
+      if (!draft || draft.status === 'sent') return;
+
+      const body = msg.text.trim();
+      await updateDraft(userId, draft.id, { body });
+      await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: msg.chat.id,
+        message_id: msg.reply_to_message.message_id
+      });
+      await this.showReplyDraft(msg.chat.id, userId, { ...draft, body });
+    } catch (error) {
+      console.error('Error updating reply draft:', error);
+      this.bot.sendMessage(msg.chat.id, 'An error occurred while updating your draft. Please try again later.');
+    }
+  }
+
+  /**
+   * Draft a reply and show it
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} userId - Firebase user ID
+   * @param {string} messageId - Email to answer
+   * @param {string} tone - One of REPLY_TONES
+   * @param {string} instructions - What the reply should say ('' for none)
+   */
+  async draftAndShowReply(chatId, userId, messageId, tone, instructions = '') {
+    await this.bot.sendChatAction(chatId, 'typing');
+
+    const result = await draftReply(userId, messageId, { tone, instructions });
+    if (!result) {
+      await this.bot.sendMessage(chatId, 'This email no longer exists.');
+      return;
+    }
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `⚠️ ${result.error}`);
+      return;
+    }
+
+    await this.showReplyDraft(chatId, userId, result.draft);
+  }
+
+  /**
+   * Show a draft with its Send, Discard and tone buttons, and remember the message so
+   * answering it edits the draft
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} userId - Firebase user ID
+   * @param {Object} draft - Draft with its id
+   */
+  async showReplyDraft(chatId, userId, draft) {
+    const body = draft.body.length > DRAFT_PREVIEW_LENGTH
+      ? `${draft.body.substring(0, DRAFT_PREVIEW_LENGTH)}…`
+      : draft.body;
+    const toneButtons = Object.keys(REPLY_TONES)
+      .filter(tone => tone !== draft.tone)
+      .map(tone => ({
+        text: tone.charAt(0).toUpperCase() + tone.slice(1),
+        callback_data: buildReplyCallback('tone', draft.id, tone)
+      }));
+
+    // Plain text: drafts may contain anything Markdown would trip over
+    const sent = await this.bot.sendMessage(
+      chatId,
+      `✍️ Draft reply to ${draft.to}\nSubject: ${draft.subject}\n\n${body}\n\n` +
+      'Answer this message with your own text to change the draft.',
+      {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '📤 Send', callback_data: buildReplyCallback('send', draft.id) },
+              { text: '🗑 Discard', callback_data: buildReplyCallback('discard', draft.id) }
+            ],
+            toneButtons
+          ]
+        }
+      }
+    );
+
+    await updateDraft(userId, draft.id, { telegramMessageId: sent.message_id });
+  }
+
   /**
    * Save a Telegram user to Firebase
    * @param {number} userId - Telegram user ID
@@ -229,6 +460,27 @@ class TelegramService {
     }
   }
 
+  /**
+   * Send a text message to a specific Telegram user
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} text - Plain message text
+   * @returns {Promise<boolean>} - Whether the message was sent successfully
+   */
+  async sendTextToUser(chatId, text) {
+    try {
+      if (!this.bot || !chatId) {
+        console.error('No bot or chat ID for sending a text message');
+        return false;
+      }
+
+      await this.bot.sendMessage(chatId, text);
+      return true;
+    } catch (error) {
+      console.error(`Error sending message to chatId ${chatId}:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Send an MP3 file to a specific Telegram user
    * @param {number} chatId - Telegram chat ID
@@ -0,0 +1,252 @@
+/**
+ * Conversation Thread Service
+ *
+ * Groups the flat `messages/{uid}/userMessages` collection into conversations. Every
+ * message carries a `threadId`:
+ * - Gmail: the Gmail thread ID
+ * - Outlook: a hash of the Graph conversationId
+ * - IMAP: a hash of the thread's root Message-ID (first entry of References, else
+ *   In-Reply-To, else the message's own Message-ID)
+ * - Slack and Teams: the document ID of the thread's parent message
+ *
+ * A message without a threadId is a thread of its own, with the message ID as thread ID.
+ * A thread's priority is the highest priority among its messages.
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const { PRIORITIES } = require('./feedbackService');
+
+// Most recent messages grouped into threads by listThreads
+const THREAD_SCAN_LIMIT = parseInt(process.env.THREAD_SCAN_LIMIT) || 1000;
+
+// "Re:", "Fwd:", "AW:", "WG:" prefixes, possibly repeated ("Re: Re[2]: Fwd: ...")
+const REPLY_PREFIX_PATTERN = /^\s*((re|fwd?|aw|wg|sv|vs|tr|rif)(\[\d+\])?\s*:\s*)+/i;
+
+/**
+ * Get the user's messages collection
+ * @param {string} userId - User's Firebase ID
+ * @returns {Object} - Firestore collection reference
+ */
+const getMessagesRef = (userId) => db.collection('messages').doc(userId).collection('userMessages');
+
+/**
+ * Hash a provider thread key into a short ID that is safe in Firestore and URLs
+ * @param {string} prefix - Source prefix, e.g. "outlook"
+ * @param {string} key - Conversation ID or Message-ID
+ * @returns {string} - e.g. "outlook-3f2a9c..."
+ */
+const hashThreadKey = (prefix, key) => `${prefix}-${crypto.createHash('sha256').update(key).digest('hex').substring(0, 24)}`;
+
+/**
+ * Normalize a Message-ID header value ("<abc@example.com>" -> "abc@example.com")
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+const normalizeMessageId = (value) => String(value || '').trim().replace(/^<|>$/g, '').toLowerCase();
+
+/**
+ * Split a References header into Message-IDs, oldest first
+ * @param {string|Array} references - References header value or list
+ * @returns {Array<string>}
+ */
+const parseReferences = (references) => {
+    if (!references) return [];
+    const values = Array.isArray(references) ? references : String(references).match(/<[^>]+>/g) || [references];
+    return values.map(normalizeMessageId).filter(Boolean);
+};
+
+/**
+ * Work out the thread ID of an email
+ * @param {Object} email - Parsed email (see processParsedEmail)
+ * @param {string} email.threadId - Gmail thread ID
+ * @param {string} email.conversationId - Outlook conversation ID
+ * @param {string} email.internetMessageId - Message-ID header
+ * @param {string} email.inReplyTo - In-Reply-To header
+ * @param {string|Array} email.references - References header
+ * @returns {string|null} - Thread ID, or null when the email has no thread information
+ */
+const getEmailThreadId = (email) => {
+    if (email.threadId) return email.threadId;
+    if (email.conversationId) return hashThreadKey('outlook', email.conversationId);
+
+    const root = parseReferences(email.references)[0] ||
+        normalizeMessageId(email.inReplyTo) ||
+        normalizeMessageId(email.internetMessageId);
+    return root ? hashThreadKey('mail', root) : null;
+};
+
+/**
+ * Convert a Firestore timestamp (or date string) to milliseconds
+ * @param {*} value - Timestamp, Date or string
+ * @returns {number} - Milliseconds, 0 when missing
+ */
+const toMillis = (value) => {
+    if (!value) return 0;
+    const date = value.toDate ? value.toDate() : new Date(value._seconds ? value._seconds * 1000 : value);
+    return isNaN(date.getTime()) ? 0 : date.getTime();
+};
+
+/**
+ * Get the thread a message belongs to
+ * @param {Object} message - Message with its document ID
+ * @returns {string} - Thread ID
+ */
+const getMessageThreadId = (message) => message.threadId || message.id;
+
+/**
+ * Highest priority among messages ("critical" > "action" > "info")
+ * @param {Array} messages - Messages
+ * @returns {string} - Priority
+ */
+const getThreadPriority = (messages) => {
+    const ranks = messages
+        .map(message => PRIORITIES.indexOf(message.priority))
+        .filter(rank => rank !== -1);
+    return ranks.length > 0 ? PRIORITIES[Math.min(...ranks)] : 'info';
+};
+
+/**
+ * Summarize the messages of one thread
+ * @param {string} threadId - Thread ID
+ * @param {Array} messages - Messages of the thread (with document IDs)
+ * @returns {Object} - Thread summary
+ */
+const buildThreadSummary = (threadId, messages) => {
+    const sorted = [...messages].sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+    const first = sorted[0];
+    const latest = sorted[sorted.length - 1];
+
+    const participants = [...new Set(sorted
+        .map(message => (message.from && (message.from.name || message.from.email)) || (message.sender && message.sender.name))
+        .filter(Boolean))];
+
+    const deadlines = sorted.map(message => message.deadline).filter(Boolean);
+    const nextDeadline = deadlines.sort((a, b) => toMillis(a) - toMillis(b))[0] || null;
+
+    return {
+        id: threadId,
+        type: first.type,
+        subject: first.type === 'email'
+            ? String(first.subject || latest.subject || '').replace(REPLY_PREFIX_PATTERN, '').trim() || 'No Subject'
+            : first.channel || '',
+        participants,
+        messageCount: sorted.length,
+        unreadCount: sorted.filter(message => !message.read).length,
+        priority: getThreadPriority(sorted),
+        category: latest.category || null,
+        deadline: nextDeadline,
+        snippet: String(latest.newContent || latest.content || '').substring(0, 200),
+        latestMessageId: latest.id,
+        firstTimestamp: first.timestamp,
+        latestTimestamp: latest.timestamp
+    };
+};
+
+/**
+ * Group messages into thread summaries, most recent thread first
+ * @param {Array} messages - Messages with document IDs
+ * @returns {Array} - Thread summaries
+ */
+const groupMessagesIntoThreads = (messages) => {
+    const threads = new Map();
+    messages.forEach(message => {
+        const threadId = getMessageThreadId(message);
+        if (!threads.has(threadId)) threads.set(threadId, []);
+        threads.get(threadId).push(message);
+    });
+
+    return [...threads.entries()]
+        .map(([threadId, threadMessages]) => buildThreadSummary(threadId, threadMessages))
+        .sort((a, b) => toMillis(b.latestTimestamp) - toMillis(a.latestTimestamp));
+};
+
+/**
+ * List a user's threads
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} options - { type } to only group messages of one source type
+ * @returns {Promise<Array>} - Thread summaries, most recent first
+ */
+const listThreads = async (userId, options = {}) => {
+    let query = getMessagesRef(userId).orderBy('timestamp', 'desc');
+    if (options.type && options.type !== 'all') {
+        query = query.where('type', '==', options.type);
+    }
+
+    const messagesSnapshot = await query.limit(THREAD_SCAN_LIMIT).get();
+    const messages = messagesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    return groupMessagesIntoThreads(messages);
+};
+
+/**
+ * Get a thread with its messages, oldest first
+ * @param {string} userId - User's Firebase ID
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Object|null>} - { ...summary, messages }, or null when no message belongs to it
+ */
+const getThread = async (userId, threadId) => {
+    const messagesRef = getMessagesRef(userId);
+
+    // The parent of a Slack/Teams thread (and a message without thread) is stored under the thread ID
+    const [membersSnapshot, rootDoc] = await Promise.all([
+        messagesRef.where('threadId', '==', threadId).get(),
+        messagesRef.doc(threadId).get()
+    ]);
+
+    const messages = membersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    if (rootDoc.exists && !messages.some(message => message.id === rootDoc.id)) {
+        const root = { id: rootDoc.id, ...rootDoc.data() };
+        if (getMessageThreadId(root) === threadId) messages.push(root);
+    }
+
+    if (messages.length === 0) return null;
+
+    messages.sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+    return { ...buildThreadSummary(threadId, messages), messages };
+};
+
+/**
+ * Drop generated tasks for threads that already have an open task
+ *
+ * Several tasks generated from the same message are kept together; a later message in
+ * the same thread does not get another task while the thread's task is still open.
+ *
+ * @param {string} userId - User's Firebase ID
+ * @param {Array} tasks - Generated tasks (with threadId and sourceMessageId)
+ * @returns {Promise<Array>} - Tasks to save
+ */
+const filterThreadDuplicateTasks = async (userId, tasks) => {
+    const tasksRef = db.collection('tasks').doc(userId).collection('userTasks');
+    const threadIds = [...new Set(tasks.map(task => task && task.threadId).filter(Boolean))];
+
+    // Source message of the open task per thread
+    const taskedThreads = new Map();
+    await Promise.all(threadIds.map(async threadId => {
+        const snapshot = await tasksRef
+            .where('threadId', '==', threadId)
+            .where('completed', '==', false)
+            .limit(1)
+            .get();
+        if (!snapshot.empty) taskedThreads.set(threadId, snapshot.docs[0].data().sourceMessageId);
+    }));
+
+    return tasks.filter(task => {
+        if (!task || !task.threadId) return true;
+        if (!taskedThreads.has(task.threadId)) {
+            taskedThreads.set(task.threadId, task.sourceMessageId);
+            return true;
+        }
+        return taskedThreads.get(task.threadId) === task.sourceMessageId;
+    });
+};
+
+module.exports = {
+    getEmailThreadId,
+    getMessageThreadId,
+    getThreadPriority,
+    groupMessagesIntoThreads,
+    listThreads,
+    getThread,
+    filterThreadDuplicateTasks
+};
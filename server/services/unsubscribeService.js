@@ -0,0 +1,180 @@
+/**
+ * Unsubscribe Service
+ *
+ * Unsubscribes the user from the list a message came from, using the options of its
+ * List-Unsubscribe header (see utils/bulkMail.js), in this order:
+ * 1. RFC 8058 one-click: POST "List-Unsubscribe=One-Click" to the HTTPS link
+ * 2. mailto: send the unsubscribe mail from the user's Gmail account (needs the
+ *    gmail.send scope); only a single plain address is accepted, and the body is ours
+ * 3. otherwise the link is handed back for the user to open ("manual")
+ *
+ * The result is recorded on the message as `unsubscribeResult`.
+ */
+
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { getValidOAuthToken } = require('../models/oauthTokenModel');
+const { createGmailClient } = require('./emailService');
+const { isPrivateAddress, publicOnlyLookup } = require('../utils/publicAddress');
+
+const GMAIL_SEND_SCOPE = 'https://www.googleapis.com/auth/gmail.send';
+const UNSUBSCRIBE_TIMEOUT_MS = parseInt(process.env.UNSUBSCRIBE_TIMEOUT_MS) || 10000;
+
+// One plain address: no display name, no list, nothing that could end the header line
+const MAILTO_ADDRESS_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+$/;
+const MAILTO_SUBJECT_MAX_LENGTH = 200;
+
+// A List-Unsubscribe link in an incoming email must not make the server call into its own network
+const unsubscribeAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * RFC 8058 one-click unsubscribe
+ * @param {string} url - HTTPS link from List-Unsubscribe
+ * @returns {Promise<Object>} - { status, method, httpStatus }
+ */
+const oneClickUnsubscribe = async (url) => {
+    // IP literals are connected to without a DNS lookup
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new Error(`Refusing to connect to private address ${hostname}`);
+    }
+
+    const response = await axios.post(url, 'List-Unsubscribe=One-Click', {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        httpsAgent: unsubscribeAgent,
+        timeout: UNSUBSCRIBE_TIMEOUT_MS,
+        // RFC 8058 forbids following redirects to another URL for the POST
+        maxRedirects: 0,
+        validateStatus: () => true
+    });
+
+    // Only a 2xx confirms the unsubscribe; a redirect means the list wants a page visited
+    const succeeded = response.status >= 200 && response.status < 300;
+    return {
+        status: succeeded ? 'unsubscribed' : 'failed',
+        method: 'one-click',
+        httpStatus: response.status,
+        ...(succeeded ? {} : { error: `The list answered with HTTP ${response.status}` })
+    };
+};
+
+/**
+ * Read the recipient and subject of a mailto: link
+ *
+ * The link comes from an incoming email, so anything but a single plain address is
+ * refused. Extra recipients (to, cc, bcc) and the body the list asks for are ignored.
+ *
+ * @param {string} mailto - "mailto:list@example.com?subject=unsubscribe"
+ * @returns {Object|null} - { to, subject }, or null when the address is not usable
+ */
+const parseMailtoLink = (mailto) => {
+    const [address, query = ''] = String(mailto || '').replace(/^mailto:/i, '').split('?');
+
+    let to;
+    try {
+        to = decodeURIComponent(address).trim();
+    } catch (error) {
+        return null;
+    }
+    if (!MAILTO_ADDRESS_PATTERN.test(to)) {
+        return null;
+    }
+
+    const subject = (new URLSearchParams(query).get('subject') || '')
+        .replace(/[\r\n]+/g, ' ')
+        .trim()
+        .substring(0, MAILTO_SUBJECT_MAX_LENGTH);
+
+    return { to, subject: subject || 'unsubscribe' };
+};
+
+/**
+ * Build the raw RFC 5322 message for a mailto: link
+ * @param {string} mailto - "mailto:list@example.com?subject=unsubscribe&body=..."
+ * @returns {Promise<string|null>} - Base64url encoded message for the Gmail API, or null
+ *                                   when the link has no usable address
+ */
+const buildMailtoMessage = async (mailto) => {
+    const link = parseMailtoLink(mailto);
+    if (!link) {
+        return null;
+    }
+
+    const message = await new MailComposer({
+        to: link.to,
+        subject: link.subject,
+        text: 'unsubscribe'
+    }).compile().build();
+
+    return message.toString('base64url');
+};
+
+/**
+ * Send the unsubscribe mail of a mailto: link from the user's Gmail account
+ * @param {string} userId - User's Firebase ID
+ * @param {string} mailto - mailto: link from List-Unsubscribe
+ * @returns {Promise<Object>} - { status, method }; "manual" when the account cannot send mail,
+ *                              "failed" when the link has no usable address
+ */
+const mailtoUnsubscribe = async (userId, mailto) => {
+    const raw = await buildMailtoMessage(mailto);
+    if (!raw) {
+        return { status: 'failed', method: 'mailto', error: 'The unsubscribe address of this list is not valid' };
+    }
+
+    // Refreshes an expired access token
+    const tokenData = await getValidOAuthToken(userId, 'google');
+    if (!tokenData || !(tokenData.scopes || []).includes(GMAIL_SEND_SCOPE)) {
+        return { status: 'manual', method: 'mailto', link: mailto };
+    }
+
+    const gmail = createGmailClient(tokenData);
+    await gmail.users.messages.send({
+        userId: 'me',
+        requestBody: { raw }
+    });
+
+    return { status: 'unsubscribed', method: 'mailto' };
+};
+
+/**
+ * Unsubscribe from the list of a message and record the result on it
+ * @param {string} userId - User's Firebase ID
+ * @param {Object} messageRef - Firestore reference of the message
+ * @param {Object} message - Message data with an `unsubscribe` field
+ * @returns {Promise<Object>} - { status, method, httpStatus?, link?, error?, at }; status is
+ *                              "unsubscribed", "manual" (open `link`) or "failed"
+ */
+const unsubscribeFromMessage = async (userId, messageRef, message) => {
+    const { url, mailto, oneClick } = message.unsubscribe;
+    let result;
+
+    try {
+        if (url && oneClick) {
+            result = await oneClickUnsubscribe(url);
+        } else if (mailto) {
+            result = await mailtoUnsubscribe(userId, mailto);
+        } else {
+            // A plain link may lead to a confirmation page, which only the user can fill in
+            result = { status: 'manual', method: 'link', link: url };
+        }
+    } catch (error) {
+        console.error(`Unsubscribe failed for message ${messageRef.id}:`, error.message);
+        result = { status: 'failed', method: url && oneClick ? 'one-click' : 'mailto', error: error.message };
+    }
+
+    result.at = new Date();
+    await messageRef.update({ unsubscribeResult: result });
+
+    return result;
+};
+
+module.exports = {
+    GMAIL_SEND_SCOPE,
+    isPrivateAddress,
+    parseMailtoLink,
+    buildMailtoMessage,
+    unsubscribeFromMessage
+};
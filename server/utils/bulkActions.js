@@ -0,0 +1,169 @@
+/**
+ * Bulk Actions Utility
+ *
+ * Checks for POST /api/messages/bulk: which action to run, and on which messages (a list
+ * of message IDs, or a filter with the query parameters of GET /api/messages).
+ */
+
+const BULK_ACTIONS = ['markRead', 'markUnread', 'archive', 'unarchive', 'label', 'priority', 'convertToTask'];
+
+// Most messages one request may change
+const BULK_MAX_MESSAGES = parseInt(process.env.BULK_MAX_MESSAGES) || 500;
+// Each conversion is a model call, so far fewer messages can become tasks at once
+const BULK_MAX_TASK_CONVERSIONS = parseInt(process.env.BULK_MAX_TASK_CONVERSIONS) || 25;
+
+// GET /api/messages parameters a bulk filter may use
+const BULK_FILTER_FIELDS = [
+  'view', 'label', 'type', 'read', 'priority', 'category', 'minConfidence', 'hasDeadline', 'deadlineBefore'
+];
+
+/**
+ * Turn a bulk filter into the query parameters of GET /api/messages: booleans and
+ * numbers become strings and lists are joined with commas
+ * @param {Object} filter - Filter from the request body
+ * @returns {Object} - { params } or { error }
+ */
+function normalizeBulkFilter(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'filter must be an object' };
+  }
+
+  const unknown = Object.keys(filter).filter(key => !BULK_FILTER_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown filter fields: ${unknown.join(', ')}` };
+  }
+
+  const params = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === null || value === undefined || value === '') continue;
+    params[key] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+
+  return { params };
+}
+
+/**
+ * Check a bulk request
+ * @param {Object} body - { action, messageIds?, filter?, priority?, addLabels?, removeLabels? }
+ * @param {Array<string>} priorities - Priorities a message can have
+ * @returns {Object} - { action, messageIds, filterParams, maxMessages, options } or { error }
+ */
+function validateBulkRequest(body, priorities) {
+  const { action, messageIds, filter, priority, addLabels = [], removeLabels = [] } = body || {};
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${BULK_ACTIONS.join(', ')}` };
+  }
+  if ((messageIds === undefined) === (filter === undefined)) {
+    return { error: 'Pass either messageIds or filter' };
+  }
+
+  const maxMessages = action === 'convertToTask' ? BULK_MAX_TASK_CONVERSIONS : BULK_MAX_MESSAGES;
+  let filterParams = null;
+
+  if (messageIds !== undefined) {
+    if (!Array.isArray(messageIds) || messageIds.length === 0 ||
+      !messageIds.every(id => typeof id === 'string' && id)) {
+      return { error: 'messageIds must be a non-empty array of message IDs' };
+    }
+    if (new Set(messageIds).size > maxMessages) {
+      return { error: `At most ${maxMessages} messages can be changed at once` };
+    }
+  } else {
+    const normalized = normalizeBulkFilter(filter);
+    if (normalized.error) return { error: normalized.error };
+    filterParams = normalized.params;
+  }
+
+  const options = {};
+  if (action === 'priority') {
+    if (!priorities.includes(priority)) {
+      return { error: `Priority must be one of: ${priorities.join(', ')}` };
+    }
+    options.priority = priority;
+  }
+  if (action === 'label') {
+    const isIdList = (value) => Array.isArray(value) && value.every(id => typeof id === 'string' && id);
+    if (!isIdList(addLabels) || !isIdList(removeLabels)) {
+      return { error: 'addLabels and removeLabels must be arrays of label IDs' };
+    }
+    if (addLabels.length === 0 && removeLabels.length === 0) {
+      return { error: 'Pass addLabels or removeLabels' };
+    }
+    options.addLabels = [...new Set(addLabels)];
+    // A label both added and removed ends up on the message
+    options.removeLabels = [...new Set(removeLabels)].filter(id => !addLabels.includes(id));
+  }
+
+  return {
+    action,
+    messageIds: messageIds ? [...new Set(messageIds)] : null,
+    filterParams,
+    maxMessages,
+    options
+  };
+}
+
+/**
+ * Apply a label change to the labels of a message
+ * @param {Array<string>} labels - Current label IDs
+ * @param {Object} change - { addLabels, removeLabels }
+ * @returns {Array<string>} - New label IDs, in their current order with added ones last
+ */
+function applyLabelChange(labels, { addLabels, removeLabels }) {
+  const kept = labels.filter(id => !removeLabels.includes(id));
+  return [...kept, ...addLabels.filter(id => !kept.includes(id))];
+}
+
+/**
+ * Split a list into chunks
+ * @param {Array} items - Items
+ * @param {number} size - Items per chunk
+ * @returns {Array<Array>}
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Split a list into chunks of at most maxWrites Firestore writes; an item with more
+ * writes than that gets a chunk of its own
+ * @param {Array} items - Items
+ * @param {Function} getWrites - Number of writes of an item
+ * @param {number} maxWrites - Writes per chunk
+ * @returns {Array<Array>}
+ */
+function chunkByWrites(items, getWrites, maxWrites) {
+  const chunks = [];
+  let current = [];
+  let writes = 0;
+
+  items.forEach(item => {
+    const itemWrites = getWrites(item);
+    if (current.length > 0 && writes + itemWrites > maxWrites) {
+      chunks.push(current);
+      current = [];
+      writes = 0;
+    }
+    current.push(item);
+    writes += itemWrites;
+  });
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  BULK_MAX_MESSAGES,
+  BULK_MAX_TASK_CONVERSIONS,
+  normalizeBulkFilter,
+  validateBulkRequest,
+  applyLabelChange,
+  chunk,
+  chunkByWrites
+};
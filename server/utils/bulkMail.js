@@ -0,0 +1,65 @@
+/**
+ * Bulk Mail Utility
+ *
+ * Recognizes newsletters, mailing list traffic and machine-generated mail from their
+ * headers, before the LLM classifier runs:
+ * - List-Id / List-Unsubscribe (RFC 2919, RFC 2369): sent to a list
+ * - Precedence: bulk, list or junk
+ * - Auto-Submitted (RFC 3834): anything but "no" is automated (notifications, auto-replies)
+ *
+ * Also reads the unsubscribe options of List-Unsubscribe and List-Unsubscribe-Post
+ * (RFC 8058 one-click).
+ */
+
+const BULK_PRECEDENCE = ['bulk', 'list', 'junk'];
+
+/**
+ * Read the unsubscribe options of a message
+ * @param {string} listUnsubscribe - List-Unsubscribe header, e.g. "<mailto:...>, <https://...>"
+ * @param {string} listUnsubscribePost - List-Unsubscribe-Post header
+ * @returns {Object|null} - { url, mailto, oneClick }, null when there is no way to unsubscribe
+ */
+function parseListUnsubscribe(listUnsubscribe, listUnsubscribePost) {
+  const targets = (String(listUnsubscribe || '').match(/<[^>]+>/g) || [])
+    .map(target => target.slice(1, -1).trim());
+
+  // Only HTTPS links are followed; plain HTTP would leak the unsubscribe token
+  const url = targets.find(target => /^https:\/\//i.test(target)) || null;
+  const mailto = targets.find(target => /^mailto:/i.test(target)) || null;
+  if (!url && !mailto) return null;
+
+  return {
+    url,
+    mailto,
+    // RFC 8058: the sender accepts a POST of "List-Unsubscribe=One-Click" to the URL
+    oneClick: Boolean(url) && /List-Unsubscribe\s*=\s*One-Click/i.test(listUnsubscribePost || '')
+  };
+}
+
+/**
+ * Decide whether a message is bulk or automated mail
+ * @param {Object} headers - { listId, listUnsubscribe, precedence, autoSubmitted }
+ * @returns {Object} - { isBulk, isAutomated, bulkReason } (bulkReason names the header, null for personal mail)
+ */
+function detectBulkMail(headers = {}) {
+  const precedence = String(headers.precedence || '').trim().toLowerCase();
+  const autoSubmitted = String(headers.autoSubmitted || '').trim().toLowerCase().split(';')[0];
+
+  let bulkReason = null;
+  if (headers.listUnsubscribe) bulkReason = 'List-Unsubscribe';
+  else if (headers.listId) bulkReason = 'List-Id';
+  else if (BULK_PRECEDENCE.includes(precedence)) bulkReason = `Precedence: ${precedence}`;
+
+  const isAutomated = Boolean(autoSubmitted) && autoSubmitted !== 'no';
+
+  return {
+    isBulk: Boolean(bulkReason),
+    isAutomated,
+    bulkReason: bulkReason || (isAutomated ? `Auto-Submitted: ${autoSubmitted}` : null)
+  };
+}
+
+module.exports = {
+  parseListUnsubscribe,
+  detectBulkMail
+};
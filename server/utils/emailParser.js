@@ -1,19 +1,63 @@
 /**
  * Email Parser Utility
- * 
+ *
  * Extracts text content from Gmail API message objects.
- * Handles different MIME types and parts of the email.
+ * Handles different MIME types and parts of the email:
+ * - base64url bodies decoded with the charset of their Content-Type
+ *   (UTF-8, ISO-8859-x, Windows-125x, ...; anything TextDecoder knows)
+ * - RFC 2047 encoded words in headers ("=?ISO-8859-1?Q?Caf=E9?=")
+ * - HTML-only messages converted to readable text that keeps links and lists
+ * - attachments are never read as body text
  */
 
+// HTML entities seen in real-world mail, besides numeric ones (&#233; &#xE9;)
+const HTML_ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  deg: '°',
+  times: '×',
+  zwnj: '',
+  zwj: '',
+  shy: ''
+};
+
+// Windows-1252 characters for bytes 0x80-0x9F. Node 20's TextDecoder decodes this range
+// as Latin-1 control characters, which turns "€", "–" and curly quotes into nothing.
+const WINDOWS_1252_HIGH = '€\ufffd‚ƒ„…†‡ˆ‰Š‹Œ\ufffdŽ\ufffd\ufffd‘’“”•–—˜™š›œ\ufffdžŸ';
+
 /**
  * Parse email body from Gmail API message data
  * @param {Object} message - Gmail API message object
- * @returns {Object} - Email content with text and html parts
+ * @returns {Object} - Email content with text and html parts, and the iCalendar text of
+ *                   text/calendar parts (meeting invites)
  */
 function parseEmailBody(message) {
   const result = {
     text: '',
-    html: ''
+    html: '',
+    calendar: ''
   };
 
   if (!message.payload) {
@@ -22,28 +66,94 @@ function parseEmailBody(message) {
 
   // Extract parts and process content based on MIME types
   extractParts(message.payload, result);
-  
+
+  // HTML-only mail: store readable text, not markup
+  if (!result.text.trim() && result.html) {
+    result.text = htmlToText(result.html);
+  }
+
   // Clean up the text content
   result.text = cleanTextContent(result.text);
 
   return result;
 }
 
+/**
+ * Read the decoded headers of a Gmail API message
+ * @param {Object} message - Gmail API message object
+ * @returns {Object} - { subject, from, to, replyTo, date, listId, listUnsubscribe, listUnsubscribePost, precedence,
+ *                     autoSubmitted, messageId, inReplyTo, references } ('' when missing)
+ */
+function parseEmailHeaders(message) {
+  const headers = (message.payload && message.payload.headers) || [];
+
+  return {
+    subject: decodeMimeWords(getHeader(headers, 'Subject')),
+    from: decodeMimeWords(getHeader(headers, 'From')),
+    to: decodeMimeWords(getHeader(headers, 'To')),
+    replyTo: decodeMimeWords(getHeader(headers, 'Reply-To')),
+    date: getHeader(headers, 'Date'),
+    listId: decodeMimeWords(getHeader(headers, 'List-Id')),
+    // Bulk mail headers (see utils/bulkMail.js)
+    listUnsubscribe: getHeader(headers, 'List-Unsubscribe'),
+    listUnsubscribePost: getHeader(headers, 'List-Unsubscribe-Post'),
+    precedence: getHeader(headers, 'Precedence'),
+    autoSubmitted: getHeader(headers, 'Auto-Submitted'),
+    // Threading headers (RFC 5322)
+    messageId: getHeader(headers, 'Message-ID'),
+    inReplyTo: getHeader(headers, 'In-Reply-To'),
+    references: getHeader(headers, 'References')
+  };
+}
+
+/**
+ * Collect the attachment parts of a Gmail API message, including those nested in
+ * multipart/mixed, multipart/related and forwarded message/rfc822 parts
+ * @param {Object} message - Gmail API message object
+ * @returns {Array} - Attachment parts ({ filename, mimeType, body: { size, data?, attachmentId? } })
+ */
+function getAttachmentParts(message) {
+  const attachments = [];
+
+  const collect = (part) => {
+    if (part.body && isAttachment(part) && (part.body.attachmentId || part.body.data)) {
+      attachments.push({ ...part, filename: decodeMimeWords(part.filename) || 'attachment' });
+    }
+    (part.parts || []).forEach(collect);
+  };
+
+  if (message.payload) collect(message.payload);
+  return attachments;
+}
+
+/**
+ * Find a header value by name (case-insensitive)
+ * @param {Array} headers - [{ name, value }]
+ * @param {string} name - Header name
+ * @returns {string} - Header value or ''
+ */
+function getHeader(headers, name) {
+  const header = (headers || []).find(item => item.name && item.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value || '' : '';
+}
+
 /**
  * Extract parts from message payload recursively
  * @param {Object} part - Message part from Gmail API
  * @param {Object} result - Object to accumulate extracted content
  */
 function extractParts(part, result) {
-  // Check if this part has a body with data
-  if (part.body && part.body.data) {
-    const content = Buffer.from(part.body.data, 'base64').toString('utf-8');
-    
+  // Check if this part has a body with data (attachments are not body text)
+  if (part.body && part.body.data && !isAttachment(part)) {
+    const content = decodeBody(part.body.data, getCharset(part));
+
     // Assign content to appropriate result property based on MIME type
     if (part.mimeType === 'text/plain') {
       result.text += content;
     } else if (part.mimeType === 'text/html') {
       result.html += content;
+    } else if (part.mimeType === 'text/calendar') {
+      result.calendar += content;
     }
   }
 
@@ -55,6 +165,168 @@ function extractParts(part, result) {
   }
 }
 
+/**
+ * Check whether a MIME part is an attachment rather than a body
+ * @param {Object} part - Message part from Gmail API
+ * @returns {boolean}
+ */
+function isAttachment(part) {
+  const disposition = getHeader(part.headers, 'Content-Disposition').toLowerCase();
+  return Boolean(part.filename) || disposition.startsWith('attachment');
+}
+
+/**
+ * Read the charset of a MIME part from its Content-Type header
+ * @param {Object} part - Message part from Gmail API
+ * @returns {string} - Charset label, 'utf-8' when none is given
+ */
+function getCharset(part) {
+  const contentType = getHeader(part.headers, 'Content-Type');
+  const match = contentType.match(/charset\s*=\s*"?([^";\s]+)"?/i);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Decode bytes in a charset, falling back to UTF-8 for unknown charsets
+ * @param {Buffer} bytes - Raw bytes
+ * @param {string} charset - Charset label, e.g. "iso-8859-2" or "windows-1252"
+ * @returns {string} - Decoded text
+ */
+function decodeBytes(bytes, charset) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset || 'utf-8');
+  } catch (error) {
+    decoder = new TextDecoder('utf-8');
+  }
+
+  // "iso-8859-1", "us-ascii" and "latin1" are aliases of windows-1252 as well
+  if (decoder.encoding === 'windows-1252') {
+    return Array.from(bytes, byte => byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte)).join('');
+  }
+  return decoder.decode(bytes);
+}
+
+/**
+ * Decode a Gmail API body (base64url, padding optional) in its charset
+ * @param {string} data - body.data from the Gmail API
+ * @param {string} charset - Charset of the part
+ * @returns {string} - Decoded text
+ */
+function decodeBody(data, charset) {
+  // Some clients hand over standard base64; normalize it to base64url first
+  const base64url = data.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return decodeBytes(Buffer.from(base64url, 'base64url'), charset);
+}
+
+/**
+ * Decode RFC 2047 encoded words in a header value
+ *
+ * Adjacent encoded words are joined before decoding: mail clients split long subjects
+ * in the middle of multi-byte characters.
+ *
+ * @param {string} value - Header value, e.g. "=?UTF-8?B?SGVsbG8=?= world"
+ * @returns {string} - Decoded header value
+ */
+function decodeMimeWords(value) {
+  if (!value || !value.includes('=?')) return value || '';
+
+  const encodedWord = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+  const pieces = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = encodedWord.exec(value)) !== null) {
+    const between = value.slice(lastIndex, match.index);
+    const previous = pieces[pieces.length - 1];
+    // Whitespace between two encoded words is not part of the text
+    if (!(previous && previous.encoded && /^\s*$/.test(between)) && between) {
+      pieces.push({ text: between });
+    }
+
+    // The charset may carry an RFC 2231 language suffix ("utf-8*en")
+    const charset = match[1].split('*')[0].toLowerCase();
+    const bytes = match[2].toUpperCase() === 'B'
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(match[3].replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+
+    const last = pieces[pieces.length - 1];
+    if (last && last.encoded && last.charset === charset && /^\s*$/.test(between)) {
+      last.bytes = Buffer.concat([last.bytes, bytes]);
+    } else {
+      pieces.push({ encoded: true, charset, bytes });
+    }
+    lastIndex = encodedWord.lastIndex;
+  }
+  pieces.push({ text: value.slice(lastIndex) });
+
+  return pieces
+    .map(piece => piece.encoded ? decodeBytes(piece.bytes, piece.charset) : piece.text)
+    .join('');
+}
+
+/**
+ * Decode named and numeric HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+    }
+    const named = HTML_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+/**
+ * Convert an HTML email to readable plain text
+ *
+ * Keeps the structure a reader (or the LLM) needs: paragraphs and line breaks, list
+ * items as "- item", links as "text (url)", and table cells separated by spaces.
+ * Head, style and script content, comments and tracking images are dropped.
+ *
+ * @param {string} html - HTML body
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  const text = html
+    // Content that is never shown
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    // Whitespace in the source is not significant in HTML
+    .replace(/\s+/g, ' ')
+    // Links keep their target unless the text already shows it
+    .replace(/<a\b[^>]*?href\s*=\s*("([^"]*)"|'([^']*)')[^>]*>([\s\S]*?)<\/a\s*>/gi, (match, quoted, doubleQuoted, singleQuoted, inner) => {
+      const href = decodeHtmlEntities((doubleQuoted !== undefined ? doubleQuoted : singleQuoted) || '').trim();
+      const label = inner.replace(/<[^>]+>/g, '').trim();
+      const shownHref = href.replace(/^mailto:/i, '');
+      if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return label;
+      if (!label || decodeHtmlEntities(label) === shownHref) return shownHref;
+      return `${label} (${shownHref})`;
+    })
+    // Structure
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<hr\b[^>]*>/gi, '\n---\n')
+    .replace(/<\/?(p|div|h[1-6]|ul|ol|table|tr|blockquote|section|article|header|footer|pre)\b[^>]*>/gi, '\n')
+    .replace(/<\/?(td|th)\b[^>]*>/gi, ' ')
+    .replace(/<img\b[^>]*?alt\s*=\s*"([^"]+)"[^>]*>/gi, ' $1 ')
+    // Everything else
+    .replace(/<[^>]+>/g, '');
+
+  return decodeHtmlEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
 /**
  * Clean up text content by removing excessive whitespace and normalizing line breaks
  * @param {string} text - Raw text content
@@ -62,10 +334,12 @@ function extractParts(part, result) {
  */
 function cleanTextContent(text) {
   if (!text) return '';
-  
+
   return text
+    // Normalize line breaks
+    .replace(/\r\n|\r/g, '\n')
     // Replace multiple line breaks with two line breaks
-    .replace(/(\r\n|\r|\n){3,}/g, '\n\n')
+    .replace(/\n{3,}/g, '\n\n')
     // Replace tabs with spaces
     .replace(/\t/g, ' ')
     // Replace multiple spaces with a single space
@@ -75,5 +349,9 @@ function cleanTextContent(text) {
 }
 
 module.exports = {
-  parseEmailBody
-};
\ No newline at end of file
+  parseEmailBody,
+  parseEmailHeaders,
+  getAttachmentParts,
+  decodeMimeWords,
+  htmlToText
+};
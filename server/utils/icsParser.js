@@ -0,0 +1,326 @@
+/**
+ * iCalendar Parser Utility
+ *
+ * Reads the VEVENTs of a text/calendar part or .ics attachment (RFC 5545) as sent with
+ * meeting invites by Google Calendar, Outlook and most other calendar clients:
+ * - unfolds continuation lines and unescapes text values
+ * - converts DTSTART/DTEND to UTC, honouring TZID (IANA names, and otherwise the
+ *   standard offset of the calendar's own VTIMEZONE block)
+ * - reads the organizer, the attendees with their participation status, and the
+ *   calendar METHOD (REQUEST for invites and updates, CANCEL for cancellations)
+ *
+ * Recurrence rules are kept as text; only the first occurrence gets a start and end.
+ */
+
+// Participation statuses (PARTSTAT), lowercased
+const RSVP_STATUSES = ['needs-action', 'accepted', 'declined', 'tentative', 'delegated'];
+
+/**
+ * Parse an iCalendar document
+ * @param {string} text - iCalendar text
+ * @returns {Object} - { method, events: [{ uid, sequence, recurrenceId, title, description,
+ *                     location, organizer, attendees, start, end, allDay, status, recurrence }] }
+ */
+function parseCalendar(text) {
+  const root = buildComponentTree(unfoldLines(text));
+  const calendar = root.components.find(component => component.name === 'VCALENDAR') || root;
+  const timezones = getTimezoneOffsets(calendar);
+
+  const events = calendar.components
+    .filter(component => component.name === 'VEVENT')
+    .map(component => parseEvent(component, timezones))
+    .filter(event => event.uid && event.start);
+
+  return {
+    method: (getValue(calendar, 'METHOD') || 'PUBLISH').toUpperCase(),
+    events
+  };
+}
+
+/**
+ * Get an attendee's participation status from an event
+ * @param {Object} event - Parsed event
+ * @param {Array<string>} emails - Addresses of the mailbox owner
+ * @returns {string|null} - Lowercased PARTSTAT, or null when none of the addresses is invited
+ */
+function getRsvpStatus(event, emails) {
+  const addresses = (emails || []).map(email => String(email).toLowerCase());
+  const attendee = (event.attendees || []).find(item => addresses.includes(item.email));
+  return attendee ? attendee.status : null;
+}
+
+/**
+ * Join folded lines (a line starting with a space or tab continues the previous one)
+ * @param {string} text - iCalendar text
+ * @returns {Array<string>} - Content lines
+ */
+function unfoldLines(text) {
+  return String(text || '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+/**
+ * Parse a content line ("DTSTART;TZID=Europe/Berlin:20261020T100000")
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} - { name, params, value }
+ */
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.substring(0, colon).match(/(?:[^;"]+|"[^"]*")+/g) || [''];
+  const params = {};
+  paramParts.forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator === -1) return;
+    params[part.substring(0, separator).toUpperCase()] = part.substring(separator + 1).replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.substring(colon + 1) };
+}
+
+/**
+ * Nest the content lines into BEGIN/END components
+ * @param {Array<string>} lines - Content lines
+ * @returns {Object} - Root component { name, properties, components }
+ */
+function buildComponentTree(lines) {
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  lines.forEach(line => {
+    const property = parseLine(line);
+    if (!property) return;
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  });
+
+  return root;
+}
+
+/**
+ * Find a property of a component
+ * @param {Object} component - Component
+ * @param {string} name - Property name
+ * @returns {Object|undefined} - { name, params, value }
+ */
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name);
+}
+
+/**
+ * Read the unescaped text value of a property
+ * @param {Object} component - Component
+ * @param {string} name - Property name
+ * @returns {string} - Value, '' when missing
+ */
+function getValue(component, name) {
+  const property = getProperty(component, name);
+  return property ? unescapeText(property.value) : '';
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Escaped value
+ * @returns {string}
+ */
+function unescapeText(value) {
+  return String(value || '')
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Read a CAL-ADDRESS property (ORGANIZER, ATTENDEE)
+ * @param {Object} property - { params, value }
+ * @returns {Object} - { name, email }
+ */
+function parseAddress(property) {
+  return {
+    name: property.params.CN || '',
+    email: property.value.replace(/^mailto:/i, '').trim().toLowerCase()
+  };
+}
+
+/**
+ * Parse a VEVENT component
+ * @param {Object} component - VEVENT component
+ * @param {Object} timezones - Offsets of the calendar's VTIMEZONEs in minutes, by TZID
+ * @returns {Object} - Event
+ */
+function parseEvent(component, timezones) {
+  const startProperty = getProperty(component, 'DTSTART');
+  const endProperty = getProperty(component, 'DTEND');
+  const start = startProperty ? parseDateTime(startProperty, timezones) : null;
+  let end = endProperty ? parseDateTime(endProperty, timezones) : null;
+
+  // Without DTEND the event lasts DURATION, a day for all-day events, or no time at all
+  if (start && !end) {
+    const duration = parseDuration(getValue(component, 'DURATION'));
+    end = {
+      date: new Date(start.date.getTime() + (duration !== null ? duration : start.allDay ? 24 * 60 * 60 * 1000 : 0)),
+      allDay: start.allDay
+    };
+  }
+
+  const organizerProperty = getProperty(component, 'ORGANIZER');
+  const attendees = component.properties
+    .filter(property => property.name === 'ATTENDEE')
+    .map(property => {
+      const status = (property.params.PARTSTAT || 'NEEDS-ACTION').toLowerCase();
+      return {
+        ...parseAddress(property),
+        status: RSVP_STATUSES.includes(status) ? status : 'needs-action',
+        rsvp: (property.params.RSVP || '').toUpperCase() === 'TRUE'
+      };
+    });
+
+  return {
+    uid: getValue(component, 'UID'),
+    sequence: parseInt(getValue(component, 'SEQUENCE')) || 0,
+    recurrenceId: getValue(component, 'RECURRENCE-ID'),
+    title: getValue(component, 'SUMMARY') || 'Untitled event',
+    description: getValue(component, 'DESCRIPTION'),
+    location: getValue(component, 'LOCATION'),
+    organizer: organizerProperty ? parseAddress(organizerProperty) : null,
+    attendees,
+    start: start ? start.date.toISOString() : null,
+    end: end ? end.date.toISOString() : null,
+    allDay: start ? start.allDay : false,
+    status: (getValue(component, 'STATUS') || 'CONFIRMED').toLowerCase(),
+    recurrence: getValue(component, 'RRULE')
+  };
+}
+
+/**
+ * Parse a DATE or DATE-TIME property to a UTC date
+ * @param {Object} property - { params, value }
+ * @param {Object} timezones - VTIMEZONE offsets in minutes, by TZID
+ * @returns {Object|null} - { date, allDay }
+ */
+function parseDateTime(property, timezones) {
+  const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hour || 0), Number(minute || 0), Number(second || 0)];
+
+  // All-day events have no time and belong to no timezone; they are stored as UTC midnight
+  if (!hour) return { date: new Date(Date.UTC(...parts)), allDay: true };
+  if (utc) return { date: new Date(Date.UTC(...parts)), allDay: false };
+
+  // Floating times (no TZID) are read as UTC
+  const timeZone = property.params.TZID;
+  return { date: new Date(zonedTimeToUtc(parts, timeZone, timezones)), allDay: false };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC timestamp
+ * @param {Array<number>} parts - [year, monthIndex, day, hour, minute, second]
+ * @param {string} timeZone - TZID
+ * @param {Object} timezones - VTIMEZONE offsets in minutes, by TZID
+ * @returns {number} - Milliseconds since the epoch
+ */
+function zonedTimeToUtc(parts, timeZone, timezones) {
+  const wallClock = Date.UTC(...parts);
+  if (!timeZone) return wallClock;
+
+  try {
+    // The offset depends on the instant, so correct once for DST transitions
+    const first = wallClock - getIanaOffset(wallClock, timeZone);
+    return wallClock - getIanaOffset(first, timeZone);
+  } catch (error) {
+    // Not an IANA name (e.g. Outlook's "W. Europe Standard Time"): use the VTIMEZONE
+    const offset = timezones[timeZone];
+    return wallClock - (offset || 0) * 60 * 1000;
+  }
+}
+
+/**
+ * Offset of an IANA timezone from UTC at an instant
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone name; throws a RangeError for unknown names
+ * @returns {number} - Offset in milliseconds
+ */
+function getIanaOffset(timestamp, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const values = {};
+  formatter.formatToParts(new Date(timestamp)).forEach(part => {
+    values[part.type] = Number(part.value);
+  });
+
+  const local = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Read the standard-time offset of every VTIMEZONE in a calendar
+ * @param {Object} calendar - VCALENDAR component
+ * @returns {Object} - Offset in minutes, by TZID
+ */
+function getTimezoneOffsets(calendar) {
+  const offsets = {};
+
+  calendar.components
+    .filter(component => component.name === 'VTIMEZONE')
+    .forEach(component => {
+      const tzid = getValue(component, 'TZID');
+      const standard = component.components.find(item => item.name === 'STANDARD') || component.components[0];
+      const match = standard && getValue(standard, 'TZOFFSETTO').match(/^([+-])(\d{2})(\d{2})/);
+      if (tzid && match) {
+        offsets[tzid] = (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+      }
+    });
+
+  return offsets;
+}
+
+/**
+ * Parse a DURATION value ("PT1H30M", "P1D")
+ * @param {string} value - Duration
+ * @returns {number|null} - Milliseconds, null when missing or invalid
+ */
+function parseDuration(value) {
+  const match = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const milliseconds = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -milliseconds : milliseconds;
+}
+
+module.exports = {
+  parseCalendar,
+  getRsvpStatus
+};
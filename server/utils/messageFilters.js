@@ -0,0 +1,67 @@
+/**
+ * Message Filters Utility
+ *
+ * Filters of GET /api/messages that Firestore can't run next to the timestamp order, and
+ * the bounds of the deadline filter and facets. Deadlines are stored as Timestamps at
+ * midnight UTC of the day the email asks for (see scripts/classifyEmailToMessage.js).
+ */
+
+/**
+ * Turn a stored deadline into a Date
+ * @param {Object|Date|string} deadline - Firestore Timestamp, Date or ISO date
+ * @returns {Date|null}
+ */
+function toDeadlineDate(deadline) {
+  if (!deadline) return null;
+  const date = typeof deadline.toDate === 'function' ? deadline.toDate() : new Date(deadline);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read the deadlineBefore filter: deadlines on or before that day match
+ * @param {string} deadlineBefore - Date from the query string
+ * @returns {Object} - { deadlineBound } with the last moment of that day (UTC), or { error }
+ */
+function parseDeadlineBefore(deadlineBefore) {
+  const before = new Date(deadlineBefore);
+  if (isNaN(before.getTime())) {
+    return { error: 'deadlineBefore must be a date' };
+  }
+
+  const nextDay = Date.UTC(before.getUTCFullYear(), before.getUTCMonth(), before.getUTCDate() + 1);
+  return { deadlineBound: new Date(nextDay - 1) };
+}
+
+/**
+ * Get the start of today (UTC); deadlines before it are overdue
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function getStartOfToday(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Check the filters Firestore can't run next to the timestamp order
+ * @param {Object} message - Message data
+ * @param {Object} filters - { categories, minConfidence, hasDeadline, deadlineBound }
+ * @returns {boolean}
+ */
+function matchesPageFilters(message, { categories, minConfidence, hasDeadline, deadlineBound }) {
+  // Messages classified by a rule (or before categories existed) have no category
+  if (categories && !categories.includes(message.category || 'uncategorized')) return false;
+  if (minConfidence !== null && !(typeof message.confidence === 'number' && message.confidence >= minConfidence)) return false;
+  if ((hasDeadline === 'true' || hasDeadline === 'false') && Boolean(message.deadline) !== (hasDeadline === 'true')) return false;
+  if (deadlineBound) {
+    const deadline = toDeadlineDate(message.deadline);
+    if (!deadline || deadline > deadlineBound) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  toDeadlineDate,
+  parseDeadlineBefore,
+  getStartOfToday,
+  matchesPageFilters
+};
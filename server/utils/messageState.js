@@ -0,0 +1,121 @@
+/**
+ * Message State Utility
+ *
+ * Checks and diffs for the state a user sets on a message: archived, snoozed until a
+ * date, and their own labels (see services/messageStateService.js).
+ */
+
+// Latest date a message can be snoozed to
+const SNOOZE_MAX_DAYS = 365;
+const LABEL_NAME_MAX_LENGTH = 50;
+// Colors offered for labels (Tailwind palette names the client maps to classes)
+const LABEL_COLORS = ['gray', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink'];
+
+// Views of GET /api/messages; "inbox" hides archived and snoozed messages
+const MESSAGE_VIEWS = ['inbox', 'archived', 'snoozed', 'all'];
+
+/**
+ * Read the date a message is snoozed to
+ * @param {string|number} value - ISO date or epoch milliseconds
+ * @param {Date} now - Current time
+ * @returns {Object} - { until } with a Date, or { error }
+ */
+function parseSnoozeUntil(value, now = new Date()) {
+  const until = new Date(value);
+
+  if (value === null || value === undefined || value === '' || isNaN(until.getTime())) {
+    return { error: 'until must be a date' };
+  }
+  if (until <= now) {
+    return { error: 'until must be in the future' };
+  }
+  if (until - now > SNOOZE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `until must be within ${SNOOZE_MAX_DAYS} days` };
+  }
+
+  return { until };
+}
+
+/**
+ * Clean up a label name: trimmed, with runs of whitespace collapsed
+ * @param {string} name - Label name as typed
+ * @returns {string}
+ */
+function normalizeLabelName(name) {
+  return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+}
+
+/**
+ * Check a label name and color
+ * @param {Object} input - { name, color }; either may be left out when updating
+ * @param {boolean} partial - Whether the name may be left out
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateLabelInput({ name, color }, partial = false) {
+  if (name !== undefined || !partial) {
+    const normalized = normalizeLabelName(name);
+    if (!normalized) return 'Label name is required';
+    if (normalized.length > LABEL_NAME_MAX_LENGTH) {
+      return `Label name must be at most ${LABEL_NAME_MAX_LENGTH} characters`;
+    }
+  }
+  if (color !== undefined && !LABEL_COLORS.includes(color)) {
+    return `Color must be one of: ${LABEL_COLORS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Compare the labels of a message before and after a change
+ * @param {Array<string>} before - Label IDs on the message
+ * @param {Array<string>} after - Label IDs to set
+ * @returns {Object} - { added, removed }
+ */
+function diffLabels(before = [], after = []) {
+  return {
+    added: after.filter(id => !before.includes(id)),
+    removed: before.filter(id => !after.includes(id))
+  };
+}
+
+/**
+ * Turn an archive change and label changes into a Gmail users.messages.modify request.
+ * Gmail archives a message by taking the INBOX label off
+ * @param {Object} change - { archived?, addLabelIds?, removeLabelIds? } with Gmail label IDs
+ * @returns {Object} - { addLabelIds, removeLabelIds }
+ */
+function buildGmailModifyRequest({ archived, addLabelIds = [], removeLabelIds = [] }) {
+  const add = [...addLabelIds];
+  const remove = [...removeLabelIds];
+
+  if (archived === true) remove.push('INBOX');
+  if (archived === false) add.push('INBOX');
+
+  return {
+    addLabelIds: [...new Set(add)],
+    removeLabelIds: [...new Set(remove)].filter(id => !add.includes(id))
+  };
+}
+
+/**
+ * Check whether a message was fetched from Gmail (IMAP and Outlook mail have a serviceId
+ * instead of Gmail label IDs); its document ID is the Gmail message ID
+ * @param {Object} message - Message data
+ * @returns {boolean}
+ */
+function isGmailMessage(message) {
+  return message.type === 'email' && Array.isArray(message.labelIds);
+}
+
+module.exports = {
+  SNOOZE_MAX_DAYS,
+  LABEL_NAME_MAX_LENGTH,
+  LABEL_COLORS,
+  MESSAGE_VIEWS,
+  parseSnoozeUntil,
+  normalizeLabelName,
+  validateLabelInput,
+  diffLabels,
+  buildGmailModifyRequest,
+  isGmailMessage
+};
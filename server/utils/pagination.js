@@ -0,0 +1,82 @@
+/**
+ * Pagination Utility
+ *
+ * Cursor-based pagination for Firestore list endpoints. A query is ordered by one field
+ * plus the document ID (so documents with the same value keep a stable order), and the
+ * next page starts after the last document of the previous one.
+ *
+ * The cursor handed to the client is an opaque base64url token holding the order field
+ * value and the document ID, so a page can be resumed even if that document was deleted.
+ */
+
+const { admin } = require('../config/firebase');
+
+/**
+ * Order a query by a field, with the document ID breaking ties
+ * @param {Object} query - Firestore query
+ * @param {string} field - Field to order by
+ * @param {string} direction - "asc" or "desc"
+ * @returns {Object} - Ordered query
+ */
+function orderForCursor(query, field, direction = 'asc') {
+  return query
+    .orderBy(field, direction)
+    .orderBy(admin.firestore.FieldPath.documentId(), direction);
+}
+
+/**
+ * Turn the last document of a page into a cursor
+ * @param {Object} doc - Firestore document snapshot
+ * @param {string} field - Field the query is ordered by
+ * @returns {string} - Opaque cursor token
+ */
+function encodeCursor(doc, field) {
+  let value = doc.get(field);
+  if (value instanceof Date) value = admin.firestore.Timestamp.fromDate(value);
+
+  // Timestamps keep their nanoseconds (server timestamps are finer than milliseconds)
+  // and stay apart from strings, which some older documents use for dates
+  const encoded = value && typeof value.toDate === 'function'
+    ? { t: [value.seconds, value.nanoseconds] }
+    : { v: value === undefined ? null : value };
+
+  return Buffer.from(JSON.stringify({ ...encoded, id: doc.id })).toString('base64url');
+}
+
+/**
+ * Start a query after the document of a cursor
+ * @param {Object} query - Query ordered with orderForCursor
+ * @param {string} cursor - Cursor token from encodeCursor
+ * @returns {Object|null} - Query starting after the cursor, null if the cursor is invalid
+ */
+function startAfterCursor(query, cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.id !== 'string' || !decoded.id) return null;
+
+    if (Array.isArray(decoded.t)) {
+      // Throws for seconds or nanoseconds out of range
+      return query.startAfter(new admin.firestore.Timestamp(decoded.t[0], decoded.t[1]), decoded.id);
+    }
+    return 'v' in decoded ? query.startAfter(decoded.v, decoded.id) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the page size of a request
+ * @param {*} limit - "limit" query parameter
+ * @param {number} max - Largest page size allowed
+ * @returns {number}
+ */
+function parsePageSize(limit, max = 100) {
+  return Math.min(Math.max(parseInt(limit) || 10, 1), max);
+}
+
+module.exports = {
+  orderForCursor,
+  encodeCursor,
+  startAfterCursor,
+  parsePageSize
+};
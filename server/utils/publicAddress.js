@@ -0,0 +1,75 @@
+/**
+ * Public Address Utility
+ *
+ * Keeps connections the server makes on behalf of a user or an incoming email (one-click
+ * unsubscribe links, IMAP servers) out of its own network: private, loopback and
+ * link-local addresses are refused, after the DNS lookup so a public name pointing at a
+ * private address is refused too.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Check whether an IP address is private, loopback or link-local
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 ("::ffff:10.0.0.1")
+  const ipv4 = address.replace(/^::ffff:/i, '');
+
+  if (net.isIPv4(ipv4)) {
+    const [a, b] = ipv4.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const lower = address.toLowerCase();
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+/**
+ * DNS lookup that refuses private addresses, for the `lookup` option of http(s) agents
+ * and sockets
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(new Error(`Refusing to connect to private address ${blocked.address}`));
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Resolve a hostname to a public address to connect to; IP literals are checked as they are
+ * @param {string} hostname - Hostname or IP address
+ * @returns {Promise<string>} - IP address
+ */
+function resolvePublicAddress(hostname) {
+  const host = String(hostname).replace(/^\[|\]$/g, '');
+
+  if (net.isIP(host)) {
+    return isPrivateAddress(host)
+      ? Promise.reject(new Error(`Refusing to connect to private address ${host}`))
+      : Promise.resolve(host);
+  }
+
+  return new Promise((resolve, reject) => {
+    publicOnlyLookup(host, {}, (error, address) => (error ? reject(error) : resolve(address)));
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  publicOnlyLookup,
+  resolvePublicAddress
+};
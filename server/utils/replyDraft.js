@@ -0,0 +1,213 @@
+/**
+ * Reply Draft Utility
+ *
+ * The parts of drafting and sending replies (POST /api/messages/:id/draft-reply and
+ * /send-reply, and the Telegram /reply command) that need no Firestore or mail server:
+ * tones, request checks, the reply subject, recipient and threading headers, and the
+ * callback data of the Telegram buttons.
+ */
+
+// Tones a draft can be written in, with the instruction given to the model
+const REPLY_TONES = {
+  professional: 'Professional: clear and polite, as to a colleague or client',
+  friendly: 'Friendly: warm and personal, but still to the point',
+  formal: 'Formal: courteous and complete, without contractions or casual phrases',
+  concise: 'Concise: as short as possible, a few sentences that answer the email'
+};
+const DEFAULT_REPLY_TONE = 'professional';
+
+const REPLY_INSTRUCTIONS_MAX_LENGTH = 500;
+const REPLY_SIGNATURE_MAX_LENGTH = 500;
+const REPLY_BODY_MAX_LENGTH = 20000;
+// RFC 5322 allows 998 characters per header line
+const REPLY_SUBJECT_MAX_LENGTH = 998;
+// Message-IDs kept in References; long chains lose their middle, the root stays
+const REPLY_REFERENCES_MAX = 20;
+
+// "Re:" or "Re[2]:" at the start of a subject
+const REPLY_SUBJECT_PATTERN = /^\s*re(\[\d+\])?\s*:/i;
+
+/**
+ * Check a draft request
+ * @param {Object} body - { tone?, instructions? }
+ * @returns {Object} - { tone, instructions } or { error }
+ */
+function validateDraftRequest(body) {
+  const { tone = DEFAULT_REPLY_TONE, instructions = '' } = body || {};
+
+  if (!Object.prototype.hasOwnProperty.call(REPLY_TONES, tone)) {
+    return { error: `tone must be one of: ${Object.keys(REPLY_TONES).join(', ')}` };
+  }
+  if (typeof instructions !== 'string' || instructions.length > REPLY_INSTRUCTIONS_MAX_LENGTH) {
+    return { error: `instructions must be a string of at most ${REPLY_INSTRUCTIONS_MAX_LENGTH} characters` };
+  }
+
+  return { tone, instructions: instructions.trim() };
+}
+
+/**
+ * Check a send request
+ * @param {Object} body - { body, subject?, draftId? }
+ * @returns {Object} - { body, subject, draftId } or { error }; subject and draftId are null when not sent
+ */
+function validateSendRequest(body) {
+  const { body: text, subject = null, draftId = null } = body || {};
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'body must be the text of the reply' };
+  }
+  if (text.length > REPLY_BODY_MAX_LENGTH) {
+    return { error: `body must be at most ${REPLY_BODY_MAX_LENGTH} characters` };
+  }
+  if (subject !== null && (typeof subject !== 'string' || !subject.trim() || /[\r\n]/.test(subject) ||
+    subject.length > REPLY_SUBJECT_MAX_LENGTH)) {
+    return { error: `subject must be a single line of at most ${REPLY_SUBJECT_MAX_LENGTH} characters` };
+  }
+  if (draftId !== null && (typeof draftId !== 'string' || !draftId)) {
+    return { error: 'draftId must be a draft ID' };
+  }
+
+  return { body: text.trimEnd(), subject: subject && subject.trim(), draftId };
+}
+
+/**
+ * Subject of a reply: the original subject with "Re: " in front, once
+ * @param {string} subject - Subject of the message answered
+ * @returns {string}
+ */
+function buildReplySubject(subject) {
+  const original = String(subject || '').trim();
+  if (!original || original === 'No Subject') return 'Re:';
+  return REPLY_SUBJECT_PATTERN.test(original) ? original : `Re: ${original}`;
+}
+
+/**
+ * Split a Message-ID list (References header, or a list of IDs) into IDs without angle
+ * brackets, keeping their case: only the thread hashes compare them case-insensitively
+ * @param {string|Array} value - Header value or list
+ * @returns {Array<string>}
+ */
+function parseMessageIds(value) {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).match(/<[^>]+>/g) || [value];
+  return values.map(id => String(id).trim().replace(/^<|>$/g, '')).filter(Boolean);
+}
+
+/**
+ * Threading headers of a reply (RFC 5322 section 3.6.4): In-Reply-To is the Message-ID
+ * of the message answered, References its References followed by its Message-ID.
+ * Messages synced before References was kept fall back to the Message-IDs of the
+ * earlier messages of their thread
+ * @param {Object} message - Message answered, with its id
+ * @param {Array} threadMessages - Messages of its thread, oldest first (may be empty)
+ * @returns {Object} - { inReplyTo, references } as header values ("<id>"); inReplyTo is
+ *                     null and references empty when the message has no Message-ID
+ */
+function buildReplyHeaders(message, threadMessages = []) {
+  const parentId = parseMessageIds(message.internetMessageId)[0];
+  if (!parentId) return { inReplyTo: null, references: [] };
+
+  let references = parseMessageIds(message.references);
+  if (references.length === 0) {
+    const index = threadMessages.findIndex(item => item.id === message.id);
+    references = threadMessages
+      .slice(0, index === -1 ? 0 : index)
+      .flatMap(item => parseMessageIds(item.internetMessageId));
+  }
+
+  references = [...new Set([...references.filter(id => id !== parentId), parentId])];
+  if (references.length > REPLY_REFERENCES_MAX) {
+    references = [references[0], ...references.slice(references.length - REPLY_REFERENCES_MAX + 1)];
+  }
+
+  return {
+    inReplyTo: `<${parentId}>`,
+    references: references.map(id => `<${id}>`)
+  };
+}
+
+/**
+ * Address a reply goes to: the Reply-To of the message, else its sender
+ * @param {Object} message - Message answered
+ * @returns {string|null} - Address, null when the sender is unknown
+ */
+function getReplyRecipient(message) {
+  const replyTo = Array.isArray(message.replyTo) ? message.replyTo.filter(Boolean) : [];
+  if (replyTo.length > 0) return replyTo.join(', ');
+
+  const email = message.from && message.from.email;
+  // processParsedEmail stores this placeholder when the From header can't be read
+  return email && email !== 'unknown@example.com' ? email : null;
+}
+
+/**
+ * Why a message can't be answered
+ * @param {Object} message - Message data
+ * @returns {string|null} - Error, null when it can be answered
+ */
+function getReplyBlocker(message) {
+  if (message.type !== 'email') return 'Only emails can be answered';
+  if (!getReplyRecipient(message)) return 'The sender of this email is unknown';
+  return null;
+}
+
+/**
+ * Clean up the model's draft: code fences, a subject line and a signature dash line
+ * are left out, the user's signature goes under the text
+ * @param {string} text - Model output
+ * @param {string} signature - The user's signature ("" for none)
+ * @returns {string}
+ */
+function finishDraftBody(text, signature) {
+  const body = String(text || '')
+    .replace(/^```[a-z]*\n?|\n?```$/gi, '')
+    .replace(/^\s*subject:.*\n+/i, '')
+    .replace(/\n--\s*\n[\s\S]*$/, '')
+    .trim();
+
+  return signature ? `${body}\n${signature.trim()}` : body;
+}
+
+/**
+ * Callback data of a Telegram reply button. Telegram allows 64 bytes, which Gmail and
+ * IMAP message IDs and Firestore draft IDs fit in
+ * @param {string} action - "draft" (messageId), "tone" (draftId, tone), "send" or "discard" (draftId)
+ * @param {...string} args - IDs and tone
+ * @returns {string|null} - Callback data, null when it doesn't fit
+ */
+function buildReplyCallback(action, ...args) {
+  const data = ['reply', action, ...args].join(':');
+  return Buffer.byteLength(data) <= 64 ? data : null;
+}
+
+/**
+ * Read the callback data of a Telegram reply button
+ * @param {string} data - Callback data
+ * @returns {Object|null} - { action, id, tone? }, null when it isn't a reply button
+ */
+function parseReplyCallback(data) {
+  const match = String(data || '').match(/^reply:(draft|tone|send|discard):([^:]+)(?::([a-z]+))?$/);
+  if (!match) return null;
+
+  const [, action, id, tone] = match;
+  if (action === 'tone' && !Object.prototype.hasOwnProperty.call(REPLY_TONES, tone)) return null;
+
+  return action === 'tone' ? { action, id, tone } : { action, id };
+}
+
+module.exports = {
+  REPLY_TONES,
+  DEFAULT_REPLY_TONE,
+  REPLY_SIGNATURE_MAX_LENGTH,
+  REPLY_REFERENCES_MAX,
+  validateDraftRequest,
+  validateSendRequest,
+  buildReplySubject,
+  parseMessageIds,
+  buildReplyHeaders,
+  getReplyRecipient,
+  getReplyBlocker,
+  finishDraftBody,
+  buildReplyCallback,
+  parseReplyCallback
+};
@@ -0,0 +1,174 @@
+/**
+ * Reply Extractor Utility
+ *
+ * Separates what the sender actually wrote in an email from the text it carries along:
+ * - quoted replies: Gmail/Apple Mail "On ... wrote:" headers, Outlook "From:/Sent:"
+ *   header blocks and "-----Original Message-----", and "> " quoted lines
+ * - signatures: the "-- " delimiter, "Sent from my iPhone"-style footers, and the
+ *   short block under a sign-off such as "Best regards,"
+ * - legal disclaimers ("This email is confidential...", "CONFIDENTIALITY NOTICE")
+ *
+ * Forwarded messages are kept: there the forwarded text is the content.
+ */
+
+// Line that starts a quoted reply (checked on single lines and on two joined lines,
+// because Gmail wraps long "On ... wrote:" headers)
+const QUOTE_HEADER_PATTERNS = [
+  /^On\b.{0,250}\bwrote:\s*$/i,
+  /^Am\b.{0,250}\bschrieb.{0,120}:\s*$/i,
+  /^Le\b.{0,250}\ba écrit\s*:\s*$/i,
+  /^El\b.{0,250}\bescribió\s*:\s*$/i,
+  /^-{2,}\s*(Original Message|Ursprüngliche Nachricht|Message d'origine)\s*-{2,}\s*$/i
+];
+
+// Outlook quotes with a header block: "From: ..." followed by "Sent: ..." or "Date: ..."
+const OUTLOOK_FROM_PATTERN = /^\*?(From|Von|De):\*?\s+\S/i;
+const OUTLOOK_SENT_PATTERN = /^\*?(Sent|Date|Gesendet|Datum|Envoyé):\*?\s+\S/i;
+const OUTLOOK_SEPARATOR_PATTERN = /^_{10,}\s*$/;
+
+const FORWARD_PATTERNS = [
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+  /^Begin forwarded message:\s*$/i,
+  /^-{2,}\s*Weitergeleitete Nachricht\s*-{2,}\s*$/i
+];
+
+const SIGNATURE_DELIMITER_PATTERN = /^--\s?$/;
+
+const MOBILE_SIGNATURE_PATTERN = /^(Sent from my \w+|Sent from (Mail|Outlook) for \w+|Get Outlook for \w+|Sent from Yahoo Mail|Sent from Gmail|Von meinem \w+ gesendet|Envoyé de mon \w+)/i;
+
+const SIGN_OFF_PATTERN = /^((best|kind|warm|warmest)\s+(regards|wishes)|regards|best|cheers|thanks|thank you|many thanks|thanks again|sincerely|yours( truly| sincerely)?|all the best|mit freundlichen grüßen|viele grüße|beste grüße|liebe grüße|cordialement|bien à vous|saludos|un saludo)\s*[,.!]?$/i;
+
+// A signature under a sign-off is a few short lines (name, title, phone, company)
+const MAX_SIGNATURE_LINES = 6;
+const MAX_SIGNATURE_LINE_LENGTH = 80;
+const MAX_SIGNATURE_LINE_WORDS = 5;
+
+const DISCLAIMER_PATTERN = /^(\*+\s*)?(CONFIDENTIALITY NOTICE|DISCLAIMER|LEGAL NOTICE|This (e-?mail|message|communication)( and any (files|attachments)( transmitted with it)?)? (is|are|may contain|contains) (confidential|privileged|intended)|If you are not the intended recipient|Diese E-Mail enthält vertrauliche)/i;
+
+/**
+ * Find the line where a quoted reply starts
+ * @param {Array<string>} lines - Body lines
+ * @param {number} end - Index of the first line not to search (a forwarded message)
+ * @returns {number} - Line index, or -1 when the body quotes nothing
+ */
+function findQuoteStart(lines, end) {
+  for (let i = 0; i < end; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const joined = i + 1 < end ? `${line} ${lines[i + 1].trim()}` : line;
+    if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line) || pattern.test(joined))) {
+      return i;
+    }
+
+    if (OUTLOOK_FROM_PATTERN.test(line)) {
+      const nextLines = lines.slice(i + 1, i + 4).map(next => next.trim());
+      if (nextLines.some(next => OUTLOOK_SENT_PATTERN.test(next))) {
+        // Take the "________" separator above the header block along
+        const previous = i > 0 ? lines[i - 1].trim() : '';
+        return OUTLOOK_SEPARATOR_PATTERN.test(previous) ? i - 1 : i;
+      }
+    }
+
+    if (OUTLOOK_SEPARATOR_PATTERN.test(line) && i + 1 < end && OUTLOOK_FROM_PATTERN.test(lines[i + 1].trim())) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check whether a line under a sign-off looks like signature rather than a sentence,
+ * so "Thanks,\nplease send the report by Friday." keeps its request
+ * @param {string} line - Trimmed line
+ * @returns {boolean}
+ */
+function isSignatureLine(line) {
+  if (!line) return true;
+  if (line.length > MAX_SIGNATURE_LINE_LENGTH || line.endsWith('?')) return false;
+
+  // Phone numbers, addresses, links and "Title | Company" lines may be longer
+  return line.split(/\s+/).length <= MAX_SIGNATURE_LINE_WORDS || /[\d@|]|https?:|www\./i.test(line);
+}
+
+/**
+ * Find the line where the signature starts
+ * @param {Array<string>} lines - Body lines without quoted text
+ * @returns {number} - Line index, or -1 when no signature was found
+ */
+function findSignatureStart(lines) {
+  const delimiter = lines.findIndex((line, index) => index > 0 && SIGNATURE_DELIMITER_PATTERN.test(line));
+  if (delimiter !== -1) return delimiter;
+
+  const mobile = lines.findIndex((line, index) => index > 0 && MOBILE_SIGNATURE_PATTERN.test(line.trim()));
+
+  // Sign-off near the end: the short lines under it are the signature, the sign-off stays
+  const lastLine = mobile !== -1 ? mobile : lines.length;
+  for (let i = lastLine - 1; i > 0 && i >= lastLine - MAX_SIGNATURE_LINES - 1; i--) {
+    if (!SIGN_OFF_PATTERN.test(lines[i].trim())) continue;
+
+    const signatureLines = lines.slice(i + 1, lastLine).filter(line => line.trim());
+    if (signatureLines.length <= MAX_SIGNATURE_LINES && signatureLines.every(line => isSignatureLine(line.trim()))) {
+      return signatureLines.length > 0 ? i + 1 : mobile;
+    }
+    break;
+  }
+
+  return mobile;
+}
+
+/**
+ * Split an email body into the new content and what it carries along
+ *
+ * Falls back to the full body when nothing would be left (e.g. a message that is
+ * only a quote), so newContent is never empty for a non-empty body.
+ *
+ * @param {string} text - Plain text email body
+ * @returns {Object} - { newContent, quoted, signature, disclaimer } ('' for parts not found)
+ */
+function extractReply(text) {
+  const result = { newContent: '', quoted: '', signature: '', disclaimer: '' };
+  if (!text) return result;
+
+  let lines = text.replace(/\r\n|\r/g, '\n').split('\n');
+
+  // Quoted replies inside a forwarded message belong to the forwarded content
+  const forwardStart = lines.findIndex(line => FORWARD_PATTERNS.some(pattern => pattern.test(line.trim())));
+  const quoteStart = findQuoteStart(lines, forwardStart === -1 ? lines.length : forwardStart);
+  const quotedLines = [];
+
+  if (quoteStart !== -1) {
+    quotedLines.push(...lines.slice(quoteStart));
+    lines = lines.slice(0, quoteStart);
+  }
+
+  // Interleaved "> " quotes (answers written between quoted lines) outside a forward
+  const forwardIndex = lines.findIndex(line => FORWARD_PATTERNS.some(pattern => pattern.test(line.trim())));
+  const interleavedLines = [];
+  lines = lines.filter((line, index) => {
+    const isQuote = /^\s*>/.test(line) && (forwardIndex === -1 || index < forwardIndex);
+    if (isQuote) interleavedLines.push(line);
+    return !isQuote;
+  });
+
+  const disclaimerStart = lines.findIndex((line, index) => index > 0 && DISCLAIMER_PATTERN.test(line.trim()));
+  if (disclaimerStart !== -1) {
+    result.disclaimer = lines.slice(disclaimerStart).join('\n').trim();
+    lines = lines.slice(0, disclaimerStart);
+  }
+
+  const signatureStart = findSignatureStart(lines);
+  if (signatureStart !== -1) {
+    result.signature = lines.slice(signatureStart).join('\n').trim();
+    lines = lines.slice(0, signatureStart);
+  }
+
+  result.quoted = [...interleavedLines, ...quotedLines].join('\n').trim();
+  result.newContent = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() || text.trim();
+
+  return result;
+}
+
+module.exports = {
+  extractReply
+};
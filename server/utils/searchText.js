@@ -0,0 +1,276 @@
+/**
+ * Search Text Utility
+ *
+ * Text handling of the full-text search (see services/searchService.js):
+ * - tokenize: lowercase words without accents, stopwords and junk (base64, long IDs)
+ * - parseSearchQuery: words, "quoted phrases" and from:, tag:, priority: qualifiers
+ * - matchesSearchQuery / rankSearchEntries: filter and BM25-rank index entries
+ * - buildSnippet / findHighlights: text around the matches, with highlight ranges
+ *
+ * Highlights are [start, end) character ranges into the returned text, so the client
+ * renders them without trusting any markup from message content.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is',
+  'it', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there',
+  'these', 'they', 'this', 'to', 'was', 'will', 'with'
+]);
+const MAX_TOKEN_LENGTH = 40;
+const QUALIFIERS = ['from', 'tag', 'priority'];
+
+// Field weights for ranking: a match in the subject counts three times a body match
+const FIELD_WEIGHTS = { title: 3, from: 2, tags: 2, content: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Split text into search tokens, keeping where each one is in the text
+ * @param {string} text - Text to split
+ * @returns {Array} - [{ token, start, end }]
+ */
+function tokenizeWithOffsets(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    const token = match[0].normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    if (token.length > MAX_TOKEN_LENGTH || STOPWORDS.has(token)) continue;
+    if (token.length < 2 && !/^\d$/.test(token)) continue;
+
+    tokens.push({ token, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Split text into search tokens
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return tokenizeWithOffsets(text).map(({ token }) => token);
+}
+
+/**
+ * Normalize a tag for tag: qualifiers ("Follow-up" and "follow-up" are the same tag)
+ * @param {string} tag - Tag
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+  return String(tag || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - e.g. 'budget "quarterly report" from:alice tag:finance priority:high'
+ * @returns {Object} - { terms, phrases, from, tags, priority }; terms include the phrase
+ *                     words, from holds the tokens of each from: value
+ */
+function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], from: [], tags: [], priority: [] };
+
+  const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  for (const match of String(query || '').matchAll(pattern)) {
+    const key = (match[1] || match[3] || '').toLowerCase();
+    const value = match[2] !== undefined ? match[2] : match[4];
+
+    if (QUALIFIERS.includes(key)) {
+      if (key === 'from' && tokenize(value).length > 0) parsed.from.push(tokenize(value));
+      if (key === 'tag' && normalizeTag(value)) parsed.tags.push(normalizeTag(value));
+      if (key === 'priority' && value) parsed.priority.push(value.toLowerCase());
+      continue;
+    }
+
+    if (match[5] !== undefined) {
+      const phrase = tokenize(match[5]);
+      if (phrase.length > 1) parsed.phrases.push(phrase);
+      parsed.terms.push(...phrase);
+    } else {
+      // Unknown qualifiers ("re:", "10:30") are searched as text
+      parsed.terms.push(...tokenize(match[0]));
+    }
+  }
+
+  parsed.terms = [...new Set(parsed.terms)];
+  return parsed;
+}
+
+/**
+ * Check whether a query has anything to search for
+ * @param {Object} query - Parsed query
+ * @returns {boolean}
+ */
+function isEmptySearchQuery(query) {
+  return query.terms.length === 0 && query.from.length === 0 &&
+    query.tags.length === 0 && query.priority.length === 0;
+}
+
+/**
+ * Build the indexed terms of a document: its tokens plus "from:" and "tag:" terms for
+ * the qualifiers. Title, sender and tags come first so a cap never drops them
+ * @param {Object} fields - { title, from, tags, content }
+ * @param {number} maxTerms - Most terms to keep
+ * @returns {Array<string>}
+ */
+function buildSearchTerms({ title, from, tags = [], content }, maxTerms) {
+  const fromTokens = tokenize(from);
+  const terms = new Set([
+    ...tokenize(title),
+    ...fromTokens,
+    ...fromTokens.map(token => `from:${token}`),
+    ...tags.map(tag => `tag:${normalizeTag(tag)}`),
+    ...tags.flatMap(tokenize),
+    ...tokenize(content)
+  ]);
+  return [...terms].slice(0, maxTerms);
+}
+
+/**
+ * Check whether the words of a phrase follow each other in a text
+ * @param {Array<string>} tokens - Tokens of the text
+ * @param {Array<string>} phrase - Tokens of the phrase
+ * @returns {boolean}
+ */
+function containsPhrase(tokens, phrase) {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((token, offset) => tokens[i + offset] === token)) return true;
+  }
+  return false;
+}
+
+/**
+ * Check an index entry against every part of a query
+ * @param {Object} entry - Index entry ({ terms, title, content, tags, priority })
+ * @param {Object} query - Parsed query
+ * @returns {boolean}
+ */
+function matchesSearchQuery(entry, query) {
+  const terms = new Set(entry.terms || []);
+
+  if (!query.terms.every(term => terms.has(term))) return false;
+  if (!query.from.every(tokens => tokens.every(token => terms.has(`from:${token}`)))) return false;
+  if (!query.tags.every(tag => (entry.tags || []).map(normalizeTag).includes(tag))) return false;
+  if (query.priority.length > 0 && !query.priority.includes(entry.priority)) return false;
+
+  const titleTokens = tokenize(entry.title);
+  const contentTokens = tokenize(entry.content);
+  return query.phrases.every(phrase => containsPhrase(titleTokens, phrase) || containsPhrase(contentTokens, phrase));
+}
+
+/**
+ * Tokens of an entry per ranked field
+ * @param {Object} entry - Index entry
+ * @returns {Object} - { title, from, tags, content }
+ */
+function getFieldTokens(entry) {
+  return {
+    title: tokenize(entry.title),
+    from: tokenize(entry.from),
+    tags: (entry.tags || []).flatMap(tokenize),
+    content: tokenize(entry.content)
+  };
+}
+
+/**
+ * Rank matching entries with BM25 over their weighted fields
+ * @param {Array} entries - Index entries matching the query, newest first
+ * @param {Object} query - Parsed query
+ * @param {Object} stats - { docCount, docFreq: { [term]: count } } of the whole index
+ * @returns {Array} - [{ entry, score }], best first (newest first on equal scores)
+ */
+function rankSearchEntries(entries, query, { docCount, docFreq }) {
+  const ranked = entries.map(entry => {
+    const fieldTokens = getFieldTokens(entry);
+    const length = Object.entries(fieldTokens)
+      .reduce((sum, [field, tokens]) => sum + tokens.length * FIELD_WEIGHTS[field], 0);
+    return { entry, fieldTokens, length };
+  });
+  const avgLength = ranked.reduce((sum, { length }) => sum + length, 0) / (ranked.length || 1);
+
+  const idf = (term) => {
+    const frequency = docFreq[term] || 0;
+    return Math.log(1 + (docCount - frequency + 0.5) / (frequency + 0.5));
+  };
+
+  return ranked
+    .map(({ entry, fieldTokens, length }) => {
+      const lengthNorm = 1 - BM25_B + BM25_B * (length / (avgLength || 1));
+
+      let score = 0;
+      query.terms.forEach(term => {
+        const frequency = Object.entries(fieldTokens)
+          .reduce((sum, [field, tokens]) => sum + tokens.filter(token => token === term).length * FIELD_WEIGHTS[field], 0);
+        score += idf(term) * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      });
+
+      // Every entry contains the phrases; having one in the title ranks higher
+      query.phrases.forEach(phrase => {
+        if (containsPhrase(fieldTokens.title, phrase)) score += phrase.reduce((sum, term) => sum + idf(term), 0);
+      });
+
+      return { entry, score: Math.round(score * 1000) / 1000 };
+    })
+    // Array.prototype.sort is stable, so equal scores keep the newest-first order
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Find the ranges of a text that match query terms
+ * @param {string} text - Text
+ * @param {Array<string>} terms - Query terms
+ * @returns {Array} - [[start, end], ...]
+ */
+function findHighlights(text, terms) {
+  const wanted = new Set(terms);
+  return tokenizeWithOffsets(text)
+    .filter(({ token }) => wanted.has(token))
+    .map(({ start, end }) => [start, end]);
+}
+
+/**
+ * Cut the part of a text with the most matches, for a result preview
+ * @param {string} text - Text (whitespace is collapsed)
+ * @param {Array<string>} terms - Query terms
+ * @param {number} maxLength - Longest snippet
+ * @returns {Object} - { text, highlights }
+ */
+function buildSnippet(text, terms, maxLength = 160) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  const matches = findHighlights(clean, terms);
+
+  // Window starting shortly before the match with the most matches after it
+  let best = { start: 0, count: 0 };
+  matches.forEach(([matchStart]) => {
+    const start = Math.max(0, matchStart - 30);
+    const count = matches.filter(([s, e]) => s >= start && e <= start + maxLength).length;
+    if (count > best.count) best = { start, count };
+  });
+
+  let start = best.start;
+  // Start on a word boundary
+  if (start > 0) {
+    const space = clean.indexOf(' ', start);
+    if (space !== -1 && space < (matches.find(([s]) => s >= start) || [Infinity])[0]) start = space + 1;
+  }
+  const end = Math.min(clean.length, start + maxLength);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < clean.length ? '…' : '';
+  return {
+    text: `${prefix}${clean.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length])
+  };
+}
+
+module.exports = {
+  tokenize,
+  normalizeTag,
+  parseSearchQuery,
+  isEmptySearchQuery,
+  buildSearchTerms,
+  matchesSearchQuery,
+  rankSearchEntries,
+  findHighlights,
+  buildSnippet
+};
@@ -0,0 +1,118 @@
+/**
+ * Worker Pool Utility
+ *
+ * Helpers for fanning out async work across many items while keeping
+ * the number of in-flight operations bounded.
+ */
+
+/**
+ * Error raised when an operation exceeds its time budget
+ */
+class TimeoutError extends Error {
+  constructor(message, timeoutMs) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Race a promise against a timeout
+ *
+ * Note: the underlying operation is not cancelled, we only stop waiting for it.
+ *
+ * @param {Promise} promise - Operation to wait for
+ * @param {number} timeoutMs - Time budget in milliseconds (0 or less disables the timeout)
+ * @param {string} label - Label used in the timeout error message
+ * @returns {Promise<*>} - Resolves with the operation result or rejects with TimeoutError
+ */
+const withTimeout = (promise, timeoutMs, label = 'Operation') => {
+  if (!timeoutMs || timeoutMs <= 0) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new TimeoutError(`${label} timed out after ${timeoutMs}ms`, timeoutMs));
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run a cancellable operation within a time budget
+ *
+ * The operation is called with an AbortSignal that is aborted when the budget runs out.
+ * Unlike withTimeout, the returned promise only rejects once the operation has stopped,
+ * so a pool slot (or lock) held by the caller is never freed while the work still runs.
+ *
+ * @param {Function} operation - Async function called as operation(signal)
+ * @param {number} timeoutMs - Time budget in milliseconds (0 or less disables the timeout)
+ * @param {string} label - Label used in the timeout error message
+ * @returns {Promise<*>} - Resolves with the operation result or rejects with TimeoutError
+ */
+const runWithTimeout = async (operation, timeoutMs, label = 'Operation') => {
+  const controller = new AbortController();
+  const running = Promise.resolve().then(() => operation(controller.signal));
+
+  try {
+    return await withTimeout(running, timeoutMs, label);
+  } catch (error) {
+    if (!(error instanceof TimeoutError)) {
+      throw error;
+    }
+
+    controller.abort(error);
+    await running.catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Stop an operation between two stages once its signal was aborted
+ * @param {AbortSignal} [signal] - Signal from runWithTimeout
+ * @throws {Error} - The abort reason (a TimeoutError) if the signal was aborted
+ */
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : new Error('Operation was cancelled');
+  }
+};
+
+/**
+ * Run an async worker over every item with at most `concurrency` running at once
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers running in parallel
+ * @param {Function} worker - Async function called as worker(item, index)
+ * @returns {Promise<Array>} - Settled results in input order ({ status, value | reason })
+ */
+const runWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  const poolSize = Math.max(1, Math.min(parseInt(concurrency) || 1, items.length));
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: poolSize }, runNext));
+
+  return results;
+};
+
+module.exports = {
+  TimeoutError,
+  withTimeout,
+  runWithTimeout,
+  throwIfAborted,
+  runWithConcurrency
+};